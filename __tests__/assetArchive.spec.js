@@ -0,0 +1,177 @@
+/**
+ * __tests__/assetArchive.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the versioned asset archive finalizeMint writes every run to,
+ * and the .tar.gz behind /api/archive/:tokenId
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Blob } from 'buffer';
+import { gunzipSync } from 'zlib';
+import {
+    AssetArchive,
+    LocalObjectStore,
+    SupabaseObjectStore,
+    getObjectStore,
+    imageExtension,
+    packTarGz
+} from '../scripts/assetArchive.js';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('pixels')]);
+
+/**
+ * Read a tar back: [{ name, size, bytes }]
+ */
+function readTar(tarGz) {
+    const tar = gunzipSync(tarGz);
+    const entries = [];
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const header = tar.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+
+        let checksum = 0;
+        header.forEach((byte, i) => { checksum += i >= 148 && i < 156 ? 32 : byte; });
+        assert.equal(parseInt(header.toString('latin1', 148, 156), 8), checksum, 'Header checksum');
+        assert.equal(header.toString('latin1', 257, 262), 'ustar');
+
+        const name = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+        const size = parseInt(header.toString('latin1', 124, 136), 8);
+        entries.push({ name, size, bytes: tar.subarray(offset + 512, offset + 512 + size) });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+/**
+ * Supabase Storage client stand-in, enough for SupabaseObjectStore
+ */
+function fakeStorage() {
+    const objects = new Map();
+    const bucket = {
+        async upload(key, bytes, { contentType }) {
+            objects.set(key, { bytes: Buffer.from(bytes), contentType });
+            return { data: { path: key }, error: null };
+        },
+        async download(key) {
+            const object = objects.get(key);
+            if (!object) return { data: null, error: { message: 'Object not found', statusCode: '404' } };
+            return { data: new Blob([object.bytes]), error: null };
+        },
+        async list(folder) {
+            const names = new Map();
+            for (const key of objects.keys()) {
+                if (!key.startsWith(`${folder}/`)) continue;
+                const [name, ...rest] = key.slice(folder.length + 1).split('/');
+                names.set(name, rest.length === 0 ? { name, id: key } : { name, id: null });
+            }
+            return { data: [...names.values()], error: null };
+        }
+    };
+    return { objects, client: { storage: { from: () => bucket } } };
+}
+
+function runFiles(tokenId, label) {
+    return [
+        { name: 'original.png', kind: 'original', bytes: PNG },
+        { name: 'sprite.png', kind: 'sprite', bytes: Buffer.from(`sprite ${label}`) },
+        { name: `${tokenId}.json`, kind: 'metadata', bytes: Buffer.from(JSON.stringify({ name: `Cat ${label}` })) }
+    ];
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running asset archive tests...\n');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'asset-archive-'));
+
+    // Test 1: Generations
+    console.log('Test 1: Versioned generations...');
+    const archive = new AssetArchive({ store: new LocalObjectStore({ dir }) });
+    const first = await archive.archive(7, runFiles(7, 'one'), { tokenURI: 'https://ipfs.io/ipfs/bafyone/7.json', provider: 'procedural' });
+    assert.equal(first.generation, 1);
+    assert.equal(first.tokenURI, 'https://ipfs.io/ipfs/bafyone/7.json');
+    assert.deepEqual(first.files.map(file => [file.name, file.kind, file.contentType]),
+        [['original.png', 'original', 'image/png'], ['sprite.png', 'sprite', 'image/png'], ['7.json', 'metadata', 'application/json']]);
+
+    const [second, third] = await Promise.all([
+        archive.archive('7', runFiles(7, 'two')),
+        archive.archive(7, runFiles(7, 'three'))
+    ]);
+    assert.deepEqual([second.generation, third.generation], [2, 3], 'Concurrent runs get their own numbers');
+    assert.equal((await archive.archive(8, runFiles(8, 'other'))).generation, 1, 'Numbered per token');
+    assert.deepEqual((await archive.generations(7)).map(manifest => manifest.generation), [1, 2, 3]);
+    assert.equal((await archive.file(7, 1, 'sprite.png')).bytes.toString(), 'sprite one', 'Older generations are kept');
+    assert.equal((await archive.file(7, 3, 'sprite.png')).bytes.toString(), 'sprite three');
+    assert.equal(await archive.file(7, 9, 'sprite.png'), null);
+    assert.equal(await archive.file(7, 1, 'idle.gif'), null);
+    console.log('✅ Every run is a new generation');
+
+    // Test 2: Interrupted runs and integrity
+    console.log('\nTest 2: Interrupted runs and integrity...');
+    await fs.mkdir(path.join(dir, '7', '4'));
+    await fs.writeFile(path.join(dir, '7', '4', 'original.png'), PNG);
+    assert.deepEqual((await archive.generations(7)).map(manifest => manifest.generation), [1, 2, 3], 'No manifest, no generation');
+    assert.equal((await archive.archive(7, runFiles(7, 'five'))).generation, 5, 'But its number stays taken');
+
+    await fs.writeFile(path.join(dir, '7', '2', 'sprite.png'), 'bit rot');
+    await assert.rejects(archive.file(7, 2, 'sprite.png'), /does not match its sha256/);
+
+    await assert.rejects(archive.archive(7, [{ name: '../escape.png', kind: 'original', bytes: PNG }]), /plain names/);
+    await assert.rejects(archive.archive(7, [{ name: 'manifest.json', kind: 'metadata', bytes: PNG }]), /written by the archive/);
+    await assert.rejects(archive.archive(7, []), /Nothing to archive/);
+    await assert.rejects(archive.archive(-1, runFiles(1, 'bad')), /Invalid token ID/);
+    assert.throws(() => new LocalObjectStore({ dir }).pathOf('../outside'), /outside the archive/);
+    console.log('✅ Files are checked against their manifest');
+
+    // Test 3: Download
+    console.log('\nTest 3: exportTarGz...');
+    await fs.writeFile(path.join(dir, '7', '2', 'sprite.png'), 'sprite two');
+    const bundle = await archive.exportTarGz(7);
+    assert.equal(bundle.filename, 'token-7-archive.tar.gz');
+    assert.deepEqual(bundle.generations, [1, 2, 3, 5]);
+    const entries = readTar(bundle.bytes);
+    assert.equal(entries.length, 4 * 4, 'Three files and a manifest per generation');
+    assert.deepEqual(entries.slice(0, 4).map(entry => entry.name),
+        ['token-7/1/original.png', 'token-7/1/sprite.png', 'token-7/1/7.json', 'token-7/1/manifest.json']);
+    assert.deepEqual(entries[0].bytes, PNG);
+    assert.equal(JSON.parse(entries[3].bytes.toString()).generation, 1);
+
+    const single = await archive.exportTarGz(7, { generation: 3 });
+    assert.equal(single.filename, 'token-7-gen3-archive.tar.gz');
+    assert.equal(readTar(single.bytes)[1].bytes.toString(), 'sprite three');
+    assert.equal(await archive.exportTarGz(7, { generation: 4 }), null);
+    assert.equal(await archive.exportTarGz(99), null);
+    assert.throws(() => packTarGz([{ name: 'x'.repeat(100), bytes: PNG }]), /too long/);
+    console.log('✅ A token downloads as one .tar.gz');
+
+    // Test 4: Stores
+    console.log('\nTest 4: Object stores...');
+    assert.equal(getObjectStore({}).name, 'local');
+    assert.throws(() => getObjectStore({ ASSET_ARCHIVE_STORE: 's3' }), /ASSET_ARCHIVE_STORE must be one of local, supabase/);
+    assert.deepEqual([imageExtension(PNG), imageExtension(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), imageExtension(Buffer.from('GIF89a')), imageExtension(Buffer.from('?'))],
+        ['png', 'jpg', 'gif', 'bin']);
+
+    const { objects, client } = fakeStorage();
+    const remote = new AssetArchive({ store: new SupabaseObjectStore({ client, bucket: 'test' }) });
+    await remote.archive(7, runFiles(7, 'one'));
+    const manifest = (await remote.archive(7, runFiles(7, 'two')));
+    assert.equal(manifest.generation, 2);
+    assert.equal(manifest.store, 'supabase');
+    assert.equal(objects.get('7/2/sprite.png').contentType, 'image/png');
+    assert.equal((await remote.file(7, 2, '7.json')).contentType, 'application/json');
+    assert.deepEqual((await remote.exportTarGz(7)).generations, [1, 2]);
+    assert.equal(await remote.manifest(7, 3), null, 'Missing objects read as null');
+    console.log('✅ Local directory by default, Supabase Storage on request');
+
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('\n🎉 All asset archive tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Asset archive tests failed:', error);
+    process.exit(1);
+});
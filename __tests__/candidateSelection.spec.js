@@ -0,0 +1,159 @@
+/**
+ * __tests__/candidateSelection.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for owner selection between generated candidates: signed picks,
+ * the local candidate store and expiry of unpicked images
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ethers } from 'ethers';
+import {
+    loadCandidateOptions,
+    resolveCandidateCount,
+    createCandidateSet,
+    selectionMessage,
+    verifySelectionSignature,
+    publicCandidateSet,
+    FileCandidateStore,
+    SELECTION_STATES
+} from '../scripts/candidateSelection.js';
+
+const owner = ethers.Wallet.createRandom();
+
+/**
+ * A candidate set for token 7 with three tiny candidates
+ */
+function candidateSet(taskId, options = {}) {
+    return createCandidateSet({
+        taskId,
+        tokenId: '7',
+        owner: owner.address,
+        request: { tokenId: 7, breed: 'Bengal', imageProvider: 'procedural', isRegeneration: true },
+        candidates: [0, 1, 2].map(index => ({
+            index,
+            image: Buffer.from(`sprite ${index}`).toString('base64'),
+            original: Buffer.from(`provider output ${index}`).toString('base64'),
+            width: 32,
+            height: 32,
+            provider: 'procedural',
+            model: 'procedural-v1',
+            metadata: { seed: 100 + index }
+        })),
+        ...options
+    });
+}
+
+/**
+ * Error a store call rejects with
+ */
+async function rejection(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return error;
+    }
+    assert.fail('Expected the call to fail');
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running candidate selection tests...\n');
+
+    // Test 1: Settings
+    console.log('Test 1: Candidate counts...');
+    assert.deepEqual(loadCandidateOptions({}), { maxCandidates: 4, ttlMs: 86400000 });
+    assert.deepEqual(loadCandidateOptions({ MAX_CANDIDATES: '6', CANDIDATE_TTL_MS: '60000' }), { maxCandidates: 6, ttlMs: 60000 });
+    assert.throws(() => loadCandidateOptions({ MAX_CANDIDATES: '0' }), /MAX_CANDIDATES must be/);
+    assert.throws(() => loadCandidateOptions({ CANDIDATE_TTL_MS: 'soon' }), /CANDIDATE_TTL_MS must be/);
+    assert.equal(resolveCandidateCount(undefined), 1, 'No count means no selection step');
+    assert.equal(resolveCandidateCount('3'), 3);
+    assert.throws(() => resolveCandidateCount(5), /between 1 and 4/);
+    assert.throws(() => resolveCandidateCount('2.5'), /between 1 and 4/);
+    console.log('✅ Counts are checked against MAX_CANDIDATES');
+
+    // Test 2: Signed picks
+    console.log('\nTest 2: Signatures...');
+    const set = candidateSet('task_1');
+    assert.equal(set.status, SELECTION_STATES.AWAITING_SELECTION);
+    assert.equal(set.owner, owner.address.toLowerCase());
+    assert.equal(Date.parse(set.expiresAt) - Date.parse(set.createdAt), 86400000);
+    assert.equal(selectionMessage(set, 1), 'Select candidate 2 of 3 for Pixel Ninja Cat #7 (task task_1)');
+
+    const signature = await owner.signMessage(selectionMessage(set, 1));
+    assert.ok(verifySelectionSignature(set, 1, signature));
+    assert.ok(!verifySelectionSignature(set, 2, signature), 'A signature only picks the candidate it names');
+    assert.ok(!verifySelectionSignature(set, 1, await ethers.Wallet.createRandom().signMessage(selectionMessage(set, 1))),
+        'Another wallet cannot pick');
+    assert.ok(!verifySelectionSignature(set, 1, '0x1234'));
+    assert.ok(!verifySelectionSignature({ ...set, owner: null }, 1, signature), 'Ownerless sets need the admin key');
+
+    const view = publicCandidateSet(set);
+    assert.equal(view.taskId, 'task_1');
+    assert.ok(!('request' in view), 'The mint request stays private');
+    assert.ok(!('original' in view.candidates[1]), 'So do the providers\' raw outputs');
+    assert.equal(view.candidates[1].image, `data:image/png;base64,${set.candidates[1].image}`);
+    assert.equal(view.candidates[1].seed, 101);
+    assert.equal(view.candidates[1].message, selectionMessage(set, 1));
+    console.log('✅ Only the owner\'s signature over the candidate\'s message picks it');
+
+    // Test 3: Local store and picking
+    console.log('\nTest 3: FileCandidateStore...');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'candidates-'));
+    const store = new FileCandidateStore(path.join(dir, 'sets.json'));
+    assert.equal(await store.get('task_1'), null, 'Missing file means no sets');
+    await store.save(set);
+    assert.deepEqual(await store.get('task_1'), set);
+
+    assert.equal((await rejection(store.select('task_1', 9))).statusCode, 400);
+    assert.equal((await rejection(store.select('task_9', 0))).statusCode, 404);
+    const picks = await Promise.allSettled([store.select('task_1', 1), store.select('task_1', 2)]);
+    assert.equal(picks[0].status, 'fulfilled');
+    assert.equal(picks[1].reason.statusCode, 409, 'Only the first pick wins');
+
+    const selected = await store.get('task_1');
+    assert.equal(selected.status, SELECTION_STATES.SELECTED);
+    assert.equal(selected.selectedIndex, 1);
+    assert.deepEqual(selected.candidates.map(candidate => candidate.image !== null), [false, true, false],
+        'Unpicked images are dropped on selection');
+    assert.deepEqual(selected.candidates.map(candidate => candidate.original !== null), [false, true, false],
+        'So are their originals');
+
+    await store.markPinned('task_1', 'https://ipfs.io/ipfs/bafy/7.json');
+    const pinned = await store.get('task_1');
+    assert.equal(pinned.status, SELECTION_STATES.PINNED);
+    assert.equal(pinned.tokenURI, 'https://ipfs.io/ipfs/bafy/7.json');
+    console.log('✅ One pick per set, the rest of the images go');
+
+    // Test 4: Expiry
+    console.log('\nTest 4: Expiry...');
+    await store.save(candidateSet('task_2', { ttlMs: 1000 }));
+    await store.save(candidateSet('task_3'));
+    assert.deepEqual(await store.expire(), [], 'Nothing is due yet');
+
+    const later = Date.now() + 5000;
+    const expired = await store.expire(later);
+    assert.deepEqual(expired.map(entry => entry.id), ['task_2'], 'Only the closed window expires');
+    assert.ok(expired[0].candidates.every(candidate => candidate.image === null && candidate.original === null), 'Expired images are dropped');
+    assert.equal((await store.get('task_2')).status, SELECTION_STATES.EXPIRED);
+    assert.equal((await store.get('task_1')).status, SELECTION_STATES.PINNED, 'Picked sets never expire');
+    assert.deepEqual(await store.expire(later), [], 'Expiry happens once');
+
+    await store.save({ ...candidateSet('task_4'), expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const late = await rejection(store.select('task_4', 0));
+    assert.equal(late.statusCode, 410);
+    assert.match(late.message, /Selection window for task task_4 closed/);
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('✅ Unpicked candidates expire and can no longer be picked');
+
+    console.log('\n🎉 All candidate selection tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Candidate selection tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * __tests__/chainReorg.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Unit tests for confirmation depth and reorg detection in the scanner.
+ */
+
+import { strict as assert } from 'assert';
+import { confirmedHead, detectReorg, recordBlockHash, recordTokenBlock, isOrphaned } from '../scripts/chainReorg.js';
+
+/**
+ * Minimal provider stand-in serving block hashes from a map
+ */
+function fakeProvider(hashes) {
+    return {
+        getBlock: async number => (hashes[number] ? { number, hash: hashes[number] } : null)
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running chain reorg tests...\n');
+
+    // Test 1: Confirmation depth
+    console.log('Test 1: Confirmation depth...');
+    assert.equal(confirmedHead(100, 6), 94);
+    assert.equal(confirmedHead(3, 6), 0, 'Head should never go negative');
+    console.log('✅ Confirmed head respects depth');
+
+    // Test 2: Unchanged chain
+    console.log('\nTest 2: No reorg...');
+    const chain = { 100: '0xa100', 110: '0xa110', 120: '0xa120' };
+    const state = { lastBlock: 120, processedTokens: new Set([1, 2]) };
+    recordTokenBlock(state, 1, { blockNumber: 105, blockHash: '0xa105' });
+    recordTokenBlock(state, 2, { blockNumber: 115, blockHash: '0xa115' });
+    recordBlockHash(state, 100, chain[100]);
+    recordBlockHash(state, 110, chain[110]);
+    recordBlockHash(state, 120, chain[120]);
+    assert.equal(await detectReorg(fakeProvider({ ...chain, 105: '0xa105', 115: '0xa115' }), state), null);
+    assert.equal(state.lastBlock, 120);
+    console.log('✅ Matching hashes leave state untouched');
+
+    // Test 3: Reorg rewinds to the newest matching checkpoint
+    console.log('\nTest 3: Reorg rewinds and invalidates orphaned tokens...');
+    const forked = { 100: '0xa100', 105: '0xa105', 110: '0xa110', 115: '0xb115', 120: '0xb120' };
+    const reorg = await detectReorg(fakeProvider(forked), state);
+    assert.ok(reorg, 'Changed hashes should be reported as a reorg');
+    assert.equal(reorg.rewindTo, 110);
+    assert.equal(reorg.forkBlock, 115);
+    assert.deepEqual(reorg.orphanedTokens, [2]);
+    assert.equal(state.lastBlock, 110, 'Cursor should rewind so the range is rescanned');
+    assert.ok(state.processedTokens.has(1), 'Tokens below the fork stay processed');
+    assert.ok(!state.processedTokens.has(2), 'Orphaned token should be invalidated');
+    assert.ok(state.blockHashes.every(cp => cp.number <= 110));
+    console.log('✅ Orphaned tokens are dropped and the cursor rewinds');
+
+    // Test 4: Queued work from orphaned blocks
+    console.log('\nTest 4: isOrphaned...');
+    assert.equal(isOrphaned(reorg, { tokenId: 2, blockNumber: 115 }), true);
+    assert.equal(isOrphaned(reorg, { tokenId: '2', blockNumber: 115 }), true);
+    assert.equal(isOrphaned(reorg, { tokenId: 2, blockNumber: 110 }), false, 'Work from a block below the fork stands');
+    assert.equal(isOrphaned(reorg, { tokenId: 1, blockNumber: 115 }), false, 'Only tokens the reorg invalidated');
+    assert.equal(isOrphaned(reorg, { tokenId: 2 }), false, 'Manual runs have no block to lose');
+    console.log('✅ Only work queued from an orphaned MintRequested counts');
+
+    // Test 5: A lagging RPC is not a reorg
+    console.log('\nTest 5: Missing blocks are inconclusive...');
+    const lagging = { lastBlock: 120, processedTokens: new Set([3]) };
+    recordBlockHash(lagging, 100, '0xa100');
+    recordTokenBlock(lagging, 3, { blockNumber: 110, blockHash: '0xa110' });
+    recordBlockHash(lagging, 120, '0xa120');
+    assert.equal(await detectReorg(fakeProvider({}), lagging), null, 'No blocks at all should not rewind');
+    assert.equal(await detectReorg(fakeProvider({ 100: '0xa100', 110: '0xa110' }), lagging), null,
+        'A missing newest block should not rewind');
+    assert.equal(lagging.lastBlock, 120);
+    assert.ok(lagging.processedTokens.has(3), 'Tokens stay processed');
+    assert.equal(lagging.blockHashes.length, 3, 'Checkpoints are kept for the next pass');
+    const realFork = await detectReorg(fakeProvider({ 100: '0xa100', 110: '0xa110', 120: '0xb120' }), lagging);
+    assert.equal(realFork.rewindTo, 110, 'An actual hash difference still rewinds');
+    console.log('✅ Only a differing hash triggers a rewind');
+
+    console.log('\n🎉 All chain reorg tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Chain reorg tests failed:', error);
+    process.exit(1);
+});
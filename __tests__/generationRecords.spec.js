@@ -0,0 +1,131 @@
+/**
+ * __tests__/generationRecords.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for per-run generation records and the local record store
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    buildGenerationRecord,
+    generationProperties,
+    FileGenerationStore
+} from '../scripts/generationRecords.js';
+import { getProvider } from '../scripts/imageProviders.js';
+
+const stabilityResult = {
+    provider: 'stability',
+    requestedProvider: 'dall-e',
+    model: 'stable-diffusion-xl-1024-v1-0',
+    prompt: '32x32 pixel art sprite of a Bengal ninja cat',
+    promptTemplate: { id: 'ninja-cat@2', name: 'ninja-cat', version: 2, variant: 'stability' },
+    fallback: { reason: 'dall-e: rate limited' },
+    metadata: {
+        negativePrompt: 'text, watermark',
+        seed: 1234567,
+        parameters: { cfgScale: 9.5, steps: 50, stylePreset: 'pixel-art', width: 1024, height: 1024 }
+    }
+};
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running generation record tests...\n');
+
+    // Test 1: Building records
+    console.log('Test 1: buildGenerationRecord...');
+    const started = buildGenerationRecord({ tokenId: '7', taskId: 'task_1', breed: 'Bengal', requestedProvider: 'dall-e', prompt: 'shared prompt' });
+    assert.match(started.id, /^gen_\d+_[0-9a-f]{12}$/);
+    assert.equal(started.tokenId, 7);
+    assert.equal(started.status, 'started');
+    assert.equal(started.prompt, 'shared prompt');
+    assert.equal(started.seed, null);
+
+    const record = buildGenerationRecord({
+        tokenId: 7,
+        breed: 'Bengal',
+        requestedProvider: 'dall-e',
+        prompt: 'shared prompt',
+        imageResult: stabilityResult,
+        timings: { generation: 12.5, processing: 0.4, upload: 2.1, total: 15.2 }
+    });
+    assert.equal(record.status, 'completed');
+    assert.equal(record.provider, 'stability');
+    assert.equal(record.requestedProvider, 'dall-e');
+    assert.equal(record.prompt, stabilityResult.prompt, 'The prompt actually sent wins');
+    assert.equal(record.negativePrompt, 'text, watermark');
+    assert.equal(record.seed, 1234567);
+    assert.equal(record.parameters.cfgScale, 9.5);
+    assert.equal(record.promptTemplate, 'ninja-cat@2');
+    assert.equal(record.fallbackReason, 'dall-e: rate limited');
+    console.log('✅ Records capture prompt, provider, model, seed and parameters');
+
+    // Test 2: Metadata block
+    console.log('\nTest 2: generationProperties...');
+    assert.deepEqual(generationProperties(record), {
+        recordId: record.id,
+        breed: 'Bengal',
+        provider: 'stability',
+        model: 'stable-diffusion-xl-1024-v1-0',
+        seed: 1234567,
+        prompt: stabilityResult.prompt,
+        negativePrompt: 'text, watermark',
+        parameters: stabilityResult.metadata.parameters,
+        timings: { generation: 12.5, processing: 0.4, upload: 2.1, total: 15.2 }
+    });
+    assert.ok(!('negativePrompt' in generationProperties(started)), 'No negativePrompt key when none was sent');
+    console.log('✅ properties.generation mirrors the record');
+
+    // Test 3: Local store
+    console.log('\nTest 3: FileGenerationStore...');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'generations-'));
+    const store = new FileGenerationStore(path.join(dir, 'records.json'));
+    assert.deepEqual(await store.history(7), [], 'Missing file means no history');
+
+    await store.save(started);
+    await store.save({ ...started, status: 'failed', error: 'boom' });
+    let history = await store.history(7);
+    assert.equal(history.length, 1, 'Saving the same id replaces the record');
+    assert.equal(history[0].status, 'failed');
+
+    await store.save({ ...record, createdAt: new Date(Date.now() + 1000).toISOString() });
+    await store.save({ ...buildGenerationRecord({ tokenId: 8, breed: 'Tabby', requestedProvider: 'procedural' }) });
+    history = await store.history('7');
+    assert.deepEqual(history.map(entry => entry.id), [record.id, started.id], 'Newest first, other tokens excluded');
+    assert.equal((await store.history(7, { limit: 1 })).length, 1);
+
+    await Promise.all(Array.from({ length: 55 }, (_, i) => store.save({
+        ...buildGenerationRecord({ tokenId: 9, breed: 'Tabby', requestedProvider: 'procedural' }),
+        createdAt: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString()
+    })));
+    const capped = await store.history(9, { limit: 100 });
+    assert.equal(capped.length, 50, 'Local store keeps the last 50 runs per token');
+    assert.equal(capped[49].createdAt, new Date(Date.UTC(2026, 0, 1, 0, 0, 5)).toISOString(), 'Oldest runs are dropped');
+    assert.equal((await store.history(7)).length, 2, 'Other tokens keep their records');
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('✅ Records save, replace, cap and come back newest first');
+
+    // Test 4: Providers report their seed
+    console.log('\nTest 4: Procedural seed...');
+    const result = await getProvider('procedural').generate('Calico ninja cat', {
+        tokenId: 7,
+        traits: [{ trait_type: 'Breed', value: 'Calico' }, { trait_type: 'Element', value: 'Water' }],
+        seed: 4242
+    });
+    await fs.rm(result.localPath, { force: true });
+    const procedural = buildGenerationRecord({ tokenId: 7, breed: 'Calico', requestedProvider: 'procedural', imageResult: result });
+    assert.equal(procedural.seed, 4242);
+    assert.deepEqual(procedural.parameters, { seed: 4242 });
+    assert.equal(procedural.model, 'procedural-v1');
+    console.log('✅ Seeded providers record the seed they used');
+
+    console.log('\n🎉 All generation record tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Generation record tests failed:', error);
+    process.exit(1);
+});
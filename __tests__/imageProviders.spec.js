@@ -0,0 +1,150 @@
+/**
+ * __tests__/imageProviders.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the image provider registry and the offline procedural provider
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import {
+    registerProvider,
+    getProvider,
+    providerNames,
+    missingEnv,
+    isProviderConfigured,
+    providerAvailability,
+    checkProviderOptions,
+    parseFallbackChain,
+    resolveProviderChain
+} from '../scripts/imageProviders.js';
+import { validateImageProvider, validateProviderOptions, validateFallbackPolicy } from '../scripts/securityUtils.js';
+
+const traits = [
+    { trait_type: 'Breed', value: 'Calico' },
+    { trait_type: 'Element', value: 'Water' },
+    { trait_type: 'Weapon', value: 'Bo Staff' },
+    { trait_type: 'Rank', value: 'Master' },
+    { trait_type: 'Background', value: 'Bamboo Forest' }
+];
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running image provider tests...\n');
+
+    // Test 1: Built-in providers
+    console.log('Test 1: Registry...');
+    assert.deepEqual(providerNames(), ['stability', 'huggingface', 'dall-e', 'procedural']);
+    assert.equal(getProvider(' DALL-E ').name, 'dall-e', 'Lookups are case-insensitive');
+    assert.equal(getProvider('midjourney'), null);
+    for (const name of providerNames()) {
+        const provider = getProvider(name);
+        assert.ok(Array.isArray(provider.requiredEnv));
+        assert.equal(typeof provider.generate, 'function');
+        assert.equal(typeof provider.enhancePrompt, 'function');
+        assert.ok(provider.pixelSettings.backgrounds.length > 0, `${name} has backgrounds`);
+    }
+    console.log('✅ dall-e, stability, huggingface and procedural are registered');
+
+    // Test 2: Env requirements
+    console.log('\nTest 2: Required env...');
+    const env = { OPENAI_API_KEY: 'sk-test' };
+    assert.deepEqual(missingEnv('stability', env), ['STABILITY_API_KEY']);
+    assert.deepEqual(missingEnv('dall-e', env), []);
+    assert.ok(isProviderConfigured('procedural', {}), 'Procedural needs no keys');
+    assert.deepEqual(providerAvailability(env), {
+        'stability': false,
+        'huggingface': false,
+        'dall-e': true,
+        'procedural': true
+    });
+    console.log('✅ Providers report missing keys');
+
+    // Test 3: Prompt enhancers and option schemas
+    console.log('\nTest 3: Enhancers and options...');
+    const enhanced = getProvider('stability').enhancePrompt('ninja cat', {});
+    assert.match(enhanced.prompt, /^ninja cat, true pixel art.*8-16 colors maximum$/);
+    assert.deepEqual(enhanced.options, { cfgScale: 9.5, stylePreset: 'pixel-art' });
+    assert.equal(getProvider('procedural').enhancePrompt('ninja cat', {}).prompt, 'ninja cat');
+
+    assert.deepEqual(checkProviderOptions('dall-e', { quality: 'hd', extra: 1 }), { quality: 'hd', extra: 1 });
+    assert.throws(() => checkProviderOptions('dall-e', { quality: 'ultra' }), /quality must be one of/);
+    assert.throws(() => checkProviderOptions('stability', { cfgScale: '9' }), /cfgScale must be a number/);
+    assert.equal(validateImageProvider('procedural'), 'procedural');
+    assert.throws(() => validateImageProvider('midjourney'), /must be one of stability, huggingface, dall-e, procedural/);
+    assert.deepEqual(validateProviderOptions('{"seed":7}', 'procedural'), { seed: 7 });
+    assert.throws(() => validateProviderOptions('{"seed":"7"}', 'procedural'), /seed must be a number/);
+    console.log('✅ Enhancers tune prompts, schemas reject bad options');
+
+    // Test 4: Offline procedural sprite
+    console.log('\nTest 4: Procedural provider...');
+    const procedural = getProvider('procedural');
+    const first = await procedural.generate('ignored', { traits, tokenId: 42 });
+    const second = await procedural.generate('ignored', { traits, tokenId: 42 });
+    const other = await procedural.generate('ignored', { traits, tokenId: 43 });
+
+    assert.equal(first.provider, 'procedural');
+    assert.ok(first.isLocal);
+    const meta = await sharp(first.localPath).metadata();
+    assert.equal(meta.width, 32);
+    assert.equal(meta.height, 32);
+    const [a, b, c] = await Promise.all([first, second, other].map(result => fs.readFile(result.localPath)));
+    assert.ok(a.equals(b), 'Same token and traits give the same sprite');
+    assert.ok(!a.equals(c), 'Different tokens give different sprites');
+
+    const seeded = await procedural.generate('ignored', { traits, seed: first.metadata.seed });
+    assert.ok((await fs.readFile(seeded.localPath)).equals(a), 'An explicit seed reproduces the sprite');
+
+    await Promise.all([first, second, other, seeded].map(result =>
+        fs.rm(path.dirname(result.localPath), { recursive: true, force: true })));
+    console.log('✅ 32x32 PNG rendered locally and deterministically');
+
+    // Test 5: Custom providers
+    console.log('\nTest 5: registerProvider...');
+    registerProvider({
+        name: 'Test-Provider',
+        requiredEnv: ['TEST_PROVIDER_KEY'],
+        generate: async prompt => ({ url: 'https://example.com/x.png', provider: 'test-provider', prompt })
+    });
+    assert.ok(providerNames().includes('test-provider'));
+    assert.equal(isProviderConfigured('test-provider', {}), false);
+    assert.equal(isProviderConfigured('test-provider', { TEST_PROVIDER_KEY: 'x' }), true);
+    assert.throws(() => registerProvider({ name: 'broken' }), /generate function/);
+    console.log('✅ New providers plug in without touching finalizeMint');
+
+    // Test 6: Fallback policy
+    console.log('\nTest 6: Fallback chains...');
+    assert.deepEqual(parseFallbackChain('dall-e -> Stability ->procedural'), ['dall-e', 'stability', 'procedural']);
+    assert.deepEqual(parseFallbackChain(['huggingface', 'procedural']), ['huggingface', 'procedural']);
+    assert.throws(() => parseFallbackChain('dall-e -> midjourney'), /unknown provider\(s\) midjourney/);
+
+    const chainEnv = { IMAGE_PROVIDER_FALLBACK: 'dall-e -> stability -> procedural' };
+    assert.deepEqual(resolveProviderChain({ provider: 'dall-e' }, chainEnv), ['dall-e', 'stability', 'procedural'],
+        'Default provider follows IMAGE_PROVIDER_FALLBACK');
+    assert.deepEqual(resolveProviderChain({ provider: 'stability' }, chainEnv), ['stability', 'dall-e', 'procedural'],
+        'Requested provider is always tried first');
+    assert.deepEqual(resolveProviderChain({ provider: 'dall-e', providerChosen: true }, chainEnv), ['dall-e'],
+        'User-chosen providers stay strict');
+    assert.deepEqual(resolveProviderChain({ provider: 'dall-e', providerChosen: true, fallback: true }, chainEnv),
+        ['dall-e', 'stability', 'procedural'], 'Unless the mint opts in');
+    assert.deepEqual(resolveProviderChain({ provider: 'huggingface', fallback: 'procedural' }, {}), ['huggingface', 'procedural']);
+    assert.deepEqual(resolveProviderChain({ provider: 'dall-e', fallback: 'strict' }, chainEnv), ['dall-e']);
+    assert.deepEqual(resolveProviderChain({ provider: 'dall-e' }, {}), ['dall-e'], 'Strict without a configured chain');
+
+    assert.equal(validateFallbackPolicy(undefined), undefined);
+    assert.equal(validateFallbackPolicy('strict'), false);
+    assert.equal(validateFallbackPolicy('true'), true);
+    assert.deepEqual(validateFallbackPolicy('stability,procedural'), ['stability', 'procedural']);
+    assert.throws(() => validateFallbackPolicy('dall-e -> nope'), /Invalid fallback chain/);
+    console.log('✅ Fallback is opt-in and strict by default for user-chosen providers');
+
+    console.log('\n🎉 All image provider tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Image provider tests failed:', error);
+    process.exit(1);
+});
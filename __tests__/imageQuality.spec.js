@@ -0,0 +1,132 @@
+/**
+ * __tests__/imageQuality.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the post-generation quality gate: good sprites pass, blank,
+ * tiny, doubled, noisy and stretched images are rejected and kept
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { loadQualityOptions, assessImage, saveRejectedImage, QUALITY_DEFAULTS } from '../scripts/imageQuality.js';
+import { renderSpritePixels } from '../scripts/proceduralSprite.js';
+
+const BREEDS = ['Tabby', 'Siamese', 'Calico', 'Maine Coon', 'Bengal', 'Bombay', 'Persian', 'Sphynx', 'Nyan', 'Shadow'];
+const WHITE = { create: { width: 1024, height: 1024, channels: 3, background: '#ffffff' } };
+
+/**
+ * A procedural sprite as PNG, optionally scaled up like a provider would deliver it
+ */
+async function spritePng(breed, seed, size = 32) {
+    const sprite = renderSpritePixels({ traits: [{ trait_type: 'Breed', value: breed }], seed });
+    return sharp(sprite.pixels, { raw: { width: sprite.width, height: sprite.height, channels: 3 } })
+        .resize(size, size, { kernel: 'nearest' })
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Checks that failed for an image
+ */
+async function failedChecks(input) {
+    const { reasons } = await assessImage(input);
+    return reasons.map(reason => reason.check);
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running image quality gate tests...\n');
+
+    // Test 1: Settings
+    console.log('Test 1: loadQualityOptions...');
+    const defaults = loadQualityOptions({});
+    assert.equal(defaults.enabled, true);
+    assert.equal(defaults.maxRegenerations, 2);
+    assert.deepEqual(defaults.thresholds, QUALITY_DEFAULTS);
+    const custom = loadQualityOptions({ QUALITY_GATE: 'off', QUALITY_MAX_REGENERATIONS: '0', QUALITY_MIN_COVERAGE: '0.2' });
+    assert.equal(custom.enabled, false);
+    assert.equal(custom.maxRegenerations, 0);
+    assert.equal(custom.thresholds.minCoverage, 0.2);
+    assert.throws(() => loadQualityOptions({ QUALITY_GATE: 'maybe' }), /QUALITY_GATE must be/);
+    assert.throws(() => loadQualityOptions({ QUALITY_MAX_REGENERATIONS: '1.5' }), /non-negative integer/);
+    assert.throws(() => loadQualityOptions({ QUALITY_MAX_ASPECT: 'wide' }), /maxAspect must be/);
+    console.log('✅ Gate settings come from env');
+
+    // Test 2: Good sprites pass, native or blown up and blurred
+    console.log('\nTest 2: Procedural sprites...');
+    for (const [index, breed] of BREEDS.entries()) {
+        const native = await spritePng(breed, index * 7);
+        const blurred = await sharp(await spritePng(breed, index * 7, 1024)).blur(1.5).png().toBuffer();
+        for (const input of [native, blurred]) {
+            const result = await assessImage(input);
+            assert.ok(result.passed, `${breed} passes: ${JSON.stringify(result.reasons)}`);
+            assert.equal(result.metrics.subjects, 1);
+        }
+    }
+    console.log(`✅ All ${BREEDS.length} breeds pass, dark coats on dark skies included`);
+
+    // Test 3: Bad outputs are rejected
+    console.log('\nTest 3: Rejections...');
+    const cat = await spritePng('Tabby', 3, 320);
+    const blank = await sharp(WHITE).png().toBuffer();
+    assert.deepEqual(await failedChecks(blank), ['uniformity', 'colors', 'coverage']);
+
+    const tiny = await sharp(WHITE).composite([{ input: await spritePng('Tabby', 3, 96), left: 460, top: 460 }]).png().toBuffer();
+    assert.ok((await failedChecks(tiny)).includes('coverage'), 'A speck of a cat is rejected');
+
+    const twoCats = await sharp(WHITE).composite([
+        { input: cat, left: 100, top: 350 },
+        { input: cat, left: 600, top: 350 }
+    ]).png().toBuffer();
+    assert.deepEqual(await failedChecks(twoCats), ['subjects']);
+    const oneCat = await sharp(WHITE).composite([{ input: cat, left: 350, top: 350 }]).png().toBuffer();
+    assert.deepEqual(await failedChecks(oneCat), [], 'One cat on the same background passes');
+
+    let state = 42;
+    const noise = Buffer.alloc(256 * 256 * 3);
+    for (let i = 0; i < noise.length; i++) {
+        state = (state * 1103515245 + 12345) & 0x7fffffff;
+        noise[i] = state >> 16;
+    }
+    assert.deepEqual(await failedChecks(await sharp(noise, { raw: { width: 256, height: 256, channels: 3 } }).png().toBuffer()), ['colors']);
+
+    const wide = await sharp(await spritePng('Tabby', 3)).resize(1792, 1024, { kernel: 'nearest', fit: 'fill' }).png().toBuffer();
+    assert.deepEqual(await failedChecks(wide), ['aspect']);
+    console.log('✅ Blank, tiny, doubled, noisy and stretched images fail');
+
+    // Test 4: Transparent backgrounds
+    console.log('\nTest 4: Alpha...');
+    const transparent = { create: { width: 512, height: 512, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } };
+    const onAlpha = await assessImage(await sharp(transparent).composite([{ input: await spritePng('Bengal', 5, 256), left: 128, top: 128 }]).png().toBuffer());
+    assert.equal(onAlpha.metrics.background, 'alpha');
+    assert.equal(onAlpha.metrics.coverage, 0.25, 'Coverage is the opaque share');
+    assert.ok(onAlpha.passed);
+    console.log('✅ Alpha defines the subject when the image has it');
+
+    // Test 5: Rejects are kept
+    console.log('\nTest 5: saveRejectedImage...');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rejects-'));
+    const imagePath = path.join(dir, 'image.png');
+    await fs.writeFile(imagePath, blank);
+    const assessment = await assessImage(imagePath);
+    const saved = await saveRejectedImage(imagePath, { tokenId: 12, attempt: 1, provider: 'dall-e', reasons: assessment.reasons }, path.join(dir, 'rejected'));
+    assert.equal(path.dirname(saved.imagePath), path.join(dir, 'rejected', '12'));
+    assert.deepEqual(await fs.readFile(saved.imagePath), blank);
+    const report = JSON.parse(await fs.readFile(saved.reportPath, 'utf8'));
+    assert.equal(report.provider, 'dall-e');
+    assert.equal(report.image, saved.imagePath);
+    assert.deepEqual(report.reasons.map(reason => reason.check), ['uniformity', 'colors', 'coverage']);
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('✅ Rejected image and its report are kept per token');
+
+    console.log('\n🎉 All image quality gate tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Image quality gate tests failed:', error);
+    process.exit(1);
+});
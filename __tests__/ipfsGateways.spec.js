@@ -0,0 +1,149 @@
+/**
+ * __tests__/ipfsGateways.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the shared IPFS gateway resolver: racing, failover,
+ * cooldowns and the URLs handed to metadata and <img> tags
+ */
+
+import { strict as assert } from 'assert';
+import { setTimeout, clearTimeout } from 'timers';
+import {
+    DEFAULT_GATEWAYS,
+    GatewayResolver,
+    loadGatewayOptions,
+    followImageFailover
+} from '../public/js/ipfsGateways.js';
+
+const CID = 'bafybeidhkumeonuwkebh2i4fc7o7lguehauradvlk57gzake6ggjsy372a';
+const A = 'https://a.example/ipfs/';
+const B = 'https://b.example/ipfs/';
+const C = 'https://c.example/ipfs/';
+
+/**
+ * fetch() stand-in: each gateway answers after `delay` ms with `status`,
+ * or never (until aborted) when delay is null
+ */
+function fakeFetch(behaviour) {
+    const calls = [];
+    const aborted = [];
+    const fetchImpl = (url, { signal } = {}) => {
+        calls.push(url);
+        const gateway = Object.keys(behaviour).find(prefix => url.startsWith(prefix));
+        const { delay, status = 200, body = { name: gateway } } = behaviour[gateway] || { delay: 0 };
+        return new Promise((resolve, reject) => {
+            const timer = delay === null ? null : setTimeout(() => resolve({
+                ok: status < 400,
+                status,
+                url,
+                json: async () => body
+            }), delay);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                aborted.push(url);
+                reject(new Error('aborted'));
+            });
+        });
+    };
+    return { fetchImpl, calls, aborted };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running IPFS gateway tests...\n');
+
+    // Test 1: Settings
+    console.log('Test 1: loadGatewayOptions...');
+    assert.deepEqual(loadGatewayOptions({}), { gateways: DEFAULT_GATEWAYS, race: 2, timeoutMs: 8000 });
+    assert.deepEqual(loadGatewayOptions({ IPFS_GATEWAYS: ' https://a.example/ipfs , https://b.example/ipfs/', IPFS_GATEWAY_RACE: '3', IPFS_GATEWAY_TIMEOUT_MS: '500' }),
+        { gateways: [A, B], race: 3, timeoutMs: 500 }, 'Trailing slashes are added');
+    assert.throws(() => loadGatewayOptions({ IPFS_GATEWAYS: 'ipfs.io' }), /IPFS_GATEWAYS must list gateway URLs/);
+    assert.throws(() => loadGatewayOptions({ IPFS_GATEWAY_RACE: '0' }), /IPFS_GATEWAY_RACE/);
+    assert.throws(() => loadGatewayOptions({ IPFS_GATEWAY_TIMEOUT_MS: 'soon' }), /IPFS_GATEWAY_TIMEOUT_MS/);
+    console.log('✅ Gateways come from IPFS_GATEWAYS');
+
+    // Test 2: URLs
+    console.log('\nTest 2: candidates and gatewayUrl...');
+    const resolver = new GatewayResolver({ gateways: [A, B] });
+    assert.equal(resolver.primaryGateway, A);
+    assert.equal(resolver.gatewayUrl(`ipfs://${CID}/7.json`), `${A}${CID}/7.json`);
+    assert.equal(resolver.gatewayUrl(`https://ipfs.io/ipfs/${CID}/image.png`), `https://ipfs.io/ipfs/${CID}/image.png`, 'Unlisted gateways are kept as written');
+    assert.deepEqual(resolver.candidates(`${B}${CID}/image.png`).map(candidate => candidate.url), [`${A}${CID}/image.png`, `${B}${CID}/image.png`]);
+    assert.deepEqual(resolver.candidates(`http://localhost:5000/ipfs/${CID}/image.png`).map(candidate => candidate.gateway),
+        [null, A, B], 'The local stand-in goes first, public gateways after');
+    assert.deepEqual(resolver.candidates('/metadata/7.json'), [{ gateway: null, url: '/metadata/7.json' }]);
+    console.log('✅ IPFS URIs map onto every gateway');
+
+    // Test 3: Racing
+    console.log('\nTest 3: Racing...');
+    const race = fakeFetch({ [A]: { delay: 50 }, [B]: { delay: 5 }, [C]: { delay: 0 } });
+    const racing = new GatewayResolver({ gateways: [A, B, C], race: 2, timeoutMs: 1000, fetchImpl: race.fetchImpl });
+    assert.deepEqual(await racing.fetchJson(`ipfs://${CID}`), { name: B }, 'The faster of the first two wins');
+    assert.deepEqual(race.calls, [`${A}${CID}`, `${B}${CID}`], 'Only the first wave is asked');
+    assert.deepEqual(race.aborted, [`${A}${CID}`], 'The loser is cancelled');
+    assert.equal(racing.health().find(entry => entry.gateway === A).failures, 0, 'Losing a race is not a failure');
+    console.log('✅ First good response wins');
+
+    // Test 4: Failover
+    console.log('\nTest 4: Timeouts and failover...');
+    const slow = fakeFetch({ [A]: { delay: null }, [B]: { delay: 0, status: 504 }, [C]: { delay: 0 } });
+    const failover = new GatewayResolver({ gateways: [A, B, C], race: 2, timeoutMs: 20, fetchImpl: slow.fetchImpl });
+    assert.deepEqual(await failover.fetchJson(`ipfs://${CID}/7.json`), { name: C });
+    assert.deepEqual(slow.calls, [`${A}${CID}/7.json`, `${B}${CID}/7.json`, `${C}${CID}/7.json`]);
+    const [a, b, c] = failover.health();
+    assert.deepEqual([a.status, a.lastError], ['failing', 'timed out after 20ms']);
+    assert.deepEqual([b.status, b.lastError], ['failing', 'HTTP 504']);
+    assert.equal(c.status, 'ok');
+
+    const down = fakeFetch({ [A]: { delay: 0, status: 404 }, [B]: { delay: 0, status: 404 } });
+    const nowhere = new GatewayResolver({ gateways: [A, B], fetchImpl: down.fetchImpl });
+    await assert.rejects(nowhere.fetch(`ipfs://${CID}`), /No IPFS gateway served ipfs:\/\/bafy\S+ \(https:\/\/a\.example\/ipfs\/: HTTP 404; https:\/\/b\.example/);
+    console.log('✅ Slow or failing gateways hand over to the next wave');
+
+    // Test 5: Cooldown
+    console.log('\nTest 5: Cooldown...');
+    let now = 0;
+    const cooling = new GatewayResolver({ gateways: [A, B, C], cooldownMs: 1000, now: () => now });
+    cooling.record(A, false, 10, 'HTTP 502');
+    assert.deepEqual(cooling.ranked(), [A, B, C], 'One failure is not enough');
+    cooling.record(A, false, 10, 'HTTP 502');
+    assert.deepEqual(cooling.ranked(), [B, C, A]);
+    assert.equal(cooling.health()[0].status, 'cooling');
+    assert.equal(cooling.primaryGateway, A, 'New tokenURIs do not follow gateway health');
+    now = 1001;
+    assert.deepEqual(cooling.ranked(), [A, B, C], 'Back at the front after the cooldown');
+    cooling.record(B, true, 100);
+    cooling.record(B, true, 200);
+    assert.equal(cooling.health()[1].avgMs, 130);
+    cooling.configure({ gateways: [C, B] });
+    assert.deepEqual(cooling.health().map(entry => [entry.gateway, entry.successes]), [[C, 0], [B, 2]], 'Reconfiguring keeps known stats');
+    console.log('✅ Failing gateways sit out for a while');
+
+    // Test 6: Images and plain URLs
+    console.log('\nTest 6: followImageFailover and plain URLs...');
+    const img = {};
+    followImageFailover(img, `ipfs://${CID}/image.png`, new GatewayResolver({ gateways: [A, B] }));
+    assert.equal(img.src, `${A}${CID}/image.png`);
+    img.onerror();
+    assert.equal(img.src, `${B}${CID}/image.png`);
+    img.onerror();
+    assert.equal(img.onerror, null, 'Stops after the last gateway');
+
+    const placeholder = { dataset: { fallbackSrc: 'assets/detailed_ninja_cat_64.png' } };
+    followImageFailover(placeholder, `ipfs://${CID}/image.png`, new GatewayResolver({ gateways: [A] }));
+    placeholder.onerror();
+    assert.equal(placeholder.src, 'assets/detailed_ninja_cat_64.png', 'Then the placeholder, if the page gave one');
+
+    const plain = fakeFetch({});
+    await new GatewayResolver({ gateways: [A], fetchImpl: plain.fetchImpl }).fetch('https://cats.example/metadata/7.json');
+    assert.deepEqual(plain.calls, ['https://cats.example/metadata/7.json'], 'Non-IPFS URLs are fetched directly');
+    console.log('✅ Images move on to the next gateway');
+
+    console.log('\n🎉 All IPFS gateway tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ IPFS gateway tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,189 @@
+/**
+ * __tests__/metadataMigration.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for metadata version detection and the v1 → 2.0 migration
+ * behind scripts/metadataMigration.js and /api/migrate-metadata
+ */
+
+import { strict as assert } from 'assert';
+import { generateTraits, selectBackground } from '../utils/metadata.js';
+import {
+    detectMetadataVersion,
+    missingFields,
+    migrateMetadata,
+    diffMetadata,
+    isCurrent,
+    runMetadataMigration
+} from '../scripts/metadataMigration.js';
+
+const IMAGE = 'https://ipfs.io/ipfs/bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi/7.png';
+const OPTIONS = { baseUrl: 'https://cats.example', projectName: 'Pixel Ninja Cats' };
+
+/**
+ * Metadata as it looked before versioning: traits only, no stats,
+ * background, rarity or description
+ */
+function v1Metadata(tokenId, breed = 'Tabby') {
+    const { rawTraits } = generateTraits(breed, tokenId);
+    return {
+        name: `Pixel Ninja Cat #${tokenId}`,
+        image: IMAGE,
+        attributes: rawTraits
+            .filter(attr => !attr.display_type)
+            .map(attr => ({ trait_type: attr.trait_type, value: attr.value, rarity: attr.rarity })),
+        ninja_data: { backstory: { name: 'Shadow' } }
+    };
+}
+
+/**
+ * Contract stand-in: tokenURI() per token, reverting for unknown ones
+ */
+function fakeNft(uris) {
+    return {
+        tokenURI: async tokenId => {
+            if (!uris[tokenId]) throw new Error('ERC721: invalid token ID');
+            return uris[tokenId];
+        },
+        totalSupply: async () => BigInt(Object.keys(uris).length),
+        tokenByIndex: async index => BigInt(Object.keys(uris)[index])
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running metadata migration tests...\n');
+
+    // Test 1: Detection
+    console.log('Test 1: Version detection...');
+    const v1 = v1Metadata(7);
+    assert.equal(detectMetadataVersion(v1), '1.0', 'No metadata_version means pre-versioning');
+    assert.equal(detectMetadataVersion({ ...v1, metadata_version: '2.0' }), '2.0');
+    assert.equal(detectMetadataVersion({ ...v1, metadata_version: 2 }), '2.0');
+    assert.equal(detectMetadataVersion('not json'), null);
+    assert.deepEqual(missingFields(v1), ['description', 'stats', 'background', 'rarity']);
+    assert.deepEqual(missingFields({ attributes: [{ trait_type: 'Power', value: 'Time Whisker' }] }),
+        ['name', 'description', 'stats', 'background', 'rarity'], 'A mythic Power trait is not a stat');
+    console.log('✅ Older tokens are recognised with what they lack');
+
+    // Test 2: Regeneration
+    console.log('\nTest 2: migrateMetadata...');
+    const traits = generateTraits('Tabby', 7);
+    const { background } = selectBackground(7, 'Tabby');
+    const result = migrateMetadata(v1, 7, { ...OPTIONS, tokenURI: 'ipfs://bafyold/7.json' });
+    const migrated = result.metadata;
+    assert.equal(result.valid, true, result.errors.join('; '));
+    assert.equal(result.fromVersion, '1.0');
+    assert.deepEqual(result.regenerated, ['description', 'stats', 'background', 'rarity']);
+    assert.equal(migrated.metadata_version, '2.0');
+    assert.equal(migrated.image, IMAGE, 'The art never changes');
+    assert.equal(migrated.description, traits.description, 'Same description as a fresh mint');
+    assert.deepEqual(migrated.generationInfo.rarity, traits.rarity, 'Same rarity as a fresh mint');
+    assert.equal(migrated.generationInfo.background, background.name);
+    assert.deepEqual(migrated.attributes.at(-1), { trait_type: 'Background', value: background.name });
+
+    const stats = Object.fromEntries(migrated.attributes.filter(attr => attr.display_type === 'number').map(attr => [attr.trait_type.toLowerCase(), attr.value]));
+    for (const [stat, value] of Object.entries(traits.stats)) {
+        assert.equal(stats[stat], Math.min(10, value + (background.statBonus?.[stat] || 0)), `${stat} includes the background bonus`);
+    }
+    assert.ok(migrated.attributes.every(attr => !('rarity' in attr)), 'Attributes are stripped to the schema keys');
+    assert.equal(migrated.external_url, 'https://cats.example/kitty/7');
+    assert.deepEqual(migrated.ninja_data, v1.ninja_data, 'Unknown fields are carried over');
+    assert.deepEqual(migrated.properties.migration,
+        { from: '1.0', to: '2.0', regenerated: ['description', 'stats', 'background', 'rarity'], previousTokenURI: 'ipfs://bafyold/7.json' });
+    assert.deepEqual(migrateMetadata(v1, 7, { ...OPTIONS, tokenURI: 'ipfs://bafyold/7.json' }).metadata, migrated, 'Deterministic, so re-runs pin the same CID');
+    assert.ok(isCurrent(migrated));
+    assert.equal(isCurrent(v1), false);
+    console.log('✅ Missing fields come back the way the mint builds them');
+
+    // Test 3: Existing fields win
+    console.log('\nTest 3: Partial metadata...');
+    const partial = {
+        ...v1,
+        description: 'Hand-written lore',
+        attributes: [
+            ...v1.attributes,
+            { trait_type: 'Agility', value: '3' },
+            { trait_type: 'Background', value: 'Night Sky' }
+        ]
+    };
+    const kept = migrateMetadata(partial, 7, OPTIONS);
+    assert.deepEqual(kept.regenerated, ['stats', 'rarity']);
+    assert.equal(kept.metadata.description, 'Hand-written lore');
+    assert.deepEqual(kept.metadata.attributes.find(attr => attr.trait_type === 'Agility'), { trait_type: 'Agility', value: 3, display_type: 'number' });
+    assert.equal(kept.metadata.generationInfo.background, 'Night Sky');
+    assert.equal(kept.metadata.attributes.filter(attr => attr.trait_type === 'Background').length, 1);
+
+    const unknownTrait = migrateMetadata({ ...v1, attributes: [...v1.attributes, { trait_type: 'Level', value: 'Over 9000' }] }, 7, OPTIONS);
+    assert.equal(unknownTrait.valid, false);
+    assert.match(unknownTrait.errors.join('\n'), /must be equal to one of the allowed values/);
+
+    assert.throws(() => migrateMetadata({ ...v1, image: undefined }, 7), /No image/);
+    assert.throws(() => migrateMetadata({ ...v1, attributes: [] }, 7), /No Breed attribute/);
+    console.log('✅ Only what is missing is regenerated');
+
+    // Test 4: Diff
+    console.log('\nTest 4: diffMetadata...');
+    const changes = diffMetadata(v1, migrated);
+    const byPath = Object.fromEntries(changes.map(change => [change.path, change]));
+    assert.deepEqual(byPath.metadata_version, { path: 'metadata_version', op: 'add', to: '2.0' });
+    assert.deepEqual(byPath['attributes.Background.value'], { path: 'attributes.Background.value', op: 'add', to: background.name });
+    assert.equal(byPath['attributes.Breed.rarity'].op, 'remove');
+    assert.equal(byPath['generationInfo.rarity.tier'].to, traits.rarity.tier);
+    assert.equal(byPath.image, undefined, 'Unchanged fields are not listed');
+    assert.deepEqual(diffMetadata({ attributes: [{ trait_type: 'Skill', value: 'A' }, { trait_type: 'Skill', value: 'B' }] },
+        { attributes: [{ trait_type: 'Skill', value: 'A' }, { trait_type: 'Skill', value: 'C' }] }),
+    [{ path: 'attributes.Skill#2.value', op: 'change', from: 'B', to: 'C' }]);
+    console.log('✅ Dry runs show a per-field diff');
+
+    // Test 5: Batch runs
+    console.log('\nTest 5: runMetadataMigration...');
+    const documents = {
+        'ipfs://bafyold/7.json': v1,
+        'ipfs://bafyv2/8.json': migrateMetadata(v1Metadata(8, 'Siamese'), 8, OPTIONS).metadata,
+        'ipfs://bafybad/9.json': { ...v1Metadata(9), attributes: [...v1Metadata(9).attributes, { trait_type: 'Level', value: 'Max' }] }
+    };
+    const nft = fakeNft({ 7: 'ipfs://bafyold/7.json', 8: 'ipfs://bafyv2/8.json', 9: 'ipfs://bafybad/9.json', 10: 'ipfs://bafygone/10.json' });
+    const fetchJson = async uri => {
+        if (!documents[uri]) throw new Error(`No IPFS gateway served ${uri}`);
+        return JSON.parse(JSON.stringify(documents[uri]));
+    };
+    const pinned = [];
+    const pin = async (bytes, filename) => {
+        pinned.push({ filename, metadata: JSON.parse(bytes.toString()) });
+        return { cid: 'bafynew', url: `https://ipfs.io/ipfs/bafynew/${filename}` };
+    };
+    const sent = [];
+    const batcher = {
+        add: async (tokenId, tokenURI) => {
+            sent.push([tokenId, tokenURI]);
+            return { tokenId, tokenURI, hash: `0x${tokenId}` };
+        },
+        flush: async () => ({})
+    };
+
+    const dry = await runMetadataMigration({ nft, tokenIds: [7, 8, 9, 10, 11], options: OPTIONS, fetchJson, pin, batcher });
+    assert.equal(dry.dryRun, true);
+    assert.deepEqual(dry.byStatus, { current: 1, upgradable: 1, migrated: 0, invalid: 1, failed: 1 });
+    assert.deepEqual(dry.skipped, [11], 'Tokens without a URI are skipped');
+    assert.ok(dry.tokens.find(token => token.tokenId === 7).changes.length > 0);
+    assert.match(dry.tokens.find(token => token.tokenId === 10).error, /No IPFS gateway served/);
+    assert.deepEqual([pinned, sent], [[], []], 'Dry runs pin and send nothing');
+
+    const applied = await runMetadataMigration({ nft, limit: 10, dryRun: false, options: OPTIONS, fetchJson, pin, batcher });
+    assert.deepEqual(applied.byStatus, { current: 1, upgradable: 0, migrated: 1, invalid: 1, failed: 1 });
+    assert.deepEqual(pinned.map(entry => entry.filename), ['7.json'], 'Invalid metadata is never pinned');
+    assert.deepEqual(pinned[0].metadata, migrated);
+    assert.deepEqual(sent, [[7, 'https://ipfs.io/ipfs/bafynew/7.json']]);
+    const seven = applied.tokens.find(token => token.tokenId === 7);
+    assert.deepEqual([seven.status, seven.newTokenURI, seven.txHash], ['migrated', 'https://ipfs.io/ipfs/bafynew/7.json', '0x7']);
+    console.log('✅ Upgraded tokens are pinned and their tokenURIs batched');
+
+    console.log('\n🎉 All metadata migration tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Metadata migration tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+/**
+ * __tests__/mintBackfill.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Unit tests for the stuck-token backfill.
+ */
+
+import { strict as assert } from 'assert';
+import { runBackfill, stuckReason } from '../scripts/mintBackfill.js';
+
+const PLACEHOLDER = 'https://ipfs.io/ipfs/bafyplaceholder/placeholder.json';
+
+/**
+ * Minimal contract stand-in. Like RPCs with a range cap, it rejects log
+ * queries wider than 500 blocks
+ * @param {Object} tokens - tokenId → { uri, breed, buyer, block }
+ * @param {Object} [options] - { failFrom: block from which log queries fail }
+ */
+function fakeNft(tokens, { failFrom = Infinity } = {}) {
+    const events = Object.entries(tokens)
+        .filter(([, t]) => t.block !== undefined)
+        .map(([id, t]) => ({
+            args: { tokenId: BigInt(id), breed: t.breed, buyer: t.buyer },
+            blockNumber: t.block,
+            transactionHash: `0xtx${id}`
+        }));
+
+    return {
+        filters: { MintRequested: tokenId => ({ tokenId }) },
+        queries: [],
+        async queryFilter(filter, fromBlock = 0, toBlock = Infinity) {
+            this.queries.push([fromBlock, toBlock]);
+            if (toBlock - fromBlock >= 500) throw new Error('eth_getLogs block range is too wide');
+            if (toBlock >= failFrom) throw new Error('RPC timeout');
+            return events.filter(e =>
+                (filter.tokenId === undefined || Number(e.args.tokenId) === Number(filter.tokenId)) &&
+                e.blockNumber >= fromBlock && e.blockNumber <= toBlock);
+        },
+        tokenURI: async id => {
+            if (tokens[id]?.uri === undefined) throw new Error('ERC721: invalid token ID');
+            return tokens[id].uri;
+        },
+        totalSupply: async () => BigInt(Object.keys(tokens).length),
+        tokenByIndex: async i => BigInt(Object.keys(tokens)[i])
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running mint backfill tests...\n');
+
+    const nft = fakeNft({
+        1: { uri: 'https://ipfs.io/ipfs/bafyfinal/1.json', breed: 'Tabby', buyer: '0xa', block: 100 },
+        2: { uri: PLACEHOLDER, breed: 'Bengal', buyer: '0xb', block: 120 },
+        3: { uri: '', breed: 'Persian', buyer: '0xc', block: 900 },
+        4: { uri: 'ipfs://bafyplaceholder' }
+    });
+    const enqueued = [];
+    const queue = {
+        enqueue: async payload => {
+            enqueued.push(payload);
+            return { id: `job_${payload.tokenId}`, status: 'PENDING' };
+        }
+    };
+    const preferences = {
+        resolve: async (tokenId, fallback) => ({
+            imageProvider: tokenId === 3 ? 'stability' : fallback,
+            providerOptions: {},
+            promptExtras: '',
+            negativePrompt: ''
+        })
+    };
+
+    // Test 1: Placeholder detection
+    console.log('Test 1: Stuck token detection...');
+    const placeholders = new Set([PLACEHOLDER, 'https://ipfs.io/ipfs/bafyplaceholder']);
+    assert.equal(stuckReason('', placeholders), 'empty');
+    assert.equal(stuckReason(PLACEHOLDER, placeholders), 'placeholder');
+    assert.equal(stuckReason('ipfs://bafyplaceholder', placeholders), 'placeholder');
+    assert.equal(stuckReason('https://ipfs.io/ipfs/bafyfinal/1.json', placeholders), null);
+    console.log('✅ Empty and placeholder URIs are stuck');
+
+    // Test 2: Block range dry run
+    console.log('\nTest 2: Block range dry run...');
+    const dry = await runBackfill({ nft, fromBlock: 50, toBlock: 600, placeholderUri: PLACEHOLDER, queue, preferences });
+    assert.equal(dry.dryRun, true);
+    assert.equal(dry.scanned, 2, 'Only events inside the range are checked');
+    assert.deepEqual(dry.stuck.map(t => [t.tokenId, t.reason]), [[2, 'placeholder']]);
+    assert.equal(enqueued.length, 0, 'Dry run must not enqueue');
+    console.log('✅ Dry run reports without enqueueing');
+
+    // Test 3: Enumerate and enqueue
+    console.log('\nTest 3: Enumerate totalSupply and enqueue...');
+    const report = await runBackfill({
+        nft,
+        enumerate: true,
+        toBlock: 1200,
+        dryRun: false,
+        placeholderUri: 'ipfs://bafyplaceholder',
+        defaultProvider: 'dall-e',
+        queue,
+        preferences
+    });
+    assert.equal(report.scanned, 4);
+    assert.deepEqual(report.stuck.map(t => t.tokenId), [2, 3]);
+    assert.deepEqual(report.unresolved.map(t => t.tokenId), [4], 'Tokens without a mint event cannot be queued');
+    assert.match(report.unresolved[0].error, /No MintRequested event found in blocks 0 - 1200/);
+    assert.ok(nft.queries.every(([from, to]) => to - from < 500), 'Only bounded log queries');
+    assert.deepEqual(report.enqueued.map(j => j.jobId), ['job_2', 'job_3']);
+    assert.equal(enqueued[1].breed, 'Persian', 'Breed comes from the MintRequested event');
+    assert.equal(enqueued[1].imageProvider, 'stability', 'Stored preference is honored');
+    assert.equal(enqueued[0].forceProcess, true);
+    assert.equal(enqueued[0].batchTokenUri, true, 'Backfilled URIs are written in batches');
+    console.log('✅ Stuck tokens are enqueued with their mint details');
+
+    // Test 4: Bad range
+    console.log('\nTest 4: Invalid range...');
+    await assert.rejects(() => runBackfill({ nft, fromBlock: 10, toBlock: 5, queue, preferences }), /Invalid block range/);
+    await assert.rejects(() => runBackfill({ nft, enumerate: true, queue, preferences }), /Invalid block range for the MintRequested lookup/);
+    console.log('✅ Inverted ranges are rejected');
+
+    // Test 5: Event lookup when enumerating
+    console.log('\nTest 5: Bounded, newest-first event lookup...');
+    const recent = fakeNft({
+        1: { uri: '', breed: 'Tabby', buyer: '0xa', block: 100 },
+        2: { uri: '', breed: 'Bengal', buyer: '0xb', block: 9800 }
+    });
+    const early = await runBackfill({ nft: recent, enumerate: true, fromBlock: 9000, toBlock: 10000, queue, preferences });
+    assert.deepEqual(early.stuck.map(t => t.tokenId), [2]);
+    assert.equal(early.unresolved[0].tokenId, 1, 'Events before fromBlock are not looked up');
+    assert.deepEqual(recent.queries, [[9501, 10000], [9001, 9500], [9000, 9000]], 'Stops at fromBlock');
+
+    const found = fakeNft({ 2: { uri: '', breed: 'Bengal', buyer: '0xb', block: 9800 } });
+    await runBackfill({ nft: found, enumerate: true, toBlock: 100000, queue, preferences });
+    assert.deepEqual(found.queries[0], [99501, 100000], 'Newest blocks first');
+    assert.deepEqual(found.queries.at(-1), [9501, 10000], 'Stops as soon as every token is found');
+    assert.equal(found.queries.length, 181);
+
+    const flaky = fakeNft({
+        1: { uri: '', breed: 'Tabby', buyer: '0xa', block: 100 },
+        2: { uri: '', breed: 'Bengal', buyer: '0xb', block: 900 }
+    }, { failFrom: 600 });
+    const partial = await runBackfill({ nft: flaky, enumerate: true, toBlock: 1000, queue, preferences });
+    assert.deepEqual(partial.stuck, [], 'The failed batch is not skipped over');
+    assert.deepEqual(partial.unresolved.map(t => [t.tokenId, t.error]), [
+        [1, 'MintRequested lookup failed: RPC timeout'],
+        [2, 'MintRequested lookup failed: RPC timeout']
+    ], 'An RPC failure is reported per token instead of aborting the backfill');
+    console.log('✅ Mint events are found in bounded batches and failures stay per token');
+
+    console.log('\n🎉 All mint backfill tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Mint backfill tests failed:', error);
+    process.exit(1);
+});
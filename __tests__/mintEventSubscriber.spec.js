@@ -0,0 +1,185 @@
+/**
+ * __tests__/mintEventSubscriber.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the eth_subscribe MintRequested listener.
+ *
+ * Tests 1-4 use an in-memory provider. Test 5 runs against a real node
+ * when HARDHAT_WS_URL is set, e.g.:
+ *
+ *   npx hardhat node
+ *   HARDHAT_WS_URL=ws://127.0.0.1:8545 node __tests__/mintEventSubscriber.spec.js
+ */
+
+import { strict as assert } from 'assert';
+import { EventEmitter } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { ethers } from 'ethers';
+import { MintEventSubscriber } from '../scripts/mintEventSubscriber.js';
+
+/**
+ * In-memory stand-in for ethers.WebSocketProvider
+ */
+class FakeWsProvider {
+    constructor(chain) {
+        this.chain = chain;
+        this.logListeners = [];
+        this.blockListeners = [];
+        this.websocket = new EventEmitter();
+        this.websocket.addEventListener = (type, fn) => this.websocket.on(type, fn);
+        this.destroyed = false;
+    }
+
+    async on(event, listener) {
+        if (event === 'block') this.blockListeners.push(listener);
+        else this.logListeners.push(listener);
+    }
+
+    async getBlockNumber() {
+        return this.chain.head;
+    }
+
+    async getBlock(number) {
+        const hash = this.chain.hashes[number];
+        return hash ? { number, hash } : null;
+    }
+
+    async destroy() {
+        this.destroyed = true;
+    }
+
+    pushLog(log) {
+        this.logListeners.forEach(fn => fn(log));
+    }
+
+    pushBlock(number) {
+        this.chain.head = number;
+        this.blockListeners.forEach(fn => fn(number));
+    }
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running mint event subscriber tests...\n');
+
+    const chain = { head: 10, hashes: {} };
+    for (let i = 1; i <= 30; i++) chain.hashes[i] = `0xhash${i}`;
+
+    const providers = [];
+    const confirmedCalls = [];
+    let backfills = 0;
+    let downs = 0;
+
+    const subscriber = new MintEventSubscriber({
+        url: 'ws://fake',
+        address: '0x0000000000000000000000000000000000000001',
+        eventSig: '0xtopic',
+        confirmations: 2,
+        reconnectDelayMs: 10,
+        createProvider: () => {
+            const provider = new FakeWsProvider(chain);
+            providers.push(provider);
+            return provider;
+        },
+        onBackfill: async () => {
+            backfills++;
+        },
+        onDown: () => {
+            downs++;
+        },
+        onConfirmed: async (logs, info) => {
+            confirmedCalls.push({ logs, ...info });
+        }
+    });
+
+    // Test 1: Connect + backfill
+    console.log('Test 1: Connect and backfill...');
+    await subscriber.start();
+    assert.equal(subscriber.live, true);
+    assert.equal(backfills, 1, 'Backfill should run before going live');
+    assert.equal(subscriber.coveredFrom, 11, 'Pushes cover blocks after the head at subscribe time');
+    console.log('✅ Subscription goes live after backfill');
+
+    // Test 2: Logs wait for confirmations
+    console.log('\nTest 2: Confirmation depth...');
+    const provider = providers[0];
+    provider.pushLog({ blockNumber: 11, blockHash: '0xhash11', transactionHash: '0xtx1' });
+    provider.pushBlock(12);
+    await subscriber.chain;
+    assert.equal(confirmedCalls.at(-1).toBlock, 10);
+    assert.equal(confirmedCalls.at(-1).logs.length, 0, 'Log at 11 is not confirmed at head 12');
+
+    provider.pushBlock(13);
+    await subscriber.chain;
+    assert.equal(confirmedCalls.at(-1).toBlock, 11);
+    assert.equal(confirmedCalls.at(-1).blockHash, '0xhash11');
+    assert.deepEqual(confirmedCalls.at(-1).logs.map(l => l.transactionHash), ['0xtx1']);
+    console.log('✅ Logs are released once confirmed');
+
+    // Test 3: Orphaned pushes are dropped
+    console.log('\nTest 3: Orphaned pushed logs...');
+    provider.pushLog({ blockNumber: 12, blockHash: '0xorphaned', transactionHash: '0xtx2' });
+    provider.pushBlock(14);
+    await subscriber.chain;
+    assert.equal(confirmedCalls.at(-1).toBlock, 12);
+    assert.equal(confirmedCalls.at(-1).logs.length, 0, 'Log from a replaced block must be dropped');
+    console.log('✅ Non-canonical logs are dropped');
+
+    // Test 4: Drop, fall back, reconnect with backfill
+    console.log('\nTest 4: Socket drop and reconnect...');
+    provider.websocket.emit('close');
+    assert.equal(subscriber.live, false);
+    assert.equal(downs, 1, 'onDown should let the server fall back to polling');
+    assert.equal(provider.destroyed, true);
+
+    provider.pushBlock(15);
+    await subscriber.chain;
+    assert.equal(confirmedCalls.at(-1).toBlock, 12, 'Old provider pushes are ignored after a drop');
+
+    await sleep(50);
+    assert.equal(providers.length, 2, 'Should reconnect with a new provider');
+    assert.equal(subscriber.live, true);
+    assert.equal(backfills, 2, 'Missed range is backfilled on reconnect');
+    console.log('✅ Falls back on drop and backfills on reconnect');
+
+    await subscriber.stop();
+    assert.equal(providers[1].destroyed, true);
+
+    // Test 5: Real node (optional)
+    if (process.env.HARDHAT_WS_URL) {
+        console.log('\nTest 5: Local hardhat node...');
+        const rpc = new ethers.JsonRpcProvider(process.env.HARDHAT_WS_URL.replace(/^ws/, 'http'));
+        const heads = [];
+        const live = new MintEventSubscriber({
+            url: process.env.HARDHAT_WS_URL,
+            address: ethers.ZeroAddress,
+            eventSig: ethers.id('MintRequested(uint256,address,string)'),
+            confirmations: 1,
+            onConfirmed: async (logs, info) => {
+                heads.push(info.toBlock);
+            }
+        });
+        await live.start();
+        assert.equal(live.live, true, 'Should subscribe to the hardhat node');
+
+        const start = await rpc.getBlockNumber();
+        await rpc.send('evm_mine', []);
+        await rpc.send('evm_mine', []);
+        for (let i = 0; i < 50 && !heads.includes(start + 1); i++) await sleep(100);
+        assert.ok(heads.includes(start + 1), 'Mined blocks should be pushed and confirmed');
+
+        await live.stop();
+        rpc.destroy();
+        console.log('✅ Works against a hardhat node');
+    } else {
+        console.log('\nTest 5: skipped (set HARDHAT_WS_URL to run against a hardhat node)');
+    }
+
+    console.log('\n🎉 All mint event subscriber tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Mint event subscriber tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,282 @@
+/**
+ * __tests__/mintJobQueue.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Unit tests for the durable mint job queue.
+ *
+ * Runs against the local JSON file store in a temp directory, and the
+ * Supabase store against a stand-in client, so no Supabase project is needed.
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { MintJobQueue, FileQueueStore, SupabaseQueueStore, JOB_STATES } from '../scripts/mintJobQueue.js';
+
+/**
+ * Split a PostgREST filter list on its top-level commas
+ */
+function splitFilters(list) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < list.length; i++) {
+        if (list[i] === '(') depth++;
+        if (list[i] === ')') depth--;
+        if (list[i] === ',' && depth === 0) {
+            parts.push(list.slice(start, i));
+            start = i + 1;
+        }
+    }
+    return [...parts, list.slice(start)];
+}
+
+/**
+ * Row predicate for one PostgREST condition: and(…), or(…) or column.op.value
+ */
+function parseFilter(term) {
+    const group = term.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+        const parts = splitFilters(group[2]).map(parseFilter);
+        return group[1] === 'and' ? row => parts.every(part => part(row)) : row => parts.some(part => part(row));
+    }
+    const [, column, op, value] = term.match(/^([^.]+)\.(eq|lt|lte|is)\.(.*)$/);
+    const ops = {
+        eq: cell => cell === value,
+        lt: cell => cell !== null && cell < value,
+        lte: cell => cell !== null && cell <= value,
+        is: cell => (value === 'null' ? cell === null : cell === value)
+    };
+    return row => ops[op](row[column] ?? null);
+}
+
+/**
+ * Supabase client stand-in for the tasks table, covering the queue's claim
+ * queries; `reads` counts the rows each select returned
+ */
+function fakeSupabase(rows) {
+    const reads = [];
+    return {
+        rows,
+        reads,
+        from: () => {
+            const filters = [];
+            let update = null;
+            let order = null;
+            let range = null;
+            const run = () => {
+                let matches = rows.filter(row => filters.every(filter => filter(row)));
+                if (update) {
+                    matches.forEach(row => Object.assign(row, update));
+                } else {
+                    if (order) matches.sort((a, b) => (a[order] < b[order] ? -1 : a[order] > b[order] ? 1 : 0));
+                    if (range) matches = matches.slice(range[0], range[1] + 1);
+                    reads.push(matches.length);
+                }
+                return { data: matches.map(row => ({ ...row })), error: null };
+            };
+            const query = {
+                select: () => query,
+                update: values => { update = values; return query; },
+                eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+                not: (column, op, value) => { filters.push(row => (row[column] ?? null) !== value); return query; },
+                or: list => { filters.push(parseFilter(`or(${list})`)); return query; },
+                order: column => { order = column; return query; },
+                range: (from, to) => { range = [from, to]; return query; },
+                then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+            };
+            return query;
+        }
+    };
+}
+
+/**
+ * A queued tasks row
+ */
+function jobRow(id, { createdAt, provider = 'dall-e', nextAttemptAt = null }) {
+    return {
+        id,
+        token_id: String(id),
+        status: JOB_STATES.PENDING,
+        priority: 'normal',
+        attempts: 0,
+        max_attempts: 4,
+        job_payload: { tokenId: id, breed: 'Tabby', imageProvider: provider },
+        next_attempt_at: nextAttemptAt,
+        lease_expires_at: null,
+        created_at: createdAt,
+        updated_at: createdAt
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running mint job queue tests...\n');
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mint-queue-test-'));
+    const queueFile = path.join(tmpDir, 'mint-queue.json');
+    const newQueue = () => new MintJobQueue({ store: new FileQueueStore(queueFile), maxAttempts: 2 });
+
+    try {
+        // Test 1: Enqueue and dedupe
+        console.log('Test 1: Enqueue and dedupe by token...');
+        const queue = newQueue();
+        const job = await queue.enqueue({ tokenId: 7, breed: 'Tabby', buyer: '0xabc', imageProvider: 'dall-e' });
+        assert.equal(job.status, JOB_STATES.PENDING);
+        assert.equal(job.tokenId, 7);
+
+        const duplicate = await queue.enqueue({ tokenId: 7, breed: 'Tabby' });
+        assert.equal(duplicate.id, job.id, 'Second enqueue for same token should return existing job');
+        console.log('✅ Enqueue deduplicates active jobs');
+
+        // Test 2: Jobs survive a restart
+        console.log('\nTest 2: Jobs survive a restart...');
+        const restarted = newQueue();
+        const reloaded = await restarted.get(job.id);
+        assert.ok(reloaded, 'Job should be read back from disk');
+        assert.equal(reloaded.payload.breed, 'Tabby');
+        console.log('✅ Queue file reloaded after restart');
+
+        // Test 3: Lease hides the job until the lease expires
+        console.log('\nTest 3: Lease semantics...');
+        const leased = await restarted.lease({ workerId: 'worker-a', leaseMs: 50 });
+        assert.equal(leased.id, job.id);
+        assert.equal(leased.status, JOB_STATES.IN_PROGRESS);
+        assert.equal(leased.attempts, 1);
+        assert.equal(await restarted.lease({ workerId: 'worker-b' }), null, 'Leased job must not be handed out twice');
+
+        await sleep(60);
+        const reclaimed = await restarted.lease({ workerId: 'worker-b', leaseMs: 60000 });
+        assert.equal(reclaimed.id, job.id, 'Expired lease should be reclaimable');
+        assert.equal(reclaimed.leasedBy, 'worker-b');
+        console.log('✅ Expired leases are handed out again');
+
+        // Test 4: Retry with delay, then dead-letter after max attempts
+        console.log('\nTest 4: Retry and attempt limit...');
+        const retried = await restarted.retry(job.id, new Error('provider timeout'), { delayMs: 60000 });
+        assert.equal(retried.status, JOB_STATES.DEAD_LETTER, 'Second failure should exhaust maxAttempts=2');
+        assert.equal(retried.lastError, 'provider timeout');
+        assert.equal(retried.errorHistory.length, 1);
+        assert.ok(retried.deadLetteredAt);
+
+        const other = await restarted.enqueue({ tokenId: 8, breed: 'Bengal' });
+        await restarted.lease({ workerId: 'worker-a' });
+        const delayed = await restarted.retry(other.id, 'rate limited', { delayMs: 60000 });
+        assert.equal(delayed.status, JOB_STATES.PENDING);
+        assert.equal(await restarted.lease({ workerId: 'worker-a' }), null, 'Delayed job should not be due yet');
+        console.log('✅ Retries are delayed and capped');
+
+        // Test 5: Ack, release and stats
+        console.log('\nTest 5: Ack, release and stats...');
+        const third = await restarted.enqueue({ tokenId: 9, breed: 'Persian' });
+        await restarted.lease({ workerId: 'worker-c' });
+        assert.equal(await restarted.release('worker-c'), 1);
+        const released = await restarted.get(third.id);
+        assert.equal(released.status, JOB_STATES.PENDING);
+        assert.equal(released.attempts, 0, 'Released attempt should not count');
+
+        await restarted.lease({ workerId: 'worker-c' });
+        const acked = await restarted.ack(third.id);
+        assert.equal(acked.status, JOB_STATES.COMPLETED);
+
+        const stats = await restarted.stats();
+        assert.deepEqual(
+            { pending: stats.pending, completed: stats.completed, deadLetter: stats.deadLetter },
+            { pending: 1, completed: 1, deadLetter: 1 }
+        );
+        console.log('✅ Ack, release and stats work');
+
+        // Test 6: Permanent failures, requeue and outside dead letters
+        console.log('\nTest 6: Dead-letter list...');
+        const bad = await restarted.enqueue({ tokenId: 10, breed: 'Unknown' });
+        await restarted.lease({ workerId: 'worker-a' });
+        const permanent = await restarted.retry(bad.id, 'Invalid breed', { retryable: false, reason: 'matched invalid breed' });
+        assert.equal(permanent.status, JOB_STATES.DEAD_LETTER, 'Permanent failures skip remaining attempts');
+        assert.equal(permanent.errorHistory[0].reason, 'matched invalid breed');
+
+        const requeued = await restarted.requeue(bad.id);
+        assert.equal(requeued.status, JOB_STATES.PENDING);
+        assert.equal(requeued.attempts, 0, 'Requeue starts a fresh set of attempts');
+        assert.equal(requeued.errorHistory.length, 1, 'Error history is kept');
+        assert.equal(await restarted.requeue(bad.id), null, 'Only dead-lettered jobs can be requeued');
+
+        const outside = await restarted.deadLetter(
+            { tokenId: 11, breed: 'Sphynx' },
+            'Stability AI error: 401 - invalid key',
+            { taskId: 'task_cron_11', attempts: 1 }
+        );
+        assert.equal(outside.id, 'task_cron_11');
+        assert.equal(outside.status, JOB_STATES.DEAD_LETTER);
+
+        assert.equal(await restarted.cleanup(0), 1, 'Only the completed job is cleaned up');
+        const deadLetters = await restarted.list({ status: JOB_STATES.DEAD_LETTER });
+        assert.deepEqual(deadLetters.map(j => j.tokenId).sort((a, b) => a - b), [7, 11]);
+        console.log('✅ Dead-lettered jobs can be inspected and requeued');
+
+        // Test 7: Reorged-out events
+        console.log('\nTest 7: Cancel jobs from orphaned blocks...');
+        const reorgQueue = new MintJobQueue({ store: new FileQueueStore(path.join(tmpDir, 'reorg-queue.json')) });
+        const orphanedPending = await reorgQueue.enqueue({ tokenId: 20, breed: 'Tabby', blockNumber: 120, transactionHash: '0x20' });
+        const orphanedLeased = await reorgQueue.enqueue({ tokenId: 21, breed: 'Tabby', blockNumber: 118 });
+        const belowFork = await reorgQueue.enqueue({ tokenId: 22, breed: 'Tabby', blockNumber: 100 });
+        const manual = await reorgQueue.enqueue({ tokenId: 23, breed: 'Tabby' });
+        assert.equal((await reorgQueue.lease({ workerId: 'w1', accept: j => j.tokenId === 21 })).id, orphanedLeased.id);
+
+        const reorg = { forkBlock: 115, rewindTo: 110, orphanedTokens: [20, 21, 22, 23] };
+        const cancelled = await reorgQueue.cancelOrphaned(reorg);
+        assert.deepEqual(cancelled.map(j => j.tokenId).sort((a, b) => a - b), [20, 21]);
+        for (const j of cancelled) {
+            assert.equal(j.status, JOB_STATES.FAILED);
+            assert.equal(j.leasedBy, null);
+            assert.ok(j.cancelledAt);
+            assert.match(j.lastError, /orphaned by a chain reorg at block 115/);
+        }
+        assert.equal((await reorgQueue.get(belowFork.id)).status, JOB_STATES.PENDING, 'Events below the fork are still valid');
+        assert.equal((await reorgQueue.get(manual.id)).status, JOB_STATES.PENDING, 'Jobs without a block are left alone');
+        assert.deepEqual(await reorgQueue.cancelOrphaned(null), []);
+
+        // The interrupted worker settles later - the job stays cancelled
+        const settled = await reorgQueue.retry(orphanedLeased.id, new Error('no longer on chain'), { retryable: false });
+        assert.equal(settled.status, JOB_STATES.FAILED);
+        assert.equal(settled.errorHistory.length, 0);
+
+        // The rescan finds the event in the new chain and queues the token again
+        const reincluded = await reorgQueue.enqueue({ tokenId: 20, breed: 'Tabby', blockNumber: 116 });
+        assert.notEqual(reincluded.id, orphanedPending.id);
+        assert.equal(reincluded.status, JOB_STATES.PENDING);
+        console.log('✅ Jobs from reorged-out events are cancelled before any art is made');
+
+        // Test 8: Supabase claims look past jobs that can't run yet
+        console.log('\nTest 8: Supabase claims past backed-off and unaccepted jobs...');
+        const at = offset => new Date(Date.now() + offset).toISOString();
+        const backedOff = Array.from({ length: 30 }, (_, i) => jobRow(100 + i, { createdAt: at(-60000 + i), nextAttemptAt: at(60000) }));
+        const client = fakeSupabase([...backedOff, jobRow(200, { createdAt: at(-1000) })]);
+        const supabaseQueue = new MintJobQueue({ store: new SupabaseQueueStore(client) });
+        const dueJob = await supabaseQueue.lease({ workerId: 'w1' });
+        assert.equal(dueJob?.tokenId, 200, 'The due job behind 30 backed-off ones is found');
+        assert.deepEqual(client.reads, [1], 'Backed-off rows are filtered in the query');
+        assert.equal(await supabaseQueue.lease({ workerId: 'w1' }), null);
+
+        const busy = Array.from({ length: 30 }, (_, i) => jobRow(300 + i, { createdAt: at(-60000 + i) }));
+        const busyClient = fakeSupabase([...busy, jobRow(400, { createdAt: at(-1000), provider: 'stability' })]);
+        const busyQueue = new MintJobQueue({ store: new SupabaseQueueStore(busyClient) });
+        const accept = job => job.payload.imageProvider !== 'dall-e';
+        const otherProvider = await busyQueue.lease({ workerId: 'w1', accept });
+        assert.equal(otherProvider?.tokenId, 400, 'A full provider does not starve the others');
+        assert.deepEqual(busyClient.reads, [25, 6]);
+        assert.equal(await busyQueue.lease({ workerId: 'w1', accept }), null, 'Nothing else this worker can take');
+        console.log('✅ Due jobs are found however many others wait ahead of them');
+
+        console.log('\n🎉 All mint job queue tests passed!');
+    } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Mint job queue tests failed:', error);
+    process.exit(1);
+});
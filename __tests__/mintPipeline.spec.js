@@ -0,0 +1,298 @@
+/**
+ * __tests__/mintPipeline.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * End-to-end test of finalizeMint and runMintPipeline with no network
+ * or API keys: the procedural provider draws the art, the local-ipfs
+ * backend stores it and a stand-in contract takes the token URIs
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const BASE_URL = 'http://localhost:5000';
+const PLACEHOLDER = 'https://ipfs.io/ipfs/bafkreiplaceholder/placeholder.json';
+
+/**
+ * Contract stand-in: tokenURI() per token, setTokenURI() through the tx manager.
+ * `receipts` answers getTransactionReceipt() calls in order, when given
+ */
+function fakeNft(receipts) {
+    const uris = {};
+    const provider = receipts && {
+        getTransactionReceipt: async () => receipts.shift() ?? null
+    };
+    return {
+        uris,
+        target: '0x0000000000000000000000000000000000000001',
+        runner: provider ? { provider } : {},
+        tokenURI: async tokenId => uris[tokenId] || ''
+    };
+}
+
+/**
+ * Transaction manager stand-in: "mines" every call straight away
+ */
+function fakeTxManager(nft) {
+    const sent = [];
+    return {
+        sent,
+        send: async (contract, method, args, { onSent } = {}) => {
+            assert.equal(contract, nft);
+            assert.equal(method, 'setTokenURI');
+            const [tokenId, uri] = args;
+            const hash = `0x${(sent.length + 1).toString(16).padStart(64, '0')}`;
+            sent.push({ tokenId, uri, hash });
+            nft.uris[tokenId] = uri;
+            if (onSent) await onSent(hash, { nonce: sent.length - 1 });
+            return { hash, receipt: { blockNumber: 100 + sent.length } };
+        }
+    };
+}
+
+/**
+ * Provider limiter stand-in that records every slot taken and how many were held at once
+ */
+function countingLimiter() {
+    const limiter = { acquired: [], active: 0, maxActive: 0 };
+    limiter.acquire = async provider => {
+        limiter.acquired.push(provider);
+        limiter.maxActive = Math.max(limiter.maxActive, ++limiter.active);
+        return () => { limiter.active--; };
+    };
+    return limiter;
+}
+
+/**
+ * Read a file the local-ipfs backend stored, by its URL
+ */
+function readStored(dir, url) {
+    return fs.readFile(path.join(dir, url.slice(`${BASE_URL}/ipfs/`.length)));
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running offline mint pipeline tests...\n');
+
+    // finalizeMint and its stores read their settings at import time
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mint-pipeline-'));
+    const ipfsDir = path.join(dir, 'ipfs');
+    for (const key of ['SUPABASE_URL', 'SUPABASE_ANON_KEY', 'PINATA_API_KEY', 'PINATA_SECRET_KEY', 'OPENAI_API_KEY', 'STABILITY_API_KEY', 'HUGGING_FACE_TOKEN']) {
+        delete process.env[key];
+    }
+    Object.assign(process.env, {
+        BASE_URL,
+        IMAGE_PROVIDER: 'procedural',
+        STORAGE_BACKENDS: 'local-ipfs',
+        LOCAL_IPFS_DIR: ipfsDir,
+        CAR_EXPORT_DIR: path.join(dir, 'car'),
+        ASSET_ARCHIVE_DIR: path.join(dir, 'archive'),
+        GENERATION_RECORDS_FILE: path.join(dir, 'generations.json'),
+        CANDIDATES_FILE: path.join(dir, 'candidates.json')
+    });
+
+    try {
+        const { finalizeMint } = await import('../scripts/finalizeMint.js');
+        const { runMintPipeline, validateTokenUri } = await import('../scripts/mintPipeline.js');
+        const { validateMetadata } = await import('../scripts/metadataMigration.js');
+        const { getAssetArchive } = await import('../scripts/assetArchive.js');
+        const { getGenerationStore } = await import('../scripts/generationRecords.js');
+        const { getTaskStatus, TASK_STATES } = await import('../scripts/supabaseTaskManager.js');
+
+        // Test 1: finalizeMint on its own
+        console.log('Test 1: finalizeMint with the procedural provider...');
+        const result = await finalizeMint({ breed: 'Tabby', tokenId: 7, imageProvider: 'procedural', providerChosen: true });
+        assert.equal(result.provider, 'procedural');
+        assert.equal(result.fallback, null);
+        assert.ok(result.tokenURI.startsWith(`${BASE_URL}/ipfs/`), result.tokenURI);
+        assert.ok(result.imageUri.startsWith(`${BASE_URL}/ipfs/`), result.imageUri);
+
+        const stored = JSON.parse(await readStored(ipfsDir, result.tokenURI));
+        assert.deepEqual(stored, JSON.parse(JSON.stringify(result.metadata)), 'The pinned JSON is the returned metadata');
+        const { valid, errors } = validateMetadata(stored);
+        assert.equal(valid, true, errors.join('; '));
+        assert.equal(stored.image, result.imageUri);
+        const image = await readStored(ipfsDir, result.imageUri);
+        assert.deepEqual([...image.subarray(1, 4)].map(byte => String.fromCharCode(byte)).join(''), 'PNG');
+        const cars = await fs.readdir(path.join(dir, 'car'));
+        assert.ok(cars.length >= 2 && cars.every(name => name.endsWith('.car')), 'Every upload is exported as a CAR');
+        console.log('✅ Art, metadata and CARs are produced offline');
+
+        // Test 2: Side records
+        console.log('\nTest 2: Generation record and archive...');
+        const [manifest] = await getAssetArchive().generations(7);
+        assert.equal(manifest.generation, result.archiveGeneration);
+        assert.equal(manifest.tokenURI, result.tokenURI);
+        assert.equal(manifest.provider, 'procedural');
+        const kinds = manifest.files.map(file => file.kind);
+        assert.ok(kinds.includes('original') && kinds.includes('metadata'), kinds.join(', '));
+        const [record] = await getGenerationStore().history(7);
+        assert.equal(record.id, result.generationRecordId);
+        assert.equal(record.status, 'completed');
+        assert.equal(record.provider, 'procedural');
+        console.log('✅ The run is recorded and archived');
+
+        // Test 3: The whole pipeline against a stand-in contract
+        console.log('\nTest 3: runMintPipeline...');
+        const nft = fakeNft();
+        const txManager = fakeTxManager(nft);
+        const state = { processedTokens: new Set() };
+        let persisted = 0;
+        const context = {
+            nft,
+            txManager,
+            state,
+            persistState: async () => { persisted++; },
+            placeholderUri: PLACEHOLDER,
+            defaultProvider: 'procedural'
+        };
+        const task = { tokenId: 8, breed: 'Siamese', buyer: '0x00000000000000000000000000000000000000b0' };
+
+        const minted = await runMintPipeline(task, context);
+        assert.equal(minted.success, true, minted.error);
+        assert.equal(minted.provider, 'procedural');
+        assert.deepEqual(txManager.sent.map(tx => tx.uri), [PLACEHOLDER, minted.tokenURI], 'Placeholder first, then the final URI');
+        assert.equal(minted.transactionHash, txManager.sent[1].hash);
+        assert.equal(nft.uris[8], minted.tokenURI);
+        assert.equal(validateTokenUri(minted.tokenURI, 8), minted.tokenURI, 'Local storage URLs are valid token URIs');
+        assert.ok(state.processedTokens.has(8));
+        assert.equal(persisted, 1);
+        const metadata = JSON.parse(await readStored(ipfsDir, minted.tokenURI));
+        assert.ok(metadata.attributes.some(attr => attr.trait_type === 'Breed' && attr.value === 'Siamese'));
+
+        const taskStatus = await getTaskStatus(minted.taskId);
+        assert.deepEqual([taskStatus.status, taskStatus.progress, taskStatus.token_uri], [TASK_STATES.COMPLETED, 100, minted.tokenURI]);
+        assert.deepEqual(taskStatus.transactions.map(tx => tx.label), ['placeholder', 'setTokenURI']);
+
+        const again = await runMintPipeline({ ...task, taskId: minted.taskId }, context);
+        assert.deepEqual([again.success, again.skipped], [true, true], 'Processed tokens are skipped');
+        assert.equal(txManager.sent.length, 2);
+        console.log('✅ The token URI lands on-chain without network or keys');
+
+        // Test 4: A non-local http URL is still refused
+        console.log('\nTest 4: validateTokenUri...');
+        assert.throws(() => validateTokenUri('http://example.com/ipfs/bafy/8.json', 8), /must be HTTPS/);
+        assert.throws(() => validateTokenUri(`${BASE_URL}/api/8.json`, 8), /must be HTTPS/);
+        console.log('✅ Only the local backends\' own URLs skip the gateway check');
+
+        // Test 5: MintRequested reorged out while the job runs
+        console.log('\nTest 5: Orphaned MintRequested...');
+        const mined = { blockNumber: 120 };
+        const reorged = fakeNft([null]);
+        const reorgedTx = fakeTxManager(reorged);
+        const gone = await runMintPipeline({ tokenId: 9, breed: 'Tabby', transactionHash: '0x09' }, { ...context, nft: reorged, txManager: reorgedTx });
+        assert.equal(gone.success, false);
+        assert.equal(gone.retryable, false, 'The event is gone - retrying cannot help');
+        assert.match(gone.error, /0x09 for #9 is no longer on chain/);
+        assert.deepEqual(reorgedTx.sent, [], 'No placeholder and no token URI');
+        assert.deepEqual(await getGenerationStore().history(9), [], 'No art is generated');
+        assert.equal((await getTaskStatus(gone.taskId)).status, TASK_STATES.FAILED);
+
+        const midRun = fakeNft([mined, null]);
+        const midRunTx = fakeTxManager(midRun);
+        const late = await runMintPipeline({ tokenId: 10, breed: 'Tabby', transactionHash: '0x0a' }, { ...context, nft: midRun, txManager: midRunTx });
+        assert.equal(late.success, false);
+        assert.deepEqual(midRunTx.sent.map(tx => tx.uri), [PLACEHOLDER], 'The final URI is never written');
+        assert.ok(!state.processedTokens.has(10));
+
+        const canonical = fakeNft([mined, mined]);
+        const ok = await runMintPipeline({ tokenId: 11, breed: 'Tabby', transactionHash: '0x0b' }, { ...context, nft: canonical, txManager: fakeTxManager(canonical) });
+        assert.equal(ok.success, true, ok.error);
+        console.log('✅ Jobs stop once their MintRequested is reorged out');
+
+        // Test 6: A picked candidate archives the provider's output, not its sprite
+        console.log('\nTest 6: Archived original of a picked candidate...');
+        const selection = await finalizeMint({ breed: 'Tabby', tokenId: 12, imageProvider: 'procedural', providerChosen: true, candidates: 2 });
+        assert.equal(selection.awaitingSelection, true);
+        assert.ok(selection.candidates.every(candidate => candidate.original && candidate.image), 'Candidates keep both images');
+        const [, picked] = selection.candidates;
+        const pinned = await finalizeMint({ breed: 'Tabby', tokenId: 12, imageProvider: 'procedural', providerChosen: true, selectedCandidate: picked });
+        const [pickedManifest] = await getAssetArchive().generations(12);
+        assert.equal(pickedManifest.generation, pinned.archiveGeneration);
+        const original = pickedManifest.files.find(file => file.kind === 'original');
+        const { bytes: archivedOriginal } = await getAssetArchive().file(12, pickedManifest.generation, original.name);
+        assert.deepEqual(archivedOriginal, Buffer.from(picked.original, 'base64'), 'The raw provider output is archived as the original');
+        assert.notDeepEqual(archivedOriginal, Buffer.from(picked.image, 'base64'), 'Not the candidate\'s sprite');
+
+        const legacy = await finalizeMint({ breed: 'Tabby', tokenId: 13, imageProvider: 'procedural', providerChosen: true, selectedCandidate: { ...picked, original: undefined } });
+        const [legacyManifest] = await getAssetArchive().generations(13);
+        assert.equal(legacyManifest.generation, legacy.archiveGeneration);
+        assert.ok(!legacyManifest.files.some(file => file.kind === 'original'), 'Without a stored original, none is claimed');
+        console.log('✅ Only the provider\'s own output is labelled original');
+
+        // Test 7: Quality gate retries take limiter slots of their own
+        console.log('\nTest 7: Provider limiter on regenerations...');
+        Object.assign(process.env, { QUALITY_MIN_COLORS: '100000', QUALITY_MAX_REGENERATIONS: '2', REJECTED_IMAGES_DIR: path.join(dir, 'rejected') });
+        try {
+            const limiter = countingLimiter();
+            const rejectedNft = fakeNft();
+            const rejected = await runMintPipeline({ tokenId: 14, breed: 'Tabby' }, { ...context, nft: rejectedNft, txManager: fakeTxManager(rejectedNft), limiter });
+            assert.equal(rejected.success, false);
+            assert.match(rejected.error, /rejected by quality gate after 3 attempt/);
+            assert.deepEqual(limiter.acquired, ['procedural', 'procedural', 'procedural'], 'One slot per provider call');
+            assert.deepEqual([limiter.active, limiter.maxActive], [0, 1], 'Each slot is released before the next is taken');
+        } finally {
+            for (const key of ['QUALITY_MIN_COLORS', 'QUALITY_MAX_REGENERATIONS', 'REJECTED_IMAGES_DIR']) delete process.env[key];
+        }
+        console.log('✅ Every regeneration waits for the provider limiter');
+
+        // Test 8: Candidates take a slot each and their own seed
+        console.log('\nTest 8: Candidates, limiter and seeds...');
+        const candidateLimiter = countingLimiter();
+        const options = { breed: 'Tabby', imageProvider: 'procedural', providerChosen: true, acquireProvider: candidateLimiter.acquire };
+        const three = await finalizeMint({ ...options, tokenId: 15, candidates: 3 });
+        assert.equal(three.candidates.length, 3);
+        assert.deepEqual(candidateLimiter.acquired, ['procedural', 'procedural', 'procedural'], 'One slot per candidate');
+        assert.deepEqual([candidateLimiter.active, candidateLimiter.maxActive], [0, 1]);
+        const seeds = three.candidates.map(candidate => candidate.metadata.seed);
+        assert.equal(new Set(seeds).size, 3, `Every candidate has its own seed: ${seeds.join(', ')}`);
+
+        await assert.rejects(
+            finalizeMint({ ...options, tokenId: 16, candidates: 2, providerOptions: { seed: 42 } }),
+            error => error.permanent && /pinned seed \(42\) can't be used with 2 candidates/.test(error.message)
+        );
+        assert.equal(candidateLimiter.acquired.length, 3, 'Refused before any provider call');
+        const pinnedSeed = await finalizeMint({ ...options, tokenId: 16, providerOptions: { seed: 42 } });
+        const [pinnedRecord] = await getGenerationStore().history(16);
+        assert.equal(pinnedRecord.id, pinnedSeed.generationRecordId);
+        assert.equal(pinnedRecord.seed, 42, 'A single image still uses the pinned seed');
+        console.log('✅ No candidate shares a seed or skips the limiter');
+
+        // Test 9: Preferences the scanner couldn't read are looked up before generating
+        console.log('\nTest 9: Pending provider preference...');
+        const pendingNft = fakeNft();
+        const pendingTx = fakeTxManager(pendingNft);
+        const pendingTask = { tokenId: 17, breed: 'Tabby', imageProvider: 'dall-e', providerChosen: false, preferencePending: true };
+        const offline = { resolve: async () => { throw new Error('TypeError: fetch failed'); } };
+        const unread = await runMintPipeline(pendingTask, { ...context, nft: pendingNft, txManager: pendingTx, defaultProvider: 'dall-e', preferences: offline });
+        assert.equal(unread.success, false);
+        assert.equal(unread.retryable, true, 'A failed lookup is retried');
+        assert.deepEqual(pendingTx.sent, [], 'Nothing is minted with the default provider');
+        assert.deepEqual(await getGenerationStore().history(17), []);
+
+        const lookups = [];
+        const online = {
+            resolve: async (tokenId, defaultProvider) => {
+                lookups.push([tokenId, defaultProvider]);
+                return { imageProvider: 'procedural', providerOptions: {}, promptExtras: '', negativePrompt: '', fromPreference: true };
+            }
+        };
+        const honored = await runMintPipeline(pendingTask, { ...context, nft: pendingNft, txManager: pendingTx, defaultProvider: 'dall-e', preferences: online });
+        assert.equal(honored.success, true, honored.error);
+        assert.equal(honored.provider, 'procedural', 'The stored preference wins over the queued default');
+        assert.deepEqual(lookups, [[17, 'dall-e']]);
+        console.log('✅ Jobs never fall back to the default because a lookup failed');
+
+        console.log('\n🎉 All offline mint pipeline tests passed!');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Offline mint pipeline tests failed:', error);
+    process.exit(1);
+});
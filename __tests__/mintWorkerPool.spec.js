@@ -0,0 +1,119 @@
+/**
+ * __tests__/mintWorkerPool.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Unit tests for the concurrent mint worker pool and provider limits.
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+import { MintJobQueue, FileQueueStore, JOB_STATES } from '../scripts/mintJobQueue.js';
+import { MintWorkerPool, ProviderLimiter, loadProviderLimits } from '../scripts/mintWorkerPool.js';
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running mint worker pool tests...\n');
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mint-workers-test-'));
+
+    try {
+        // Test 1: Env overrides
+        console.log('Test 1: Provider limits from env...');
+        const limits = loadProviderLimits({ DALL_E_CONCURRENCY: '4', STABILITY_RPM: '12' });
+        assert.equal(limits['dall-e'].concurrency, 4);
+        assert.equal(limits['dall-e'].rpm, 5, 'Unset values keep their defaults');
+        assert.equal(limits.stability.rpm, 12);
+        console.log('✅ Env variables override provider defaults');
+
+        // Test 2: Limiter concurrency
+        console.log('\nTest 2: Limiter concurrency...');
+        const limiter = new ProviderLimiter({ 'dall-e': { concurrency: 1, rpm: 100 } });
+        const releaseFirst = await limiter.acquire('dall-e');
+        let secondAcquired = false;
+        const second = limiter.acquire('dall-e').then(release => {
+            secondAcquired = true;
+            return release;
+        });
+        await sleep(10);
+        assert.equal(secondAcquired, false, 'Second acquire should wait for a free slot');
+        assert.equal(limiter.snapshot()['dall-e'].waiting, 1);
+        releaseFirst();
+        (await second)();
+        assert.equal(secondAcquired, true);
+        assert.equal(limiter.snapshot()['dall-e'].requestsLastMinute, 2);
+        console.log('✅ Provider slots are handed over in turn');
+
+        // Test 3: Pool runs jobs concurrently within provider limits
+        console.log('\nTest 3: Pool concurrency and per-provider limits...');
+        const queue = new MintJobQueue({ store: new FileQueueStore(path.join(tmpDir, 'mint-queue.json')) });
+        await queue.enqueue({ tokenId: 1, imageProvider: 'dall-e' });
+        await queue.enqueue({ tokenId: 2, imageProvider: 'dall-e' });
+        await queue.enqueue({ tokenId: 3, imageProvider: 'stability' });
+        await queue.enqueue({ tokenId: 4, imageProvider: 'stability' });
+
+        const running = new Set();
+        let peak = 0;
+        let peakDallE = 0;
+        const pool = new MintWorkerPool({
+            queue,
+            concurrency: 3,
+            limiter: new ProviderLimiter({
+                'dall-e': { concurrency: 1, rpm: 100 },
+                'stability': { concurrency: 2, rpm: 100 }
+            }),
+            handler: async job => {
+                running.add(job);
+                peak = Math.max(peak, running.size);
+                peakDallE = Math.max(peakDallE, [...running].filter(j => j.payload.imageProvider === 'dall-e').length);
+                await sleep(20);
+                running.delete(job);
+                await queue.ack(job.id);
+            }
+        });
+
+        await pool.pump();
+        const snapshot = pool.snapshot();
+        assert.equal(snapshot.busy, 3, 'One dall-e job and two stability jobs should start together');
+        assert.equal(snapshot.utilization, 1);
+
+        await pool.idle();
+        while ((await queue.stats()).completed < 4) {
+            await pool.pump();
+            await pool.idle();
+        }
+        assert.equal(peak, 3);
+        assert.equal(peakDallE, 1, 'dall-e concurrency limit should never be exceeded');
+        assert.equal(pool.snapshot().processed, 4);
+        assert.equal((await queue.stats()).pending, 0);
+        console.log('✅ Pool fills workers without exceeding provider limits');
+
+        // Test 4: Handler errors don't stop the pool
+        console.log('\nTest 4: Handler errors...');
+        const failing = await queue.enqueue({ tokenId: 5, imageProvider: 'stability' });
+        const errorPool = new MintWorkerPool({
+            queue,
+            concurrency: 1,
+            handler: async () => {
+                throw new Error('boom');
+            }
+        });
+        await errorPool.pump();
+        await errorPool.idle();
+        assert.equal(errorPool.snapshot().errors, 1);
+        assert.equal((await queue.get(failing.id)).status, JOB_STATES.IN_PROGRESS, 'Unacked job stays leased until it expires');
+        console.log('✅ Worker errors are counted and contained');
+
+        console.log('\n🎉 All mint worker pool tests passed!');
+    } finally {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+}
+
+runTests().catch(error => {
+    console.error('❌ Mint worker pool tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+/**
+ * __tests__/paletteBar.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for palette bar detection and auto-crop (fixtures in fixtures/palette-bars)
+ */
+
+import { strict as assert } from 'assert';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { detectPaletteBars, trimPaletteBars } from '../scripts/paletteBar.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = name => path.join(__dirname, 'fixtures', 'palette-bars', name);
+
+async function detect(name) {
+    const { data, info } = await sharp(fixture(name)).raw().toBuffer({ resolveWithObject: true });
+    return detectPaletteBars(data, info);
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running palette bar tests...\n');
+
+    // Test 1: Clean sprite is left alone
+    console.log('Test 1: No palette bar...');
+    const clean = await detect('clean.png');
+    assert.equal(clean.found, false);
+    const untouched = await trimPaletteBars(fixture('clean.png'));
+    assert.equal(untouched.cropped, false);
+    console.log('✅ Sky and ground bands are not mistaken for strips');
+
+    // Test 2: Swatch row under the art, including its separator lines
+    console.log('\nTest 2: Swatch row...');
+    const row = await detect('swatch-row-bottom.png');
+    assert.deepEqual([row.top, row.bottom, row.left, row.right], [0, 40, 0, 0]);
+    console.log('✅ Bottom swatch row and dark rule detected');
+
+    // Test 3: Swatch column
+    console.log('\nTest 3: Swatch column...');
+    const column = await detect('swatch-column-right.png');
+    assert.deepEqual([column.top, column.bottom, column.left, column.right], [0, 0, 0, 36]);
+    console.log('✅ Vertical palette on the right detected');
+
+    // Test 4: Flat strips
+    console.log('\nTest 4: Letterbox strips...');
+    const letterbox = await detect('letterbox.png');
+    assert.deepEqual([letterbox.top, letterbox.bottom, letterbox.left, letterbox.right], [24, 24, 0, 0]);
+    console.log('✅ Flat strips that stop at the art are detected');
+
+    // Test 5: Noisy, blended bar like DALL-E returns
+    console.log('\nTest 5: DALL-E style bar...');
+    const noisy = await detect('dalle-style.png');
+    assert.ok(noisy.bottom >= 34 && noisy.bottom <= 37, `Bottom crop ${noisy.bottom} should be ~36px`);
+    assert.deepEqual([noisy.top, noisy.left, noisy.right], [0, 0, 0]);
+    console.log('✅ Noise and a soft edge are tolerated');
+
+    // Test 6: Crop and re-centre
+    console.log('\nTest 6: Trim and re-centre...');
+    const trimmed = await trimPaletteBars(fixture('swatch-row-bottom.png'));
+    assert.equal(trimmed.cropped, true);
+    const meta = await sharp(trimmed.buffer).metadata();
+    assert.deepEqual([meta.width, meta.height], [256, 256], 'Original size is kept');
+    const { data, info } = await sharp(trimmed.buffer).raw().toBuffer({ resolveWithObject: true });
+    const after = detectPaletteBars(data, info);
+    assert.ok(Object.values(after.bands).flat().every(band => band.kind !== 'swatch'), 'No swatches left after trimming');
+    // The padding is split evenly, so the top and bottom rows share the background
+    const pixel = y => [...data.subarray((y * info.width) * info.channels, (y * info.width) * info.channels + 3)];
+    assert.deepEqual(pixel(0), pixel(info.height - 1));
+    console.log('✅ Bar removed and art re-centred at 256x256');
+
+    console.log('\n🎉 All palette bar tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Palette bar tests failed:', error);
+    process.exit(1);
+});
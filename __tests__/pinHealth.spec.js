@@ -0,0 +1,240 @@
+/**
+ * __tests__/pinHealth.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the pin health monitor: gateway checks per asset, re-pinning
+ * from the local archive, and the per-token records behind
+ * /api/health/detailed
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { encodeFile } from '../scripts/unixfs.js';
+import { writeCar } from '../scripts/storageBackends.js';
+import { DEFAULT_GATEWAYS, parseIpfsUri } from '../public/js/ipfsGateways.js';
+import {
+    loadPinHealthOptions,
+    findArchivedCopy,
+    checkTokenPins,
+    runPinHealthCheck,
+    FilePinHealthStore
+} from '../scripts/pinHealth.js';
+import { AssetArchive, LocalObjectStore } from '../scripts/assetArchive.js';
+
+const GATEWAYS = ['https://one.example/ipfs/', 'https://two.example/ipfs/'];
+
+/**
+ * Serve fixed responses by URL: { [url]: Buffer | status code }, anything else is a 404
+ */
+function mockFetch(routes) {
+    const requests = [];
+    globalThis.fetch = async (url, options) => {
+        requests.push({ url, method: options.method });
+        const route = routes[url];
+        if (route instanceof Error) throw route;
+        const ok = Buffer.isBuffer(route);
+        return {
+            ok,
+            status: ok ? 200 : route || 404,
+            arrayBuffer: async () => route.buffer.slice(route.byteOffset, route.byteOffset + route.length)
+        };
+    };
+    return requests;
+}
+
+/**
+ * A re-pin backend that records what it was given
+ */
+function fakeBackend(name, fail = false) {
+    return {
+        name,
+        configured: true,
+        pinned: [],
+        async put(content) {
+            if (fail) throw new Error(`${name} is down`);
+            this.pinned.push(content.cid);
+            return { cid: content.cid, url: `https://${name}.example/ipfs/${content.cid}/${content.filename}` };
+        }
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running pin health tests...\n');
+    const originalFetch = globalThis.fetch;
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pin-health-'));
+
+    const image = encodeFile(Buffer.from('not really a png'), 'Bengal-7.png');
+    const sprite = encodeFile(Buffer.from('sprite'), 'Bengal-7-sprite.png');
+    const metadataBytes = Buffer.from(JSON.stringify({
+        name: 'Ninja Cat #7',
+        image: `https://ipfs.io/ipfs/${image.cid}/Bengal-7.png`,
+        animation_url: 'https://cats.example/images/idle-7.gif',
+        properties: { sprite: { image: `ipfs://${sprite.cid}/Bengal-7-sprite.png` } }
+    }));
+    const metadata = encodeFile(metadataBytes, '7.json');
+    const tokenURI = `https://ipfs.io/ipfs/${metadata.cid}/7.json`;
+
+    const options = {
+        ...loadPinHealthOptions({
+            PIN_HEALTH_GATEWAYS: GATEWAYS.join(','),
+            CAR_EXPORT_DIR: path.join(dir, 'cars'),
+            LOCAL_IPFS_DIR: path.join(dir, 'ipfs'),
+            BASE_URL: 'https://cats.example'
+        }),
+        timeoutMs: 1000
+    };
+    options.archiveDirs.images = path.join(dir, 'images');
+
+    try {
+        // Test 1: Settings and URI parsing
+        console.log('Test 1: Options and URIs...');
+        const defaults = loadPinHealthOptions({});
+        assert.deepEqual(defaults.gateways, DEFAULT_GATEWAYS);
+        assert.deepEqual(loadPinHealthOptions({ IPFS_GATEWAYS: 'https://w3s.link/ipfs/' }).gateways, ['https://w3s.link/ipfs/'], 'Same gateways as everything else');
+        assert.deepEqual([defaults.intervalMs, defaults.repin, defaults.repinBackends], [21600000, true, 'pinata,w3up']);
+        assert.equal(loadPinHealthOptions({ PIN_HEALTH_GATEWAYS: 'https://w3s.link/ipfs' }).gateways[0], 'https://w3s.link/ipfs/');
+        assert.equal(loadPinHealthOptions({ PIN_HEALTH_INTERVAL_MS: '0' }).intervalMs, 0, '0 switches the monitor off');
+        assert.throws(() => loadPinHealthOptions({ PIN_HEALTH_GATEWAYS: 'https://ipfs.io' }), /PIN_HEALTH_GATEWAYS must list/);
+        assert.throws(() => loadPinHealthOptions({ IPFS_GATEWAYS: 'ipfs.io' }), /IPFS_GATEWAYS must list/);
+        assert.throws(() => loadPinHealthOptions({ PIN_HEALTH_REPIN: 'maybe' }), /PIN_HEALTH_REPIN must be "on" or "off"/);
+
+        assert.deepEqual(parseIpfsUri(`ipfs://${image.cid}/Bengal-7.png`), { cid: image.cid, path: '/Bengal-7.png' });
+        assert.deepEqual(parseIpfsUri(`https://gateway.pinata.cloud/ipfs/${image.cid}`), { cid: image.cid, path: '' });
+        assert.deepEqual(parseIpfsUri(`https://${image.cid}.ipfs.dweb.link/Bengal-7.png`), { cid: image.cid, path: '/Bengal-7.png' });
+        assert.equal(parseIpfsUri('https://cats.example/images/7.png'), null);
+        console.log('✅ Gateways, interval and re-pinning come from env');
+
+        // Test 2: Gateway checks
+        console.log('\nTest 2: checkTokenPins...');
+        const routes = {
+            [`${GATEWAYS[0]}${metadata.cid}/7.json`]: metadataBytes,
+            [`${GATEWAYS[1]}${metadata.cid}/7.json`]: metadataBytes,
+            [`${GATEWAYS[0]}${image.cid}/Bengal-7.png`]: Buffer.from('png'),
+            [`${GATEWAYS[1]}${image.cid}/Bengal-7.png`]: 504,
+            [`${GATEWAYS[0]}${sprite.cid}/Bengal-7-sprite.png`]: Buffer.from('png'),
+            [`${GATEWAYS[1]}${sprite.cid}/Bengal-7-sprite.png`]: new Error('socket hang up'),
+            'https://cats.example/images/idle-7.gif': Buffer.from('gif')
+        };
+        const requests = mockFetch(routes);
+        const record = await checkTokenPins(7, tokenURI, { options, backends: [] });
+        assert.equal(record.status, 'degraded', 'Some gateways lost the image');
+        assert.deepEqual(record.assets.map(asset => [asset.role, asset.status, asset.available, asset.total]), [
+            ['metadata', 'available', 2, 2],
+            ['image', 'degraded', 1, 2],
+            ['sprite', 'degraded', 1, 2],
+            ['animation', 'available', 1, 1]
+        ]);
+        assert.deepEqual(record.assets[1].gateways.map(gateway => gateway.status), [200, 504]);
+        assert.equal(record.assets[2].gateways[1].error, 'socket hang up');
+        assert.ok(requests.filter(request => request.url.endsWith('.png')).every(request => request.method === 'HEAD'), 'Images are only probed');
+        assert.ok(requests.some(request => request.url === 'https://cats.example/images/idle-7.gif'), 'Non-IPFS URLs are checked where they are');
+        console.log('✅ Every asset is checked on every gateway');
+
+        // Test 3: Re-pinning from the archive
+        console.log('\nTest 3: Re-pinning...');
+        delete routes[`${GATEWAYS[0]}${image.cid}/Bengal-7.png`];
+        await writeCar(image, path.join(dir, 'cars'));
+        const archived = await findArchivedCopy(image.cid, 'Bengal-7.png', options.archiveDirs);
+        assert.deepEqual([archived.filename, archived.bytes.toString()], ['Bengal-7.png', 'not really a png']);
+        assert.equal(await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', options.archiveDirs), null);
+
+        const down = fakeBackend('down', true);
+        const first = fakeBackend('first');
+        const second = fakeBackend('second');
+        const repinned = await checkTokenPins(7, tokenURI, { options, backends: [down, first, second] });
+        assert.equal(repinned.status, 'repinned');
+        assert.equal(repinned.assets[1].status, 'repinned');
+        assert.equal(repinned.assets[1].repin.backend, 'first', 'The next backend takes over when one fails');
+        assert.equal(repinned.assets[1].repin.source, path.join(dir, 'cars', `${image.cid}.car`));
+        assert.deepEqual(first.pinned, [image.cid], 'Re-pinned under the same CID');
+
+        const again = await checkTokenPins(7, tokenURI, { options, backends: [first, second], previous: repinned });
+        assert.equal(again.assets[1].repin.backend, 'second', 'A backend that lost it before goes last');
+
+        // A copy the local backend wrote works too, as long as it still hashes to the CID
+        await fs.mkdir(path.join(dir, 'images'), { recursive: true });
+        await fs.writeFile(path.join(dir, 'images', `${sprite.cid}-Bengal-7-sprite.png`), 'tampered');
+        assert.equal(await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', options.archiveDirs), null);
+        await fs.writeFile(path.join(dir, 'images', `${sprite.cid}-Bengal-7-sprite.png`), 'sprite');
+        assert.equal((await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', options.archiveDirs)).bytes.toString(), 'sprite');
+
+        // ...and so does the token's asset archive, which keeps the pinned file names
+        const assets = new AssetArchive({ store: new LocalObjectStore({ dir: path.join(dir, 'asset-archive') }) });
+        await assets.archive(7, [{ name: 'Bengal-7-sprite.png', kind: 'sprite', bytes: Buffer.from('sprite') }]);
+        const noFiles = { ...options.archiveDirs, images: path.join(dir, 'nowhere') };
+        assert.equal(await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', noFiles), null);
+        assert.equal((await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', noFiles, { tokenId: 7, archive: assets })).source,
+            'asset archive #7 generation 1');
+        assert.equal(await findArchivedCopy(sprite.cid, 'Bengal-7-sprite.png', noFiles, { tokenId: 8, archive: assets }), null);
+        console.log('✅ Missing content is re-pinned from the archive to another backend');
+
+        // Test 4: Missing content without a way back
+        console.log('\nTest 4: Missing...');
+        delete routes[`${GATEWAYS[0]}${metadata.cid}/7.json`];
+        delete routes[`${GATEWAYS[1]}${metadata.cid}/7.json`];
+        await writeCar(metadata, path.join(dir, 'ipfs'));
+        const repinOff = await checkTokenPins(7, tokenURI, { options: { ...options, repin: false }, backends: [first] });
+        assert.equal(repinOff.status, 'missing');
+        assert.match(repinOff.assets[0].error, /archived copy at .*re-pinning is off/);
+        assert.equal(repinOff.assets.length, 4, 'The archived metadata still leads to its image');
+
+        await fs.rm(path.join(dir, 'ipfs'), { recursive: true });
+        const lost = await checkTokenPins(7, tokenURI, { options, backends: [first] });
+        assert.deepEqual([lost.status, lost.assets.length], ['missing', 1]);
+        assert.match(lost.assets[0].error, /no archived copy/);
+        assert.match(lost.error, /Metadata could not be read/);
+        console.log('✅ Unrecoverable content is reported as missing');
+
+        // Test 5: Runs and stored results
+        console.log('\nTest 5: runPinHealthCheck...');
+        routes[`${GATEWAYS[0]}${metadata.cid}/7.json`] = metadataBytes;
+        routes[`${GATEWAYS[1]}${metadata.cid}/7.json`] = metadataBytes;
+        routes[`${GATEWAYS[0]}${image.cid}/Bengal-7.png`] = Buffer.from('png');
+        routes[`${GATEWAYS[1]}${image.cid}/Bengal-7.png`] = Buffer.from('png');
+        routes[`${GATEWAYS[1]}${sprite.cid}/Bengal-7-sprite.png`] = Buffer.from('png');
+        const lostImage = encodeFile(Buffer.from('gone'), 'Sphynx-9.png');
+        const lostMetadata = Buffer.from(JSON.stringify({ image: `ipfs://${lostImage.cid}/Sphynx-9.png` }));
+        routes[`${GATEWAYS[0]}bafy9/9.json`] = lostMetadata;
+        routes[`${GATEWAYS[1]}bafy9/9.json`] = lostMetadata;
+
+        const uris = { 7: tokenURI, 8: '', 9: 'ipfs://bafy9/9.json' };
+        const nft = {
+            totalSupply: async () => 3n,
+            tokenByIndex: async index => BigInt(7 + Number(index)),
+            tokenURI: async tokenId => {
+                if (!uris[tokenId]) throw new Error('execution reverted');
+                return uris[tokenId];
+            }
+        };
+        const store = new FilePinHealthStore(path.join(dir, 'pin-health.json'));
+        const report = await runPinHealthCheck({ nft, store, options, backends: [first] });
+        assert.equal(report.checked, 2);
+        assert.deepEqual(report.skipped, [8], 'Tokens without a URI have nothing pinned yet');
+        assert.deepEqual(report.byStatus, { healthy: 1, degraded: 0, repinned: 0, missing: 1 });
+        assert.equal((await store.get(7)).status, 'healthy');
+
+        const summary = await store.summary();
+        assert.deepEqual([summary.status, summary.tokens, summary.byStatus.missing], ['unhealthy', 2, 1]);
+        assert.deepEqual(summary.attention.map(token => [token.tokenId, token.status]), [[9, 'missing']]);
+        assert.deepEqual(summary.attention[0].assets.map(asset => asset.role), ['image'], 'Only the assets that need attention');
+
+        const only = await runPinHealthCheck({ nft, store, options, backends: [first], tokenIds: [7] });
+        assert.equal(only.checked, 1);
+        assert.equal((await new FilePinHealthStore(path.join(dir, 'missing.json')).summary()).status, 'unknown');
+        console.log('✅ Results are stored per token and summarised');
+    } finally {
+        globalThis.fetch = originalFetch;
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    console.log('\n🎉 All pin health tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Pin health tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,128 @@
+/**
+ * __tests__/pixelGrid.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for pixel-grid detection and native sprite downsampling.
+ * Inputs are procedural 32 × 32 sprites blown up the way AI providers
+ * deliver them: big, blurred and not always aligned to the image edge.
+ */
+
+import { strict as assert } from 'assert';
+import sharp from 'sharp';
+import { renderSpritePixels } from '../scripts/proceduralSprite.js';
+import { estimatePixelGrid, downsampleToGrid, buildSprite } from '../scripts/pixelGrid.js';
+
+const traits = [
+    { trait_type: 'Breed', value: 'Siamese' },
+    { trait_type: 'Element', value: 'Fire' },
+    { trait_type: 'Weapon', value: 'Katana' },
+    { trait_type: 'Rank', value: 'Genin' },
+    { trait_type: 'Background', value: 'Mountain Temple' }
+];
+const sprite = renderSpritePixels({ traits, seed: 1234 });
+const spriteRaw = { raw: { width: sprite.width, height: sprite.height, channels: 3 } };
+
+/**
+ * Upscale the sprite and return sharp raw output
+ */
+async function upscaled(size, { blur, shiftX = 0, shiftY = 0 } = {}) {
+    let buffer = await sharp(sprite.pixels, spriteRaw).resize(size, size, { kernel: 'nearest' }).png().toBuffer();
+    if (blur) buffer = await sharp(buffer).blur(blur).png().toBuffer();
+    if (shiftX || shiftY) {
+        // Push the grid off the image edge, like a provider cropping its canvas
+        buffer = await sharp(buffer).extend({ left: shiftX, top: shiftY, background: '#000000' }).png().toBuffer();
+        buffer = await sharp(buffer).extract({ left: 0, top: 0, width: size, height: size }).png().toBuffer();
+    }
+    return sharp(buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Share of native pixels matching the original sprite (per channel within tolerance)
+ */
+function matchRatio(data, tolerance = 12) {
+    let matching = 0;
+    const count = sprite.width * sprite.height;
+    for (let i = 0; i < count * 3; i += 3) {
+        const diff = Math.max(
+            Math.abs(data[i] - sprite.pixels[i]),
+            Math.abs(data[i + 1] - sprite.pixels[i + 1]),
+            Math.abs(data[i + 2] - sprite.pixels[i + 2])
+        );
+        if (diff <= tolerance) matching++;
+    }
+    return matching / count;
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running pixel grid tests...\n');
+
+    // Test 1: Clean upscale
+    console.log('Test 1: 32 × 32 sprite at 1024px...');
+    const clean = await upscaled(1024);
+    const cleanGrid = estimatePixelGrid(clean.data, clean.info);
+    assert.equal(cleanGrid.pixelSize, 32);
+    assert.equal(cleanGrid.offsetX, 0);
+    assert.ok(cleanGrid.confidence > 0.9);
+    const native = downsampleToGrid(clean.data, clean.info, cleanGrid);
+    assert.equal(native.width, 32);
+    assert.equal(native.height, 32);
+    assert.equal(matchRatio(native.data, 0), 1, 'Every native pixel is recovered exactly');
+    console.log('✅ 32px cells found, sprite recovered pixel for pixel');
+
+    // Test 2: Pixel sizes that don't divide 1024
+    console.log('\nTest 2: 24px cells...');
+    const small = await upscaled(768);
+    assert.equal(estimatePixelGrid(small.data, small.info).pixelSize, 24);
+    console.log('✅ Cell size is measured, not assumed');
+
+    // Test 3: AI-style blur and an offset grid
+    console.log('\nTest 3: Blurred, offset art...');
+    const fuzzy = await upscaled(1024, { blur: 1.5, shiftX: 10, shiftY: 7 });
+    const fuzzyGrid = estimatePixelGrid(fuzzy.data, fuzzy.info);
+    assert.equal(fuzzyGrid.pixelSize, 32);
+    assert.ok(Math.abs(fuzzyGrid.offsetX - 10) <= 1, `offsetX ${fuzzyGrid.offsetX}`);
+    assert.ok(Math.abs(fuzzyGrid.offsetY - 7) <= 1, `offsetY ${fuzzyGrid.offsetY}`);
+    const fuzzyNative = downsampleToGrid(fuzzy.data, fuzzy.info, fuzzyGrid);
+    assert.equal(fuzzyNative.width, 32);
+    assert.equal(fuzzyNative.height, 32);
+    assert.ok(matchRatio(fuzzyNative.data) >= 0.95, 'Cell centres survive the blur');
+    console.log(`✅ Grid found through blur, offset (${fuzzyGrid.offsetX}, ${fuzzyGrid.offsetY})`);
+
+    // Test 4: No grid at all
+    console.log('\nTest 4: Smooth image...');
+    const smooth = await sharp(sprite.pixels, spriteRaw).resize(1024, 1024, { kernel: 'cubic' })
+        .blur(12).raw().toBuffer({ resolveWithObject: true });
+    assert.equal(estimatePixelGrid(smooth.data, smooth.info), null);
+    const fallback = await buildSprite(await sharp(smooth.data, { raw: smooth.info }).png().toBuffer());
+    assert.equal(fallback.grid.detected, false);
+    assert.equal(fallback.native.width, 32, 'Falls back to SPRITE_SIZE');
+    console.log('✅ No grid → sampled down to 32 × 32');
+
+    // Test 5: buildSprite outputs
+    console.log('\nTest 5: Native and display PNGs...');
+    const built = await buildSprite(await sharp(clean.data, { raw: clean.info }).png().toBuffer());
+    assert.deepEqual(
+        { width: built.native.width, height: built.native.height, scale: built.display.scale },
+        { width: 32, height: 32, scale: 16 }
+    );
+    const displayMeta = await sharp(built.display.buffer).metadata();
+    assert.equal(displayMeta.width, 512);
+    assert.equal(displayMeta.height, 512);
+    const nativePixels = await sharp(built.native.buffer).raw().toBuffer();
+    assert.equal(matchRatio(nativePixels, 0), 1);
+
+    const scaled = await buildSprite(built.native.buffer, { displaySize: 300 });
+    assert.equal(scaled.grid.pixelSize, 1, 'Native-size input is kept as is');
+    assert.equal(scaled.display.scale, 9, 'Display scale is the largest integer that fits');
+    assert.equal(scaled.display.width, 288);
+    console.log('✅ 32 × 32 native + 512 × 512 display');
+
+    console.log('\n🎉 All pixel grid tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Pixel grid tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * __tests__/promptTemplates.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for versioned prompt templates, provider variants and A/B splits
+ */
+
+import { strict as assert } from 'assert';
+import {
+    parsePromptTemplates,
+    loadPromptTemplates,
+    getPromptTemplate,
+    selectPromptTemplate,
+    buildPromptContext,
+    renderPrompt,
+    promptTemplateInfo
+} from '../scripts/promptTemplates.js';
+import { validatePromptTemplate } from '../scripts/securityUtils.js';
+
+const rawTraits = [
+    { trait_type: 'Breed', value: 'Bengal' },
+    { trait_type: 'Weapon', value: 'Katana' },
+    { trait_type: 'Stance', value: 'Attack' },
+    { trait_type: 'Element', value: 'Fire' },
+    { trait_type: 'Rank', value: 'Master' },
+    { trait_type: 'Accessory', value: 'Red Headband' },
+    { trait_type: 'BattleTechnique', value: 'Shadow Step' }
+];
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running prompt template tests...\n');
+
+    // Test 1: Built-in templates
+    console.log('Test 1: Loading templates...');
+    const { defaultRef, templates } = loadPromptTemplates();
+    assert.equal(defaultRef, 'ninja-cat@1');
+    assert.deepEqual([...templates.keys()], ['ninja-cat@1', 'ninja-cat@2']);
+    assert.equal(getPromptTemplate('ninja-cat').version, 2, 'A bare name is the latest version');
+    assert.equal(getPromptTemplate('ninja-cat@1').version, 1);
+    assert.throws(() => getPromptTemplate('ninja-cat@9'), /Unknown prompt template "ninja-cat@9"/);
+    assert.throws(() => parsePromptTemplates({ templates: [{ name: 'x', version: 1.5, prompt: 'x' }] }), /positive integer version/);
+    assert.throws(() => parsePromptTemplates({ templates: [{ name: 'x', version: 1 }] }), /needs a prompt/);
+    assert.throws(() => parsePromptTemplates({
+        templates: [{ name: 'x', version: 1, prompt: 'a' }, { name: 'x', version: 1, prompt: 'b' }]
+    }), /Duplicate prompt template x@1/);
+    console.log('✅ Templates load and are addressed by name@version');
+
+    // Test 2: Placeholders
+    console.log('\nTest 2: Rendering...');
+    const context = buildPromptContext(rawTraits, { keywords: 'spotted, wild', extras: '' });
+    assert.equal(context.battleTechnique, 'Shadow Step', 'Every trait becomes a camelCase placeholder');
+    assert.equal(context.extras, '');
+
+    const v1 = renderPrompt(getPromptTemplate('ninja-cat@1'), {
+        ...context,
+        backgroundDescription: 'a quiet dojo',
+        backgroundKeywords: 'wood, lanterns'
+    });
+    assert.equal(v1.prompt,
+        'A pixel art ninja cat of Bengal breed in Attack stance wielding Katana with Fire powers, Master rank, ' +
+        'spotted, wild, set in a quiet dojo, wood, lanterns',
+        'Version 1 matches the old inline prompt');
+    assert.equal(v1.variant, 'default');
+    assert.equal(v1.negativePrompt, '');
+
+    const noBackground = renderPrompt(getPromptTemplate('ninja-cat@1'), context);
+    assert.ok(!noBackground.prompt.includes('set in'), 'Segments with empty placeholders are dropped');
+    console.log('✅ Placeholders fill in, empty segments drop out');
+
+    // Test 3: Provider variants
+    console.log('\nTest 3: Provider variants...');
+    const v2 = getPromptTemplate('ninja-cat@2');
+    const dallE = renderPrompt(v2, context, 'dall-e');
+    assert.match(dallE.prompt, /^32x32 pixel art sprite of a Bengal ninja cat .*wearing Red Headband.*NO NUMBERS\.$/);
+    assert.equal(dallE.variant, 'dall-e');
+    assert.deepEqual(dallE.options, { quality: 'hd' });
+    assert.match(dallE.negativePrompt, /watermark/);
+    assert.deepEqual(renderPrompt(v2, context, 'stability').options, { stylePreset: 'pixel-art', cfgScale: 9.5 });
+    const procedural = renderPrompt(v2, context, 'procedural');
+    assert.equal(procedural.variant, 'default', 'Providers without a variant get the plain prompt');
+    assert.ok(procedural.prompt.startsWith('Bengal ninja cat'));
+    assert.deepEqual(promptTemplateInfo(v2, 'dall-e'), { id: 'ninja-cat@2', name: 'ninja-cat', version: 2, variant: 'dall-e' });
+    console.log('✅ Each provider renders its own prefix, suffix and option defaults');
+
+    // Test 4: Selection and A/B splits
+    console.log('\nTest 4: Selection...');
+    assert.equal(selectPromptTemplate({}, {}).id, 'ninja-cat@1', 'File default');
+    assert.equal(selectPromptTemplate({}, { PROMPT_TEMPLATE: 'ninja-cat@2' }).id, 'ninja-cat@2');
+    assert.equal(selectPromptTemplate({ template: 'ninja-cat@1' }, { PROMPT_TEMPLATE: 'ninja-cat@2' }).id, 'ninja-cat@1',
+        'A mint can pin its template');
+
+    const split = { PROMPT_TEMPLATE: 'ninja-cat@1=50, ninja-cat@2=50' };
+    const picks = Array.from({ length: 200 }, (_, tokenId) => selectPromptTemplate({ tokenId }, split).id);
+    const v2Share = picks.filter(id => id === 'ninja-cat@2').length / picks.length;
+    assert.ok(v2Share > 0.35 && v2Share < 0.65, `Split is roughly even (${v2Share})`);
+    assert.deepEqual(picks.slice(0, 20), Array.from({ length: 20 }, (_, tokenId) => selectPromptTemplate({ tokenId }, split).id),
+        'Same token, same template');
+    assert.throws(() => selectPromptTemplate({ tokenId: 1 }, { PROMPT_TEMPLATE: 'ninja-cat@1=0' }), /Invalid prompt template split/);
+
+    assert.equal(validatePromptTemplate(undefined), undefined);
+    assert.equal(validatePromptTemplate('ninja-cat'), 'ninja-cat@2');
+    assert.throws(() => validatePromptTemplate('ninja cat!'), /must look like/);
+    assert.throws(() => validatePromptTemplate('ninja-cat@7'), /Invalid prompt template: Unknown/);
+    console.log(`✅ PROMPT_TEMPLATE splits mints by token (${Math.round(v2Share * 100)}% on v2)`);
+
+    console.log('\n🎉 All prompt template tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Prompt template tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,97 @@
+/**
+ * __tests__/providerPreferences.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for resolving per-token provider preferences at queue time.
+ */
+
+import { strict as assert } from 'assert';
+import { ProviderPreferencesManager } from '../scripts/providerPreferencesManager.js';
+
+/**
+ * Minimal Supabase stand-in serving provider_preferences rows by token_id
+ */
+function fakeSupabase(rows, failure = null) {
+    return {
+        from: () => ({
+            select: () => ({
+                eq: (column, value) => ({
+                    single: async () => (failure ? { data: null, error: failure } : rows[value]
+                        ? { data: rows[value], error: null }
+                        : { data: null, error: { code: 'PGRST116' } })
+                })
+            })
+        })
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running provider preference tests...\n');
+
+    const manager = new ProviderPreferencesManager();
+    manager.supabase = fakeSupabase({
+        42: {
+            token_id: '42',
+            provider: 'stability',
+            timestamp: 1,
+            options: { style_preset: 'pixel-art' },
+            prompt_extras: 'holding a katana',
+            negative_prompt: 'blurry'
+        }
+    });
+    manager.initialized = true;
+
+    // Test 1: Stored preference wins
+    console.log('Test 1: Stored preference...');
+    const stored = await manager.resolve(42, 'dall-e');
+    assert.deepEqual(stored, {
+        imageProvider: 'stability',
+        providerOptions: { style_preset: 'pixel-art' },
+        promptExtras: 'holding a katana',
+        negativePrompt: 'blurry',
+        fromPreference: true
+    });
+    console.log('✅ Provider, options and prompts come from the preference');
+
+    // Test 2: Env default when nothing is stored
+    console.log('\nTest 2: No preference...');
+    const fallback = await manager.resolve(7, 'dall-e');
+    assert.equal(fallback.imageProvider, 'dall-e');
+    assert.equal(fallback.fromPreference, false);
+    assert.deepEqual(fallback.providerOptions, {});
+    console.log('✅ Default provider applies only without a preference');
+
+    // Test 3: Lookup failures fall back instead of dropping the event
+    console.log('\nTest 3: Supabase unavailable...');
+    const unconfigured = new ProviderPreferencesManager();
+    const savedUrl = process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_URL;
+    const offline = await unconfigured.resolve(7, 'huggingface');
+    if (savedUrl !== undefined) process.env.SUPABASE_URL = savedUrl;
+    assert.equal(offline.imageProvider, 'huggingface');
+    console.log('✅ Missing Supabase config falls back to the default');
+
+    // Test 4: Any other lookup failure must not pass for "no preference"
+    console.log('\nTest 4: Lookup failure...');
+    const flaky = new ProviderPreferencesManager();
+    flaky.supabase = fakeSupabase({}, { code: '', message: 'TypeError: fetch failed' });
+    flaky.initialized = true;
+    await assert.rejects(flaky.get(42), error => /fetch failed/.test(error.message));
+    await assert.rejects(flaky.resolve(42, 'dall-e'), error => /fetch failed/.test(error.message));
+    const deferred = await flaky.resolve(42, 'dall-e', { defer: true });
+    assert.equal(deferred.imageProvider, 'dall-e');
+    assert.equal(deferred.fromPreference, false);
+    assert.equal(deferred.preferencePending, true, 'Queue time lookups leave the check to the mint job');
+    assert.equal((await manager.resolve(7, 'dall-e', { defer: true })).preferencePending, undefined,
+        'A missing row is a real answer');
+    console.log('✅ Only a missing row resolves to the default provider');
+
+    console.log('\n🎉 All provider preference tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Provider preference tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * __tests__/retryPolicy.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Unit tests for mint failure classification and retry backoff.
+ */
+
+import { strict as assert } from 'assert';
+import { classifyError, backoffDelay, PermanentMintError } from '../scripts/retryPolicy.js';
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running retry policy tests...\n');
+
+    // Test 1: Transient failures are retried
+    console.log('Test 1: Retryable failures...');
+    assert.equal(classifyError(new Error('Stability AI error: 503 - Service Unavailable')).retryable, true);
+    assert.equal(classifyError({ message: 'Request failed', status: 429 }).retryable, true);
+    assert.equal(classifyError(Object.assign(new Error('connect'), { code: 'ETIMEDOUT' })).retryable, true);
+    assert.equal(classifyError(new Error('Pinata upload failed: network error')).retryable, true);
+    assert.equal(classifyError(new Error('Something odd happened')).reason, 'unclassified');
+    console.log('✅ 5xx, rate limits, timeouts and IPFS errors are retryable');
+
+    // Test 2: Permanent failures are not
+    console.log('\nTest 2: Permanent failures...');
+    assert.equal(classifyError(new Error('Stability AI error: 401 - Unauthorized')).retryable, false);
+    assert.equal(classifyError(new Error('Incorrect API key provided')).retryable, false);
+    assert.equal(classifyError(new Error('Invalid breed: Dragon')).retryable, false);
+    assert.equal(classifyError(new PermanentMintError('no')).retryable, false);
+    assert.equal(classifyError('Missing API keys for huggingface').retryable, false);
+    console.log('✅ Bad input and credentials are permanent');
+
+    // Test 3: Backoff grows and is capped
+    console.log('\nTest 3: Exponential backoff...');
+    const opts = { baseMs: 1000, maxMs: 10000, jitter: 0 };
+    assert.deepEqual([1, 2, 3, 4, 5].map(n => backoffDelay(n, opts)), [1000, 2000, 4000, 8000, 10000]);
+    const jittered = backoffDelay(3, { baseMs: 1000, maxMs: 60000, jitter: 0.1 });
+    assert.ok(jittered >= 3600 && jittered <= 4400, 'Jitter stays within 10%');
+    console.log('✅ Delay doubles per attempt up to the cap');
+
+    console.log('\n🎉 All retry policy tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Retry policy tests failed:', error);
+    process.exit(1);
+});
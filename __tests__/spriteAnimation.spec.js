@@ -0,0 +1,184 @@
+/**
+ * __tests__/spriteAnimation.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for the idle animation: breathing, glint and element particles
+ * on the sprite, kept on-palette, encoded as GIF, WebP and APNG
+ */
+
+import { strict as assert } from 'assert';
+import { inflateSync } from 'zlib';
+import sharp from 'sharp';
+import {
+    loadAnimationOptions,
+    renderIdleFrames,
+    encodeAnimation,
+    buildIdleAnimation
+} from '../scripts/spriteAnimation.js';
+import { resolvePalette, remapToPalette } from '../scripts/spritePalette.js';
+import { renderSpritePixels, ELEMENT_COLORS } from '../scripts/proceduralSprite.js';
+
+const traits = element => [
+    { trait_type: 'Breed', value: 'Bengal' },
+    { trait_type: 'Element', value: element },
+    { trait_type: 'Weapon', value: 'Katana' }
+];
+
+/**
+ * Procedural 32 × 32 sprite on its master palette, like snapToPixelGrid() leaves it
+ */
+function paletteSprite(element) {
+    const sprite = renderSpritePixels({ traits: traits(element), seed: 3 });
+    const palette = resolvePalette(traits(element));
+    const data = remapToPalette(sprite.pixels, { width: 32, height: 32, channels: 3 }, palette.colors);
+    return { sprite: { data, width: 32, height: 32 }, palette: palette.colors };
+}
+
+/**
+ * A plain square "cat" on a flat sky, so moving pixels are easy to follow
+ */
+function plainSprite() {
+    const data = Buffer.alloc(32 * 32 * 3);
+    for (let i = 0; i < 32 * 32; i++) {
+        const [x, y] = [i % 32, Math.floor(i / 32)];
+        data.set(x >= 10 && x < 22 && y >= 12 && y < 28 ? [20, 20, 20] : [60, 70, 90], i * 3);
+    }
+    return { data, width: 32, height: 32 };
+}
+
+/**
+ * Positions of one colour in a raw RGB frame
+ */
+function pixelsOf(frame, color) {
+    const found = new Set();
+    for (let i = 0; i < frame.length / 3; i++) {
+        if (frame[i * 3] === color[0] && frame[i * 3 + 1] === color[1] && frame[i * 3 + 2] === color[2]) found.add(i);
+    }
+    return found;
+}
+
+/**
+ * Share of a frame's particle pixels that were one step back in the frame before
+ */
+function followShare(frames, color, step) {
+    let followed = 0;
+    let total = 0;
+    for (let frame = 1; frame < frames.length; frame++) {
+        const before = pixelsOf(frames[frame - 1], color);
+        for (const index of pixelsOf(frames[frame], color)) {
+            total++;
+            if (before.has(index - step)) followed++;
+        }
+    }
+    return followed / total;
+}
+
+/**
+ * PNG chunks as { type, data }
+ */
+function pngChunks(buffer) {
+    const chunks = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        chunks.push({ type: buffer.toString('ascii', offset + 4, offset + 8), data: buffer.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+    }
+    return chunks;
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running sprite animation tests...\n');
+
+    // Test 1: Settings
+    console.log('Test 1: loadAnimationOptions...');
+    assert.deepEqual(loadAnimationOptions({}), { enabled: false, format: null, frames: 8, delay: 120 });
+    assert.deepEqual(loadAnimationOptions({ SPRITE_ANIMATION: 'WebP', SPRITE_ANIMATION_FRAMES: '12', SPRITE_ANIMATION_DELAY: '80' }),
+        { enabled: true, format: 'webp', frames: 12, delay: 80 });
+    assert.throws(() => loadAnimationOptions({ SPRITE_ANIMATION: 'mp4' }), /SPRITE_ANIMATION must be "off", "gif", "webp", "apng"/);
+    assert.throws(() => loadAnimationOptions({ SPRITE_ANIMATION_FRAMES: '2' }), /between 4 and 64/);
+    assert.throws(() => loadAnimationOptions({ SPRITE_ANIMATION_DELAY: 'fast' }), /SPRITE_ANIMATION_DELAY must be/);
+    console.log('✅ Animation settings come from env, off by default');
+
+    // Test 2: Frames
+    console.log('\nTest 2: renderIdleFrames...');
+    const { sprite, palette } = paletteSprite('Fire');
+    const frames = await renderIdleFrames(sprite, { element: 'Fire', seed: 'idle:7', frames: 8, palette });
+    assert.equal(frames.length, 8);
+    assert.ok(frames.every(frame => frame.length === sprite.data.length), 'Frames stay at native size');
+    assert.equal(new Set(frames.map(frame => frame.toString('hex'))).size, 8, 'Every frame moves');
+
+    const onPalette = new Set(palette);
+    for (const frame of frames) {
+        for (let i = 0; i < frame.length; i += 3) {
+            const hex = '#' + [frame[i], frame[i + 1], frame[i + 2]].map(v => v.toString(16).padStart(2, '0')).join('');
+            assert.ok(onPalette.has(hex), `${hex} is on the master palette`);
+        }
+    }
+
+    const again = await renderIdleFrames(sprite, { element: 'Fire', seed: 'idle:7', frames: 8, palette });
+    assert.deepEqual(again, frames, 'Same token, same loop');
+    const other = await renderIdleFrames(sprite, { element: 'Fire', seed: 'idle:8', frames: 8, palette });
+    assert.notDeepEqual(other, frames, 'Particles differ per token');
+    console.log('✅ Deterministic per token and on-palette');
+
+    // Test 3: Breathing and particles
+    console.log('\nTest 3: Motion...');
+    const plain = plainSprite();
+    const still = await renderIdleFrames(plain, { element: 'Fire', frames: 8 });
+    const catTop = frame => Math.floor(Math.min(...pixelsOf(frame, [20, 20, 20])) / 32);
+    assert.deepEqual(still.map(catTop), [12, 12, 13, 13, 13, 13, 12, 12], 'The cat sinks a pixel and rises again');
+    assert.ok(pixelsOf(still[4], [20, 20, 20]).has(28 * 32 + 15), 'The whole cat moves');
+    assert.ok(pixelsOf(still[4], [60, 70, 90]).has(12 * 32 + 15), 'Sky shows where the cat was');
+
+    assert.ok(followShare(still, ELEMENT_COLORS.Fire, -32) > 0.7, 'Embers rise');
+    const water = await renderIdleFrames(plain, { element: 'Water', frames: 8 });
+    assert.ok(followShare(water, ELEMENT_COLORS.Water, 32) > 0.7, 'Drops fall');
+    const wind = await renderIdleFrames(plain, { element: 'Wind', frames: 8 });
+    assert.ok(followShare(wind, ELEMENT_COLORS.Wind, 1) > 0.7, 'Wind drifts');
+    assert.equal(pixelsOf(water[0], ELEMENT_COLORS.Fire).size, 0, 'Particles follow the Element');
+    for (const frame of still) {
+        for (const index of pixelsOf(frame, ELEMENT_COLORS.Fire)) {
+            const [x, y] = [index % 32, Math.floor(index / 32)];
+            assert.ok(x < 10 || x >= 22 || y < catTop(frame), 'Particles pass behind the cat');
+        }
+    }
+    console.log('✅ Breathing bob, element particles behind the cat');
+
+    // Test 4: Formats
+    console.log('\nTest 4: Encoding...');
+    const gif = await buildIdleAnimation(await sharp(sprite.data, { raw: { width: 32, height: 32, channels: 3 } }).png().toBuffer(), {
+        format: 'gif', frames: 6, delay: 100, rawTraits: traits('Fire'), seed: 'idle:7', palette, scale: 4
+    });
+    assert.equal(gif.buffer.toString('ascii', 0, 6), 'GIF89a');
+    assert.deepEqual([gif.mimeType, gif.extension, gif.element, gif.width, gif.height], ['image/gif', 'gif', 'Fire', 128, 128]);
+    const gifInfo = await sharp(gif.buffer, { animated: true }).metadata();
+    assert.deepEqual([gifInfo.pages, gifInfo.pageHeight, gifInfo.loop, gifInfo.delay], [6, 128, 0, [100, 100, 100, 100, 100, 100]]);
+
+    const webp = await encodeAnimation(frames, { width: 32, height: 32, format: 'webp', delay: 120, scale: 2 });
+    assert.equal(webp.buffer.toString('ascii', 8, 12), 'WEBP');
+    const webpInfo = await sharp(webp.buffer, { animated: true }).metadata();
+    assert.deepEqual([webpInfo.pages, webpInfo.width, webpInfo.pageHeight], [8, 64, 64]);
+    const webpFrame = await sharp(webp.buffer, { page: 3 }).removeAlpha().raw().toBuffer();
+    const scaled = await sharp(frames[3], { raw: { width: 32, height: 32, channels: 3 } }).resize(64, 64, { kernel: 'nearest' }).raw().toBuffer();
+    assert.deepEqual(webpFrame, scaled, 'WebP frames are lossless');
+
+    const apng = await encodeAnimation(frames, { width: 32, height: 32, format: 'apng', delay: 120 });
+    const chunks = pngChunks(apng.buffer);
+    assert.deepEqual(chunks.map(chunk => chunk.type).slice(0, 4), ['IHDR', 'acTL', 'fcTL', 'IDAT']);
+    assert.equal(chunks[1].data.readUInt32BE(0), 8, 'acTL counts the frames');
+    assert.equal(chunks.filter(chunk => chunk.type === 'fcTL').length, 8);
+    const fdats = chunks.filter(chunk => chunk.type === 'fdAT');
+    const unfiltered = data => Buffer.concat(Array.from({ length: 32 }, (_, y) => data.subarray(y * 97 + 1, (y + 1) * 97)));
+    assert.deepEqual(unfiltered(inflateSync(fdats[2].data.subarray(4))), frames[3], 'fdAT carries each frame');
+    assert.deepEqual(await sharp(apng.buffer).raw().toBuffer(), frames[0], 'Plain PNG viewers see the first frame');
+    console.log('✅ GIF, animated WebP and APNG loop every frame');
+
+    console.log('\n🎉 All sprite animation tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Sprite animation tests failed:', error);
+    process.exit(1);
+});
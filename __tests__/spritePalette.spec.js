@@ -0,0 +1,125 @@
+/**
+ * __tests__/spritePalette.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for master palette selection, remapping and ordered dithering
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import {
+    loadPaletteOptions,
+    hexToRgb,
+    mergePalettes,
+    resolvePalette,
+    remapToPalette
+} from '../scripts/spritePalette.js';
+import { buildSprite } from '../scripts/pixelGrid.js';
+import { masterPalettes, traitCategories } from '../utils/metadata-definitions.js';
+import { renderSpritePixels } from '../scripts/proceduralSprite.js';
+
+const traits = [
+    { trait_type: 'Breed', value: 'Bengal' },
+    { trait_type: 'Element', value: 'Fire' },
+    { trait_type: 'Weapon', value: 'Katana' }
+];
+
+/**
+ * Distinct "#rrggbb" colours in raw RGB data
+ */
+function colorsIn(data) {
+    const colors = new Set();
+    for (let i = 0; i < data.length; i += 3) {
+        colors.add('#' + [data[i], data[i + 1], data[i + 2]].map(v => v.toString(16).padStart(2, '0')).join(''));
+    }
+    return colors;
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running sprite palette tests...\n');
+
+    // Test 1: Built-in palettes
+    console.log('Test 1: Master palettes...');
+    for (const { value } of traitCategories.elements) {
+        assert.equal(masterPalettes.elements[value]?.length, 16, `${value} has a 16-colour palette`);
+    }
+    for (const { value } of traitCategories.breeds) {
+        assert.equal(masterPalettes.breeds[value]?.length, 16, `${value} has a 16-colour palette`);
+    }
+    assert.deepEqual(hexToRgb('#E04A1C'), [224, 74, 28]);
+    assert.throws(() => hexToRgb('red'), /Invalid palette colour/);
+    console.log('✅ Every element and breed has 16 colours');
+
+    // Test 2: Picking a palette
+    console.log('\nTest 2: resolvePalette...');
+    const fire = resolvePalette(traits, { mode: 'element', dither: 'none' });
+    assert.equal(fire.name, 'Fire');
+    assert.equal(fire.source, 'element');
+    assert.deepEqual(fire.colors, masterPalettes.elements.Fire);
+    assert.equal(resolvePalette(traits, { mode: 'breed', dither: 'ordered' }).name, 'Bengal');
+    assert.equal(resolvePalette(traits, { mode: 'off' }), null);
+    assert.equal(resolvePalette([{ trait_type: 'Element', value: 'Plasma' }], { mode: 'element' }), null);
+    assert.deepEqual(loadPaletteOptions({}), { mode: 'element', dither: 'none', palettesFile: null });
+    assert.throws(() => loadPaletteOptions({ SPRITE_PALETTE: 'rank' }), /SPRITE_PALETTE must be one of/);
+    assert.throws(() => loadPaletteOptions({ SPRITE_DITHER: 'floyd' }), /SPRITE_DITHER must be one of/);
+    console.log('✅ Palette follows the Element (or Breed) trait');
+
+    // Test 3: Override files
+    console.log('\nTest 3: SPRITE_PALETTES_FILE...');
+    const merged = mergePalettes({ elements: { Fire: ['#000000', '#FFFFFF'], Plasma: ['#ff00ff', '#00ffff'] } });
+    assert.deepEqual(merged.elements.Fire, ['#000000', '#ffffff']);
+    assert.ok(merged.elements.Plasma);
+    assert.equal(merged.elements.Water, masterPalettes.elements.Water, 'Untouched palettes stay');
+    assert.throws(() => mergePalettes({ breeds: { Tabby: ['#000000'] } }), /needs 2-256 colours/);
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'palettes-'));
+    const file = path.join(dir, 'palettes.json');
+    await fs.writeFile(file, JSON.stringify({ elements: { Fire: ['#111111', '#eeeeee'] } }));
+    assert.deepEqual(resolvePalette(traits, { mode: 'element', dither: 'none', palettesFile: file }).colors, ['#111111', '#eeeeee']);
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('✅ Palettes can be added or replaced from JSON');
+
+    // Test 4: Remapping
+    console.log('\nTest 4: remapToPalette...');
+    const palette = ['#000000', '#ffffff'];
+    const pixels = Buffer.from([0, 0, 0, 250, 250, 250, 40, 30, 20, 200, 210, 190]);
+    assert.deepEqual([...remapToPalette(pixels, { width: 4, height: 1 }, palette)],
+        [0, 0, 0, 255, 255, 255, 0, 0, 0, 255, 255, 255]);
+
+    // A flat mid-grey lands on one colour without dithering, a checker-ish mix with it
+    const grey = Buffer.alloc(8 * 8 * 3, 128);
+    const flat = colorsIn(remapToPalette(grey, { width: 8, height: 8 }, palette));
+    assert.equal(flat.size, 1);
+    const dithered = remapToPalette(grey, { width: 8, height: 8 }, palette, { dither: 'ordered' });
+    assert.deepEqual(colorsIn(dithered), new Set(palette));
+    const whites = dithered.filter((value, i) => i % 3 === 0 && value === 255).length;
+    assert.equal(whites, 32, 'Half the pixels go each way');
+    console.log('✅ Nearest-colour remap, Bayer dithering for in-between shades');
+
+    // Test 5: Sprites only use the palette
+    console.log('\nTest 5: buildSprite with a palette...');
+    const sprite = renderSpritePixels({ traits, seed: 77 });
+    const big = await sharp(sprite.pixels, { raw: { width: 32, height: 32, channels: 3 } })
+        .resize(512, 512, { kernel: 'nearest' }).png().toBuffer();
+    for (const dither of ['none', 'ordered']) {
+        const built = await buildSprite(big, { palette: fire.colors, dither });
+        const nativeColors = colorsIn(await sharp(built.native.buffer).raw().toBuffer());
+        const displayColors = colorsIn(await sharp(built.display.buffer).raw().toBuffer());
+        for (const color of [...nativeColors, ...displayColors]) {
+            assert.ok(fire.colors.includes(color), `${color} is in the Fire palette (${dither})`);
+        }
+    }
+    console.log('✅ Native and display PNGs use only Fire colours');
+
+    console.log('\n🎉 All sprite palette tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Sprite palette tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,161 @@
+/**
+ * __tests__/storageBackends.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for local CID computation, CAR export and the storage backend
+ * chain behind finalizeMint's uploadToIPFS()
+ */
+
+import { strict as assert } from 'assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { encodeFile, computeCid, encodeCar, decodeCar, extractFile, cidFromString, cidToString } from '../scripts/unixfs.js';
+import {
+    getStorageBackends,
+    storeFile,
+    exportCarFile,
+    PinataBackend,
+    W3upBackend,
+    LocalIpfsBackend,
+    LocalFileBackend
+} from '../scripts/storageBackends.js';
+
+const HELLO = Buffer.from('hello world\n');
+
+/**
+ * A backend that records its calls and answers with a fixed result or error
+ */
+function fakeBackend(name, answer) {
+    return {
+        name,
+        configured: true,
+        calls: [],
+        async put(content) {
+            this.calls.push(content.cid);
+            if (answer instanceof Error) throw answer;
+            return typeof answer === 'function' ? answer(content) : answer;
+        }
+    };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running storage backend tests...\n');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+
+    // Test 1: CIDs match `ipfs add --cid-version=1 --wrap-with-directory`
+    console.log('Test 1: Local CIDs...');
+    const hello = encodeFile(HELLO, 'hello.txt');
+    assert.equal(hello.fileCid, 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4', 'One chunk is a raw leaf');
+    assert.equal(hello.cid, 'bafybeidhkumeonuwkebh2i4fc7o7lguehauradvlk57gzake6ggjsy372a', 'Wrapped in a directory');
+    assert.equal(hello.blocks.length, 2);
+    assert.equal(computeCid(Buffer.alloc(0), 'empty.png'), 'bafybeigi2ehc4zbydaujhj26o6d4j7qox7aaxcpdnesj3zxvtoqu6trooe');
+
+    const big = Buffer.alloc(5000);
+    for (let i = 0; i < big.length; i++) big[i] = i % 251;
+    const tree = encodeFile(big, '7.json', { chunkSize: 1024, maxLinks: 4 });
+    assert.equal(tree.fileCid, 'bafybeieclpgkmo3vvdgfh4v7iqdwy25fjyz37sd2cf7k7lje3hycz6wp7e', 'Balanced tree over the chunks');
+    assert.equal(tree.cid, 'bafybeibksfuhwyfw66qw6umpopshsmi7bm2dapwux4mbt5jibfodf45cky');
+    assert.equal(tree.blocks.length, 1 + 5 + 2 + 1, 'Directory, 5 leaves, 2 parents, file root');
+    assert.notEqual(computeCid(HELLO, 'other.txt'), hello.cid, 'The filename is part of the directory');
+    assert.deepEqual(cidFromString(hello.cid), hello.root);
+    assert.throws(() => encodeFile(HELLO, 'a/b.txt'), /plain name/);
+    console.log('✅ CIDs are known before upload');
+
+    // Test 2: CAR round trip
+    console.log('\nTest 2: CAR export...');
+    const car = decodeCar(encodeCar(tree.root, tree.blocks));
+    assert.deepEqual(car.roots, [tree.cid]);
+    assert.deepEqual(car.blocks.map(block => block.cid), tree.blocks.map(block => cidToString(block.cid)));
+    assert.deepEqual(extractFile(encodeCar(tree.root, tree.blocks)), { cid: tree.cid, filename: '7.json', bytes: big }, 'The file comes back out');
+    const broken = encodeCar(hello.root, hello.blocks);
+    broken[broken.length - 1] ^= 1;
+    assert.throws(() => decodeCar(broken), /does not match its CID/);
+
+    const filePath = path.join(dir, 'hello.txt');
+    await fs.writeFile(filePath, HELLO);
+    const exported = await exportCarFile(filePath, path.join(dir, 'cars'));
+    assert.equal(exported.cid, hello.cid);
+    assert.equal(path.basename(exported.carPath), `${hello.cid}.car`);
+    assert.deepEqual(decodeCar(await fs.readFile(exported.carPath)).roots, [hello.cid]);
+    console.log('✅ Uploads export as verifiable CARs');
+
+    // Test 3: Backend selection
+    console.log('\nTest 3: getStorageBackends...');
+    assert.deepEqual(getStorageBackends({}).map(backend => backend.name), ['pinata', 'w3up', 'local']);
+    assert.deepEqual(getStorageBackends({ STORAGE_BACKENDS: ' local-ipfs , Local' }).map(backend => backend.name), ['local-ipfs', 'local']);
+    assert.throws(() => getStorageBackends({ STORAGE_BACKENDS: 'pinata,s3' }), /STORAGE_BACKENDS must list/);
+    assert.equal(new PinataBackend({ apiKey: 'key' }).configured, false, 'Pinata needs both keys');
+    console.log('✅ Backends come from STORAGE_BACKENDS');
+
+    // Test 4: Fallback and verification
+    console.log('\nTest 4: storeFile...');
+    const down = fakeBackend('down', new Error('503'));
+    const wrong = fakeBackend('wrong', { cid: 'bafkwrong', url: 'https://ipfs.io/ipfs/bafkwrong/hello.txt' });
+    const local = new LocalIpfsBackend({ dir: path.join(dir, 'ipfs'), baseUrl: 'http://localhost:5000/' });
+    const never = fakeBackend('never', new Error('not reached'));
+    const stored = await storeFile(filePath, { name: 'hello', backends: [down, wrong, local, never], carDir: path.join(dir, 'exports') });
+    assert.deepEqual([down.calls, wrong.calls, never.calls], [[hello.cid], [hello.cid], []]);
+    assert.equal(stored.backend, 'local-ipfs', 'A backend that pinned another CID does not count');
+    assert.equal(stored.url, `http://localhost:5000/ipfs/${hello.cid}/hello.txt`);
+    assert.deepEqual(await fs.readFile(path.join(dir, 'ipfs', hello.cid, 'hello.txt')), HELLO);
+    assert.deepEqual(decodeCar(await fs.readFile(path.join(dir, 'ipfs', `${hello.cid}.car`))).roots, [hello.cid]);
+    assert.equal(stored.carPath, path.join(dir, 'exports', `${hello.cid}.car`));
+
+    const images = new LocalFileBackend({ dir: path.join(dir, 'images'), baseUrl: 'https://cats.example' });
+    const fallback = await storeFile(filePath, { backends: [{ ...down, configured: false }, images], carDir: null });
+    assert.equal(fallback.url, `https://cats.example/images/${hello.cid}-hello.txt`, 'Local copies are named by CID');
+    assert.equal(fallback.carPath, null);
+
+    await assert.rejects(storeFile(filePath, { backends: [down, wrong] }),
+        /No storage backend stored hello.txt \(down: 503; wrong: pinned bafkwrong, expected bafy/);
+    console.log('✅ First backend that pins the computed CID wins');
+
+    // Test 5: Pinata and w3up requests
+    console.log('\nTest 5: Remote backends...');
+    const originalFetch = globalThis.fetch;
+    let request;
+    globalThis.fetch = async (url, options) => {
+        request = { url, options };
+        return { ok: true, json: async () => ({ IpfsHash: hello.cid }) };
+    };
+    try {
+        const pinata = new PinataBackend({ apiKey: 'key', secretKey: 'secret' });
+        const pinned = await storeFile(filePath, { name: 'hello-7', backends: [pinata], carDir: null });
+        assert.equal(pinned.url, `https://ipfs.io/ipfs/${hello.cid}/hello.txt`);
+        assert.equal(request.options.headers.pinata_api_key, 'key');
+        assert.deepEqual(JSON.parse(request.options.body.get('pinataOptions')), { cidVersion: 1, wrapWithDirectory: true });
+        assert.equal(request.options.body.get('file').name, 'hello.txt');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+
+    const uploaded = [];
+    const client = {
+        space: null,
+        async setCurrentSpace(did) { this.space = did; },
+        currentSpace() { return this.space; },
+        async uploadCAR(blob) {
+            const { roots } = decodeCar(Buffer.from(await blob.arrayBuffer()));
+            uploaded.push(roots[0]);
+            return { toString: () => roots[0] };
+        }
+    };
+    const w3up = new W3upBackend({ space: 'did:key:z6Mkcats', createClient: async () => client });
+    const viaW3up = await storeFile(filePath, { backends: [w3up], carDir: null });
+    assert.deepEqual(uploaded, [hello.cid], 'w3up gets our CAR');
+    assert.equal(viaW3up.url, `https://ipfs.io/ipfs/${hello.cid}/hello.txt`);
+    const spaceless = new W3upBackend({ space: null, createClient: async () => ({ ...client, space: null }) });
+    await assert.rejects(spaceless.put(hello), /no space/);
+    console.log('✅ Pinata is asked for our layout, w3up uploads our CAR');
+
+    await fs.rm(dir, { recursive: true, force: true });
+    console.log('\n🎉 All storage backend tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Storage backend tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,55 @@
+/**
+ * __tests__/supabaseTaskManager.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for scripts/supabaseTaskManager.js against its in-memory
+ * stand-in for the Supabase client
+ */
+
+import { strict as assert } from 'assert';
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running task manager tests...\n');
+
+    // The task manager picks its client at import time
+    delete process.env.SUPABASE_URL;
+    delete process.env.SUPABASE_ANON_KEY;
+    const { createTask, completeTask, getTaskStatus, TASK_STATES } = await import('../scripts/supabaseTaskManager.js');
+
+    // Test 1: Provider fallback on completion
+    console.log('Test 1: completeTask with a fallback provider...');
+    const fallback = { reason: 'dall-e: rate limited', chain: ['dall-e', 'stability'] };
+    const taskId = await createTask(7, 'dall-e', { breed: 'Tabby' });
+    await completeTask(taskId, {
+        tokenURI: 'https://ipfs.io/ipfs/bafy/7.json',
+        provider: 'stability',
+        requestedProvider: 'dall-e',
+        fallback
+    });
+    const task = await getTaskStatus(taskId);
+    assert.equal(task.status, TASK_STATES.COMPLETED);
+    assert.equal(task.provider, 'stability');
+    assert.equal(task.requested_provider, 'dall-e');
+    assert.deepEqual(task.provider_fallback, fallback);
+    assert.equal(task.message, 'Task completed with fallback provider stability');
+    console.log('✅ The requested provider and fallback reason reach the tasks row');
+
+    // Test 2: No fallback, nothing extra written
+    console.log('\nTest 2: completeTask without a fallback...');
+    const plainId = await createTask(8, 'procedural');
+    await completeTask(plainId, { tokenURI: 'https://ipfs.io/ipfs/bafy/8.json', provider: 'procedural' });
+    const plain = await getTaskStatus(plainId);
+    assert.equal(plain.status, TASK_STATES.COMPLETED);
+    assert.equal(plain.requested_provider, undefined);
+    assert.equal(plain.provider_fallback, undefined);
+    console.log('✅ Tasks on their own provider carry no fallback');
+
+    console.log('\n🎉 All task manager tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Task manager tests failed:', error);
+    process.exit(1);
+});
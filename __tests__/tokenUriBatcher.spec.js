@@ -0,0 +1,125 @@
+/**
+ * __tests__/tokenUriBatcher.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for batched setTokenURI writes with multicall + sequential fallback
+ */
+
+import { strict as assert } from 'assert';
+import { ethers } from 'ethers';
+import { TokenUriBatcher } from '../scripts/tokenUriBatcher.js';
+
+// setTokenURI + multicall fragments from MINT_ABI in scripts/mintPipeline.js
+const iface = new ethers.Interface([
+    'function setTokenURI(uint256,string)',
+    'function multicall(bytes[] data) returns (bytes[] results)'
+]);
+
+/**
+ * Fake contract + transaction manager. `hasMulticall` toggles support,
+ * `badTokens` makes setTokenURI (and any multicall containing it) revert.
+ */
+function fakeContract({ hasMulticall = true, badTokens = [] } = {}) {
+    const sent = [];
+    const nft = {
+        interface: iface,
+        getFunction: name => ({
+            staticCall: async () => {
+                if (name === 'multicall' && !hasMulticall) throw new Error('execution reverted');
+                return [];
+            }
+        })
+    };
+    const txManager = {
+        send: async (contract, method, args, { onSent } = {}) => {
+            const hash = `0x${sent.length}`;
+            const tokenIds = method === 'multicall'
+                ? args[0].map(data => Number(iface.decodeFunctionData('setTokenURI', data)[0]))
+                : [args[0]];
+            sent.push({ method, tokenIds });
+            await onSent?.(hash, { nonce: sent.length - 1, replaces: null });
+            if (tokenIds.some(id => badTokens.includes(id))) {
+                throw new Error(`Transaction ${hash} reverted`);
+            }
+            return { hash, receipt: { hash, status: 1, blockNumber: 100 + sent.length } };
+        }
+    };
+    return { nft, txManager, sent };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running token URI batcher tests...\n');
+
+    // Test 1: Full batch goes out as one multicall
+    console.log('Test 1: Multicall batch...');
+    const multi = fakeContract();
+    const batcher = new TokenUriBatcher(multi.nft, { txManager: multi.txManager, batchSize: 3, flushMs: 60000 });
+    const hashes = [];
+    const results = await Promise.all([1, 2, 3].map(id => batcher.add(id, `ipfs://meta/${id}.json`, {
+        onSent: (hash, info) => hashes.push({ id, hash, batched: info.batched })
+    })));
+
+    assert.deepEqual(multi.sent, [{ method: 'multicall', tokenIds: [1, 2, 3] }]);
+    assert.ok(results.every(result => result.batched && result.hash === '0x0'));
+    assert.equal(hashes.length, 3, 'Every token records the batch hash');
+    assert.ok(hashes.every(entry => entry.batched));
+    assert.equal(batcher.confirmation(2).tokenURI, 'ipfs://meta/2.json');
+    assert.deepEqual(batcher.lastFlush.confirmed, [1, 2, 3]);
+    console.log('✅ Filled batch flushed as one multicall transaction');
+
+    // Test 2: Timer flush, and a single token skips multicall
+    console.log('\nTest 2: Timed flush...');
+    const timed = new TokenUriBatcher(multi.nft, { txManager: multi.txManager, batchSize: 10, flushMs: 20 });
+    const single = await timed.add(4, 'ipfs://meta/4.json');
+    assert.equal(single.batched, false);
+    assert.deepEqual(multi.sent[1], { method: 'setTokenURI', tokenIds: [4] });
+    assert.equal(timed.size, 0);
+    console.log('✅ Partial batch flushed after the interval');
+
+    // Test 3: Contract without multicall
+    console.log('\nTest 3: Sequential fallback...');
+    const plain = fakeContract({ hasMulticall: false });
+    const sequential = new TokenUriBatcher(plain.nft, { txManager: plain.txManager, batchSize: 5, flushMs: 60000 });
+    const pending = [5, 6].map(id => sequential.add(id, `ipfs://meta/${id}.json`));
+    const report = await sequential.flush();
+    await Promise.all(pending);
+    assert.equal(report.mode, 'sequential');
+    assert.equal(sequential.multicallSupported, false);
+    assert.deepEqual(plain.sent.map(tx => tx.method), ['setTokenURI', 'setTokenURI']);
+    assert.deepEqual(report.confirmed, [5, 6]);
+    console.log('✅ One setTokenURI per token when multicall is missing');
+
+    // Test 4: Reverted multicall is retried token by token
+    console.log('\nTest 4: Partial failure...');
+    const flaky = fakeContract({ badTokens: [8] });
+    const retrying = new TokenUriBatcher(flaky.nft, { txManager: flaky.txManager, batchSize: 5, flushMs: 60000 });
+    const outcomes = [7, 8, 9].map(id => retrying.add(id, `ipfs://meta/${id}.json`).then(
+        result => ({ id, ok: true, batched: result.batched }),
+        err => ({ id, ok: false, error: err.message })
+    ));
+    const flakyReport = await retrying.flush();
+    const settled = await Promise.all(outcomes);
+
+    assert.equal(flakyReport.mode, 'multicall+sequential');
+    assert.deepEqual(flakyReport.confirmed, [7, 9]);
+    assert.deepEqual(flakyReport.failed.map(entry => entry.tokenId), [8]);
+    assert.deepEqual(settled.map(entry => entry.ok), [true, false, true]);
+    assert.equal(retrying.confirmation(8), null, 'Failed token is not recorded as confirmed');
+    console.log('✅ One bad token only fails itself');
+
+    // Test 5: Forced sequential mode never probes multicall
+    console.log('\nTest 5: Sequential mode...');
+    const forced = new TokenUriBatcher(multi.nft, { txManager: multi.txManager, mode: 'sequential', batchSize: 2 });
+    await Promise.all([10, 11].map(id => forced.add(id, `ipfs://meta/${id}.json`)));
+    assert.deepEqual(multi.sent.slice(-2).map(tx => tx.method), ['setTokenURI', 'setTokenURI']);
+    console.log('✅ TOKEN_URI_BATCH_MODE=sequential is respected');
+
+    console.log('\n🎉 All token URI batcher tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Token URI batcher tests failed:', error);
+    process.exit(1);
+});
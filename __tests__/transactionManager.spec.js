@@ -0,0 +1,175 @@
+/**
+ * __tests__/transactionManager.spec.js
+ * ───────────────────────────────────────────────────────────────
+ * Tests for nonce serialization, gas strategy and stuck-tx replacement.
+ *
+ * Tests 1-4 use an in-memory chain. Test 5 runs against a real node
+ * when HARDHAT_RPC_URL is set, e.g.:
+ *
+ *   npx hardhat node
+ *   HARDHAT_RPC_URL=http://127.0.0.1:8545 node __tests__/transactionManager.spec.js
+ */
+
+import { strict as assert } from 'assert';
+import { ethers } from 'ethers';
+import { TransactionManager } from '../scripts/transactionManager.js';
+
+const gwei = value => ethers.parseUnits(String(value), 'gwei');
+
+/**
+ * In-memory chain: transactions are mined only when `mine()` is called
+ */
+function fakeChain({ feeData }) {
+    const chain = {
+        confirmedNonce: 0,
+        pool: new Map(), // nonce → tx
+        receipts: new Map(),
+        sent: [],
+        stealNonce: false,
+        mine() {
+            for (const [nonce, tx] of [...this.pool].sort((a, b) => a[0] - b[0])) {
+                if (nonce !== this.confirmedNonce) break;
+                this.receipts.set(tx.hash, { hash: tx.hash, status: 1, blockNumber: 1 });
+                this.pool.delete(nonce);
+                this.confirmedNonce++;
+            }
+        }
+    };
+
+    const provider = {
+        getFeeData: async () => feeData,
+        getTransactionCount: async (address, tag) => (tag === 'pending' ? chain.confirmedNonce + chain.pool.size : chain.confirmedNonce),
+        getTransactionReceipt: async hash => chain.receipts.get(hash) || null,
+        waitForTransaction: async hash => {
+            const receipt = chain.receipts.get(hash);
+            if (receipt) return receipt;
+            throw ethers.makeError('timeout', 'TIMEOUT');
+        }
+    };
+
+    const signer = {
+        provider,
+        getAddress: async () => '0x0000000000000000000000000000000000000001',
+        sendTransaction: async tx => {
+            if (chain.stealNonce) {
+                // Another process grabs the nonce first
+                chain.stealNonce = false;
+                chain.pool.set(tx.nonce, { hash: `0xother${tx.nonce}` });
+                throw ethers.makeError('nonce has already been used', 'NONCE_EXPIRED');
+            }
+            if (tx.nonce < chain.confirmedNonce) {
+                throw ethers.makeError('nonce too low', 'NONCE_EXPIRED');
+            }
+            const hash = `0xtx${chain.sent.length}`;
+            chain.sent.push({ ...tx, hash });
+            chain.pool.set(tx.nonce, { hash });
+            return { hash };
+        }
+    };
+
+    return { chain, signer };
+}
+
+/**
+ * Simple test runner since we don't have a testing framework
+ */
+async function runTests() {
+    console.log('🧪 Running transaction manager tests...\n');
+
+    // Test 1: Concurrent sends get consecutive nonces
+    console.log('Test 1: Nonce serialization...');
+    const eip = fakeChain({ feeData: { maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2), gasPrice: gwei(20) } });
+    const manager = new TransactionManager(eip.signer, { feeMultiplier: 1, replaceAfterMs: 10, maxReplacements: 2 });
+    await Promise.all([
+        manager.broadcast({ to: '0x02' }),
+        manager.broadcast({ to: '0x03' }),
+        manager.broadcast({ to: '0x04' })
+    ]);
+    assert.deepEqual(eip.chain.sent.map(tx => tx.nonce), [0, 1, 2]);
+    eip.chain.mine();
+    console.log('✅ Concurrent sends never share a nonce');
+
+    // Test 2: Gas strategy
+    console.log('\nTest 2: Gas strategy...');
+    const fees = await manager.feeOverrides();
+    assert.deepEqual(fees, { type: 2, maxFeePerGas: gwei(30), maxPriorityFeePerGas: gwei(2) });
+
+    const legacy = fakeChain({ feeData: { maxFeePerGas: null, maxPriorityFeePerGas: null, gasPrice: gwei(20) } });
+    const legacyManager = new TransactionManager(legacy.signer, { feeMultiplier: 1.5 });
+    assert.deepEqual(await legacyManager.feeOverrides(), { type: 0, gasPrice: gwei(30) });
+
+    const fixed = new TransactionManager(legacy.signer, { strategy: 'eip1559', maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(3) });
+    assert.deepEqual(await fixed.feeOverrides(), { type: 2, maxFeePerGas: gwei(50), maxPriorityFeePerGas: gwei(3) });
+    console.log('✅ EIP-1559 when supported, legacy otherwise, env values win');
+
+    // Test 3: Stuck transaction is replaced with bumped fees
+    console.log('\nTest 3: Stuck transaction replacement...');
+    const recorded = [];
+    const pending = manager.sendTransaction({ to: '0x05' }, {
+        onSent: (hash, info) => {
+            recorded.push({ hash, ...info });
+            // Only the replacement gets mined
+            if (info.replaces) eip.chain.mine();
+        }
+    });
+    const result = await pending;
+    assert.equal(recorded.length, 2, 'Original and replacement hashes are both reported');
+    assert.equal(recorded[1].replaces, recorded[0].hash);
+    assert.equal(recorded[0].nonce, recorded[1].nonce, 'Replacement reuses the nonce');
+    assert.equal(result.hash, recorded[1].hash);
+    const [original, replacement] = eip.chain.sent.slice(-2);
+    assert.equal(replacement.maxFeePerGas, original.maxFeePerGas * 115n / 100n, 'Fees are bumped by 15%');
+
+    const stuck = manager.sendTransaction({ to: '0x06' });
+    await assert.rejects(stuck, /not mined after 2 replacement/);
+    eip.chain.mine();
+    console.log('✅ Stuck transactions are replaced, then given up on');
+
+    // Test 4: Nonce taken by another process
+    console.log('\nTest 4: Nonce collision...');
+    eip.chain.stealNonce = true;
+    const { nonce } = await manager.broadcast({ to: '0x07' });
+    assert.equal(nonce, eip.chain.confirmedNonce + 1, 'Retries with the next free nonce');
+    console.log('✅ Collisions with other senders are retried');
+
+    // Test 5: Real node (optional)
+    if (process.env.HARDHAT_RPC_URL) {
+        console.log('\nTest 5: Local hardhat node...');
+        const provider = new ethers.JsonRpcProvider(process.env.HARDHAT_RPC_URL);
+        // First default hardhat account
+        const wallet = new ethers.Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80', provider);
+        const live = new TransactionManager(wallet, { replaceAfterMs: 500, maxReplacements: 2 });
+
+        await provider.send('evm_setAutomine', [false]);
+        const sent = [];
+        const mined = live.sendTransaction({ to: ethers.ZeroAddress, value: 1n }, {
+            onSent: async (hash, info) => {
+                sent.push(hash);
+                if (info.replaces) await provider.send('evm_mine', []);
+            }
+        });
+        const receipt = await mined;
+        await provider.send('evm_setAutomine', [true]);
+
+        assert.equal(sent.length, 2, 'Pending transaction should be replaced once');
+        assert.equal(receipt.hash, sent[1]);
+        assert.equal(receipt.receipt.status, 1);
+
+        const [a, b] = await Promise.all([
+            live.sendTransaction({ to: ethers.ZeroAddress, value: 1n }),
+            live.sendTransaction({ to: ethers.ZeroAddress, value: 1n })
+        ]);
+        assert.equal(b.nonce, a.nonce + 1);
+        provider.destroy();
+        console.log('✅ Works against a hardhat node');
+    } else {
+        console.log('\nTest 5: skipped (set HARDHAT_RPC_URL to run against a hardhat node)');
+    }
+
+    console.log('\n🎉 All transaction manager tests passed!');
+}
+
+runTests().catch(error => {
+    console.error('❌ Transaction manager tests failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,72 @@
+import { setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
+import { validateTokenId, sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import { getAssetArchive } from '../../scripts/assetArchive.js';
+
+/**
+ * GET /api/archive/:tokenId                       → every archived generation as token-<id>-archive.tar.gz
+ * GET /api/archive/:tokenId?generation=2          → just that generation
+ * GET /api/archive/:tokenId?generation=2&file=x   → one file of it
+ * GET /api/archive/:tokenId?format=json           → the generations' manifests
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        let tokenId;
+        try {
+            tokenId = validateTokenId(req.query.tokenId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        let generation = null;
+        if (req.query.generation !== undefined) {
+            generation = parseInt(req.query.generation, 10);
+            if (!Number.isInteger(generation) || generation < 1) {
+                return res.status(400).json({ error: 'generation must be a positive integer' });
+            }
+        }
+
+        const archive = getAssetArchive();
+
+        if (req.query.format === 'json') {
+            const generations = (await archive.generations(tokenId))
+                .filter(manifest => generation === null || manifest.generation === generation);
+            return res.json({ tokenId, count: generations.length, generations });
+        }
+
+        if (req.query.file) {
+            if (generation === null) {
+                return res.status(400).json({ error: 'file needs a generation' });
+            }
+            const file = await archive.file(tokenId, generation, String(req.query.file));
+            if (!file) {
+                return res.status(404).json({ error: `No ${req.query.file} in generation ${generation} of token ${tokenId}` });
+            }
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+            return res.status(200).send(file.bytes);
+        }
+
+        const bundle = await archive.exportTarGz(tokenId, { generation });
+        if (!bundle) {
+            return res.status(404).json({
+                error: generation === null ? `Nothing archived for token ${tokenId}` : `No generation ${generation} archived for token ${tokenId}`
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+        res.setHeader('X-Archive-Generations', bundle.generations.join(','));
+        res.status(200).send(bundle.bytes);
+    } catch (error) {
+        console.error('Error in /api/archive/:tokenId:', sanitizeForLogging(error.message));
+        res.status(500).json(createSafeErrorResponse(error, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -0,0 +1,65 @@
+import { setCorsHeaders, handleOptions } from '../scripts/serverlessInit.js';
+import { isAdminRequest, sanitizeForLogging, createSafeErrorResponse } from '../scripts/securityUtils.js';
+import { connectBackfillContract, runBackfill } from '../scripts/mintBackfill.js';
+
+// Keep a single request well inside the serverless time limit
+const MAX_BLOCK_RANGE = 50000;
+const DEFAULT_ENUMERATE_LIMIT = 500;
+
+/**
+ * POST /api/backfill
+ * Find tokens stuck on an empty or placeholder tokenURI and enqueue them.
+ * Body: { fromBlock, toBlock } or { enumerate: true, limit }, plus
+ * `dryRun: false` to actually enqueue (dry run is the default). When
+ * enumerating, the stuck tokens' mint events are looked up in the last
+ * MAX_BLOCK_RANGE blocks unless fromBlock / toBlock say otherwise.
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { RPC_URL, CONTRACT_ADDRESS } = process.env;
+        const body = req.body || {};
+        const enumerate = body.enumerate === true;
+        const dryRun = body.dryRun !== false;
+
+        const { provider, nft } = connectBackfillContract({ rpcUrl: RPC_URL, contractAddress: CONTRACT_ADDRESS });
+
+        const toBlock = body.toBlock !== undefined ? parseInt(body.toBlock, 10) : await provider.getBlockNumber();
+        // Enumerated tokens' mint events are looked up in the newest blocks by default
+        const fromBlock = body.fromBlock === undefined && enumerate ?
+            Math.max(0, toBlock - MAX_BLOCK_RANGE) :
+            parseInt(body.fromBlock, 10);
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || fromBlock > toBlock) {
+            return res.status(400).json({ error: 'Invalid block range: fromBlock and toBlock are required' });
+        }
+        if (toBlock - fromBlock > MAX_BLOCK_RANGE) {
+            return res.status(400).json({ error: `Invalid block range: at most ${MAX_BLOCK_RANGE} blocks per request, use the CLI for more` });
+        }
+
+        const report = await runBackfill({
+            nft,
+            fromBlock,
+            toBlock,
+            enumerate,
+            limit: Math.min(parseInt(body.limit, 10) || DEFAULT_ENUMERATE_LIMIT, DEFAULT_ENUMERATE_LIMIT),
+            dryRun
+        });
+
+        res.json({ success: true, ...report });
+    } catch (err) {
+        console.error('Error in /api/backfill:', sanitizeForLogging(err.message));
+        res.status(500).json(createSafeErrorResponse(err, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -0,0 +1,103 @@
+import { setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
+import { isAdminRequest, sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import {
+    getCandidateStore,
+    publicCandidateSet,
+    verifySelectionSignature,
+    SELECTION_STATES
+} from '../../scripts/candidateSelection.js';
+import { mintJobQueue } from '../../scripts/mintJobQueue.js';
+import cronHandler from '../cron.js';
+
+/**
+ * GET  /api/candidates/:taskId → candidate images of a task waiting in AWAITING_SELECTION
+ * POST /api/candidates/:taskId → pick one: { index, signature } where signature is the
+ *   owner's personal_sign of the candidate's `message`, or `Authorization: Bearer <ADMIN_API_KEY>`.
+ *   The picked image is then pinned and written with setTokenURI by the mint queue.
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    try {
+        // Get taskId from URL (Next.js style)
+        const { taskId } = req.query;
+
+        // Basic validation
+        if (!taskId || typeof taskId !== 'string' || taskId.length > 100) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const store = getCandidateStore();
+        const set = await store.get(taskId);
+        if (!set) {
+            return res.status(404).json({ error: `No candidates for task ${taskId}` });
+        }
+
+        if (req.method === 'GET') {
+            return res.json(publicCandidateSet(set));
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const index = Number(req.body?.index);
+        if (!Number.isInteger(index)) {
+            return res.status(400).json({ error: 'index must be a candidate index' });
+        }
+
+        if (!isAdminRequest(req) && !verifySelectionSignature(set, index, req.body?.signature)) {
+            return res.status(401).json({ error: 'Selection must be signed by the wallet that asked for the candidates' });
+        }
+
+        // Picking the same candidate again only re-queues it (e.g. the token had another job running)
+        let selected = set;
+        if (set.status !== SELECTION_STATES.SELECTED || set.selectedIndex !== index) {
+            try {
+                selected = await store.select(taskId, index);
+            } catch (error) {
+                if (error.statusCode) {
+                    return res.status(error.statusCode).json({ error: error.message });
+                }
+                throw error;
+            }
+        }
+
+        const job = await mintJobQueue.enqueue(
+            { ...selected.request, selection: { taskId, index } },
+            { priority: 'high' }
+        );
+        if (job.payload?.selection?.taskId !== taskId) {
+            return res.status(409).json({
+                error: `Token #${selected.tokenId} already has job ${job.id} running - candidate ${index} is selected, try again once it finishes`
+            });
+        }
+
+        console.log(`🗳️ Candidate ${index} picked for #${selected.tokenId} [task ${taskId}], queued as ${job.id}`);
+
+        // Try to pin it right away - the scheduled cron picks it up otherwise
+        try {
+            const cronReq = { method: 'POST', url: '/api/cron', query: {} };
+            const cronRes = {
+                status: (code) => ({ json: (data) => console.log(`Cron returned status ${code}:`, data) }),
+                json: (data) => console.log('Cron completed:', data)
+            };
+            await cronHandler(cronReq, cronRes);
+        } catch (cronError) {
+            console.error('⚠️ Failed to trigger immediate processing:', sanitizeForLogging(cronError.message));
+        }
+
+        res.json({
+            success: true,
+            message: `Candidate ${index} selected for token #${selected.tokenId}`,
+            taskId,
+            jobId: job.id,
+            selection: publicCandidateSet(selected)
+        });
+    } catch (error) {
+        console.error('Error in /api/candidates/:taskId:', sanitizeForLogging(error.message));
+        res.status(500).json(createSafeErrorResponse(error, process.env.NODE_ENV === 'development'));
+    }
+}
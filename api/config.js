@@ -3,6 +3,8 @@
  * Provides safe client-side configuration including Supabase settings
  */
 
+import { loadGatewayOptions } from '../public/js/ipfsGateways.js';
+
 export default function handler(req, res) {
     if (req.method !== 'GET') {
         return res.status(405).json({ error: 'Method not allowed' });
@@ -25,6 +27,8 @@ export default function handler(req, res) {
                 rpcUrl: process.env.RPC_URL || 'https://rpc.vitruveo.xyz',
                 contractAddress: process.env.CONTRACT_ADDRESS || '0x2D732b0Bb33566A13E586aE83fB21d2feE34e906'
             },
+            // Picked up by public/js/ipfsGateways.js
+            ipfs: loadGatewayOptions(process.env),
             features: {
                 supabaseEnabled: !!(process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY),
                 debugMode: process.env.NODE_ENV === 'development'
@@ -1,7 +1,10 @@
-import { ethers } from 'ethers';
-import { finalizeMint } from '../scripts/finalizeMint.js';
-import { createTask, updateTask, completeTask, failTask, getTaskStatus, TASK_STATES } from '../scripts/supabaseTaskManager.js';
-import { normalizeToGatewayUrl } from '../utils/metadata.js';
+import { createTask, getTaskStatus, updateTask, failTask, TASK_STATES } from '../scripts/supabaseTaskManager.js';
+import { connectMintContract, createMintStateStore, runMintPipeline, expireCandidateSelections } from '../scripts/mintPipeline.js';
+import { confirmedHead, detectReorg, recordBlockHash, recordTokenBlock, isOrphaned } from '../scripts/chainReorg.js';
+import { mintJobQueue } from '../scripts/mintJobQueue.js';
+import { TokenUriBatcher } from '../scripts/tokenUriBatcher.js';
+import { backoffDelay } from '../scripts/retryPolicy.js';
+import { providerPreferences } from '../scripts/providerPreferencesManager.js';
 import { createClient } from '@supabase/supabase-js';
 
 // Initialize Supabase client
@@ -15,390 +18,79 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Default state structure for cron system
-const DEFAULT_STATE = {
-    lastProcessedBlock: 0,
-    processedTokens: new Set(),
-    pendingTasks: []
-};
-
-// Supabase state keys
-const STATE_KEYS = {
-    LAST_BLOCK: 'lastProcessedBlock',
-    PROCESSED_TOKENS: 'processedTokens',
-    PENDING_TASKS: 'pendingTasks'
-};
-
-// Create system_state table if it doesn't exist
-// Simplified and more robust table check function
-async function ensureSystemStateTable() {
-    try {
-        console.log('🔧 Checking for system_state table...');
-
-        // Attempt to access the table directly with a simple query
-        // This avoids the empty error message issue
-        const { data, error } = await supabase
-            .from('system_state')
-            .select('key')
-            .limit(1);
-
-        // Handle table not existing
-        if (error && error.code === '42P01') {
-            console.log('⚠️ system_state table does not exist - please create it manually');
-            console.log(`
-                CREATE TABLE public.system_state (
-                    key TEXT PRIMARY KEY,
-                    value JSONB NOT NULL,
-                    created_at TIMESTAMPTZ DEFAULT now(),
-                    updated_at TIMESTAMPTZ DEFAULT now()
-                );
-                
-                ALTER TABLE public.system_state ENABLE ROW LEVEL SECURITY;
-                
-                CREATE POLICY "Allow full access to system_state" 
-                ON public.system_state 
-                FOR ALL 
-                USING (true)
-                WITH CHECK (true);
-            `);
-            return false;
-        }
-        // Other errors (permissions, etc.)
-        else if (error) {
-            console.error('❌ Error checking system_state table:', error);
-            // Continue anyway since the state persistence seems to work
-            return true;
-        }
-
-        console.log('✅ system_state table exists and is accessible');
-        return true;
-    } catch (err) {
-        // Even if there's an error, we'll continue since state persistence works
-        console.error('❌ Error checking system_state table:', err);
-        return true;
-    }
-}
-
-// Get a value from system state
-async function getStateValue(key) {
-    try {
-        const { data, error } = await supabase
-            .from('system_state')
-            .select('value')
-            .eq('key', key)
-            .single();
-
-        if (error) {
-            if (error.code === 'PGRST116') {
-                console.log(`📊 No existing value for ${key}, using default`);
-                return null; // Not found is ok
-            }
-            console.error(`❌ Error fetching ${key}:`, error);
-            return null;
-        }
-
-        return data?.value;
-    } catch (err) {
-        console.error(`❌ Failed to get state for ${key}:`, err);
-        return null;
-    }
-}
-
-// Save a value to system state
-async function saveStateValue(key, value) {
-    try {
-        const { error } = await supabase
-            .from('system_state')
-            .upsert({
-                key,
-                value,
-                updated_at: new Date().toISOString()
-            }, {
-                onConflict: 'key'
-            });
-
-        if (error) {
-            console.error(`❌ Error saving ${key}:`, error);
-            return false;
-        }
-
+// Cron state lives in Supabase system_state unless MINT_STATE_STORE says otherwise;
+// pendingTasks is also written by api/regenerate.js
+const stateStore = createMintStateStore(process.env.MINT_STATE_STORE || 'supabase', {
+    extraKeys: { pendingTasks: [], blockHashes: [], tokenBlocks: {} }
+});
+
+/**
+ * Schedule a backoff retry for a failed pending task, or move it to the
+ * dead-letter list once the failure is permanent or it is out of attempts
+ * @param {Object} taskInfo - pendingTasks entry (updated in place)
+ * @param {Object} result - Failed runMintPipeline result
+ * @returns {Promise<boolean>} True if the task stays in pendingTasks
+ */
+async function handleFailedTask(taskInfo, result) {
+    const previousErrors = taskInfo.errorHistory || [];
+    const attempts = (taskInfo.attempts || 0) + 1;
+    const delay = backoffDelay(attempts);
+
+    // Recorded first so the task still backs off if dead-lettering fails
+    Object.assign(taskInfo, {
+        attempts,
+        nextAttemptAt: Date.now() + delay,
+        errorHistory: [...previousErrors, {
+            attempt: attempts,
+            error: result.error,
+            retryable: result.retryable,
+            reason: result.reason,
+            at: new Date().toISOString()
+        }].slice(-10)
+    });
+
+    if (result.retryable && attempts < mintJobQueue.maxAttempts) {
+        // runMintPipeline marked the task FAILED - reopen it so the status API shows the retry
+        await updateTask(taskInfo.taskId, {
+            status: TASK_STATES.PENDING,
+            message: `Retry ${attempts}/${mintJobQueue.maxAttempts} scheduled in ${Math.round(delay / 1000)}s`
+        });
         return true;
-    } catch (err) {
-        console.error(`❌ Failed to save state for ${key}:`, err);
-        return false;
-    }
-}
-
-// Load cron state from Supabase
-async function loadCronState() {
-    try {
-        // Ensure the system_state table exists
-        await ensureSystemStateTable();
-
-        // Load each part of the state
-        const lastBlock = await getStateValue(STATE_KEYS.LAST_BLOCK) || 0;
-        const processedTokensArray = await getStateValue(STATE_KEYS.PROCESSED_TOKENS) || [];
-        const pendingTasks = await getStateValue(STATE_KEYS.PENDING_TASKS) || [];
-
-        const state = {
-            lastProcessedBlock: lastBlock,
-            processedTokens: new Set(processedTokensArray),
-            pendingTasks
-        };
-
-        console.log(`📊 Loaded state: lastBlock=${state.lastProcessedBlock}, processedTokens=${state.processedTokens.size}, pendingTasks=${state.pendingTasks.length}`);
-        return state;
-    } catch (error) {
-        console.error('❌ Failed to load state from Supabase:', error);
-        return { ...DEFAULT_STATE };
     }
-}
-
-// Save cron state to Supabase
-async function saveCronState(state) {
-    try {
-        // Ensure the system_state table exists
-        await ensureSystemStateTable();
 
-        // Save each part of the state
-        const processedTokensArray = Array.from(state.processedTokens);
-
-        await Promise.all([
-            saveStateValue(STATE_KEYS.LAST_BLOCK, state.lastProcessedBlock),
-            saveStateValue(STATE_KEYS.PROCESSED_TOKENS, processedTokensArray),
-            saveStateValue(STATE_KEYS.PENDING_TASKS, state.pendingTasks)
-        ]);
-
-        console.log(`💾 State saved: lastBlock=${state.lastProcessedBlock}, processedTokens=${state.processedTokens.size}, pendingTasks=${state.pendingTasks.length}`);
-        return true;
-    } catch (error) {
-        console.error('❌ Failed to save state to Supabase:', error);
-        return false;
-    }
+    const { tokenId, breed, buyer, imageProvider, promptExtras, negativePrompt, providerOptions, preferencePending, isRegeneration, forceProcess } = taskInfo;
+    await mintJobQueue.deadLetter(
+        { tokenId, breed, buyer, imageProvider, promptExtras, negativePrompt, providerOptions, preferencePending, isRegeneration, forceProcess },
+        result.error,
+        { taskId: taskInfo.taskId, attempts, errorHistory: previousErrors, reason: result.reason }
+    );
+    return false;
 }
 
-// Process a single pending task
-// Process a single pending task
-async function processSingleTask(nft, taskInfo, state) {
-    const { tokenId, breed, buyer, taskId } = taskInfo;
-    const id = Number(tokenId);
-
-    // Extract regeneration-specific parameters
-    const isRegeneration = taskInfo.isRegeneration || false;
-    const promptExtras = taskInfo.promptExtras || '';
-    const negativePrompt = taskInfo.negativePrompt || '';
-    const forceProcess = taskInfo.forceProcess || isRegeneration;
-
-    console.log(`⚙️ Processing task ${taskId} for token #${id} (${breed}) by ${buyer}`);
-
-    try {
-        // Update task status
-        await updateTask(taskId, {
-            status: TASK_STATES.PROCESSING,
-            progress: 10,
-            message: isRegeneration ? 'Starting NFT regeneration' : 'Starting NFT generation'
+/**
+ * Drop pending tasks and cancel queued jobs whose MintRequested event was in
+ * a block a chain reorg orphaned - the rescan queues the token again if its
+ * event lands in the new chain
+ * @param {Object} reorg - Result of detectReorg()
+ * @param {Object} state - Cron state (pendingTasks is updated in place)
+ * @returns {Promise<string[]>} Result lines
+ */
+async function cancelOrphanedWork(reorg, state) {
+    const lines = [];
+    const orphaned = state.pendingTasks.filter(taskInfo => isOrphaned(reorg, taskInfo));
+    for (const taskInfo of orphaned) {
+        const error = new Error(`Cancelled: MintRequested for #${taskInfo.tokenId} in block ${taskInfo.blockNumber} was orphaned by a chain reorg at block ${reorg.forkBlock}`);
+        await failTask(taskInfo.taskId, error).catch(err => {
+            console.warn(`⚠️ Could not mark task ${taskInfo.taskId} cancelled: ${err.message}`);
         });
+        lines.push(`🔀 Cancelled task ${taskInfo.taskId} for token #${taskInfo.tokenId}, its block was reorged out`);
+    }
+    state.pendingTasks = state.pendingTasks.filter(taskInfo => !orphaned.includes(taskInfo));
 
-        // Only skip if already processed AND not a regeneration request
-        if (state.processedTokens.has(id) && !forceProcess) {
-            console.log(`⏭️ Token #${id} already processed, marking task complete`);
-            await completeTask(taskId, { tokenURI: 'already-processed', skipped: true });
-            return { success: true, skipped: true };
-        }
-
-        if (isRegeneration) {
-            console.log(`🔄 Regenerating token #${id} with new image`);
-        }
-
-        // Set placeholder if needed (not for regeneration)
-        if (!isRegeneration) {
-            await updateTask(taskId, {
-                progress: 20,
-                message: 'Setting placeholder image'
-            });
-
-            try {
-                const current = await nft.tokenURI(id).catch(() => '');
-                if (!current || current === '') {
-                    // CRITICAL SAFETY CHECK: Ensure placeholder URI is HTTPS
-                    let placeholderUri = process.env.PLACEHOLDER_URI;
-                    console.log(`🔍 PLACEHOLDER DEBUG: Original placeholder URI: ${placeholderUri}`);
-                    
-                    if (placeholderUri && placeholderUri.startsWith('ipfs://')) {
-                        console.warn(`⚠️ PLACEHOLDER_URI is ipfs:// format, normalizing: ${placeholderUri}`);
-                        placeholderUri = normalizeToGatewayUrl(placeholderUri, 'placeholder.json');
-                        console.log(`🔧 PLACEHOLDER normalized to HTTPS: ${placeholderUri}`);
-                    }
-                    
-                    if (!placeholderUri || !placeholderUri.startsWith('https://')) {
-                        console.error(`❌ PLACEHOLDER_URI is not HTTPS format: ${placeholderUri}`);
-                        throw new Error(`PLACEHOLDER_URI must be HTTPS format, got: ${placeholderUri}`);
-                    }
-                    
-                    const txPH = await nft.setTokenURI(id, placeholderUri);
-                    await txPH.wait();
-                    console.log(`• Placeholder set for token #${id}: ${placeholderUri}`);
-                }
-            } catch (err) {
-                console.error(`• Placeholder failed for token #${id}:`, err);
-                await updateTask(taskId, {
-                    progress: 25,
-                    message: `Warning: Placeholder set failed - ${err.message.substring(0, 100)}`
-                });
-            }
-        }
-
-        // Generate final art and metadata
-        await updateTask(taskId, {
-            progress: 40,
-            message: isRegeneration ? 'Regenerating artwork' : 'Generating artwork and metadata',
-            metadata: {
-                isRegeneration,
-                hasCustomPrompt: !!promptExtras,
-                hasNegativePrompt: !!negativePrompt
-            }
-        });
-
-        console.log(`🔍 CRON DEBUG: About to call finalizeMint with breed: "${breed}"`);
-        console.log('🔍 CRON DEBUG: finalizeMint parameters:', {
-            breed,
-            tokenId: id,
-            imageProvider: taskInfo.imageProvider || process.env.IMAGE_PROVIDER || 'dall-e',
-            promptExtras,
-            negativePrompt,
-            isRegeneration,
-            taskId
-        });
-
-        let result;
-        try {
-            result = await finalizeMint({
-                breed,
-                tokenId: id,
-                imageProvider: taskInfo.imageProvider || process.env.IMAGE_PROVIDER || 'dall-e',
-                promptExtras,
-                negativePrompt,
-                isRegeneration,
-                taskId
-            });
-            console.log('🔍 CRON DEBUG: finalizeMint completed successfully');
-        } catch (finalizeMintError) {
-            console.error('❌ CRON DEBUG: finalizeMint failed:', finalizeMintError);
-            console.error('❌ CRON DEBUG: finalizeMint error stack:', finalizeMintError.stack);
-            throw finalizeMintError;
-        }
-
-        console.log('🔍 CRON DEBUG: finalizeMint result:', {
-            tokenURI: result.tokenURI,
-            provider: result.provider,
-            breed: result.metadata?.attributes?.find(a => a.trait_type === 'Breed')?.value
-        });
-
-        await updateTask(taskId, {
-            progress: 80,
-            message: 'Setting token URI on blockchain'
-        });
-
-        // COMPREHENSIVE URI VALIDATION AND BULLETPROOF NORMALIZATION
-        console.log(`🔍 BEFORE setTokenURI - Raw result.tokenURI: ${result.tokenURI}`);
-        console.log(`🔍 BEFORE setTokenURI - typeof result.tokenURI: ${typeof result.tokenURI}`);
-        console.log(`🔍 BEFORE setTokenURI - result.tokenURI.length: ${result.tokenURI?.length}`);
-        console.log(`🔍 BEFORE setTokenURI - provider used: ${result.provider}`);
-        
-        // Store original for debugging
-        const originalTokenURI = result.tokenURI;
-        
-        // STEP 1: Detect if URI is ipfs:// format
-        if (result.tokenURI.startsWith('ipfs://')) {
-            console.error(`❌ CRITICAL BUG DETECTED: finalizeMint returned ipfs:// URI: ${result.tokenURI}`);
-            console.error(`❌ This indicates the normalization in finalizeMint is not working properly!`);
-            console.error(`❌ Provider used: ${result.provider}`);
-            console.error(`❌ Token ID: ${id}, Breed: ${breed}`);
-            console.error(`❌ Task ID: ${taskId}`);
-            
-            // Apply emergency normalization
-            const fileName = `${id}.json`;
-            result.tokenURI = normalizeToGatewayUrl(result.tokenURI, fileName);
-            console.log(`🔧 EMERGENCY FIX: Converted to HTTPS: ${result.tokenURI}`);
-            
-            // Report this as a critical issue
-            console.error(`❌ BUG REPORT: Original ipfs:// URI was: ${originalTokenURI}`);
-            console.error(`❌ BUG REPORT: Emergency fix applied: ${result.tokenURI}`);
-        }
-        
-        // STEP 2: Ensure URI is valid HTTPS format
-        if (!result.tokenURI || typeof result.tokenURI !== 'string') {
-            console.error(`❌ CRITICAL ERROR: tokenURI is invalid: ${result.tokenURI}`);
-            throw new Error(`TokenURI is invalid: ${result.tokenURI}`);
-        }
-        
-        if (!result.tokenURI.startsWith('https://')) {
-            console.error(`❌ CRITICAL ERROR: tokenURI is not HTTPS format: ${result.tokenURI}`);
-            console.error(`❌ Original URI was: ${originalTokenURI}`);
-            throw new Error(`TokenURI must be HTTPS format, got: ${result.tokenURI}`);
-        }
-        
-        // STEP 3: Additional validation for expected format
-        if (!result.tokenURI.includes('ipfs.io/ipfs/')) {
-            console.warn(`⚠️ WARNING: tokenURI doesn't match expected IPFS gateway format: ${result.tokenURI}`);
-        }
-        
-        // STEP 4: Final validation before blockchain call
-        console.log(`✅ URI VALIDATION PASSED: ${result.tokenURI}`);
-        console.log(`📊 URI Stats: Length=${result.tokenURI.length}, HTTPS=${result.tokenURI.startsWith('https://')}`);
-        
-        if (originalTokenURI !== result.tokenURI) {
-            console.warn(`🔧 URI WAS MODIFIED: Original="${originalTokenURI}" Final="${result.tokenURI}"`);
-        }
-
-        // BULLETPROOF setTokenURI CALL WITH FINAL VALIDATION
-        console.log(`🔗 CALLING setTokenURI with validated URI: ${result.tokenURI}`);
-        console.log(`🔗 Token ID: ${id}, Contract: ${nft.target}`);
-        
-        // Final safety check right before blockchain call
-        if (!result.tokenURI.startsWith('https://ipfs.io/ipfs/')) {
-            console.error(`❌ FINAL CHECK FAILED: URI doesn't match expected gateway format: ${result.tokenURI}`);
-            throw new Error(`Final validation failed: Expected https://ipfs.io/ipfs/ format, got: ${result.tokenURI}`);
-        }
-        
-        let tx, receipt;
-        try {
-            tx = await nft.setTokenURI(id, result.tokenURI);
-            console.log(`✅ setTokenURI transaction sent: ${tx.hash}`);
-            console.log(`📝 Transaction details: tokenId=${id}, uri=${result.tokenURI}`);
-            
-            receipt = await tx.wait();
-            console.log(`✅ setTokenURI confirmed in block: ${receipt.blockNumber}`);
-            console.log(`🎯 FINAL SUCCESS: Token #${id} URI set to: ${result.tokenURI}`);
-        } catch (txError) {
-            console.error(`❌ setTokenURI transaction failed: ${txError.message}`);
-            console.error(`❌ Transaction error details:`, txError);
-            throw new Error(`Failed to set token URI: ${txError.message}`);
-        }
-
-        // Mark as processed
-        state.processedTokens.add(id);
-        console.log(`✅ ${isRegeneration ? 'Regenerated' : 'Finalized'} #${id} → ${result.tokenURI}`);
-
-        // Complete the task with regeneration info if applicable
-        await completeTask(taskId, {
-            tokenURI: result.tokenURI,
-            breed,
-            tokenId: id,
-            transactionHash: tx.hash,
-            provider: result.provider,
-            isRegeneration,
-            promptExtras: promptExtras || undefined,
-            negativePrompt: negativePrompt || undefined
-        });
-
-        return { success: true, tokenURI: result.tokenURI };
-
-    } catch (error) {
-        console.error(`❌ Task ${taskId} failed:`, error);
-        await failTask(taskId, error);
-        return { success: false, error: error.message };
+    for (const job of await mintJobQueue.cancelOrphaned(reorg)) {
+        lines.push(`🔀 Cancelled queued job ${job.id} for token #${job.tokenId}, its block was reorged out`);
     }
+    return lines;
 }
 
 // Define serverless function handler for cron job
@@ -445,41 +137,42 @@ export default async function handler(req, res) {
         }
         console.log('✅ Supabase connection established');
 
-        // Load persistent state with error handling
+        // Load persistent state - a failed load aborts the run rather than resetting the cursor
         console.log('📂 Loading cron state...');
-        const state = await loadCronState();
+        const state = await stateStore.load();
+        console.log(`📊 Loaded state: lastBlock=${state.lastBlock}, processedTokens=${state.processedTokens.size}, pendingTasks=${state.pendingTasks.length}`);
 
         // Initialize blockchain connection
         console.log('🔗 Connecting to blockchain...');
-        const provider = new ethers.JsonRpcProvider(RPC_URL);
-        const signer = new ethers.Wallet(PRIVATE_KEY, provider);
-
-        const abi = [
-            'event MintRequested(uint256 indexed tokenId,address indexed buyer,string breed)',
-            'function tokenURI(uint256) view returns (string)',
-            'function setTokenURI(uint256,string)'
-        ];
-        const nft = new ethers.Contract(CONTRACT_ADDRESS, abi, signer);
-        const eventSig = nft.interface.getEvent('MintRequested').topicHash;
-
-        // Get current block with timeout
+        const { provider, nft, eventSig } = connectMintContract({
+            rpcUrl: RPC_URL,
+            contractAddress: CONTRACT_ADDRESS,
+            privateKey: PRIVATE_KEY
+        });
+
+        // Rewind first if blocks we already scanned were reorged out, and drop the work queued from them
+        const reorg = await detectReorg(provider, state);
+        const cancelled = reorg ? await cancelOrphanedWork(reorg, state) : [];
+
+        // Only scan blocks with enough confirmations
         console.log('🔍 Getting current block number...');
-        const latest = await provider.getBlockNumber();
-        const lastBlock = state.lastProcessedBlock || (latest - 100);
+        const head = confirmedHead(await provider.getBlockNumber());
+        const lastBlock = state.lastBlock || (head - 100);
+        const latest = Math.max(head, lastBlock);
 
         console.log(`🔍 Scanning blocks ${lastBlock + 1} to ${latest} for MintRequested events...`);
 
         // Look for new mint events with detailed logging
-        const logs = await provider.getLogs({
+        const logs = latest > lastBlock ? await provider.getLogs({
             address: CONTRACT_ADDRESS,
             fromBlock: lastBlock + 1,
             toBlock: latest,
             topics: [eventSig]
-        });
+        }) : [];
 
         console.log(`📊 Found ${logs.length} new mint events`);
 
-        const results = [];
+        const results = [...cancelled];
         let newTasksCreated = 0;
 
         // Create tasks for new mint events
@@ -488,6 +181,9 @@ export default async function handler(req, res) {
                 const { tokenId, buyer, breed } = nft.interface.parseLog(log).args;
                 const id = Number(tokenId);
 
+                // Remember the block so the token can be invalidated if it gets orphaned
+                recordTokenBlock(state, id, log);
+
                 // Skip if already processed
                 if (state.processedTokens.has(id)) {
                     console.log(`⏭️ Token #${id} already processed, skipping`);
@@ -496,10 +192,15 @@ export default async function handler(req, res) {
 
                 console.log(`📝 Creating task for token #${id} (${breed}) from buyer ${buyer}`);
 
+                // Stored per-token preference wins over IMAGE_PROVIDER (looked up again at mint time if this fails)
+                const { imageProvider, providerOptions, promptExtras, negativePrompt, fromPreference, preferencePending } =
+                    await providerPreferences.resolve(id, IMAGE_PROVIDER, { defer: true });
+
                 // Create a new task with detailed metadata
-                const taskId = await createTask(id, IMAGE_PROVIDER, {
+                const taskId = await createTask(id, imageProvider, {
                     breed,
                     buyer,
+                    providerOptions,
                     createdFrom: 'cron',
                     blockNumber: log.blockNumber,
                     transactionHash: log.transactionHash,
@@ -512,8 +213,17 @@ export default async function handler(req, res) {
                     breed,
                     buyer,
                     taskId,
+                    imageProvider,
+                    providerOptions,
+                    promptExtras,
+                    negativePrompt,
+                    // Only the default provider follows IMAGE_PROVIDER_FALLBACK
+                    providerChosen: fromPreference,
+                    ...(preferencePending && { preferencePending: true }),
                     createdAt: Date.now(),
-                    blockNumber: log.blockNumber
+                    blockNumber: log.blockNumber,
+                    // Re-checked by runMintPipeline in case the block is reorged out
+                    transactionHash: log.transactionHash
                 });
 
                 newTasksCreated++;
@@ -524,6 +234,15 @@ export default async function handler(req, res) {
             }
         }
 
+        // Close candidate selections nobody answered in time
+        const expiredSelections = await expireCandidateSelections().catch(err => {
+            console.warn(`⚠️ Candidate expiry failed: ${err.message}`);
+            return 0;
+        });
+        if (expiredSelections > 0) {
+            results.push(`⌛ Expired ${expiredSelections} unanswered candidate selection(s)`);
+        }
+
         // Process existing pending tasks (one at a time to avoid timeout)
         let tasksProcessed = 0;
         let taskIndex = 0;
@@ -536,6 +255,13 @@ export default async function handler(req, res) {
             (Date.now() - startTime) < MAX_EXECUTION_TIME) {
 
             const taskInfo = state.pendingTasks[taskIndex];
+
+            // Still backing off after a failure
+            if (taskInfo.nextAttemptAt && taskInfo.nextAttemptAt > Date.now()) {
+                taskIndex++;
+                continue;
+            }
+
             console.log(`⚙️ Processing task ${taskInfo.taskId} for token #${taskInfo.tokenId}...`);
 
             // Check if task is still valid
@@ -556,17 +282,27 @@ export default async function handler(req, res) {
 
             // Process the task
             try {
-                const result = await processSingleTask(nft, taskInfo, state);
+                const result = await runMintPipeline(taskInfo, {
+                    nft,
+                    state,
+                    placeholderUri: PLACEHOLDER_URI,
+                    defaultProvider: IMAGE_PROVIDER
+                });
 
                 if (result.success) {
                     // Remove from pending list
                     state.pendingTasks.splice(taskIndex, 1);
                     tasksProcessed++;
-                    results.push(`✅ Completed task ${taskInfo.taskId} for token #${taskInfo.tokenId}`);
-                } else {
-                    // Keep in pending list for retry, but move to next
+                    results.push(result.awaitingSelection ?
+                        `🗳️ Task ${taskInfo.taskId} for token #${taskInfo.tokenId} is waiting for a candidate selection` :
+                        `✅ Completed task ${taskInfo.taskId} for token #${taskInfo.tokenId}`);
+                } else if (await handleFailedTask(taskInfo, result)) {
+                    // Keep in pending list for a backoff retry, but move to next
                     taskIndex++;
-                    results.push(`❌ Failed task ${taskInfo.taskId} for token #${taskInfo.tokenId}: ${result.error}`);
+                    results.push(`🔁 Failed task ${taskInfo.taskId} for token #${taskInfo.tokenId}, retry ${taskInfo.attempts} scheduled (${result.reason}): ${result.error}`);
+                } else {
+                    state.pendingTasks.splice(taskIndex, 1);
+                    results.push(`☠️ Dead-lettered task ${taskInfo.taskId} for token #${taskInfo.tokenId} (${result.reason}): ${result.error}`);
                 }
             } catch (taskError) {
                 console.error('❌ Task processing error:', taskError);
@@ -581,10 +317,58 @@ export default async function handler(req, res) {
             }
         }
 
+        // Use any time left on durable queue jobs, e.g. dead letters an operator requeued.
+        // Backfill jobs share one tokenURI batch, flushed before this run ends.
+        const tokenUriBatcher = new TokenUriBatcher(nft);
+        const settleJob = async (job, result) => {
+            if (result.awaitingSelection) {
+                await mintJobQueue.awaitSelection(job.id);
+                results.push(`🗳️ Queued job ${job.id} for token #${job.tokenId} is waiting for a candidate selection`);
+            } else if (result.success) {
+                await mintJobQueue.ack(job.id);
+                results.push(`✅ Completed queued job ${job.id} for token #${job.tokenId}`);
+            } else {
+                const retried = await mintJobQueue.retry(job.id, result.error, { retryable: result.retryable, reason: result.reason });
+                results.push(`❌ Queued job ${job.id} for token #${job.tokenId} failed (${retried?.status}): ${result.error}`);
+            }
+        };
+        const batchedJobs = [];
+
+        while (tasksProcessed < maxTasksPerRun && (Date.now() - startTime) < MAX_EXECUTION_TIME) {
+            const job = await mintJobQueue.lease();
+            if (!job) break;
+
+            const result = await runMintPipeline({ ...job.payload, taskId: job.taskId }, {
+                nft,
+                state,
+                placeholderUri: PLACEHOLDER_URI,
+                defaultProvider: IMAGE_PROVIDER,
+                tokenUriBatcher
+            });
+            tasksProcessed++;
+
+            if (result.batched) {
+                batchedJobs.push(result.confirmation.then(final => settleJob(job, final)));
+            } else {
+                await settleJob(job, result);
+            }
+        }
+
+        if (batchedJobs.length > 0) {
+            const batch = await tokenUriBatcher.flush();
+            await Promise.all(batchedJobs);
+            results.push(`📦 Token URI batch (${batch.mode}): ${batch.confirmed.length} confirmed, ${batch.failed.length} failed`);
+        }
+
         // Update state with detailed logging
         console.log('💾 Saving cron state...');
-        state.lastProcessedBlock = latest;
-        await saveCronState(state);
+        if (latest > lastBlock) {
+            const latestInfo = await provider.getBlock(latest);
+            recordBlockHash(state, latest, latestInfo?.hash);
+        }
+        state.lastBlock = latest;
+        await stateStore.save(state);
+        console.log(`💾 State saved: lastBlock=${state.lastBlock}, processedTokens=${state.processedTokens.size}, pendingTasks=${state.pendingTasks.length}`);
 
         const executionTime = Date.now() - startTime;
         const summary = {
@@ -597,6 +381,7 @@ export default async function handler(req, res) {
             tasksProcessed,
             pendingTasksRemaining: state.pendingTasks.length,
             lastProcessedBlock: latest,
+            reorg,
             totalProcessedTokens: state.processedTokens.size,
             environment: {
                 imageProvider: IMAGE_PROVIDER,
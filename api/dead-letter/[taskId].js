@@ -0,0 +1,59 @@
+import { setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
+import { isAdminRequest, sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import { mintJobQueue, JOB_STATES } from '../../scripts/mintJobQueue.js';
+
+/**
+ * GET  /api/dead-letter/:taskId  → full job incl. payload and error history
+ * POST /api/dead-letter/:taskId  → requeue the job with a fresh set of attempts
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+        // Get taskId from URL (Next.js style)
+        const { taskId } = req.query;
+
+        // Basic validation
+        if (!taskId || typeof taskId !== 'string' || taskId.length > 100) {
+            return res.status(400).json({ error: 'Invalid task ID' });
+        }
+
+        const job = await mintJobQueue.get(taskId);
+        if (!job || job.status !== JOB_STATES.DEAD_LETTER) {
+            return res.status(404).json({ error: `No dead-lettered job ${taskId}` });
+        }
+
+        if (req.method === 'GET') {
+            return res.json(job);
+        }
+
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        try {
+            const requeued = await mintJobQueue.requeue(taskId);
+            if (!requeued) {
+                return res.status(404).json({ error: `No dead-lettered job ${taskId}` });
+            }
+            res.json({
+                success: true,
+                message: `Token #${requeued.tokenId} requeued`,
+                job: requeued
+            });
+        } catch (err) {
+            // Token already has an active job
+            res.status(409).json({ error: err.message });
+        }
+    } catch (error) {
+        console.error('Error in /api/dead-letter/:taskId:', sanitizeForLogging(error.message));
+        res.status(500).json(createSafeErrorResponse(error, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -0,0 +1,45 @@
+import { setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
+import { isAdminRequest, sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import { mintJobQueue, JOB_STATES } from '../../scripts/mintJobQueue.js';
+
+/**
+ * GET /api/dead-letter
+ * List mint jobs that failed permanently or ran out of retries.
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const jobs = await mintJobQueue.list({ status: JOB_STATES.DEAD_LETTER });
+
+        res.json({
+            count: jobs.length,
+            jobs: jobs
+                .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt))
+                .map(job => ({
+                    id: job.id,
+                    tokenId: job.tokenId,
+                    breed: job.payload.breed,
+                    imageProvider: job.payload.imageProvider,
+                    attempts: job.attempts,
+                    lastError: job.lastError,
+                    reason: job.errorHistory?.at(-1)?.reason || null,
+                    deadLetteredAt: job.deadLetteredAt
+                }))
+        });
+    } catch (error) {
+        console.error('Error in /api/dead-letter:', sanitizeForLogging(error.message));
+        res.status(500).json(createSafeErrorResponse(error, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -18,7 +18,7 @@ export default async function handler(req, res) {
             {
                 path: '/api/health/detailed',
                 method: 'GET',
-                description: 'Get detailed health check with queue status'
+                description: 'Get detailed health check with queue status and pin health'
             },
             {
                 path: '/api/metrics',
@@ -56,9 +56,53 @@ export default async function handler(req, res) {
                 description: 'Process a specific token ID',
                 query: {
                     breed: "Cat breed (e.g., 'Tabby', 'Bengal')",
-                    imageProvider: 'AI provider to use (dall-e, huggingface, stability)',
+                    imageProvider: 'Image provider to use (dall-e, huggingface, stability, procedural)',
                     promptExtras: 'Additional prompt instructions',
-                    negativePrompt: 'Things to exclude from the image'
+                    negativePrompt: 'Things to exclude from the image',
+                    fallback: "Fallback chain if the provider fails (e.g. 'dall-e -> stability -> procedural'), 'true' for IMAGE_PROVIDER_FALLBACK or 'strict' (default)",
+                    promptTemplate: "Prompt template to use, 'name@version' or 'name' for the latest (defaults to PROMPT_TEMPLATE)"
+                }
+            },
+            {
+                path: '/api/generations/:tokenId',
+                method: 'GET',
+                description: 'Generation history of a token: prompt, negative prompt, provider, model, seed, parameters and timings per run',
+                query: {
+                    limit: 'Max records, newest first (default 20, max 100)'
+                }
+            },
+            {
+                path: '/api/archive/:tokenId',
+                method: 'GET',
+                description: "Download a token's asset archive (every generation's original provider image, sprite, animation and metadata) as a .tar.gz",
+                query: {
+                    generation: 'Only this generation (numbered from 1 per token)',
+                    file: 'With generation: download just this file',
+                    format: "'json' for the generations' manifests instead"
+                }
+            },
+            {
+                path: '/api/regenerate',
+                method: 'POST',
+                description: 'Regenerate the art of a paid-for token',
+                body: {
+                    tokenId: 'Token ID',
+                    breed: 'Cat breed',
+                    imageProvider: 'Image provider to use',
+                    promptExtras: 'Additional prompt instructions',
+                    negativePrompt: 'Things to exclude from the image',
+                    paymentTx: 'Regeneration fee transaction hash',
+                    payer: 'Wallet that paid the fee (the one allowed to pick a candidate)',
+                    candidates: 'Generate this many images (up to MAX_CANDIDATES) and let the payer pick one before pinning (default 1)'
+                }
+            },
+            {
+                path: '/api/candidates/:taskId',
+                method: 'GET, POST',
+                description: 'Candidate images of a task in AWAITING_SELECTION (GET) or pick one to pin (POST); unpicked candidates expire after CANDIDATE_TTL_MS',
+                body: {
+                    index: 'Candidate to pin',
+                    signature: "Owner's personal_sign of the candidate's `message` (not needed with the ADMIN_API_KEY bearer token)"
                 }
             },
             {
@@ -66,6 +110,38 @@ export default async function handler(req, res) {
                 method: 'GET',
                 description: 'Get detailed status of a specific task'
             },
+            {
+                path: '/api/dead-letter',
+                method: 'GET',
+                description: 'List mint jobs that failed permanently or ran out of retries (requires ADMIN_API_KEY bearer token)'
+            },
+            {
+                path: '/api/dead-letter/:taskId',
+                method: 'GET, POST',
+                description: 'Inspect a dead-lettered job and its error history (GET) or requeue it (POST); requires ADMIN_API_KEY bearer token'
+            },
+            {
+                path: '/api/backfill',
+                method: 'POST',
+                description: 'Find tokens stuck on an empty or placeholder tokenURI and enqueue them (requires ADMIN_API_KEY bearer token)',
+                body: {
+                    fromBlock: 'First block to scan for MintRequested events (with enumerate: oldest block to look up mint events in, defaults to 50000 blocks back)',
+                    toBlock: 'Last block to scan (defaults to the latest block)',
+                    enumerate: 'true to walk totalSupply() via tokenByIndex instead of a block range',
+                    limit: 'Max tokens to check when enumerating (up to 500)',
+                    dryRun: 'false to enqueue; defaults to a dry-run report'
+                }
+            },
+            {
+                path: '/api/migrate-metadata',
+                method: 'POST',
+                description: 'Upgrade older tokens to metadata_version 2.0: missing stats, background, rarity and description are regenerated from their traits, validated, pinned and set as the new tokenURI (requires ADMIN_API_KEY bearer token)',
+                body: {
+                    tokenIds: 'Tokens to migrate (up to 100)',
+                    limit: 'Without tokenIds: max tokens to check via totalSupply() (up to 100)',
+                    dryRun: 'false to pin and update tokenURIs; defaults to a dry-run report with a per-token diff'
+                }
+            },
             {
                 path: '/api/docs',
                 method: 'GET',
@@ -87,6 +163,11 @@ export default async function handler(req, res) {
                 id: 'stability',
                 name: 'Stability AI',
                 description: 'Professional quality image generation'
+            },
+            {
+                id: 'procedural',
+                name: 'Procedural (offline)',
+                description: 'Deterministic 32x32 sprite drawn from the traits - no API key or network needed'
             }
         ]
     });
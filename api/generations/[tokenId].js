@@ -0,0 +1,33 @@
+import { setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
+import { validateTokenId, sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import { getGenerationStore } from '../../scripts/generationRecords.js';
+
+/**
+ * GET /api/generations/:tokenId?limit=20 → generation history of a token, newest first
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        let tokenId;
+        try {
+            tokenId = validateTokenId(req.query.tokenId);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const records = await getGenerationStore().history(tokenId, { limit });
+
+        res.json({ tokenId, count: records.length, records });
+    } catch (error) {
+        console.error('Error in /api/generations/:tokenId:', sanitizeForLogging(error.message));
+        res.status(500).json(createSafeErrorResponse(error, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -1,6 +1,7 @@
 import { performHealthCheck } from '../scripts/healthCheck.js';
 import { initializeBlockchain, getUptimeTracker, getEnvVars, setCorsHeaders, handleOptions } from '../scripts/serverlessInit.js';
 import { sanitizeForLogging, createSafeErrorResponse } from '../scripts/securityUtils.js';
+import { providerAvailability } from '../scripts/imageProviders.js';
 
 export default async function handler(req, res) {
     setCorsHeaders(res);
@@ -25,11 +26,7 @@ export default async function handler(req, res) {
             queueLength: mintQueue.length,
             lastProcessed: lastBlock,
             defaultImageProvider: envVars.IMAGE_PROVIDER,
-            availableProviders: {
-                'dall-e': !!process.env.OPENAI_API_KEY,
-                'huggingface': !!process.env.HUGGING_FACE_TOKEN,
-                'stability': !!process.env.STABILITY_API_KEY
-            },
+            availableProviders: providerAvailability(),
             checks: healthCheck.checks,
             stats: {
                 requests: uptimeStats.requests,
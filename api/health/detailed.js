@@ -1,6 +1,8 @@
 import { performHealthCheck } from '../../scripts/healthCheck.js';
 import { initializeBlockchain, getUptimeTracker, setCorsHeaders, handleOptions } from '../../scripts/serverlessInit.js';
 import { sanitizeForLogging, createSafeErrorResponse } from '../../scripts/securityUtils.js';
+import { getPinHealthStore } from '../../scripts/pinHealth.js';
+import { getGatewayResolver } from '../../public/js/ipfsGateways.js';
 
 export default async function handler(req, res) {
     setCorsHeaders(res);
@@ -17,6 +19,12 @@ export default async function handler(req, res) {
         const healthCheck = await performHealthCheck();
         const uptimeStats = uptimeTracker.getStats();
 
+        // Written by the server's pin health monitor (scripts/pinHealth.js)
+        const pinHealth = await getPinHealthStore().summary().catch(err => {
+            console.warn('Could not read pin health:', sanitizeForLogging(err.message));
+            return null;
+        });
+
         res.json({
             ...healthCheck,
             uptime: uptimeStats,
@@ -25,7 +33,10 @@ export default async function handler(req, res) {
                 processing: processingQueue,
                 lastProcessedBlock: lastBlock,
                 processedTokensCount: processedTokens.size
-            }
+            },
+            pinHealth,
+            // As seen by this instance's own metadata fetches
+            ipfsGateways: getGatewayResolver().health()
         });
     } catch (error) {
         const uptimeTracker = getUptimeTracker();
@@ -1,6 +1,7 @@
 import express from 'express';
 import cors from 'cors';
 import { ethers } from 'ethers';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
 // import { finalizeMint } from '../scripts/finalizeMint.js'; // Currently unused
 
 const app = express();
@@ -99,8 +100,7 @@ app.get('/api/kitties', async (req, res) => {
                     metadata = metadataCache[id];
                 } else {
                     const uri = await nft.tokenURI(id);
-                    const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                    metadata = await response.json();
+                    metadata = await getGatewayResolver().fetchJson(uri);
                     metadataCache[id] = metadata;
                 }
 
@@ -150,8 +150,7 @@ app.get('/api/kitties/:id', async (req, res) => {
             metadata = metadataCache[id];
         } else {
             const uri = await nft.tokenURI(id);
-            const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-            metadata = await response.json();
+            metadata = await getGatewayResolver().fetchJson(uri);
             metadataCache[id] = metadata;
         }
 
@@ -203,8 +202,7 @@ app.get('/api/kitties/owner/:address', async (req, res) => {
                 metadata = metadataCache[id];
             } else {
                 const uri = await nft.tokenURI(id);
-                const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                metadata = await response.json();
+                metadata = await getGatewayResolver().fetchJson(uri);
                 metadataCache[id] = metadata;
             }
 
@@ -253,8 +251,7 @@ app.get('/api/marketplace/listings', async (req, res) => {
                     metadata = metadataCache[listing.tokenId];
                 } else {
                     const uri = await nft.tokenURI(listing.tokenId);
-                    const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                    metadata = await response.json();
+                    metadata = await getGatewayResolver().fetchJson(uri);
                     metadataCache[listing.tokenId] = metadata;
                 }
 
@@ -301,8 +298,7 @@ app.get('/api/marketplace/listings/:tokenId', async (req, res) => {
                 metadata = metadataCache[tokenId];
             } else {
                 const uri = await nft.tokenURI(tokenId);
-                const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                metadata = await response.json();
+                metadata = await getGatewayResolver().fetchJson(uri);
                 metadataCache[tokenId] = metadata;
             }
 
@@ -334,8 +330,7 @@ app.get('/api/pricing-info/:tokenId', async (req, res) => {
             metadata = metadataCache[tokenId];
         } else {
             const uri = await nft.tokenURI(tokenId);
-            const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-            metadata = await response.json();
+            metadata = await getGatewayResolver().fetchJson(uri);
             metadataCache[tokenId] = metadata;
         }
 
@@ -354,8 +349,7 @@ app.get('/api/pricing-info/:tokenId', async (req, res) => {
                     listingMetadata = metadataCache[listing.tokenId];
                 } else {
                     const uri = await nft.tokenURI(listing.tokenId);
-                    const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                    listingMetadata = await response.json();
+                    listingMetadata = await getGatewayResolver().fetchJson(uri);
                     metadataCache[listing.tokenId] = listingMetadata;
                 }
 
@@ -430,6 +424,11 @@ function getRarity(id, metadata) {
         return metadata.ninja_data.rarity.tier.toLowerCase(); // Convert to lowercase to match existing format
     }
 
+    // metadata_version 2.0 keeps it in generationInfo (scripts/metadataMigration.js upgrades older tokens)
+    if (metadata?.generationInfo?.rarity?.tier) {
+        return metadata.generationInfo.rarity.tier.toLowerCase();
+    }
+
     // Fallback to the previous ID-based calculation for backward compatibility
     const numId = parseInt(id, 10);
     if (numId % 100 === 0) return 'legendary';
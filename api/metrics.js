@@ -1,5 +1,39 @@
 import { initializeBlockchain, getUptimeTracker, setCorsHeaders, handleOptions } from '../scripts/serverlessInit.js';
 import { sanitizeForLogging, createSafeErrorResponse } from '../scripts/securityUtils.js';
+import { mintJobQueue } from '../scripts/mintJobQueue.js';
+import { WORKER_STATUS_KEY } from '../scripts/mintWorkerPool.js';
+import { getSystemState } from '../scripts/systemState.js';
+
+// Worker snapshots older than this are reported as stale (server publishes every 15s)
+const WORKER_STATUS_STALE_MS = 60000;
+
+/**
+ * Read durable queue depth and the server's published worker utilization
+ * @returns {Promise<Object>} { jobs, workers }
+ */
+async function getMintWorkerMetrics() {
+    const [jobs, workers] = await Promise.all([
+        mintJobQueue.stats().catch(err => {
+            console.warn('Could not read mint queue stats:', sanitizeForLogging(err.message));
+            return null;
+        }),
+        getSystemState().get(WORKER_STATUS_KEY).catch(err => {
+            console.warn('Could not read worker status:', sanitizeForLogging(err.message));
+            return null;
+        })
+    ]);
+
+    return {
+        jobs: jobs && {
+            ...jobs,
+            depth: jobs.pending + jobs.inProgress
+        },
+        workers: workers && {
+            ...workers,
+            stale: Date.now() - new Date(workers.updatedAt).getTime() > WORKER_STATUS_STALE_MS
+        }
+    };
+}
 
 export default async function handler(req, res) {
     setCorsHeaders(res);
@@ -10,7 +44,8 @@ export default async function handler(req, res) {
         const uptimeTracker = getUptimeTracker();
 
         // Initialize blockchain components
-        const { mintQueue, lastBlock, processingQueue, processedTokens } = await initializeBlockchain();
+        const { lastBlock, processingQueue, processedTokens } = await initializeBlockchain();
+        const { jobs, workers } = await getMintWorkerMetrics();
 
         const uptimeStats = uptimeTracker.getStats();
         const memoryUsage = process.memoryUsage();
@@ -31,11 +66,14 @@ export default async function handler(req, res) {
                 arch: process.arch
             },
             queue: {
-                length: mintQueue.length,
+                // Depth of the durable job queue - the in-memory mintQueue is no longer fed
+                length: jobs ? jobs.depth : null,
                 processing: processingQueue,
                 lastProcessedBlock: lastBlock,
-                processedTokensCount: processedTokens.size
-            }
+                processedTokensCount: processedTokens.size,
+                jobs
+            },
+            workers
         });
     } catch (error) {
         console.error('Error in /api/metrics:', sanitizeForLogging(error.message));
@@ -0,0 +1,67 @@
+import { setCorsHeaders, handleOptions } from '../scripts/serverlessInit.js';
+import { isAdminRequest, validateTokenId, sanitizeForLogging, createSafeErrorResponse } from '../scripts/securityUtils.js';
+import { connectMigrationContract, runMetadataMigration } from '../scripts/metadataMigration.js';
+
+// Keep a single request well inside the serverless time limit
+const MAX_TOKENS = 100;
+
+/**
+ * POST /api/migrate-metadata
+ * Upgrade older tokens' metadata to metadata_version 2.0.
+ * Body: { tokenIds: [..] } or { limit } to walk totalSupply(), plus
+ * `dryRun: false` to pin the upgraded JSON and update the tokenURIs
+ * (dry run, with a per-token diff, is the default).
+ * Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+ */
+export default async function handler(req, res) {
+    setCorsHeaders(res);
+
+    if (handleOptions(req, res)) return;
+
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const { RPC_URL, CONTRACT_ADDRESS, PRIVATE_KEY } = process.env;
+        const body = req.body || {};
+        const dryRun = body.dryRun !== false;
+        if (!dryRun && !PRIVATE_KEY) {
+            return res.status(500).json({ error: 'PRIVATE_KEY is not configured, only dry runs are possible' });
+        }
+
+        let tokenIds;
+        if (body.tokenIds !== undefined) {
+            if (!Array.isArray(body.tokenIds) || body.tokenIds.length === 0 || body.tokenIds.length > MAX_TOKENS) {
+                return res.status(400).json({ error: `tokenIds must list 1 to ${MAX_TOKENS} tokens, use the CLI for more` });
+            }
+            try {
+                tokenIds = body.tokenIds.map(validateTokenId);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+        }
+
+        const { nft } = connectMigrationContract({
+            rpcUrl: RPC_URL,
+            contractAddress: CONTRACT_ADDRESS,
+            privateKey: dryRun ? undefined : PRIVATE_KEY
+        });
+
+        const report = await runMetadataMigration({
+            nft,
+            tokenIds,
+            limit: Math.min(parseInt(body.limit, 10) || MAX_TOKENS, MAX_TOKENS),
+            dryRun
+        });
+
+        res.json({ success: true, ...report });
+    } catch (err) {
+        console.error('Error in /api/migrate-metadata:', sanitizeForLogging(err.message));
+        res.status(500).json(createSafeErrorResponse(err, process.env.NODE_ENV === 'development'));
+    }
+}
@@ -1,4 +1,5 @@
 import { ethers } from 'ethers';
+import { getGatewayResolver } from '../../public/js/ipfsGateways.js';
 
 // Setup constants - hardcoded for serverless environment
 const RPC_URL = 'https://rpc.vitruveo.xyz';
@@ -113,8 +114,7 @@ export default async function handler(req, res) {
         } else {
             try {
                 const uri = await nft.tokenURI(tokenId);
-                const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                metadata = await response.json();
+                metadata = await getGatewayResolver().fetchJson(uri);
                 metadataCache[tokenId] = metadata;
             } catch (error) {
                 console.error(`Error fetching metadata for token ${tokenId}:`, error);
@@ -156,8 +156,7 @@ export default async function handler(req, res) {
                     listingMetadata = metadataCache[listing.tokenId];
                 } else {
                     const uri = await nft.tokenURI(listing.tokenId);
-                    const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-                    listingMetadata = await response.json();
+                    listingMetadata = await getGatewayResolver().fetchJson(uri);
                     metadataCache[listing.tokenId] = listingMetadata;
                 }
 
@@ -6,6 +6,8 @@ import {
     validateImageProvider,
     validatePrompt,
     validateProviderOptions,
+    validateFallbackPolicy,
+    validatePromptTemplate,
     sanitizeForLogging,
     createSafeErrorResponse
 } from '../../scripts/securityUtils.js';
@@ -51,7 +53,11 @@ export default async function handler(req, res) {
         const imageProvider = validateImageProvider(req.query.imageProvider || envVars.IMAGE_PROVIDER);
         const promptExtras = validatePrompt(req.query.promptExtras || '');
         const negativePrompt = validatePrompt(req.query.negativePrompt || '');
-        const providerOptions = validateProviderOptions(req.query.providerOptions || '{}');
+        const providerOptions = validateProviderOptions(req.query.providerOptions || '{}', imageProvider);
+        // Opt-in fallback chain; without one an explicitly requested provider is strict
+        const fallback = validateFallbackPolicy(req.query.fallback);
+        // Pin a prompt template version, e.g. to reproduce a token; defaults to PROMPT_TEMPLATE
+        const promptTemplate = validatePromptTemplate(req.query.promptTemplate);
 
         console.log(`🎯 Processing token #${tokenId} with provider: ${imageProvider}`);
 
@@ -59,7 +65,9 @@ export default async function handler(req, res) {
         await providerPreferences.set(tokenId.toString(), {
             provider: imageProvider,
             timestamp: Date.now(),
-            options: providerOptions
+            options: providerOptions,
+            promptExtras,
+            negativePrompt
         });
 
         let current = 'unknown';
@@ -106,6 +114,9 @@ export default async function handler(req, res) {
             promptExtras,
             negativePrompt,
             providerOptions,
+            fallback,
+            providerChosen: !!req.query.imageProvider,
+            promptTemplate,
             taskId,
             forceProcess,
             isRegeneration
@@ -120,6 +131,8 @@ export default async function handler(req, res) {
             tokenId,
             breed,
             imageProvider,
+            fallback: fallback ?? null,
+            promptTemplate: promptTemplate ?? null,
             currentURI: current,
             owner,
             options: providerOptions
@@ -1,4 +1,5 @@
 ﻿import { createTask } from '../scripts/supabaseTaskManager.js';
+import { resolveCandidateCount } from '../scripts/candidateSelection.js';
 import { createClient } from '@supabase/supabase-js';
 import cronHandler from './cron.js';
 
@@ -28,6 +29,14 @@ export default async function handler(req, res) {
       });
     }
 
+    // More than one candidate: the owner picks before anything is pinned
+    let candidates;
+    try {
+      candidates = resolveCandidateCount(data.candidates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.log(`🔄 Regeneration request received for token #${tokenId}`);
 
     // Create a task in Supabase
@@ -71,7 +80,8 @@ export default async function handler(req, res) {
         taskId,
         createdAt: Date.now(),
         isRegeneration: true,
-        forceProcess: true
+        forceProcess: true,
+        ...(candidates > 1 && { candidates })
       });
 
       // 4. Save the updated pendingTasks back to system_state
@@ -115,7 +125,8 @@ export default async function handler(req, res) {
     return res.status(200).json({
       success: true,
       message: 'Regeneration task created successfully and added to processing queue',
-      taskId: taskId
+      taskId: taskId,
+      candidates
     });
   } catch (error) {
     console.error('❌ Error creating regeneration task:', error);
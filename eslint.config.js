@@ -73,7 +73,10 @@ export default [
                 setTimeout: 'readonly',
                 clearTimeout: 'readonly',
                 setInterval: 'readonly',
-                clearInterval: 'readonly'
+                clearInterval: 'readonly',
+                FormData: 'readonly',
+                Blob: 'readonly',
+                AbortSignal: 'readonly'
             }
         }
     },
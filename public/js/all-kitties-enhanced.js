@@ -7,6 +7,7 @@ import { RPC_URL, CONTRACT_ADDRESS, NFT_ABI } from './config.js';
 import { userPreferences } from './userPreferences.js';
 import { favoritesManager } from './favoritesManager.js';
 import { analyticsManager } from './analyticsManager.js';
+import { getGatewayResolver, followImageFailover } from './ipfsGateways.js';
 
 // Constants
 const ITEMS_PER_BATCH = 20;
@@ -142,8 +143,8 @@ async function loadTokenMetadata(tokenId) {
             )
         ]);
 
-        const metaRes = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-        const metadata = await metaRes.json();
+        // IPFS metadata races the configured gateways
+        const metadata = await getGatewayResolver().fetchJson(uri);
 
         const token = {
             id: tokenId,
@@ -209,11 +210,10 @@ async function renderCatCard(tokenId) {
             <span class="favorite-icon">${isFavorite ? '⭐' : '☆'}</span>
         </button>
         
-        <img src="${metadata.image.replace('ipfs://', 'https://ipfs.io/ipfs/')}" 
-             alt="${metadata.name}" 
+        <img alt="${metadata.name}" 
              class="cat-image" 
              loading="lazy"
-             onerror="this.src='assets/detailed_ninja_cat_64.png'">
+             data-fallback-src="assets/detailed_ninja_cat_64.png">
              
         <span class="rarity-badge ${rarity}">${rarity.charAt(0).toUpperCase() + rarity.slice(1)}</span>
         
@@ -236,6 +236,9 @@ async function renderCatCard(tokenId) {
         </div>
     `;
 
+    // IPFS images move on to the next gateway if one fails
+    followImageFailover(card.querySelector('.cat-image'), metadata.image);
+
     // Add event listeners
     setupCardEventListeners(card, tokenId, token);
 
@@ -303,8 +306,7 @@ async function openModal(tokenId, token) {
 
     modalContent.innerHTML = `
         <div style="display: flex; gap: 2rem; align-items: flex-start; flex-wrap: wrap;">
-            <img src="${metadata.image.replace('ipfs://', 'https://ipfs.io/ipfs/')}" 
-                 alt="${metadata.name}" 
+            <img alt="${metadata.name}" 
                  class="modal-image"
                  style="flex-shrink: 0;">
             
@@ -341,6 +343,7 @@ async function openModal(tokenId, token) {
             </div>
         </div>
     `;
+    followImageFailover(modalContent.querySelector('.modal-image'), metadata.image);
 
     cardModal.classList.add('show');
     cardModal.setAttribute('aria-hidden', 'false');
@@ -1,4 +1,5 @@
 ﻿import { RPC_URL, CONTRACT_ADDRESS, NFT_ABI } from './config.js';
+import { getGatewayResolver, followImageFailover } from './ipfsGateways.js';
 
 // Constants
 const ITEMS_PER_PAGE = 12;
@@ -101,9 +102,8 @@ async function renderCatCard(tokenId) {
             const uri = await nftContract.tokenURI(tokenId);
             const owner = await nftContract.ownerOf(tokenId);
 
-            // Fetch metadata from IPFS
-            const metaRes = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-            const metadata = await metaRes.json();
+            // Fetch metadata from IPFS (racing the configured gateways)
+            const metadata = await getGatewayResolver().fetchJson(uri);
 
             // Get all traits in a flat object
             const traits = getAllTraits(metadata);
@@ -163,10 +163,9 @@ async function renderCatCard(tokenId) {
         card.setAttribute('data-id', tokenId);
         card.setAttribute('data-rarity', rarity);
         card.innerHTML = `
-            <img src="${metadata.image.replace('ipfs://', 'https://ipfs.io/ipfs/')}" 
-                 alt="${metadata.name}" class="cat-image" 
+            <img alt="${metadata.name}" class="cat-image" 
                  loading="lazy"
-                 onerror="this.src='assets/detailed_ninja_cat_64.png'">
+                 data-fallback-src="assets/detailed_ninja_cat_64.png">
                  
             <span class="rarity-badge ${rarity}">${rarity.charAt(0).toUpperCase() + rarity.slice(1)}</span>
             
@@ -187,6 +186,9 @@ async function renderCatCard(tokenId) {
             </div>
         `;
 
+        // IPFS images move on to the next gateway if one fails
+        followImageFailover(card.querySelector('.cat-image'), metadata.image);
+
         // Add click handler for the whole card
         card.addEventListener('click', (e) => {
             // Don't navigate if they clicked the button (button has its own handler)
@@ -398,9 +400,8 @@ async function loadTokenMetadata(tokenId) {
         const uri = await nftContract.tokenURI(tokenId);
         const owner = await nftContract.ownerOf(tokenId);
 
-        // Fetch metadata from IPFS
-        const metaRes = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-        const metadata = await metaRes.json();
+        // Fetch metadata from IPFS (racing the configured gateways)
+        const metadata = await getGatewayResolver().fetchJson(uri);
 
         // Get all traits in a flat object
         const traits = getAllTraits(metadata);
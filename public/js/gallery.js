@@ -916,7 +916,8 @@ async function loadCats(ownerAddress) {
             for (let i = 0; i < balance; i++) {
                 const id = (await nft.tokenOfOwnerByIndex(ownerAddress, i)).toString();
                 const uri = await nft.tokenURI(id);
-                const meta = await (await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'))).json();
+                // IPFS URIs race the configured gateways (window.ipfsGateways, set by the page)
+                const meta = await window.ipfsGateways.fetchJson(uri);
                 addTile(id, meta);
             }
 
@@ -940,10 +941,12 @@ function addTile(id, meta) {
     const rank = rarity(id);
     grid.insertAdjacentHTML('beforeend', `
      <div class="catTile" onclick="location='kitty.html?id=${id}'">
-        <img class="pixel" src="${meta.image.replace('ipfs://', 'https://ipfs.io/ipfs/')}" alt="">
+        <img class="pixel" alt="">
         <span>#${id}</span>
         <div class="rarityBar" data-rank="${rank}"></div>
      </div>`);
+    // IPFS images move on to the next gateway if one fails
+    window.followImageFailover(grid.lastElementChild.querySelector('img'), meta.image);
 }
 
 // Determine rarity based on ID
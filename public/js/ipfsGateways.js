@@ -0,0 +1,340 @@
+/**
+ * public/js/ipfsGateways.js
+ * ───────────────────────────────────────────────────────────────
+ * Shared IPFS gateway resolver for the server, the serverless functions and
+ * the browser. Server code imports it from here (like utils/supabaseClient.js
+ * does with supabase.js), so it must not use anything Node-only.
+ *
+ * Gateways are used in their configured order, minus any that keep failing:
+ * - fetch() races the first `race` gateways, each with its own timeout, keeps
+ *   the first good response and cancels the rest. If none of them answers,
+ *   the next `race` gateways get a go, and so on down the list.
+ * - gatewayUrl() picks the best gateway for a plain URL (e.g. an <img src>),
+ *   and followImageFailover() moves an <img> on to the next one if it fails.
+ * A gateway that fails COOLDOWN_AFTER times in a row sits out for cooldownMs
+ * before it is tried first again.
+ *
+ * The first configured gateway is the one written into new metadata and
+ * tokenURIs (normalizeToGatewayUrl), whatever its health - on-chain URIs
+ * shouldn't depend on which gateway was slow that minute.
+ *
+ * Config - Node: env; browser: the same values from /api/config (`ipfs`):
+ *   IPFS_GATEWAYS            (ordered, comma-separated, defaults to DEFAULT_GATEWAYS)
+ *   IPFS_GATEWAY_RACE        (gateways raced at once, defaults to 2)
+ *   IPFS_GATEWAY_TIMEOUT_MS  (per gateway, defaults to 8000)
+ */
+
+export const DEFAULT_GATEWAYS = [
+    'https://ipfs.io/ipfs/',
+    'https://gateway.pinata.cloud/ipfs/',
+    'https://dweb.link/ipfs/',
+    'https://w3s.link/ipfs/'
+];
+
+// Consecutive failures before a gateway is moved to the back of the list
+const COOLDOWN_AFTER = 2;
+// Weight of the newest response time in a gateway's average
+const LATENCY_WEIGHT = 0.3;
+
+/**
+ * Read gateway settings from env-style values
+ * @param {Object} [env] - Environment (IPFS_GATEWAYS, IPFS_GATEWAY_RACE, IPFS_GATEWAY_TIMEOUT_MS)
+ * @returns {Object} { gateways, race, timeoutMs }
+ * @throws {Error} If a setting is invalid
+ */
+export function loadGatewayOptions(env = {}) {
+    const gateways = env.IPFS_GATEWAYS
+        ? String(env.IPFS_GATEWAYS).split(',').map(gateway => gateway.trim()).filter(Boolean)
+            .map(gateway => (gateway.endsWith('/') ? gateway : `${gateway}/`))
+        : [...DEFAULT_GATEWAYS];
+    if (gateways.length === 0 || gateways.some(gateway => !/^https?:\/\/[^/]+\/ipfs\/$/.test(gateway))) {
+        throw new Error('IPFS_GATEWAYS must list gateway URLs like "https://ipfs.io/ipfs/"');
+    }
+
+    const race = env.IPFS_GATEWAY_RACE ? Number(env.IPFS_GATEWAY_RACE) : 2;
+    if (!Number.isInteger(race) || race < 1) {
+        throw new Error('IPFS_GATEWAY_RACE must be a positive integer');
+    }
+
+    const timeoutMs = env.IPFS_GATEWAY_TIMEOUT_MS ? Number(env.IPFS_GATEWAY_TIMEOUT_MS) : 8000;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+        throw new Error('IPFS_GATEWAY_TIMEOUT_MS must be a positive number of milliseconds');
+    }
+
+    return { gateways, race, timeoutMs };
+}
+
+/**
+ * Find the CID and path an IPFS URI points at
+ * @param {string} uri - ipfs://, path gateway (…/ipfs/<cid>/…) or subdomain gateway (<cid>.ipfs.…) URI
+ * @returns {Object|null} { cid, path } (path is "" or "/file.png"), or null if it isn't IPFS
+ */
+export function parseIpfsUri(uri) {
+    if (typeof uri !== 'string') return null;
+
+    const ipfsScheme = uri.match(/^ipfs:\/\/(?:ipfs\/)?([^/?#]+)([^?#]*)/);
+    if (ipfsScheme) return { cid: ipfsScheme[1], path: ipfsScheme[2].replace(/\/$/, '') };
+
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        return null;
+    }
+    const pathGateway = url.pathname.match(/^\/ipfs\/([^/]+)(.*)$/);
+    if (pathGateway) return { cid: pathGateway[1], path: pathGateway[2].replace(/\/$/, '') };
+
+    const subdomain = url.hostname.match(/^([a-z0-9]+)\.ipfs\./);
+    if (subdomain) return { cid: subdomain[1], path: url.pathname.replace(/\/$/, '') };
+    return null;
+}
+
+/**
+ * Ordered gateway list with racing, failover and per-gateway health
+ */
+export class GatewayResolver {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.gateways] - Gateway base URLs ("https://host/ipfs/"), in order of preference
+     * @param {number} [options.race] - Gateways raced at once
+     * @param {number} [options.timeoutMs] - Per gateway request
+     * @param {number} [options.cooldownMs] - How long a failing gateway goes to the back
+     * @param {Function} [options.fetchImpl] - fetch() to use (defaults to the global one)
+     * @param {Function} [options.now] - Clock, for tests
+     */
+    constructor({ gateways = DEFAULT_GATEWAYS, race = 2, timeoutMs = 8000, cooldownMs = 60000, fetchImpl = null, now = () => Date.now() } = {}) {
+        this.cooldownMs = cooldownMs;
+        this.fetchImpl = fetchImpl;
+        this.now = now;
+        this.stats = new Map();
+        this.ready = Promise.resolve();
+        this.configure({ gateways, race, timeoutMs });
+    }
+
+    /**
+     * Change the gateway settings, keeping what is known about gateways still listed
+     * @param {Object} options - { gateways, race, timeoutMs }
+     */
+    configure({ gateways = this.gateways, race = this.race, timeoutMs = this.timeoutMs }) {
+        this.gateways = [...gateways];
+        this.race = race;
+        this.timeoutMs = timeoutMs;
+        for (const gateway of this.gateways) {
+            if (!this.stats.has(gateway)) {
+                this.stats.set(gateway, { successes: 0, failures: 0, consecutiveFailures: 0, avgMs: null, lastError: null, coolingUntil: 0 });
+            }
+        }
+    }
+
+    /**
+     * Gateway written into new metadata and tokenURIs
+     * @returns {string} First configured gateway
+     */
+    get primaryGateway() {
+        return this.gateways[0];
+    }
+
+    /**
+     * Gateways in the order to try them: configured order, cooling-down ones last
+     * @returns {string[]} Gateway base URLs
+     */
+    ranked() {
+        const now = this.now();
+        const cooling = gateway => this.stats.get(gateway).coolingUntil > now;
+        return [
+            ...this.gateways.filter(gateway => !cooling(gateway)),
+            ...this.gateways.filter(cooling).sort((a, b) => this.stats.get(a).coolingUntil - this.stats.get(b).coolingUntil)
+        ];
+    }
+
+    /**
+     * Every URL an asset can be fetched from, best first
+     * A URL on a host we don't list (say the local-ipfs stand-in) stays first,
+     * since the content may only be there.
+     * @param {string} uri - ipfs://, gateway or plain URL
+     * @returns {Object[]} { gateway (null for URLs used as written), url }
+     */
+    candidates(uri) {
+        const ipfs = parseIpfsUri(uri);
+        if (!ipfs) return [{ gateway: null, url: uri }];
+        const viaGateways = this.ranked().map(gateway => ({ gateway, url: `${gateway}${ipfs.cid}${ipfs.path}` }));
+        const asWritten = !uri.startsWith('ipfs://') && !this.gateways.some(gateway => uri.startsWith(gateway));
+        return asWritten ? [{ gateway: null, url: uri }, ...viaGateways] : viaGateways;
+    }
+
+    /**
+     * URL on the best gateway right now, for places that need a plain URL
+     * @param {string} uri - ipfs://, gateway or plain URL (returned as is)
+     * @returns {string} URL
+     */
+    gatewayUrl(uri) {
+        return this.candidates(uri)[0].url;
+    }
+
+    /**
+     * Record how a request to a gateway went
+     * @param {string} gateway - Gateway base URL
+     * @param {boolean} ok - Whether it served the content
+     * @param {number} ms - Response time
+     * @param {string} [error] - What went wrong
+     */
+    record(gateway, ok, ms, error = null) {
+        const stats = this.stats.get(gateway);
+        if (!stats) return;
+        if (ok) {
+            stats.successes++;
+            stats.consecutiveFailures = 0;
+            stats.coolingUntil = 0;
+            stats.avgMs = stats.avgMs === null ? ms : Math.round(stats.avgMs + LATENCY_WEIGHT * (ms - stats.avgMs));
+        } else {
+            stats.failures++;
+            stats.consecutiveFailures++;
+            stats.lastError = error;
+            if (stats.consecutiveFailures >= COOLDOWN_AFTER) stats.coolingUntil = this.now() + this.cooldownMs;
+        }
+    }
+
+    /**
+     * What is known about each gateway
+     * @returns {Object[]} { gateway, status, successes, failures, consecutiveFailures, avgMs, lastError }
+     */
+    health() {
+        const now = this.now();
+        return this.gateways.map(gateway => {
+            const { coolingUntil, ...stats } = this.stats.get(gateway);
+            const status = coolingUntil > now ? 'cooling' : stats.consecutiveFailures > 0 ? 'failing' : stats.successes > 0 ? 'ok' : 'unknown';
+            return { gateway, status, ...stats };
+        });
+    }
+
+    /**
+     * Fetch an IPFS URI through the gateways, racing and failing over
+     * Non-IPFS URLs are fetched directly.
+     * @param {string} uri - ipfs://, gateway or plain URL
+     * @param {Object} [init] - fetch() options
+     * @returns {Promise<Response>} First good response
+     * @throws {Error} If no gateway served it
+     */
+    async fetch(uri, init = {}) {
+        await this.ready;
+        const fetchImpl = this.fetchImpl || globalThis.fetch;
+        const candidates = this.candidates(uri);
+        if (candidates.length === 1 && !candidates[0].gateway) return fetchImpl(uri, init);
+
+        const errors = [];
+        for (let i = 0; i < candidates.length; i += this.race) {
+            const response = await this.raceGateways(candidates.slice(i, i + this.race), init, errors);
+            if (response) return response;
+        }
+        throw new Error(`No IPFS gateway served ${uri} (${errors.join('; ')})`);
+    }
+
+    /**
+     * Fetch and parse JSON (metadata) through the gateways
+     * @param {string} uri - ipfs://, gateway or plain URL
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJson(uri) {
+        const response = await this.fetch(uri);
+        if (!response.ok) throw new Error(`Fetching ${uri} failed: HTTP ${response.status}`);
+        return response.json();
+    }
+
+    /**
+     * Race one group of gateways
+     * @returns {Promise<Response|null>} Winning response, or null if they all failed
+     */
+    raceGateways(candidates, init, errors) {
+        const fetchImpl = this.fetchImpl || globalThis.fetch;
+        return new Promise(resolve => {
+            const controllers = candidates.map(() => new AbortController());
+            let pending = candidates.length;
+            let settled = false;
+            const lost = () => {
+                if (--pending === 0 && !settled) resolve(null);
+            };
+
+            candidates.forEach(({ gateway, url }, i) => {
+                const controller = controllers[i];
+                const startedAt = this.now();
+                const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+                fetchImpl(url, { ...init, signal: controller.signal })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        this.record(gateway, true, this.now() - startedAt);
+                        if (settled) {
+                            // Served too, just not first - drop the body
+                            response.body?.cancel?.().catch(() => { });
+                            return;
+                        }
+                        settled = true;
+                        controllers.forEach((other, j) => j !== i && other.abort());
+                        resolve(response);
+                    })
+                    .catch(error => {
+                        // Cancelled because another gateway won - not this one's fault
+                        if (settled && controller.signal.aborted) return lost();
+                        const message = controller.signal.aborted ? `timed out after ${this.timeoutMs}ms` : error.message;
+                        this.record(gateway, false, this.now() - startedAt, message);
+                        errors.push(`${gateway || url}: ${message}`);
+                        lost();
+                    })
+                    .finally(() => clearTimeout(timer));
+            });
+        });
+    }
+}
+
+let sharedResolver = null;
+
+/**
+ * Pick up the gateway settings the server hands the browser
+ */
+async function loadBrowserConfig(resolver) {
+    try {
+        const response = await fetch('/api/config');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { ipfs } = await response.json();
+        if (ipfs) resolver.configure(ipfs);
+    } catch (error) {
+        console.warn(`Using default IPFS gateways: ${error.message}`);
+    }
+}
+
+/**
+ * Return the shared resolver for this process / page
+ * @returns {GatewayResolver} Resolver configured from env (Node) or /api/config (browser)
+ */
+export function getGatewayResolver() {
+    if (!sharedResolver) {
+        const env = typeof process !== 'undefined' && process.env ? process.env : null;
+        sharedResolver = new GatewayResolver(loadGatewayOptions(env || {}));
+        if (!env && typeof window !== 'undefined') {
+            sharedResolver.ready = loadBrowserConfig(sharedResolver);
+        }
+    }
+    return sharedResolver;
+}
+
+/**
+ * Point an <img> at an IPFS asset and move on to the next gateway if it fails to load.
+ * Once every gateway has failed, the image's data-fallback-src (a placeholder) is shown, if set
+ * @param {HTMLImageElement} img - Image element
+ * @param {string} uri - ipfs://, gateway or plain URL
+ * @param {GatewayResolver} [resolver] - Defaults to the shared resolver
+ */
+export function followImageFailover(img, uri, resolver = getGatewayResolver()) {
+    const candidates = resolver.candidates(uri);
+    let index = 0;
+    img.onerror = () => {
+        if (candidates[index].gateway) resolver.record(candidates[index].gateway, false, 0, 'image failed to load');
+        index++;
+        if (index < candidates.length) {
+            img.src = candidates[index].url;
+        } else {
+            img.onerror = null;
+            if (img.dataset?.fallbackSrc) img.src = img.dataset.fallbackSrc;
+        }
+    };
+    img.src = candidates[0].url;
+}
@@ -76,12 +76,8 @@ async function downloadImage(url, filename) {
     try {
         showToast('Starting download...', 'info');
 
-        // If it's an IPFS URL, convert it
-        if (url.startsWith('ipfs://')) {
-            url = `https://ipfs.io/ipfs/${url.replace('ipfs://', '')}`;
-        }
-
-        const response = await fetch(url);
+        // IPFS URLs go through the shared gateway resolver
+        const response = await window.ipfsGateways.fetch(url);
         const blob = await response.blob();
         const objectURL = URL.createObjectURL(blob);
 
@@ -675,21 +671,12 @@ async function pollTaskStatus(taskId, statusElement) {
                                 // Show loading state for image
                                 statusElement.innerHTML = '<div class="loading-spinner"></div>Fetching new image...';
 
-                                // Extract CID from IPFS URI
-                                const cid = taskData.token_uri.replace('ipfs://', '');
-                                const ipfsUrl = `https://ipfs.io/ipfs/${cid}`;
-
                                 // Fetch metadata to get the image URL
-                                const metadataResponse = await fetch(ipfsUrl);
-                                const metadata = await metadataResponse.json();
+                                const metadata = await window.ipfsGateways.fetchJson(taskData.token_uri);
 
                                 if (metadata && metadata.image) {
                                     // Convert IPFS image URL
-                                    let imageUrl = metadata.image;
-                                    if (imageUrl.startsWith('ipfs://')) {
-                                        const imageCid = imageUrl.replace('ipfs://', '');
-                                        imageUrl = `https://ipfs.io/ipfs/${imageCid}`;
-                                    }
+                                    const imageUrl = window.ipfsGateways.gatewayUrl(metadata.image);
 
                                     // Create image preview in status area
                                     lastImageUpdate = imageUrl;
@@ -1296,13 +1283,8 @@ document.addEventListener('DOMContentLoaded', async function () {
                 owner = '0x0000000000000000000000000000000000000000'; // Placeholder
             }
 
-            // Convert IPFS URI if needed
-            if (uri && uri.startsWith('ipfs://')) {
-                uri = `https://ipfs.io/ipfs/${uri.replace('ipfs://', '')}`;
-            }
-
-            // Fetch the metadata
-            const response = await fetch(uri);
+            // Fetch the metadata (IPFS URIs race the configured gateways)
+            const response = await window.ipfsGateways.fetch(uri);
             if (!response.ok) {
                 throw new Error(`HTTP error! Status: ${response.status}`);
             }
@@ -1314,13 +1296,9 @@ document.addEventListener('DOMContentLoaded', async function () {
             safeUpdateElement('loadingState', el => el.style.display = 'none');
             safeUpdateElement('kittyContent', el => el.style.display = 'block');
 
-            // Set image (handle IPFS URI)
-            let imageUrl = metadata.image;
-            if (imageUrl && imageUrl.startsWith('ipfs://')) {
-                imageUrl = `https://ipfs.io/ipfs/${imageUrl.replace('ipfs://', '')}`;
-            }
+            // Set image (IPFS images move on to the next gateway if one fails)
             safeUpdateElement('catImg', el => {
-                el.src = imageUrl;
+                window.followImageFailover(el, metadata.image);
                 el.alt = metadata.name;
 
                 // Set up download button
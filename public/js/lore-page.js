@@ -117,24 +117,12 @@ async function setupNFTCarousel() {
 
                 // Get token URI and metadata
                 const uri = await contract.tokenURI(tokenId);
-                let metadata;
-
-                if (uri.startsWith('ipfs://')) {
-                    const ipfsHash = uri.replace('ipfs://', '');
-                    const ipfsUrl = `https://ipfs.io/ipfs/${ipfsHash}`;
-                    const response = await fetch(ipfsUrl);
-                    metadata = await response.json();
-                } else {
-                    const response = await fetch(uri);
-                    metadata = await response.json();
-                }
+                const metadata = await window.ipfsGateways.fetchJson(uri);
 
                 // Update the carousel item with the fetched data
                 if (metadata && metadata.image) {
                     // Fix IPFS links
-                    const imageUrl = metadata.image.startsWith('ipfs://')
-                        ? metadata.image.replace('ipfs://', 'https://ipfs.io/ipfs/')
-                        : metadata.image;
+                    const imageUrl = window.ipfsGateways.gatewayUrl(metadata.image);
 
                     // Get breed for display
                     let breed = 'Ninja Cat';
@@ -2,6 +2,7 @@
 import { getFavorites, toggleFavorite, isFavorite, savePreferences, loadPreferences } from './supabaseClient.js';
 import { getCurrentWalletAddress, addConnectionListener, removeConnectionListener } from './walletConnector.js';
 import { logListingView, logFavoriteAction, logPurchase, logListingCreated, logListingCancelled, logMarketplaceView, logFilterApplied } from './activityLogger.js';
+import { getGatewayResolver } from './ipfsGateways.js';
 
 // Constants
 const MARKETPLACE_ADDRESS = '0x5031fc07293d574Ccbd4d12b0E7106A95502a299';
@@ -598,8 +599,7 @@ async function fetchTokenMetadata(tokenId) {
 
     try {
         const uri = await nft.tokenURI(tokenId);
-        const response = await fetch(uri.replace('ipfs://', 'https://ipfs.io/ipfs/'));
-        const metadata = await response.json();
+        const metadata = await getGatewayResolver().fetchJson(uri);
 
         // Find breed
         let breed = 'Ninja Cat';
@@ -614,7 +614,7 @@ async function fetchTokenMetadata(tokenId) {
             id: tokenId,
             metadata,
             name: metadata.name || `Ninja Cat #${tokenId}`,
-            image: metadata.image.replace('ipfs://', 'https://ipfs.io/ipfs/'),
+            image: getGatewayResolver().gatewayUrl(metadata.image),
             breed,
             rarity: getRarity(tokenId, metadata)
         };
@@ -7,6 +7,7 @@ import {
     browserProvider, rpcProvider,
     connectWallet, short
 } from './wallet.js';
+import { getGatewayResolver } from './ipfsGateways.js';
 
 // Enhanced provider configuration with comprehensive details
 const providers = {
@@ -1086,15 +1087,8 @@ async function fetchNFTDetails(tokenId) {
         const tokenURI = await nft.tokenURI(tokenId);
         console.log(`Token URI for #${tokenId}:`, tokenURI);
 
-        // Fetch metadata
-        let metadataUrl = tokenURI;
-
-        if (tokenURI.startsWith('ipfs://')) {
-            metadataUrl = tokenURI.replace('ipfs://', 'https://ipfs.io/ipfs/');
-        }
-
-        const response = await fetch(metadataUrl);
-        const metadata = await response.json();
+        // Fetch metadata (IPFS URIs race the configured gateways)
+        const metadata = await getGatewayResolver().fetchJson(tokenURI);
 
         // Get the image URL
         const imageUrl = metadata.image;
@@ -1314,12 +1308,9 @@ async function downloadFile(url, filename, type) {
     try {
         showToast(`Downloading ${type}...`, 'info');
 
-        let fileUrl = url;
-        if (url.startsWith('ipfs://')) {
-            fileUrl = url.replace('ipfs://', 'https://ipfs.io/ipfs/');
-        }
-
-        const response = await fetch(fileUrl);
+        // IPFS files race the configured gateways, failing over down the list
+        const response = await getGatewayResolver().fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
         const blob = await response.blob();
 
         const downloadUrl = window.URL.createObjectURL(blob);
@@ -7,6 +7,7 @@ import {
 import {
     getAddress, connectWallet, short, EVENTS as WALLET_EVENTS
 } from './wallet.js';
+import { getGatewayResolver, followImageFailover } from './ipfsGateways.js';
 
 // DOM Elements
 const grid = document.getElementById('grid');
@@ -1102,7 +1103,7 @@ function toggleGalleryMode() {
         if (!nft) return;
 
         const galleryImage = galleryOverlay.querySelector('.gallery-image');
-        galleryImage.src = nft.image;
+        followImageFailover(galleryImage, nft.image);
         galleryImage.alt = nft.name;
 
         galleryOverlay.querySelector('.gallery-title').textContent = nft.name;
@@ -1512,6 +1513,7 @@ function renderNftCard(nft) {
     const image = card.querySelector('.kitty-image');
     if (image) {
         image.dataset.src = nft.image; // Use data-src for lazy loading
+        image.dataset.fallbackSrc = 'assets/detailed_ninja_cat_64.png'; // Once every gateway failed
         image.src = 'assets/placeholder.svg'; // Start with placeholder
         image.alt = nft.name;
 
@@ -1529,20 +1531,13 @@ function renderNftCard(nft) {
         if (imageContainer) {
             imageContainer.appendChild(loadingIndicator);
 
-            // Load image when it comes into view
+            // Load image when it comes into view (the fallback sprite loads
+            // too if every gateway fails, which also clears the indicator)
             lazyLoadImage(image, () => {
                 if (imageContainer.contains(loadingIndicator)) {
                     imageContainer.removeChild(loadingIndicator);
                 }
             });
-
-            // Handle image errors
-            image.onerror = function () {
-                this.src = 'assets/detailed_ninja_cat_64.png';
-                if (imageContainer.contains(loadingIndicator)) {
-                    imageContainer.removeChild(loadingIndicator);
-                }
-            };
         }
     }
 
@@ -1682,7 +1677,7 @@ function lazyLoadImage(img, callback) {
                 if (entry.isIntersecting) {
                     const image = entry.target;
                     if (image.dataset.src) {
-                        image.src = image.dataset.src;
+                        followImageFailover(image, image.dataset.src);
                         image.onload = callback;
                         observer.unobserve(image);
                     }
@@ -1693,7 +1688,7 @@ function lazyLoadImage(img, callback) {
     } else {
         // Fallback for browsers that don't support IntersectionObserver
         if (img.dataset.src) {
-            img.src = img.dataset.src;
+            followImageFailover(img, img.dataset.src);
             img.onload = callback;
         }
     }
@@ -1709,11 +1704,9 @@ function renderDetailedCard(nft) {
     // Set image with error handling
     const image = card.querySelector('.detailed-image');
     if (image) {
-        image.src = nft.image;
+        image.dataset.fallbackSrc = 'assets/detailed_ninja_cat_64.png';
+        followImageFailover(image, nft.image);
         image.alt = nft.name;
-        image.onerror = function () {
-            this.src = 'assets/detailed_ninja_cat_64.png';
-        };
     }
 
     // Set basic info
@@ -2174,6 +2167,11 @@ function openRegenerateModal(tokenId, imageUrl) {
     // Set current image
     document.getElementById('currentTokenImage').src = imageUrl;
 
+    // Clear candidates left over from an earlier regeneration
+    const candidateGrid = document.getElementById('regenerateCandidateGrid');
+    candidateGrid.innerHTML = '';
+    candidateGrid.style.display = 'none';
+
     // Show modal
     document.getElementById('regenerateModal').style.display = 'block';
 }
@@ -2185,6 +2183,7 @@ async function handleRegenerateConfirm() {
     const imageProvider = document.getElementById('regenerateProvider').value;
     const promptExtras = document.getElementById('regeneratePrompt').value;
     const negativePrompt = document.getElementById('regenerateNegativePrompt').value;
+    const candidates = Number(document.getElementById('regenerateCandidates').value) || 1;
 
     // Show loading state
     const statusEl = document.getElementById('regenerateStatus');
@@ -2259,7 +2258,9 @@ async function handleRegenerateConfirm() {
                 promptExtras: promptExtras || undefined,
                 negativePrompt: negativePrompt || undefined,
                 paymentTx: tx.hash,
-                payer: address
+                payer: address,
+                // More than one: the images wait for us to pick one before anything is pinned
+                candidates: candidates > 1 ? candidates : undefined
             })
         });
 
@@ -2357,39 +2358,12 @@ async function pollForTaskCompletion(taskId, tokenId) {
                         const tokenUri = task.token_uri;
                         console.log(`New token URI: ${tokenUri}`);
 
-                        // Extract CID from IPFS URI
-                        const cid = tokenUri.replace('ipfs://', '');
-
-                        // Try fetching from multiple IPFS gateways
-                        const gateways = [
-                            'https://ipfs.io/ipfs/',
-                            'https://gateway.pinata.cloud/ipfs/',
-                            'https://cloudflare-ipfs.com/ipfs/'
-                        ];
-
-                        let metadata = null;
-                        for (const gateway of gateways) {
-                            try {
-                                const url = `${gateway}${cid}`;
-                                console.log(`Fetching new metadata from ${url}`);
-                                const metadataResponse = await fetch(url);
-                                if (metadataResponse.ok) {
-                                    metadata = await metadataResponse.json();
-                                    break;
-                                }
-                            } catch (err) {
-                                console.warn(`Failed to fetch from ${gateway}:`, err);
-                            }
-                        }
+                        // Race the configured IPFS gateways, failing over down the list
+                        const metadata = await getGatewayResolver().fetchJson(tokenUri);
 
                         if (metadata && metadata.image) {
                             // Get the new image URL
-                            let newImageUrl = metadata.image;
-                            if (newImageUrl.startsWith('ipfs://')) {
-                                const imageCid = newImageUrl.replace('ipfs://', '');
-                                newImageUrl = `https://ipfs.io/ipfs/${imageCid}`;
-                            }
-
+                            const newImageUrl = metadata.image;
                             console.log(`New image URL: ${newImageUrl}`);
 
                             // Show the new image in the modal
@@ -2397,10 +2371,11 @@ async function pollForTaskCompletion(taskId, tokenId) {
                             previewImage.innerHTML = `
                                 <div class="regeneration-result">
                                     <h4>New Image:</h4>
-                                    <img src="${newImageUrl}" alt="Regenerated image" 
+                                    <img alt="Regenerated image" 
                                          style="max-width: 100%; border-radius: 8px; margin-top: 10px;">
                                 </div>
                             `;
+                            followImageFailover(previewImage.querySelector('img'), newImageUrl);
                             statusEl.appendChild(previewImage);
 
                             // Update the NFT cards with new image
@@ -2417,12 +2392,12 @@ async function pollForTaskCompletion(taskId, tokenId) {
 
                                 if (gridCard) {
                                     const img = gridCard.querySelector('.kitty-image');
-                                    if (img) img.src = newImageUrl;
+                                    if (img) followImageFailover(img, newImageUrl);
                                 }
 
                                 if (detailedCard) {
                                     const img = detailedCard.querySelector('.detailed-image');
-                                    if (img) img.src = newImageUrl;
+                                    if (img) followImageFailover(img, newImageUrl);
                                 }
 
                                 showToast('NFT image updated successfully!', 'success');
@@ -2448,7 +2423,14 @@ async function pollForTaskCompletion(taskId, tokenId) {
                 }, 3000);
                 return;
             }
-            else if (taskStatus === 'FAILED') {
+            else if (taskStatus === 'AWAITING_SELECTION') {
+                // Candidates are ready - unless one was already picked and is waiting to be pinned
+                if (await showCandidateSelection(taskId, tokenId)) return;
+
+                statusTextEl.innerHTML = '<div class="loading-spinner"></div>Waiting for your pick to be pinned...';
+                setTimeout(checkStatus, 5000);
+            }
+            else if (taskStatus === 'FAILED' || taskStatus === 'TIMEOUT') {
                 console.log('❌ Regeneration task failed');
                 statusTextEl.innerHTML = `<div class="error-icon">❌</div>Failed: ${task.error || task.message || 'Unknown error'}`;
                 statusEl.style.backgroundColor = 'rgba(255, 87, 34, 0.1)';
@@ -2479,6 +2461,80 @@ async function pollForTaskCompletion(taskId, tokenId) {
     await checkStatus();
 }
 
+// Show the candidates of a task waiting in AWAITING_SELECTION so the owner can pick one
+// Returns false if there is nothing left to pick (a candidate was already selected)
+async function showCandidateSelection(taskId, tokenId) {
+    const statusTextEl = document.getElementById('regenerateStatusText');
+    const statusEl = document.getElementById('regenerateStatus');
+    const grid = document.getElementById('regenerateCandidateGrid');
+
+    const response = await fetch(`/api/candidates/${taskId}`);
+    if (!response.ok) {
+        throw new Error(`Could not load candidates: ${response.status}`);
+    }
+
+    const selection = await response.json();
+    if (selection.status !== 'AWAITING_SELECTION') return false;
+
+    statusEl.style.background = '';
+    statusTextEl.textContent = `🗳️ Pick your favourite - the others are discarded, and all of them expire ${new Date(selection.expiresAt).toLocaleString()}`;
+
+    grid.innerHTML = '';
+    selection.candidates.forEach(candidate => {
+        const button = document.createElement('button');
+        button.type = 'button';
+
+        const img = document.createElement('img');
+        img.src = candidate.image;
+        img.alt = `Candidate ${candidate.index + 1}`;
+
+        const label = document.createElement('div');
+        label.textContent = `Candidate ${candidate.index + 1}`;
+
+        button.append(img, label);
+        button.addEventListener('click', () => selectCandidate(taskId, tokenId, candidate));
+        grid.appendChild(button);
+    });
+    grid.style.display = 'grid';
+    return true;
+}
+
+// Sign the pick with the wallet that paid for the regeneration, then follow the task while it's pinned
+async function selectCandidate(taskId, tokenId, candidate) {
+    const statusTextEl = document.getElementById('regenerateStatusText');
+    const grid = document.getElementById('regenerateCandidateGrid');
+    const buttons = grid.querySelectorAll('button');
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+        statusTextEl.innerHTML = '<div class="loading-spinner"></div>Confirm your pick in your wallet...';
+        const provider = new ethers.BrowserProvider(window.ethereum);
+        const signer = await provider.getSigner();
+        const signature = await signer.signMessage(candidate.message);
+
+        statusTextEl.innerHTML = '<div class="loading-spinner"></div>Pinning your pick...';
+        const response = await fetch(`/api/candidates/${taskId}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ index: candidate.index, signature })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Server error: ${response.status} - ${errorText}`);
+        }
+
+        grid.style.display = 'none';
+        await pollForTaskCompletion(taskId, tokenId);
+    } catch (error) {
+        console.error('Candidate selection failed:', error);
+        statusTextEl.innerHTML = `<div class="error-icon">❌</div>Error: ${error.message}`;
+        buttons.forEach(button => { button.disabled = false; });
+    }
+}
+
 async function pollRegenerationStatus(taskId, tokenId) {
     const statusTextEl = document.getElementById('regenerateStatusText');
     const statusEl = document.getElementById('regenerateStatus');
@@ -2670,48 +2726,13 @@ async function fetchMetadataWithFallbacks(uri, id) {
 
     console.log(`Fetching metadata for token #${id}, URI: ${uri}`);
 
-    // List of IPFS gateways optimized for Vitruveo
-    const gateways = [
-        'https://ipfs.io/ipfs/',
-        'https://gateway.pinata.cloud/ipfs/',
-        'https://cloudflare-ipfs.com/ipfs/',
-        'https://ipfs.infura.io/ipfs/'
-    ];
-
-    // Extract CID from IPFS URI
-    const cid = uri.replace('ipfs://', '');
-
-    if (!cid) {
-        console.error(`Invalid IPFS URI for token #${id}: ${uri}`);
-        return createFallbackMetadata(id);
-    }
-
-    // Try each gateway in sequence until one works
-    for (const gateway of gateways) {
-        try {
-            const url = `${gateway}${cid}`;
-            console.log(`Trying to fetch metadata from ${url}`);
-
-            const response = await fetch(url);
-
-            // Validate response
-            if (!response.ok) {
-                console.warn(`Gateway ${gateway} returned status ${response.status}`);
-                continue;
-            }
-
-            const contentType = response.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-                console.warn(`Gateway ${gateway} returned non-JSON content: ${contentType}`);
-                continue;
-            }
-
-            const data = await response.json();
-            console.log(`Successfully fetched metadata from ${gateway} for token #${id}`);
-            return data;
-        } catch (error) {
-            console.warn(`Failed to fetch from ${gateway}:`, error);
-        }
+    // IPFS URIs race the configured gateways, failing over down the list
+    try {
+        const data = await getGatewayResolver().fetchJson(uri);
+        console.log(`Successfully fetched metadata for token #${id}`);
+        return data;
+    } catch (error) {
+        console.warn(`Failed to fetch metadata for token #${id}:`, error);
     }
 
     // All gateways failed, return fallback
@@ -2808,14 +2829,8 @@ async function render(owner) {
                     if (rarityAttr) rarityTier = rarityAttr.value;
                 }
 
-                // Process image URL
-                let imageUrl = meta.image;
-                if (imageUrl && imageUrl.startsWith('ipfs://')) {
-                    const cid = imageUrl.replace('ipfs://', '');
-                    imageUrl = `https://ipfs.io/ipfs/${cid}`;
-                } else if (!imageUrl) {
-                    imageUrl = 'assets/detailed_ninja_cat_64.png';
-                }
+                // Kept as written - the cards resolve IPFS images through the gateways
+                const imageUrl = meta.image || 'assets/detailed_ninja_cat_64.png';
 
                 allNftData.push({
                     id: id.toString(),
@@ -0,0 +1,414 @@
+/**
+ * scripts/assetArchive.js
+ * ───────────────────────────────────────────────────────────────
+ * Our own copy of everything finalizeMint produced, independent of any pin:
+ * the provider's original image, the processed sprite (native + display),
+ * the idle animation and the final metadata JSON. Each run is a new
+ * generation of its token, so regenerations never overwrite older art:
+ *
+ *   <tokenId>/<generation>/original.png
+ *                          sprite.png, sprite@8x.png, idle.gif
+ *                          <tokenId>.json
+ *                          manifest.json   (written last - what's in it, with sha256s)
+ *
+ * Generations count up from 1 per token. One without a manifest was
+ * interrupted - it keeps its number but is otherwise ignored.
+ *
+ * Object stores, from ASSET_ARCHIVE_STORE:
+ *   local     directory on disk (default)
+ *   supabase  Supabase Storage bucket
+ * Any object with `name`, `put(key, bytes, contentType)`, `get(key)` (Buffer,
+ * or null if missing) and `list(prefix)` (keys under it) works as a store.
+ *
+ * Optional env:
+ *   ASSET_ARCHIVE_STORE   (local or supabase, defaults to "local")
+ *   ASSET_ARCHIVE_DIR     (defaults to "./asset-archive")
+ *   ASSET_ARCHIVE_BUCKET  (defaults to "asset-archive")
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { createClient } from '@supabase/supabase-js';
+
+const MANIFEST = 'manifest.json';
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    json: 'application/json',
+    bin: 'application/octet-stream'
+};
+
+/**
+ * File extension for image bytes, from their signature
+ * @param {Buffer} bytes - Image contents
+ * @returns {string} png, jpg, webp, gif or bin
+ */
+export function imageExtension(bytes) {
+    if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpg';
+    if (bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (bytes.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+    return 'bin';
+}
+
+/**
+ * Content type for an archived file name
+ * @param {string} name - File name
+ * @returns {string} MIME type
+ */
+export function contentTypeOf(name) {
+    return CONTENT_TYPES[path.extname(name).slice(1).toLowerCase()] || CONTENT_TYPES.bin;
+}
+
+function checkTokenId(tokenId) {
+    const id = Number(tokenId);
+    if (!Number.isSafeInteger(id) || id < 0) {
+        throw new Error(`Invalid token ID: ${tokenId}`);
+    }
+    return id;
+}
+
+function checkFileName(name) {
+    if (!name || name !== path.basename(name) || name.startsWith('.')) {
+        throw new Error(`Archive file names must be plain names, got "${name}"`);
+    }
+    return name;
+}
+
+/* ─── Tar ────────────────────────────────────────────────────── */
+
+/**
+ * ustar header for one regular file
+ */
+function tarHeader(name, size, mtime) {
+    const header = Buffer.alloc(512);
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(0o644, 8), 100, 'latin1');
+    header.write(octal(0, 8), 108, 'latin1');
+    header.write(octal(0, 8), 116, 'latin1');
+    header.write(octal(size, 12), 124, 'latin1');
+    header.write(octal(Math.floor(mtime / 1000), 12), 136, 'latin1');
+    header.write(' '.repeat(8), 148, 'latin1'); // Checksum counts itself as spaces
+    header.write('0', 156, 'latin1');
+    header.write('ustar\0' + '00', 257, 'latin1');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(octal(checksum, 7) + ' ', 148, 'latin1');
+    return header;
+}
+
+/**
+ * Pack files into a gzipped tar
+ * @param {Object[]} entries - { name (path inside the tar, < 100 bytes), bytes, mtime }
+ * @returns {Buffer} .tar.gz contents
+ */
+export function packTarGz(entries) {
+    const parts = [];
+    for (const { name, bytes, mtime = Date.now() } of entries) {
+        if (Buffer.byteLength(name) >= 100) throw new Error(`Tar entry name too long: ${name}`);
+        parts.push(tarHeader(name, bytes.length, mtime), bytes, Buffer.alloc((512 - bytes.length % 512) % 512));
+    }
+    parts.push(Buffer.alloc(1024)); // End of archive
+    return gzipSync(Buffer.concat(parts));
+}
+
+/* ─── Object stores ──────────────────────────────────────────── */
+
+/**
+ * Directory on local disk, one file per key
+ */
+export class LocalObjectStore {
+    constructor({ dir = process.env.ASSET_ARCHIVE_DIR || path.join(process.cwd(), 'asset-archive') } = {}) {
+        this.dir = dir;
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    pathOf(key) {
+        const filePath = path.resolve(this.dir, key);
+        if (!filePath.startsWith(path.resolve(this.dir) + path.sep)) {
+            throw new Error(`Key outside the archive: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, bytes) {
+        const filePath = this.pathOf(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        // Write-then-rename, so a reader never sees half a file
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, bytes);
+        await fs.rename(tmpPath, filePath);
+    }
+
+    async get(key) {
+        try {
+            return await fs.readFile(this.pathOf(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async list(prefix) {
+        const root = this.pathOf(prefix);
+        const keys = [];
+        const walk = async dir => {
+            let entries;
+            try {
+                entries = await fs.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return;
+                throw err;
+            }
+            for (const entry of entries) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(entryPath);
+                } else if (!entry.name.endsWith('.tmp')) {
+                    keys.push(path.relative(this.dir, entryPath).split(path.sep).join('/'));
+                }
+            }
+        };
+        await walk(root);
+        return keys.sort();
+    }
+}
+
+/**
+ * Supabase Storage bucket (create it private - downloads go through the API)
+ */
+export class SupabaseObjectStore {
+    constructor({ client = null, bucket = process.env.ASSET_ARCHIVE_BUCKET || 'asset-archive' } = {}) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+        this.bucket = bucket;
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    async put(key, bytes, contentType) {
+        const { error } = await this.supabase.storage
+            .from(this.bucket)
+            .upload(key, bytes, { contentType, upsert: true });
+        if (error) throw error;
+    }
+
+    async get(key) {
+        const { data, error } = await this.supabase.storage.from(this.bucket).download(key);
+        if (error) {
+            if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) return null;
+            throw error;
+        }
+        return Buffer.from(await data.arrayBuffer());
+    }
+
+    async list(prefix) {
+        // Storage lists one level at a time - folders come back without an id
+        const keys = [];
+        const walk = async folder => {
+            const { data, error } = await this.supabase.storage.from(this.bucket).list(folder, { limit: 1000 });
+            if (error) throw error;
+            for (const item of data) {
+                const key = `${folder}/${item.name}`;
+                if (item.id) keys.push(key);
+                else await walk(key);
+            }
+        };
+        await walk(prefix.replace(/\/$/, ''));
+        return keys.sort();
+    }
+}
+
+const STORES = {
+    local: LocalObjectStore,
+    supabase: SupabaseObjectStore
+};
+
+/**
+ * Object store from ASSET_ARCHIVE_STORE
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Store instance
+ */
+export function getObjectStore(env = process.env) {
+    const name = String(env.ASSET_ARCHIVE_STORE || 'local').trim().toLowerCase();
+    if (!STORES[name]) {
+        throw new Error(`ASSET_ARCHIVE_STORE must be one of ${Object.keys(STORES).join(', ')}, got "${env.ASSET_ARCHIVE_STORE}"`);
+    }
+    return new STORES[name]();
+}
+
+/* ─── Archive ────────────────────────────────────────────────── */
+
+/**
+ * Versioned per-token archive on top of an object store
+ */
+export class AssetArchive {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Object store (defaults to getObjectStore())
+     */
+    constructor({ store = getObjectStore() } = {}) {
+        this.store = store;
+        // Generation numbers are handed out one at a time per process
+        this.lock = Promise.resolve();
+    }
+
+    /**
+     * Generation numbers used so far for a token, finished or not
+     */
+    async usedGenerations(tokenId) {
+        const keys = await this.store.list(`${tokenId}/`);
+        const numbers = keys.map(key => Number(key.split('/')[1])).filter(Number.isInteger);
+        return [...new Set(numbers)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Archive one finalizeMint run as the token's next generation
+     * @param {string|number} tokenId - Token ID
+     * @param {Object[]} files - { name, kind, bytes } - kind says what it is (original, sprite, display, animation, metadata …)
+     * @param {Object} [info] - Extra manifest fields (tokenURI, provider, generationRecordId …)
+     * @returns {Promise<Object>} The manifest
+     */
+    async archive(tokenId, files, info = {}) {
+        const id = checkTokenId(tokenId);
+        if (files.length === 0) throw new Error('Nothing to archive');
+        for (const file of files) checkFileName(file.name);
+        if (files.some(file => file.name === MANIFEST)) {
+            throw new Error(`${MANIFEST} is written by the archive itself`);
+        }
+
+        const run = this.lock.then(async () => {
+            const used = await this.usedGenerations(id);
+            const generation = (used[used.length - 1] || 0) + 1;
+            // Claim the number before the (slow) uploads
+            const manifest = {
+                ...info,
+                tokenId: id,
+                generation,
+                createdAt: new Date().toISOString(),
+                store: this.store.name,
+                files: files.map(({ name, kind, bytes }) => ({
+                    name,
+                    kind,
+                    contentType: contentTypeOf(name),
+                    size: bytes.length,
+                    sha256: crypto.createHash('sha256').update(bytes).digest('hex')
+                }))
+            };
+            const [first, ...rest] = files;
+            await this.store.put(`${id}/${generation}/${first.name}`, first.bytes, contentTypeOf(first.name));
+            return { manifest, rest };
+        });
+        this.lock = run.catch(() => { });
+
+        const { manifest, rest } = await run;
+        for (const file of rest) {
+            await this.store.put(`${id}/${manifest.generation}/${file.name}`, file.bytes, contentTypeOf(file.name));
+        }
+        await this.store.put(`${id}/${manifest.generation}/${MANIFEST}`, Buffer.from(JSON.stringify(manifest, null, 2)), CONTENT_TYPES.json);
+        return manifest;
+    }
+
+    /**
+     * Finished generations of a token, oldest first
+     * @param {string|number} tokenId - Token ID
+     * @returns {Promise<Object[]>} Manifests
+     */
+    async generations(tokenId) {
+        const id = checkTokenId(tokenId);
+        const manifests = [];
+        for (const generation of await this.usedGenerations(id)) {
+            const manifest = await this.manifest(id, generation);
+            if (manifest) manifests.push(manifest);
+        }
+        return manifests;
+    }
+
+    /**
+     * Manifest of one generation
+     * @param {string|number} tokenId - Token ID
+     * @param {number} generation - Generation number
+     * @returns {Promise<Object|null>} Manifest, or null if there is no finished generation by that number
+     */
+    async manifest(tokenId, generation) {
+        const bytes = await this.store.get(`${checkTokenId(tokenId)}/${Number(generation)}/${MANIFEST}`);
+        return bytes ? JSON.parse(bytes.toString('utf8')) : null;
+    }
+
+    /**
+     * One archived file, checked against its manifest
+     * @param {string|number} tokenId - Token ID
+     * @param {number} generation - Generation number
+     * @param {string} name - File name
+     * @returns {Promise<Object|null>} { bytes, contentType }, or null if it isn't archived
+     * @throws {Error} If the stored bytes don't match the manifest
+     */
+    async file(tokenId, generation, name) {
+        const manifest = await this.manifest(tokenId, generation);
+        const entry = manifest?.files.find(file => file.name === name);
+        if (!entry) return null;
+
+        const bytes = await this.store.get(`${manifest.tokenId}/${manifest.generation}/${name}`);
+        if (!bytes) throw new Error(`Archived ${name} of #${manifest.tokenId} generation ${manifest.generation} is missing`);
+        if (crypto.createHash('sha256').update(bytes).digest('hex') !== entry.sha256) {
+            throw new Error(`Archived ${name} of #${manifest.tokenId} generation ${manifest.generation} does not match its sha256`);
+        }
+        return { bytes, contentType: entry.contentType };
+    }
+
+    /**
+     * Everything archived for a token as one .tar.gz
+     * (token-<id>/<generation>/<file>, manifests included)
+     * @param {string|number} tokenId - Token ID
+     * @param {Object} [options]
+     * @param {number} [options.generation] - Only this generation
+     * @returns {Promise<Object|null>} { filename, bytes, generations }, or null if nothing is archived
+     */
+    async exportTarGz(tokenId, { generation = null } = {}) {
+        const id = checkTokenId(tokenId);
+        const manifests = (await this.generations(id))
+            .filter(manifest => generation === null || manifest.generation === Number(generation));
+        if (manifests.length === 0) return null;
+
+        const entries = [];
+        for (const manifest of manifests) {
+            const mtime = Date.parse(manifest.createdAt);
+            for (const { name } of manifest.files) {
+                const { bytes } = await this.file(id, manifest.generation, name);
+                entries.push({ name: `token-${id}/${manifest.generation}/${name}`, bytes, mtime });
+            }
+            entries.push({ name: `token-${id}/${manifest.generation}/${MANIFEST}`, bytes: Buffer.from(JSON.stringify(manifest, null, 2)), mtime });
+        }
+
+        const suffix = generation === null ? '' : `-gen${manifests[0].generation}`;
+        return {
+            filename: `token-${id}${suffix}-archive.tar.gz`,
+            bytes: packTarGz(entries),
+            generations: manifests.map(manifest => manifest.generation)
+        };
+    }
+}
+
+let defaultArchive = null;
+
+/**
+ * Return the shared archive (store from ASSET_ARCHIVE_STORE)
+ * @returns {AssetArchive} Archive instance
+ */
+export function getAssetArchive() {
+    if (!defaultArchive) {
+        defaultArchive = new AssetArchive();
+    }
+    return defaultArchive;
+}
@@ -0,0 +1,514 @@
+/**
+ * scripts/candidateSelection.js
+ * ───────────────────────────────────────────────────────────────
+ * Owner selection between several generated images.
+ *
+ * A mint or regeneration that asks for K candidates has finalizeMint
+ * generate K images without pinning anything. They are kept here as a
+ * candidate set and the task waits in AWAITING_SELECTION until the owner
+ * (or an operator) picks one through /api/candidates/:taskId. Only the
+ * picked image is pinned and written with setTokenURI.
+ *
+ * Set lifecycle:
+ * - AWAITING_SELECTION → candidates are stored (native sprites plus the
+ *                        provider's raw output for the archive, unpinned)
+ * - SELECTED           → one was picked, the other images are dropped
+ * - PINNED             → the picked image is on-chain
+ * - EXPIRED            → nobody picked one within CANDIDATE_TTL_MS, all
+ *                        images are dropped
+ *
+ * Owners pick by signing selectionMessage() with the wallet that asked
+ * for the candidates.
+ *
+ * Backends:
+ * - Supabase `candidate_sets` table
+ * - Local JSON file stand-in when Supabase isn't configured
+ *
+ * Optional env:
+ *   MAX_CANDIDATES    (defaults to 4)
+ *   CANDIDATE_TTL_MS  (defaults to 86400000 – 24 hours)
+ *   CANDIDATES_FILE   (defaults to "./candidate-sets.json")
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ethers } from 'ethers';
+import { createClient } from '@supabase/supabase-js';
+
+export const SELECTION_STATES = {
+    AWAITING_SELECTION: 'AWAITING_SELECTION',
+    SELECTED: 'SELECTED',
+    PINNED: 'PINNED',
+    EXPIRED: 'EXPIRED'
+};
+
+/**
+ * Read candidate settings from env
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} { maxCandidates, ttlMs }
+ * @throws {Error} If a setting is invalid
+ */
+export function loadCandidateOptions(env = process.env) {
+    const maxCandidates = env.MAX_CANDIDATES ? Number(env.MAX_CANDIDATES) : 4;
+    if (!Number.isInteger(maxCandidates) || maxCandidates < 1) {
+        throw new Error('MAX_CANDIDATES must be a positive integer');
+    }
+
+    const ttlMs = env.CANDIDATE_TTL_MS ? Number(env.CANDIDATE_TTL_MS) : 24 * 60 * 60 * 1000;
+    if (!Number.isInteger(ttlMs) || ttlMs <= 0) {
+        throw new Error('CANDIDATE_TTL_MS must be a positive number of milliseconds');
+    }
+
+    return { maxCandidates, ttlMs };
+}
+
+/**
+ * Validate a requested number of candidates
+ * @param {*} value - Requested count (undefined means a single image, no selection step)
+ * @param {Object} [options] - { maxCandidates }, defaults to loadCandidateOptions()
+ * @returns {number} Candidate count (1 means no selection step)
+ * @throws {Error} If the count isn't an integer between 1 and maxCandidates
+ */
+export function resolveCandidateCount(value, { maxCandidates } = loadCandidateOptions()) {
+    if (value === undefined || value === null || value === '') return 1;
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > maxCandidates) {
+        throw new Error(`Candidates must be a whole number between 1 and ${maxCandidates}`);
+    }
+    return count;
+}
+
+/**
+ * Create a candidate set for a task
+ * @param {Object} set
+ * @param {string} set.taskId - Task waiting on the selection (also the set id)
+ * @param {string|number} set.tokenId - Token ID
+ * @param {string} [set.owner] - Wallet allowed to pick (the buyer / regeneration payer)
+ * @param {Object} set.request - Mint options to run again with the picked candidate
+ * @param {Object[]} set.candidates - Candidates from finalizeMint
+ * @param {number} [set.ttlMs] - Selection window (defaults to CANDIDATE_TTL_MS)
+ * @returns {Object} Candidate set
+ */
+export function createCandidateSet({ taskId, tokenId, owner = null, request, candidates, ttlMs = loadCandidateOptions().ttlMs }) {
+    const now = Date.now();
+    return {
+        id: taskId,
+        tokenId: Number(tokenId),
+        status: SELECTION_STATES.AWAITING_SELECTION,
+        owner: owner ? owner.toLowerCase() : null,
+        request,
+        candidates,
+        selectedIndex: null,
+        tokenURI: null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttlMs).toISOString(),
+        updatedAt: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Message an owner signs to pick a candidate
+ * @param {Object} set - Candidate set
+ * @param {number} index - Candidate index
+ * @returns {string} Message to sign
+ */
+export function selectionMessage(set, index) {
+    return `Select candidate ${index + 1} of ${set.candidates.length} for Pixel Ninja Cat #${set.tokenId} (task ${set.id})`;
+}
+
+/**
+ * Check an owner's selection signature
+ * @param {Object} set - Candidate set
+ * @param {number} index - Candidate index
+ * @param {string} signature - personal_sign signature of selectionMessage()
+ * @returns {boolean} True if the set's owner signed it
+ */
+export function verifySelectionSignature(set, index, signature) {
+    if (!set.owner || typeof signature !== 'string') return false;
+    try {
+        return ethers.verifyMessage(selectionMessage(set, index), signature).toLowerCase() === set.owner;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Error with the HTTP status the candidates API should answer with
+ */
+function selectionError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Pick a candidate: the set moves to SELECTED and the other images are dropped
+ * @param {Object} set - Candidate set
+ * @param {number} index - Candidate index
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Updated set
+ * @throws {Error} If the set can't be picked from (error.statusCode is 409 or 410, 400 for a bad index)
+ */
+export function applySelection(set, index, now = Date.now()) {
+    if (set.status !== SELECTION_STATES.AWAITING_SELECTION) {
+        throw selectionError(`Candidates for task ${set.id} are ${set.status.toLowerCase()}, nothing to select`, 409);
+    }
+    if (Date.parse(set.expiresAt) <= now) {
+        throw selectionError(`Selection window for task ${set.id} closed at ${set.expiresAt}`, 410);
+    }
+    if (!Number.isInteger(index) || !set.candidates.some(candidate => candidate.index === index)) {
+        throw selectionError(`No candidate ${index} for task ${set.id}`, 400);
+    }
+
+    return {
+        ...set,
+        status: SELECTION_STATES.SELECTED,
+        selectedIndex: index,
+        candidates: set.candidates.map(candidate => (candidate.index === index ? candidate : { ...candidate, image: null, original: null })),
+        updatedAt: new Date(now).toISOString()
+    };
+}
+
+/**
+ * Close an unanswered set: every image is dropped
+ * @param {Object} set - Candidate set
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} Updated set
+ */
+export function applyExpiry(set, now = Date.now()) {
+    return {
+        ...set,
+        status: SELECTION_STATES.EXPIRED,
+        candidates: set.candidates.map(candidate => ({ ...candidate, image: null, original: null })),
+        updatedAt: new Date(now).toISOString()
+    };
+}
+
+/**
+ * The set as the API shows it: previews as data URIs, no mint request
+ * @param {Object} set - Candidate set
+ * @returns {Object} Public view of the set
+ */
+export function publicCandidateSet(set) {
+    return {
+        taskId: set.id,
+        tokenId: set.tokenId,
+        status: set.status,
+        owner: set.owner,
+        selectedIndex: set.selectedIndex,
+        tokenURI: set.tokenURI,
+        createdAt: set.createdAt,
+        expiresAt: set.expiresAt,
+        candidates: set.candidates.map(candidate => ({
+            index: candidate.index,
+            image: candidate.image ? `data:image/png;base64,${candidate.image}` : null,
+            width: candidate.width,
+            height: candidate.height,
+            provider: candidate.provider,
+            model: candidate.model,
+            seed: candidate.metadata?.seed ?? null,
+            message: selectionMessage(set, candidate.index)
+        }))
+    };
+}
+
+/* ─── Supabase store ─────────────────────────────────────────── */
+
+/**
+ * Map a set to a candidate_sets row
+ */
+function setToRow(set) {
+    return {
+        id: set.id,
+        token_id: String(set.tokenId),
+        status: set.status,
+        owner: set.owner,
+        request: set.request,
+        candidates: set.candidates,
+        selected_index: set.selectedIndex,
+        token_uri: set.tokenURI,
+        created_at: set.createdAt,
+        expires_at: set.expiresAt,
+        updated_at: set.updatedAt
+    };
+}
+
+/**
+ * Map a candidate_sets row back to a set
+ */
+function rowToSet(row) {
+    return {
+        id: row.id,
+        tokenId: Number(row.token_id),
+        status: row.status,
+        owner: row.owner,
+        request: row.request || {},
+        candidates: row.candidates || [],
+        selectedIndex: row.selected_index,
+        tokenURI: row.token_uri,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Candidate sets in the Supabase `candidate_sets` table
+ */
+export class SupabaseCandidateStore {
+    constructor(client) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    /**
+     * Save (insert or replace) a set
+     * @param {Object} set - Candidate set
+     * @returns {Promise<Object>} The set
+     */
+    async save(set) {
+        const { error } = await this.supabase
+            .from('candidate_sets')
+            .upsert(setToRow(set), { onConflict: 'id' });
+
+        if (error) {
+            if (error.code === '42P01') {
+                console.log('⚠️ candidate_sets table does not exist - see SUPABASE_SETUP.md');
+            }
+            throw error;
+        }
+        return set;
+    }
+
+    /**
+     * Get a set
+     * @param {string} id - Set (task) id
+     * @returns {Promise<Object|null>} The set, or null if there is none
+     */
+    async get(id) {
+        const { data, error } = await this.supabase
+            .from('candidate_sets')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? rowToSet(data) : null;
+    }
+
+    /**
+     * Write an updated set only if it still has the status it was read with
+     * @returns {Promise<boolean>} False if another worker changed it first
+     */
+    async replaceIf(set, status) {
+        const { data, error } = await this.supabase
+            .from('candidate_sets')
+            .update(setToRow(set))
+            .eq('id', set.id)
+            .eq('status', status)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Pick a candidate (see applySelection)
+     * @param {string} id - Set (task) id
+     * @param {number} index - Candidate index
+     * @returns {Promise<Object>} Updated set
+     * @throws {Error} If there is no such set or it can't be picked from
+     */
+    async select(id, index) {
+        const set = await this.get(id);
+        if (!set) throw selectionError(`No candidates for task ${id}`, 404);
+
+        const selected = applySelection(set, index);
+        if (!await this.replaceIf(selected, SELECTION_STATES.AWAITING_SELECTION)) {
+            throw selectionError(`Candidates for task ${id} were selected or expired meanwhile`, 409);
+        }
+        return selected;
+    }
+
+    /**
+     * Record the token URI the picked candidate was pinned as
+     * @param {string} id - Set (task) id
+     * @param {string} tokenURI - Final token URI
+     * @returns {Promise<void>}
+     */
+    async markPinned(id, tokenURI) {
+        const { error } = await this.supabase
+            .from('candidate_sets')
+            .update({ status: SELECTION_STATES.PINNED, token_uri: tokenURI, updated_at: new Date().toISOString() })
+            .eq('id', id);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Expire every unanswered set whose selection window has closed
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<Object[]>} Sets that were expired
+     */
+    async expire(now = Date.now()) {
+        const { data, error } = await this.supabase
+            .from('candidate_sets')
+            .select('*')
+            .eq('status', SELECTION_STATES.AWAITING_SELECTION)
+            .lt('expires_at', new Date(now).toISOString());
+
+        if (error) throw error;
+
+        const expired = [];
+        for (const set of (data || []).map(rowToSet)) {
+            const closed = applyExpiry(set, now);
+            if (await this.replaceIf(closed, SELECTION_STATES.AWAITING_SELECTION)) {
+                expired.push(closed);
+            }
+        }
+        return expired;
+    }
+}
+
+/* ─── Local JSON file store ──────────────────────────────────── */
+
+/**
+ * Candidate sets in a JSON file on disk
+ */
+export class FileCandidateStore {
+    /**
+     * @param {string} filePath - Path to the sets file
+     */
+    constructor(filePath = process.env.CANDIDATES_FILE || path.join(process.cwd(), 'candidate-sets.json')) {
+        this.filePath = filePath;
+        this.lock = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8')).sets || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read ${this.filePath}: ${err.message}`);
+            }
+            return [];
+        }
+    }
+
+    async writeAll(sets) {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ sets }, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    /**
+     * Run a read-modify-write of all sets under the file lock
+     */
+    withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Save (insert or replace) a set
+     * @param {Object} set - Candidate set
+     * @returns {Promise<Object>} The set
+     */
+    async save(set) {
+        return this.withLock(async () => {
+            const sets = (await this.readAll()).filter(existing => existing.id !== set.id);
+            sets.push(set);
+            await this.writeAll(sets);
+            return set;
+        });
+    }
+
+    /**
+     * Get a set
+     * @param {string} id - Set (task) id
+     * @returns {Promise<Object|null>} The set, or null if there is none
+     */
+    async get(id) {
+        return (await this.readAll()).find(set => set.id === id) || null;
+    }
+
+    /**
+     * Pick a candidate (see applySelection)
+     * @param {string} id - Set (task) id
+     * @param {number} index - Candidate index
+     * @returns {Promise<Object>} Updated set
+     * @throws {Error} If there is no such set or it can't be picked from
+     */
+    async select(id, index) {
+        return this.withLock(async () => {
+            const sets = await this.readAll();
+            const position = sets.findIndex(set => set.id === id);
+            if (position === -1) throw selectionError(`No candidates for task ${id}`, 404);
+
+            sets[position] = applySelection(sets[position], index);
+            await this.writeAll(sets);
+            return sets[position];
+        });
+    }
+
+    /**
+     * Record the token URI the picked candidate was pinned as
+     * @param {string} id - Set (task) id
+     * @param {string} tokenURI - Final token URI
+     * @returns {Promise<void>}
+     */
+    async markPinned(id, tokenURI) {
+        await this.withLock(async () => {
+            const sets = await this.readAll();
+            const set = sets.find(existing => existing.id === id);
+            if (!set) return;
+
+            Object.assign(set, { status: SELECTION_STATES.PINNED, tokenURI, updatedAt: new Date().toISOString() });
+            await this.writeAll(sets);
+        });
+    }
+
+    /**
+     * Expire every unanswered set whose selection window has closed
+     * @param {number} [now] - Current time in ms
+     * @returns {Promise<Object[]>} Sets that were expired
+     */
+    async expire(now = Date.now()) {
+        return this.withLock(async () => {
+            const sets = await this.readAll();
+            const expired = [];
+            const updated = sets.map(set => {
+                if (set.status !== SELECTION_STATES.AWAITING_SELECTION || Date.parse(set.expiresAt) > now) return set;
+                const closed = applyExpiry(set, now);
+                expired.push(closed);
+                return closed;
+            });
+            if (expired.length > 0) await this.writeAll(updated);
+            return expired;
+        });
+    }
+}
+
+let defaultStore = null;
+
+/**
+ * Return the shared candidate store for this environment
+ * @returns {SupabaseCandidateStore|FileCandidateStore} Candidate store
+ */
+export function getCandidateStore() {
+    if (!defaultStore) {
+        defaultStore = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+            ? new SupabaseCandidateStore()
+            : new FileCandidateStore();
+    }
+    return defaultStore;
+}
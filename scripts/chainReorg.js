@@ -0,0 +1,149 @@
+/**
+ * scripts/chainReorg.js
+ * ───────────────────────────────────────────────────────────────
+ * Reorg protection for the MintRequested scanners.
+ *
+ * - Only blocks at least MINT_CONFIRMATIONS deep are scanned
+ * - The hash of every scanned range's last block (and of every block
+ *   that carried a MintRequested event) is recorded in scanner state
+ * - Before each scan the newest recorded hash is compared with the chain;
+ *   on a mismatch we walk back to the newest hash that still matches,
+ *   rewind the cursor there and drop tokens from orphaned blocks out of
+ *   processedTokens so the rescan can pick them up again
+ * - A checkpoint the RPC returns no block for (lagging or load-balanced
+ *   node) proves nothing, so the check is skipped for that pass instead
+ *   of being treated as a mismatch
+ * - Queued work for those tokens is cancelled by the scanners
+ *   (MintJobQueue.cancelOrphaned, the cron's pending tasks), and
+ *   runMintPipeline re-checks the MintRequested transaction before it
+ *   generates and before it writes the token URI
+ *
+ * Optional env:
+ *   MINT_CONFIRMATIONS  (defaults to 6)
+ */
+
+export const DEFAULT_CONFIRMATIONS = parseInt(process.env.MINT_CONFIRMATIONS, 10) >= 0
+    ? parseInt(process.env.MINT_CONFIRMATIONS, 10)
+    : 6;
+
+// Number of block hash checkpoints kept in state
+const MAX_CHECKPOINTS = 64;
+// Token → block records older than this many blocks behind the cursor are dropped
+const TOKEN_BLOCK_WINDOW = 5000;
+
+/**
+ * Highest block that has enough confirmations to be scanned
+ * @param {number} latest - Latest block number
+ * @param {number} [confirmations] - Required confirmation depth
+ * @returns {number} Confirmed head block
+ */
+export function confirmedHead(latest, confirmations = DEFAULT_CONFIRMATIONS) {
+    return Math.max(0, latest - confirmations);
+}
+
+function ensureReorgState(state) {
+    if (!Array.isArray(state.blockHashes)) state.blockHashes = [];
+    if (!state.tokenBlocks || typeof state.tokenBlocks !== 'object') state.tokenBlocks = {};
+}
+
+/**
+ * Record the hash of a scanned block
+ * @param {Object} state - Scanner state
+ * @param {number} number - Block number
+ * @param {string} hash - Block hash
+ */
+export function recordBlockHash(state, number, hash) {
+    ensureReorgState(state);
+    if (!hash) return;
+
+    state.blockHashes = state.blockHashes
+        .filter(cp => cp.number !== number)
+        .concat({ number, hash })
+        .sort((a, b) => a.number - b.number)
+        .slice(-MAX_CHECKPOINTS);
+}
+
+/**
+ * Remember which block a token's MintRequested event came from
+ * @param {Object} state - Scanner state
+ * @param {number} tokenId - Token ID
+ * @param {Object} log - Event log ({ blockNumber, blockHash })
+ */
+export function recordTokenBlock(state, tokenId, log) {
+    ensureReorgState(state);
+    state.tokenBlocks[tokenId] = { blockNumber: log.blockNumber, blockHash: log.blockHash };
+    recordBlockHash(state, log.blockNumber, log.blockHash);
+
+    const cutoff = (state.lastBlock || 0) - TOKEN_BLOCK_WINDOW;
+    for (const [id, info] of Object.entries(state.tokenBlocks)) {
+        if (info.blockNumber < cutoff) delete state.tokenBlocks[id];
+    }
+}
+
+/**
+ * Compare recorded block hashes with the chain and rewind state on a reorg
+ * @param {Object} provider - ethers provider
+ * @param {Object} state - Scanner state ({ lastBlock, processedTokens, blockHashes, tokenBlocks })
+ * @returns {Promise<Object|null>} { forkBlock, rewindTo, orphanedTokens } or null if the chain is unchanged
+ *   or a checkpoint block couldn't be fetched
+ */
+export async function detectReorg(provider, state) {
+    ensureReorgState(state);
+    if (state.blockHashes.length === 0) return null;
+
+    // Newest first - a match means every older checkpoint is still canonical too
+    const checkpoints = [...state.blockHashes].sort((a, b) => b.number - a.number);
+    let newestMatch = null;
+    let oldestMismatch = null;
+    for (const checkpoint of checkpoints) {
+        const block = await provider.getBlock(checkpoint.number);
+        if (!block) {
+            console.warn(`⚠️ RPC returned no block ${checkpoint.number}, skipping reorg check for this pass`);
+            return null;
+        }
+        if (block.hash === checkpoint.hash) {
+            newestMatch = checkpoint;
+            break;
+        }
+        oldestMismatch = checkpoint;
+    }
+
+    if (!oldestMismatch) return null;
+
+    const rewindTo = newestMatch ? newestMatch.number : Math.max(0, oldestMismatch.number - 1);
+    if (!newestMatch) {
+        console.warn(`⚠️ Reorg is deeper than the ${checkpoints.length} recorded checkpoints, rewinding to block ${rewindTo}`);
+    }
+
+    const orphanedTokens = [];
+    for (const [id, info] of Object.entries(state.tokenBlocks)) {
+        if (info.blockNumber > rewindTo) {
+            orphanedTokens.push(Number(id));
+            state.processedTokens.delete(Number(id));
+            delete state.tokenBlocks[id];
+        }
+    }
+
+    state.blockHashes = state.blockHashes.filter(cp => cp.number <= rewindTo);
+    state.lastBlock = Math.min(state.lastBlock, rewindTo);
+
+    console.warn(`🔀 Chain reorg detected at block ${oldestMismatch.number}, rescanning from block ${rewindTo + 1}`);
+    if (orphanedTokens.length > 0) {
+        console.warn(`🔀 Invalidated tokens from orphaned blocks: ${orphanedTokens.map(id => `#${id}`).join(', ')}`);
+    }
+
+    return { forkBlock: oldestMismatch.number, rewindTo, orphanedTokens };
+}
+
+/**
+ * Whether queued work came from a MintRequested event that a reorg orphaned.
+ * Work without a block number (manual runs, regenerations) is never orphaned
+ * @param {Object} reorg - Result of detectReorg()
+ * @param {Object} work - Job payload or pending task ({ tokenId, blockNumber })
+ * @returns {boolean} True if the event's block was rewound
+ */
+export function isOrphaned(reorg, { tokenId, blockNumber }) {
+    return Number.isFinite(blockNumber) &&
+        blockNumber > reorg.rewindTo &&
+        reorg.orphanedTokens.includes(Number(tokenId));
+}
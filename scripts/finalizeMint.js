@@ -2,8 +2,10 @@
  * scripts/finalizeMint.js
  * ───────────────────────────────────────────────────────────────
  * Generates a 32 × 32 pixel-art Ninja-Cat sprite via multiple AI providers,
- * trims any stray palette bar, uploads PNG + JSON to IPFS
- * (Pinata first → w3-CLI fallback), and returns { tokenURI }.
+ * trims any stray palette bar (scripts/paletteBar.js), snaps the art to its real
+ * pixel grid (scripts/pixelGrid.js), uploads PNGs + JSON to IPFS
+ * (scripts/storageBackends.js: Pinata → w3up → local by default, CIDs computed
+ * locally and checked), and returns { tokenURI }.
  *
  * Rich metadata generation includes:
  * - Core traits (Breed, Weapon, Stance, Element, Rank, Accessory)
@@ -18,6 +20,12 @@
  *   "huggingface" - Free with token (register at huggingface.co)
  *   "dall-e"      - OpenAI's DALL-E 3 (paid API)
  *   "stability"   - Stability AI (paid API)
+ *   "procedural"  - Offline 32 × 32 sprite drawn from the traits (no key, no network)
+ * Providers live in scripts/imageProviders.js.
+ * Each mint resolves its provider chain with resolveProviderChain(): the
+ * requested provider alone (strict) unless the mint passes a `fallback` chain,
+ * or runs on the default provider with IMAGE_PROVIDER_FALLBACK set, e.g.
+ * "dall-e -> stability -> procedural". The chain is logged before generating.
  *
  * MODEL SELECTION:
  * For HuggingFace, set HF_MODEL to one of:
@@ -27,38 +35,64 @@
  *   "ByteDance/SDXL-Lightning" (faster generations)
  *   "Lykon/dreamshaper-xl-1-0" (stylized art)
  *
- * Required env:
- *   At least one of: OPENAI_API_KEY, STABILITY_API_KEY, HUGGING_FACE_TOKEN
  * Optional env:
+ *   OPENAI_API_KEY, STABILITY_API_KEY, HUGGING_FACE_TOKEN (without any, only "procedural" is available)
  *   PINATA_API_KEY  PINATA_SECRET_KEY   (for Pinata first-try)
+ *   STORAGE_BACKENDS, W3UP_SPACE, LOCAL_IPFS_DIR, CAR_EXPORT_DIR (see scripts/storageBackends.js)
  *   BASE_URL        (served /images + /metadata fallback)
  *   PROJECT_NAME    (defaults to "Pixel Ninja Cats")
  *   IMAGE_PROVIDER  (defaults to "dall-e", options above)
  *   HF_MODEL        (defaults to "stabilityai/stable-diffusion-xl-base-1.0")
+ *   IMAGE_PROVIDER_FALLBACK (fallback chain, unset = strict)
+ *   SPRITE_SIZE, SPRITE_DISPLAY_SIZE (see scripts/pixelGrid.js)
+ *   SPRITE_PALETTE, SPRITE_DITHER, SPRITE_PALETTES_FILE (see scripts/spritePalette.js)
+ *   PROMPT_TEMPLATE, PROMPT_TEMPLATES_FILE (see scripts/promptTemplates.js)
+ *   GENERATION_RECORDS_FILE (local stand-in for Supabase, see scripts/generationRecords.js)
+ *   QUALITY_GATE, QUALITY_MAX_REGENERATIONS, REJECTED_IMAGES_DIR, QUALITY_* thresholds
+ *                   (see scripts/imageQuality.js)
+ *   MAX_CANDIDATES  (cap on images generated for an owner selection, see scripts/candidateSelection.js)
+ *   SPRITE_ANIMATION, SPRITE_ANIMATION_FRAMES, SPRITE_ANIMATION_DELAY
+ *                   (idle loop pinned as animation_url, see scripts/spriteAnimation.js)
+ *   ASSET_ARCHIVE_STORE, ASSET_ARCHIVE_DIR, ASSET_ARCHIVE_BUCKET
+ *                   (versioned copy of every run's files, see scripts/assetArchive.js)
  *
  * Extra dep (for loss-less auto-crop):
  *   npm i sharp
  */
 
 import 'dotenv/config';
-import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import FormData from 'form-data';
-import fetch from 'node-fetch';
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import { createHash } from 'crypto';
+import { randomInt } from 'crypto';
 import Ajv from 'ajv';
 import addFormats from 'ajv-formats';
 import {
     generateTraits,
     assembleMetadata,
-    getBackgroundDefinitions,
-    normalizeToGatewayUrl
+    normalizeToGatewayUrl,
+    selectBackground
 } from '../utils/metadata.js';
 import { readFileSync } from 'fs';
+import {
+    getProvider,
+    listProviders,
+    providerNames,
+    missingEnv,
+    resolveProviderChain
+} from './imageProviders.js';
+import {
+    selectPromptTemplate,
+    getPromptTemplate,
+    buildPromptContext,
+    renderPrompt,
+    promptTemplateInfo
+} from './promptTemplates.js';
+import { buildGenerationRecord, generationProperties, getGenerationStore } from './generationRecords.js';
+import { loadCandidateOptions } from './candidateSelection.js';
+import { PermanentMintError } from './retryPolicy.js';
+import { storeFile, isLocalStorageUrl } from './storageBackends.js';
+import { getAssetArchive, imageExtension } from './assetArchive.js';
 import { fileURLToPath } from 'url';
 
 /**
@@ -77,6 +111,12 @@ function validateHttpsUri(uri, context = 'URI') {
         throw new Error(`${context} is still raw IPFS format: ${uri} - This should have been normalized!`);
     }
     
+    // Stored by the local backends - served by this app, not a gateway
+    if (isLocalStorageUrl(uri)) {
+        console.log(`✅ ${context} is served by the local storage backend: ${uri}`);
+        return uri;
+    }
+
     if (!uri.startsWith('https://')) {
         throw new Error(`${context} is not HTTPS format: ${uri}`);
     }
@@ -85,8 +125,6 @@ function validateHttpsUri(uri, context = 'URI') {
     return uri;
 }
 
-const execAsync = promisify(exec);
-
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -125,116 +163,39 @@ addFormats(ajv);
 const validateMetadata = ajv.compile(schema);
 
 /* ─── env ────────────────────────────────────────────────────── */
-const {
-    OPENAI_API_KEY,
-    STABILITY_API_KEY,
-    HUGGING_FACE_TOKEN,
-    PINATA_API_KEY,
-    PINATA_SECRET_KEY,
-    BASE_URL,
-    PROJECT_NAME,
-    // Default to DALL-E as the provider
-    IMAGE_PROVIDER = 'dall-e',
-    // HuggingFace model options
-    HF_MODEL = 'stabilityai/stable-diffusion-xl-base-1.0',
-    // DALL-E model options (dall-e-3 or dall-e-2)
-    DALLE_MODEL = 'dall-e-3',
-    // Stability models
-    STABILITY_MODEL = 'stable-diffusion-xl-1024-v1-0'
+const {
+    PINATA_API_KEY,
+    PINATA_SECRET_KEY,
+    BASE_URL,
+    PROJECT_NAME,
+    // Default to DALL-E as the provider
+    IMAGE_PROVIDER = 'dall-e'
     // IPFS gateway for compatibility - currently unused but kept for future use
-    // IPFS_GATEWAY = 'https://ipfs.io/ipfs/'
-} = process.env;
-
-// Enhanced provider configuration with expanded background options and storytelling
-const PROVIDERS = {
-    huggingface: {
-        name: 'HuggingFace',
-        key: HUGGING_FACE_TOKEN,
-        model: HF_MODEL,
-        models: {
-            'stabilityai/stable-diffusion-xl-base-1.0': 'SDXL (High Quality)',
-            'prompthero/openjourney': 'Openjourney (Midjourney Style)',
-            'runwayml/stable-diffusion-v1-5': 'SD 1.5 (Faster)',
-            'ByteDance/SDXL-Lightning': 'SDXL Lightning (Fastest)',
-            'Lykon/dreamshaper-xl-1-0': 'Dreamshaper XL (Stylized)'
-        },
-        free: true,
-        pixelSettings: {
-            guidance_scale: 8.5,
-            num_inference_steps: 50,
-            prompt_prefix: '32x32 pixel art of a ninja cat, ',
-            prompt_suffix: ', retro game style, limited color palette, charming, detailed pixel art, NES style',
-            backgrounds: getBackgroundDefinitions(),
-            negativePrompt: 'text, letters, numbers, words, captions, labels, watermarks, signatures, blurry, low quality'
-        }
-    },
-    'dall-e': {
-        name: 'DALL-E',
-        key: OPENAI_API_KEY,
-        model: DALLE_MODEL,
-        models: {
-            'dall-e-3': 'DALL-E 3 (Best Quality)',
-            'dall-e-2': 'DALL-E 2 (Faster)'
-        },
-        free: false,
-        pixelSettings: {
-            quality: 'hd',
-            style: 'vivid',
-            size: '1024x1024',
-            prompt_prefix: '32x32 pixel art sprite of a ninja cat: ',
-            prompt_suffix: '. Simple retro game style, chunky pixels, extremely limited color palette, NO TEXT, NO LETTERS, NO NUMBERS, NO WORDS, cute, charming pixel art. NES/SNES era game graphics, no anti-aliasing, blocky pixel edges.',
-            backgrounds: getBackgroundDefinitions()
-        }
-    },
-    stability: {
-        name: 'Stability AI',
-        key: STABILITY_API_KEY,
-        model: STABILITY_MODEL,
-        models: {
-            'stable-diffusion-xl-1024-v1-0': 'SDXL 1.0',
-            'stable-diffusion-v1-5': 'SD 1.5 (Faster)'
-        },
-        free: false,
-        pixelSettings: {
-            cfg_scale: 9.5, // Increased for better prompt adherence
-            steps: 40, // Increased for better quality
-            prompt_prefix: '32x32 pixel art sprite of a ninja cat: ',
-            prompt_suffix: ', retro game style, limited color palette (8-16 colors max), chunky pixels, no anti-aliasing, clean pixel art, NES/SNES aesthetic',
-            backgrounds: getBackgroundDefinitions(),
-            negativePrompt: 'text, letters, numbers, words, captions, labels, watermarks, signatures, blurry, low quality'
-        },
-        stylePresets: {
-            'pixel-art': 'Pixel Art',
-            'anime': 'Anime',
-            '3d-model': '3D Model',
-            'photographic': 'Photographic',
-            'digital-art': 'Digital Art'
-        },
-        defaultStylePreset: 'pixel-art'
-    }
-};
-
-// Verify we have at least one image generation API key
-if (!OPENAI_API_KEY && !STABILITY_API_KEY && !HUGGING_FACE_TOKEN) {
-    throw new Error('Missing API keys in .env: need at least one of HUGGING_FACE_TOKEN, OPENAI_API_KEY, or STABILITY_API_KEY');
-}
-
-// Check if the selected provider is configured
-const selectedProvider = PROVIDERS[IMAGE_PROVIDER];
-if (!selectedProvider) {
-    console.warn(`⚠️ Unknown provider "${IMAGE_PROVIDER}". Valid options are: ${Object.keys(PROVIDERS).join(', ')}`);
-    console.warn('⚠️ Falling back to available provider...');
-}
-if (selectedProvider && !selectedProvider.key) {
-    console.warn(`⚠️ Selected provider "${IMAGE_PROVIDER}" has no API key configured.`);
-    console.warn('⚠️ Falling back to available provider...');
-}
-
-console.log(`🖼️ Default image provider: ${selectedProvider && selectedProvider.key ?
-    `${selectedProvider.name} (${selectedProvider.model})` :
-    'Will try all available providers'
-    }`);
-
+    // IPFS_GATEWAY = 'https://ipfs.io/ipfs/'
+} = process.env;
+
+// Warn if no AI provider has a key - the offline procedural provider still works
+const configuredProviders = listProviders().filter(provider => missingEnv(provider).length === 0);
+if (!configuredProviders.some(provider => !provider.offline)) {
+    console.warn('⚠️ No image API keys in .env (HUGGING_FACE_TOKEN, OPENAI_API_KEY or STABILITY_API_KEY) - only the "procedural" provider is available');
+}
+
+// Check if the selected provider is configured
+const selectedProvider = getProvider(IMAGE_PROVIDER);
+if (!selectedProvider) {
+    console.warn(`⚠️ Unknown provider "${IMAGE_PROVIDER}". Valid options are: ${providerNames().join(', ')}`);
+    console.warn('⚠️ Falling back to available provider...');
+}
+if (selectedProvider && missingEnv(selectedProvider).length > 0) {
+    console.warn(`⚠️ Selected provider "${IMAGE_PROVIDER}" has no API key configured.`);
+    console.warn('⚠️ Falling back to available provider...');
+}
+
+console.log(`🖼️ Default image provider: ${selectedProvider && missingEnv(selectedProvider).length === 0 ?
+    `${selectedProvider.label} (${selectedProvider.model})` :
+    'Will try all available providers'
+    }`);
+
 const baseUrl = BASE_URL || 'http://localhost:5000';
 const projectName = PROJECT_NAME || 'Pixel Ninja Cats';
 const isPinataConfigured = PINATA_API_KEY && PINATA_SECRET_KEY;
@@ -243,368 +204,103 @@ const isPinataConfigured = PINATA_API_KEY && PINATA_SECRET_KEY;
 let sharp;
 try { sharp = (await import('sharp')).default; } catch { /* fine */ }
 
-/* ─── OpenAI client ──────────────────────────────────────────── */
-let openai;
-if (OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-}
-
-/* ─── Image generation with various providers ─────────────────── */
 /**
- * Generate an image using OpenAI's DALL-E models
- * @param {string} prompt - The base prompt to generate an image from
- * @param {Object} options - Optional configuration
- * @returns {Promise<Object>} Image generation result
+ * Snap the generated art to its real pixel grid (scripts/pixelGrid.js) and
+ * remap it to the collection's master palette (scripts/spritePalette.js)
+ * @param {Object} processedImage - { path, directory } from processImage()
+ * @param {Object[]} rawTraits - Traits, used to pick the palette
+ * @param {Object} [options]
+ * @param {string} [options.dither] - Override the palette's dithering (a picked candidate is
+ *   already on the palette, dithering it again would move its colours)
+ * @returns {Promise<Object>} - { path (display PNG), directory, originalPath, spritePath, sprite, palette }, or the
+ *   input unchanged (no sprite) if sharp isn't available or the grid step fails
  */
-async function generateDallEImage(prompt, options = {}) {
-    if (!openai) throw new Error('OpenAI API not configured');
-
-    const settings = PROVIDERS['dall-e'].pixelSettings;
-    const model = PROVIDERS['dall-e'].model;
-    const maxRetries = options.maxRetries || 2;
-
-    // Start with no-text instruction for DALL-E
-    let enhancedPrompt = options.useCustomPrompt ? prompt :
-        `NO TEXT, NO LETTERS, NO NUMBERS: ${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
-
-    // Add extremely strong no-text instructions at both beginning and end
-    enhancedPrompt = `GENERATE IMAGE WITHOUT ANY TEXT. ${enhancedPrompt}. IMPORTANT: THE IMAGE MUST NOT CONTAIN ANY TEXT, LETTERS, NUMBERS, WORDS, SYMBOLS, SIGNATURES, WATERMARKS, OR LABELS WHATSOEVER.`;
-
-    console.log(`🎨 Generating image with ${model}...`);
-    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
-
-    // Track generation time
-    const startTime = Date.now();
-
-    // Configuration for DALL-E
-    const requestConfig = {
-        model: model,
-        prompt: enhancedPrompt,
-        n: 1,
-        size: options.size || settings.size,
-        quality: options.quality || settings.quality,
-        style: settings.style
-    };
-
-    // Add response format if requested
-    if (options.responseFormat) {
-        requestConfig.response_format = options.responseFormat;
-    }
-
-    // Use retries for robustness
-    let lastError = null;
-    let attempt = 0;
-
-    while (attempt <= maxRetries) {
-        try {
-            attempt++;
-
-            // If this is a retry, log it and slightly modify the prompt
-            if (attempt > 1) {
-                console.log(`🔄 Retry attempt ${attempt}/${maxRetries + 1} for DALL-E generation`);
-                requestConfig.prompt = enhancedPrompt + ` [Variation ${attempt}]`;
-            }
-
-            // Generate the image
-            const { data } = await openai.images.generate(requestConfig);
-
-            const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
-            console.log(`✅ DALL-E image generated successfully in ${generationTime}s!`);
-
-            // Compute content hash if URL available
-            let contentHash = null;
-            if (data[0].url) {
-                const urlParts = data[0].url.split('/');
-                contentHash = urlParts[urlParts.length - 1].split('.')[0];
-            }
-
-            return {
-                url: data[0].url,
-                base64: data[0].b64_json,
-                isLocal: false,
-                provider: 'dall-e',
-                model: model,
-                prompt: enhancedPrompt,
-                contentHash,
-                metadata: {
-                    generationTime: parseFloat(generationTime),
-                    width: parseInt(settings.size.split('x')[0], 10),
-                    height: parseInt(settings.size.split('x')[1], 10),
-                    quality: settings.quality,
-                    attempts: attempt
-                }
-            };
-        } catch (error) {
-            lastError = error;
-
-            // Check if this is a content policy violation
-            const isContentViolation = error.message?.includes('content policy') ||
-                error.message?.includes('safety system');
-
-            // If it's a content violation and not using a custom prompt, try simplifying
-            if (isContentViolation && !options.useCustomPrompt && attempt <= maxRetries) {
-                console.warn(`⚠️ DALL-E content policy triggered: ${error.message}`);
-                console.warn('🔄 Simplifying prompt and retrying...');
-
-                // Simplify the prompt by removing potentially problematic terms
-                const simplifiedPrompt = enhancedPrompt
-                    .replace(/ninja/gi, 'skilled')
-                    .replace(/weapon/gi, 'tool')
-                    .replace(/battle/gi, 'adventure');
-
-                requestConfig.prompt = simplifiedPrompt;
-                continue;
-            }
-
-            // For network errors, wait before retry
-            if (error.message?.includes('network') || error.message?.includes('timeout')) {
-                const waitTime = Math.min(2000 * attempt, 10000);
-                console.warn(`⚠️ Network error, waiting ${waitTime / 1000}s before retry: ${error.message}`);
-                await new Promise(resolve => setTimeout(resolve, waitTime));
-                continue;
-            }
-
-            // If we've reached max retries or unrecoverable error, rethrow
-            if (attempt > maxRetries) {
-                console.error(`❌ DALL-E generation failed after ${attempt} attempts: ${error.message}`);
-                throw error;
-            }
-        }
-    }
-
-    // If we get here, we've exhausted all retries
-    throw lastError;
-}
-
-/**
- * Generate an image using Stability AI's API
- * @param {string} prompt - The prompt to generate an image from
- * @param {Object} options - Optional configuration
- * @returns {Promise<Object>} Image generation result
- */
-async function generateStabilityImage(prompt, options = {}) {
-    if (!STABILITY_API_KEY) throw new Error('Stability AI API not configured');
-
-    const settings = PROVIDERS.stability.pixelSettings;
-    const model = options.model || PROVIDERS.stability.model;
-    const stylePreset = options.stylePreset || PROVIDERS.stability.defaultStylePreset || 'pixel-art';
-
-    // Allow using the prompt directly if specified
-    const enhancedPrompt = options.useCustomPrompt ? prompt :
-        `${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
-
-    console.log(`🎨 Generating image with Stability AI (${model})...`);
-    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
-    console.log(`🎭 Style preset: ${stylePreset}`);
-
-    // Track generation time
-    const startTime = Date.now();
-
-    // Build request for Stability AI
-    const requestBody = {
-        text_prompts: [
-            {
-                text: enhancedPrompt,
-                weight: 1
-            }
-        ],
-        cfg_scale: options.cfgScale || settings.cfg_scale || 9,
-        steps: options.steps || settings.steps || 40,
-        width: 1024,
-        height: 1024,
-        samples: 1
-    };
-
-    // Add negative prompt if provided
-    if (options.negativePrompt || settings.negativePrompt) {
-        requestBody.text_prompts.push({
-            text: options.negativePrompt || settings.negativePrompt,
-            weight: -1
-        });
-    }
-
-    // Add style preset if specified
-    if (stylePreset) {
-        requestBody.style_preset = stylePreset;
-    }
+async function snapToPixelGrid(processedImage, rawTraits, { dither } = {}) {
+    if (!sharp) return processedImage; // Skip if sharp isn't available
 
+    // A broken palette setup shouldn't cost us the sprite - carry on without one
+    let palette = null;
     try {
-        // Make request to Stability AI API
-        const response = await fetch(
-            `https://api.stability.ai/v1/generation/${model}/text-to-image`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${STABILITY_API_KEY}`
-                },
-                body: JSON.stringify(requestBody)
-            }
-        );
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Stability AI error: ${response.status} - ${error}`);
-        }
-
-        const result = await response.json();
-
-        // Create temp file for the image
-        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stability-'));
-        const imagePath = path.join(tmpDir, 'image.png');
-
-        // Save the image to disk
-        const base64Image = result.artifacts[0].base64;
-        await fs.writeFile(imagePath, Buffer.from(base64Image, 'base64'));
-
-        const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ Stability AI image generated successfully in ${generationTime}s!`);
-
-        return {
-            localPath: imagePath,
-            isLocal: true,
-            provider: 'stability',
-            model: model,
-            prompt: enhancedPrompt,
-            base64: base64Image,
-            metadata: {
-                generationTime: parseFloat(generationTime),
-                width: 1024,
-                height: 1024,
-                stylePreset: stylePreset
-            }
-        };
+        const { resolvePalette } = await import('./spritePalette.js');
+        palette = resolvePalette(rawTraits);
     } catch (error) {
-        console.error(`❌ Stability AI generation failed: ${error.message}`);
-        throw error;
-    }
-}
-
-/**
- * Generate an image using HuggingFace's API
- * @param {string} prompt - The prompt to generate an image from
- * @param {Object} options - Optional configuration
- * @returns {Promise<Object>} Image generation result
- */
-async function generateHuggingFaceImage(prompt, options = {}) {
-    if (!HUGGING_FACE_TOKEN) throw new Error('HuggingFace API not configured');
-
-    const settings = PROVIDERS.huggingface.pixelSettings;
-    const model = options.model || PROVIDERS.huggingface.model;
-
-    // Allow using the prompt directly if specified
-    const enhancedPrompt = options.useCustomPrompt ? prompt :
-        `${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
-
-    console.log(`🎨 Generating image with HuggingFace (${model})...`);
-    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
-
-    // Track generation time
-    const startTime = Date.now();
-
-    // Build request for HuggingFace
-    const requestBody = {
-        inputs: enhancedPrompt,
-        parameters: {
-            guidance_scale: options.guidance_scale || settings.guidance_scale || 7.5,
-            num_inference_steps: options.num_inference_steps || settings.num_inference_steps || 50,
-        }
-    };
-
-    // Add negative prompt if provided
-    if (options.negativePrompt || settings.negativePrompt) {
-        requestBody.parameters.negative_prompt = options.negativePrompt || settings.negativePrompt;
+        console.warn(`⚠️ Master palette unavailable, keeping generated colours: ${error.message}`);
     }
 
     try {
-        // Make request to HuggingFace API
-        const response = await fetch(
-            `https://api-inference.huggingface.co/models/${model}`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${HUGGING_FACE_TOKEN}`
-                },
-                body: JSON.stringify(requestBody)
-            }
-        );
+        const { buildSprite } = await import('./pixelGrid.js');
+        const { native, display, grid } = await buildSprite(processedImage.path, {
+            palette: palette?.colors,
+            dither: dither || palette?.dither
+        });
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`HuggingFace error: ${response.status} - ${error}`);
+        // Native sprite for on-chain / game use, integer-scaled copy for marketplaces
+        const spritePath = path.join(processedImage.directory, 'sprite.png');
+        const displayPath = path.join(processedImage.directory, `sprite@${display.scale}x.png`);
+        await Promise.all([
+            fs.writeFile(spritePath, native.buffer),
+            fs.writeFile(displayPath, display.buffer)
+        ]);
+
+        console.log(grid.detected ?
+            `✅ Pixel grid detected: ${grid.pixelSize}px cells → ${native.width}×${native.height} sprite (confidence ${grid.confidence})` :
+            `ℹ️ No clear pixel grid, sampled down to ${native.width}×${native.height}`);
+        if (palette) {
+            console.log(`🎨 Remapped to the ${palette.name} ${palette.source} palette (${palette.colors.length} colours, ${palette.dither} dithering)`);
         }
-
-        // HuggingFace returns the image directly
-        const imageBuffer = await response.arrayBuffer();
-
-        // Create temp file for the image
-        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'huggingface-'));
-        const imagePath = path.join(tmpDir, 'image.png');
-
-        // Save the image to disk
-        await fs.writeFile(imagePath, Buffer.from(imageBuffer));
-
-        const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`✅ HuggingFace image generated successfully in ${generationTime}s!`);
-
         return {
-            localPath: imagePath,
-            isLocal: true,
-            provider: 'huggingface',
-            model: model,
-            prompt: enhancedPrompt,
-            metadata: {
-                generationTime: parseFloat(generationTime),
-                model: model,
-                guidance_scale: requestBody.parameters.guidance_scale,
-                num_inference_steps: requestBody.parameters.num_inference_steps
-            }
+            path: displayPath,
+            directory: processedImage.directory,
+            originalPath: processedImage.originalPath,
+            spritePath,
+            sprite: {
+                width: native.width,
+                height: native.height,
+                scale: display.scale,
+                pixelSize: grid.pixelSize,
+                gridDetected: grid.detected,
+                confidence: grid.confidence
+            },
+            palette
         };
     } catch (error) {
-        console.error(`❌ HuggingFace generation failed: ${error.message}`);
-        throw error;
+        console.warn(`⚠️ Pixel grid step failed: ${error.message}`);
+        return processedImage; // Return original on failure
     }
 }
 
 /**
- * Enhance pixel art quality with better processing
- * @param {Object} imageResult - Result from image generator
- * @returns {Promise<Object>} - Enhanced processed image
+ * Derive the idle animation from the native sprite (scripts/spriteAnimation.js)
+ * @param {Object} processedImage - Result of snapToPixelGrid()
+ * @param {Object[]} rawTraits - Traits, the Element picks the particles
+ * @param {string|number} tokenId - Token ID, seeds particles and glint timing
+ * @returns {Promise<Object|null>} - { path, format, extension, mimeType, frames, delay, width, height },
+ *   or null when SPRITE_ANIMATION is off, there is no sprite, or the animation fails
  */
-async function enhancePixelArt(processedImage) {
-    if (!sharp) return processedImage; // Skip if sharp isn't available
+async function animateSprite(processedImage, rawTraits, tokenId) {
+    if (!processedImage.spritePath) return null;
 
+    // The static image is what matters - a failed animation only costs the animation_url
     try {
-        const enhancedPath = path.join(processedImage.directory, 'enhanced.png');
-
-        // Apply pixel art optimization:
-        // 1. Resize to ensure proper pixel grid
-        // 2. Quantize colors to create a limited palette
-        // 3. Remove anti-aliasing by making pixels more blocky
-        await sharp(processedImage.path)
-            .resize(512, 512, {
-                kernel: 'nearest', // Use nearest neighbor for blocky pixel scaling
-                fit: 'contain'
-            })
-            // Quantize to limited palette (optional - can sometimes make images look more "pixel art")
-            .png({
-                palette: true,  // Use palette-based PNG
-                colors: 16,     // Limit to 16 colors
-                compressionLevel: 9,
-                effort: 10
-            })
-            .toFile(enhancedPath);
-
-        console.log('✅ Applied pixel art enhancements');
-        return {
-            path: enhancedPath,
-            directory: processedImage.directory
-        };
+        const { loadAnimationOptions, buildIdleAnimation } = await import('./spriteAnimation.js');
+        const options = loadAnimationOptions();
+        if (!options.enabled) return null;
+
+        const { buffer, ...animation } = await buildIdleAnimation(processedImage.spritePath, {
+            ...options,
+            rawTraits,
+            seed: `idle:${tokenId}`,
+            palette: processedImage.palette?.colors,
+            scale: processedImage.sprite.scale
+        });
+        const animationPath = path.join(processedImage.directory, `idle.${animation.extension}`);
+        await fs.writeFile(animationPath, buffer);
+
+        console.log(`🎞️ Idle animation: ${animation.frames} frames × ${animation.delay}ms, ${animation.width}×${animation.height} ${animation.format.toUpperCase()}`);
+        return { path: animationPath, ...animation };
     } catch (error) {
-        console.warn(`⚠️ Pixel art enhancement failed: ${error.message}`);
-        return processedImage; // Return original on failure
+        console.warn(`⚠️ Idle animation failed, continuing with the static image: ${error.message}`);
+        return null;
     }
 }
 
@@ -613,13 +309,25 @@ async function enhancePixelArt(processedImage) {
  * @param {Object} options - Generation options
  * @param {string} options.breed - Cat breed (defaults to "Tabby")
  * @param {string|number} options.tokenId - NFT token ID
- * @param {string} options.imageProvider - AI provider (stability, dall-e, huggingface)
+ * @param {string} options.imageProvider - Image provider (stability, dall-e, huggingface, procedural)
  * @param {string} options.promptExtras - Additional prompt instructions
  * @param {string} options.negativePrompt - Negative prompt instructions
  * @param {Object} options.providerOptions - Provider-specific options
  * @param {string} options.taskId - Task ID for progress tracking
  * @param {Object} options.metadataExtras - Additional metadata to include
- * @returns {Promise<Object>} Image and metadata URLs
+ * @param {boolean|string|string[]} [options.fallback] - Fallback policy: false/"strict", true
+ *   (IMAGE_PROVIDER_FALLBACK) or a chain like "dall-e -> stability -> procedural"
+ * @param {boolean} [options.providerChosen] - imageProvider was picked by the user (strict unless fallback is given)
+ * @param {string} [options.promptTemplate] - Prompt template ("name@version"), defaults to PROMPT_TEMPLATE
+ * @param {number} [options.candidates] - Generate this many images (capped by MAX_CANDIDATES) and return
+ *   them for an owner selection instead of pinning one (see scripts/candidateSelection.js). Each gets
+ *   its own seed, so a seed pinned in providerOptions is refused with more than one
+ * @param {Object} [options.selectedCandidate] - Candidate picked from an earlier run - pinned as is,
+ *   nothing is generated
+ * @param {Function} [options.acquireProvider] - async (provider) => release: waits for a slot in the
+ *   provider limiter (scripts/mintWorkerPool.js) before every provider call, quality gate retries included
+ * @returns {Promise<Object>} Image and metadata URLs, or { awaitingSelection: true, candidates, ... }
+ *   when more than one candidate was asked for
  */
 export async function finalizeMint({
     breed = 'Tabby',
@@ -630,11 +338,22 @@ export async function finalizeMint({
     providerOptions = {},
     metadataExtras = {},
     taskId = null,
+    fallback,
+    providerChosen = false,
+    promptTemplate,
+    candidates = 1,
+    selectedCandidate = null,
+    acquireProvider = null,
     ...rest
 }) {
     // CRITICAL: Capture the provider value immediately and make it immutable
     const LOCKED_PROVIDER = imageProvider?.toLowerCase()?.trim();
-    console.log(`🔒 PROVIDER LOCKED: "${LOCKED_PROVIDER || 'default'}" will be used exclusively`);
+    // Providers to try after it - empty (strict) unless this mint opted into a fallback chain
+    const FALLBACK_PROVIDERS = LOCKED_PROVIDER ?
+        resolveProviderChain({ provider: LOCKED_PROVIDER, fallback, providerChosen }).slice(1) : [];
+    console.log(FALLBACK_PROVIDERS.length > 0 ?
+        `🔒 PROVIDER LOCKED: "${LOCKED_PROVIDER}" with fallbacks ${FALLBACK_PROVIDERS.join(' -> ')}` :
+        `🔒 PROVIDER LOCKED: "${LOCKED_PROVIDER || 'default'}" will be used exclusively`);
 
     // Import task management tools at the start
     let taskManager = null;
@@ -654,6 +373,8 @@ export async function finalizeMint({
 
     // Start timing the entire process
     const startTime = Date.now();
+    // Generation record for this run (scripts/generationRecords.js), saved on success and failure
+    let generationRecord = null;
 
     try {
         // Validate required parameters
@@ -661,6 +382,12 @@ export async function finalizeMint({
             throw new Error('TokenId is required');
         }
 
+        // Owner selection needs different images - a pinned seed would draw the same one K times
+        const candidateCount = selectedCandidate ? 1 : Math.min(candidates, loadCandidateOptions().maxCandidates);
+        if (candidateCount > 1 && providerOptions?.seed !== undefined) {
+            throw new PermanentMintError(`A pinned seed (${providerOptions.seed}) can't be used with ${candidateCount} candidates - drop the seed or ask for one image`);
+        }
+
         // Normalize the breed name properly for multi-word breeds
         if (typeof breed !== 'string' || breed.trim() === '') {
             breed = 'Tabby';
@@ -694,7 +421,7 @@ export async function finalizeMint({
 
         // Determine which provider we're using - USE THE LOCKED PROVIDER
         const providerKey = LOCKED_PROVIDER || IMAGE_PROVIDER;
-        const provider = PROVIDERS[providerKey];
+        const provider = getProvider(providerKey);
 
         // STEP 1: ENHANCED BACKGROUND SELECTION WITH BREED AFFINITIES
         let backgroundTrait = null;
@@ -702,46 +429,10 @@ export async function finalizeMint({
 
         // Only proceed if we have backgrounds defined for this provider
         if (provider?.pixelSettings?.backgrounds?.length > 0) {
-            // Create a deterministic but "random" selection based on tokenId
-            const seed = parseInt(tokenId, 10);
-            const backgroundHash = createHash('sha256')
-                .update(`${seed}-${normalizedBreed}-background`)
-                .digest('hex');
-            const hashValue = parseInt(backgroundHash.substring(0, 8), 16);
-
-            // Get all backgrounds
-            const backgrounds = provider.pixelSettings.backgrounds;
-
-            // Check if there are any backgrounds with affinity for this breed
-            const affinityBackgrounds = backgrounds.filter(bg =>
-                bg.affinityBreeds && bg.affinityBreeds.includes(normalizedBreed)
-            );
-
-            // 60% chance to select from affinity backgrounds if available
-            const useAffinityBackground = affinityBackgrounds.length > 0 &&
-                (hashValue % 100 < 60);
-
-            const selectedBackgrounds = useAffinityBackground ? affinityBackgrounds : backgrounds;
-
-            // Weighted selection based on rarity
-            // FIX: Use proper direct weighting based on rarityScore
-            const totalWeight = selectedBackgrounds.reduce((sum, bg) => sum + Math.pow(bg.rarityScore || 30, 2), 0);
-            const target = (hashValue / (2 ** 32)) * totalWeight;
-            let cumulativeWeight = 0;
-
-            // Find the background that corresponds to the target value
-            for (const bg of selectedBackgrounds) {
-                cumulativeWeight += Math.pow(bg.rarityScore || 30, 2);
-                if (target <= cumulativeWeight) {
-                    backgroundTrait = bg;
-                    break;
-                }
-            }
-
-            // Fallback if no background selected (shouldn't happen)
-            if (!backgroundTrait) {
-                backgroundTrait = selectedBackgrounds[hashValue % selectedBackgrounds.length];
-            }
+            // Deterministic pick from tokenId + breed, shared with the metadata migration
+            const { background, affinity: useAffinityBackground } =
+                selectBackground(tokenId, normalizedBreed, provider.pixelSettings.backgrounds);
+            backgroundTrait = background;
 
             // Extract background description for the prompt
             if (backgroundTrait) {
@@ -791,19 +482,32 @@ export async function finalizeMint({
         // Extract background keywords for better prompt enhancement
         const backgroundKeywords = backgroundTrait?.keywords?.join(', ') || '';
 
-        // Create the base prompt
-        const basePrompt = `A pixel art ninja cat of ${normalizedBreed} breed in ${stance} stance wielding ${weapon} with ${element} powers, ${rank} rank`;
-
-        // Create a more descriptive background integration
-        const enhancedBackgroundDesc = backgroundTrait ?
-            `, set in ${backgroundTrait.description}, ${backgroundKeywords}` :
-            '';
-
-        // Always include keywords and background in prompt, even with custom extras
-        const prompt = promptExtras
-            ? `${basePrompt}, ${keywordString}${enhancedBackgroundDesc}, ${promptExtras}`
-            : `${basePrompt}, ${keywordString}${enhancedBackgroundDesc}`;
-
+        // Fill the prompt template (scripts/prompt-templates.json) - each provider
+        // renders its own variant when it generates, this is the shared version
+        const template = selectPromptTemplate({ template: promptTemplate, tokenId });
+        const promptContext = buildPromptContext(traits.rawTraits, {
+            breed: normalizedBreed,
+            weapon,
+            stance,
+            element,
+            rank,
+            keywords: keywordString,
+            background: backgroundTrait?.name,
+            backgroundDescription: backgroundTrait?.description,
+            backgroundKeywords,
+            extras: promptExtras,
+            tokenId
+        });
+        const { prompt } = renderPrompt(template, promptContext);
+
+        console.log(`🧾 PROMPT TEMPLATE: ${template.id}`);
+        generationRecord = buildGenerationRecord({
+            tokenId,
+            taskId,
+            breed,
+            requestedProvider: LOCKED_PROVIDER || IMAGE_PROVIDER,
+            prompt
+        });
         console.log(`📝 ENHANCED PROMPT: "${prompt}"`);
 
         // Update task status for prompt generation
@@ -820,7 +524,13 @@ export async function finalizeMint({
 
         // Generate the image with detailed logging
         console.log('🎨 Generating image...');
-        console.log(`🚨 STRICT PROVIDER: "${LOCKED_PROVIDER || IMAGE_PROVIDER}" (no fallbacks)`);
+        if (FALLBACK_PROVIDERS.length > 0) {
+            console.log(`🪂 PROVIDER CHAIN: ${[LOCKED_PROVIDER, ...FALLBACK_PROVIDERS].join(' -> ')}`);
+        } else if (LOCKED_PROVIDER) {
+            console.log(`🚨 STRICT PROVIDER: "${LOCKED_PROVIDER}" (no fallbacks)`);
+        } else {
+            console.log(`⚠️ NO PROVIDER SPECIFIED: "${IMAGE_PROVIDER}" first, other configured providers as fallbacks`);
+        }
 
         // Log provider options if available
         if (Object.keys(providerOptions).length > 0) {
@@ -837,19 +547,26 @@ export async function finalizeMint({
         }
 
         let imageResult;
+        let generationOptions;
         const imageStartTime = Date.now();
         try {
             // CRITICAL FIX: Create immutable options object with locked provider
-            const generationOptions = Object.create(Object.prototype, {
+            generationOptions = Object.create(Object.prototype, {
                 imageProvider: {
                     value: LOCKED_PROVIDER,
                     writable: false,
                     configurable: false,
                     enumerable: true
                 },
-                strictMode: { value: true, writable: true, enumerable: true },
+                strictMode: { value: FALLBACK_PROVIDERS.length === 0, writable: true, enumerable: true },
                 negativePrompt: { value: negativePrompt, writable: true, enumerable: true },
-                useCustomPrompt: { value: true, writable: true, enumerable: true }
+                useCustomPrompt: { value: true, writable: true, enumerable: true },
+                // Used by providers that draw from the traits instead of the prompt (procedural)
+                traits: { value: traits.rawTraits, writable: true, enumerable: true },
+                tokenId: { value: tokenId, writable: true, enumerable: true },
+                fallbackProviders: { value: FALLBACK_PROVIDERS, writable: false, enumerable: true },
+                // Rendered per provider in generateWithProvider()
+                promptTemplate: { value: { id: template.id, context: promptContext }, writable: true, enumerable: true }
             });
 
             // Safely add provider options without overriding protected properties
@@ -872,8 +589,10 @@ export async function finalizeMint({
 
             console.log(`🔒 PROVIDER CONFIRMED: Using "${LOCKED_PROVIDER}" for generation`);
 
-            // Generate the image with our secured options
-            imageResult = await generateImage(prompt, generationOptions);
+            // Generate the image with our secured options - unless the owner already picked one
+            imageResult = selectedCandidate ?
+                candidateImageResult(selectedCandidate) :
+                await generateLimited(prompt, generationOptions, acquireProvider);
 
             const imageGenTime = ((Date.now() - imageStartTime) / 1000).toFixed(2);
             console.log(`✅ Image generated in ${imageGenTime}s using ${imageResult.provider}`);
@@ -883,8 +602,12 @@ export async function finalizeMint({
                 taskManager.updateTask(taskId, {
                     status: 'processing',
                     progress: 60,
-                    message: `Image successfully generated in ${imageGenTime}s with ${imageResult.provider}`,
+                    message: imageResult.fallback ?
+                        `Image generated in ${imageGenTime}s with fallback provider ${imageResult.provider} (${imageResult.fallback.reason})` :
+                        `Image successfully generated in ${imageGenTime}s with ${imageResult.provider}`,
                     provider: imageResult.provider,
+                    requestedProvider: imageResult.requestedProvider,
+                    fallbackReason: imageResult.fallback?.reason,
                     model: imageResult.model,
                     generationTime: imageGenTime
                 });
@@ -906,12 +629,57 @@ export async function finalizeMint({
         }
 
         const processingStartTime = Date.now();
-        const processedImage = await processImage(imageResult);
+        // Quality gate before anything is pinned - may swap in a regenerated image.
+        // A picked candidate passed it when it was generated
+        const { quality, ...gated } = selectedCandidate ?
+            { imageResult, processedImage: await processImage(imageResult), quality: selectedCandidate.quality ?? null } :
+            await passQualityGate(
+                { imageResult, processedImage: await processImage(imageResult) },
+                { prompt, generationOptions, seedPinned: providerOptions?.seed !== undefined, acquireProvider, tokenId, taskId, taskManager }
+            );
+        imageResult = gated.imageResult;
+
+        // Snap to the art's pixel grid: native sprite + integer-scaled display image
+        // (optional - only if sharp is available)
+        const processedImage = await snapToPixelGrid(gated.processedImage, traits.rawTraits,
+            selectedCandidate ? { dither: 'none' } : {});
+        if (selectedCandidate?.sprite && processedImage.sprite) {
+            // Candidates are stored as native sprites - report the grid found in the generated image
+            const { pixelSize, gridDetected, confidence } = selectedCandidate.sprite;
+            Object.assign(processedImage.sprite, { pixelSize, gridDetected, confidence });
+        }
         const processTime = ((Date.now() - processingStartTime) / 1000).toFixed(2);
         console.log(`✅ Image processed in ${processTime}s`);
 
-        // Add pixel art enhancements (optional - only if sharp is available)
-        await enhancePixelArt(processedImage);
+        // Owner selection: generate the other candidates and stop before pinning anything
+        if (candidateCount > 1) {
+            const candidateList = await generateCandidates(
+                { imageResult, processedImage, quality },
+                candidateCount,
+                { prompt, generationOptions, rawTraits: traits.rawTraits, acquireProvider, tokenId, taskId, taskManager }
+            );
+            console.log(`🗳️ ${candidateList.length} candidates for #${tokenId} ready, waiting for a selection`);
+
+            await saveGenerationRecord({
+                ...generationRecord,
+                status: 'awaiting_selection',
+                quality
+            });
+
+            return {
+                awaitingSelection: true,
+                tokenId,
+                taskId,
+                candidates: candidateList,
+                // Pinned for the selection run, so its metadata matches the candidates' prompt
+                promptTemplate: template.id,
+                generationRecordId: generationRecord.id,
+                background: backgroundTrait?.name
+            };
+        }
+
+        // Idle loop from the final sprite (optional - SPRITE_ANIMATION)
+        const animation = await animateSprite(processedImage, traits.rawTraits, tokenId);
 
         // Update task status for IPFS upload
         if (taskManager) {
@@ -925,6 +693,8 @@ export async function finalizeMint({
         console.log('📦 Saving and uploading image...');
         const uploadStartTime = Date.now();
         let imageUri;
+        let spriteInfo = null;
+        let animationInfo = null;
         try {
             imageUri = await uploadToIPFS(processedImage.path, `${normalizedBreed}-${tokenId}`);
             
@@ -940,6 +710,29 @@ export async function finalizeMint({
             const imageFilename = `${normalizedBreed}-${tokenId}.png`;
             imageUri = normalizeToGatewayUrl(imageUri, imageFilename);
 
+            // Native-resolution sprite goes alongside; the display image is enough on its own
+            if (processedImage.spritePath) {
+                try {
+                    const spriteFilename = `${normalizedBreed}-${tokenId}-sprite.png`;
+                    const spriteUri = await uploadToIPFS(processedImage.spritePath, `${normalizedBreed}-${tokenId}-sprite`);
+                    spriteInfo = { image: normalizeToGatewayUrl(spriteUri, spriteFilename), ...processedImage.sprite };
+                } catch (error) {
+                    console.warn(`⚠️ Native sprite upload failed, continuing without it: ${error.message}`);
+                }
+            }
+
+            // So does the idle animation, as animation_url
+            if (animation) {
+                try {
+                    const animationFilename = `${normalizedBreed}-${tokenId}-idle.${animation.extension}`;
+                    const animationUri = await uploadToIPFS(animation.path, `${normalizedBreed}-${tokenId}-idle`);
+                    const { format, mimeType, frames, delay, width, height } = animation;
+                    animationInfo = { url: normalizeToGatewayUrl(animationUri, animationFilename), format, mimeType, frames, delay, width, height };
+                } catch (error) {
+                    console.warn(`⚠️ Idle animation upload failed, continuing without it: ${error.message}`);
+                }
+            }
+
             const uploadTime = ((Date.now() - uploadStartTime) / 1000).toFixed(2);
             console.log(`✅ Image uploaded in ${uploadTime}s`);
 
@@ -958,6 +751,29 @@ export async function finalizeMint({
             throw new Error(`Failed to upload image to IPFS: ${error.message}`);
         }
 
+        // Everything needed to explain or reproduce this image
+        const uploadEndTime = Date.now();
+        generationRecord = {
+            ...buildGenerationRecord({
+                tokenId,
+                taskId,
+                breed,
+                requestedProvider: LOCKED_PROVIDER || IMAGE_PROVIDER,
+                prompt,
+                imageResult,
+                quality,
+                timings: {
+                    generation: (processingStartTime - imageStartTime) / 1000,
+                    processing: (uploadStartTime - processingStartTime) / 1000,
+                    upload: (uploadEndTime - uploadStartTime) / 1000,
+                    total: (uploadEndTime - startTime) / 1000
+                }
+            }),
+            id: generationRecord.id,
+            createdAt: generationRecord.createdAt,
+            imageUri
+        };
+
         // Create metadata
         if (taskManager) {
             taskManager.updateTask(taskId, {
@@ -973,8 +789,9 @@ export async function finalizeMint({
             name: `${projectName} #${tokenId}`,
             tokenId,
             external_url: `${baseUrl}/kitty/${tokenId}`,
+            ...(animationInfo && { animation_url: animationInfo.url }),
             generationInfo: {
-                prompt,
+                prompt: imageResult.prompt || prompt,
                 provider: imageResult.provider,
                 model: imageResult.model,
                 providerOptions,
@@ -997,6 +814,21 @@ export async function finalizeMint({
                     }
                 },
                 ...metadataExtras
+            },
+            properties: {
+                provider: imageResult.provider,
+                requestedProvider: imageResult.requestedProvider || imageResult.provider,
+                ...(imageResult.fallback && {
+                    fallback: {
+                        reason: imageResult.fallback.reason,
+                        chain: imageResult.fallback.chain
+                    }
+                }),
+                ...(imageResult.promptTemplate && { promptTemplate: imageResult.promptTemplate }),
+                generation: generationProperties(generationRecord),
+                ...(spriteInfo && { sprite: spriteInfo }),
+                ...(processedImage.palette && { palette: processedImage.palette }),
+                ...(animationInfo && { animation: animationInfo })
             }
         };
 
@@ -1064,6 +896,17 @@ export async function finalizeMint({
         console.log(`   • imageUri: ${imageUri}`);
         console.log(`   • Starts with https: ${metadataUri.startsWith('https://')}`);
 
+        // Our own copy of this generation, before the temp directory goes
+        const archived = await archiveAssets(tokenId, { processedImage, animation, metaPath }, {
+            tokenURI: metadataUri,
+            imageUri,
+            taskId,
+            provider: imageResult.provider,
+            model: imageResult.model || getProvider(imageResult.provider)?.model,
+            generationRecordId: generationRecord.id,
+            ...(selectedCandidate && { selectedCandidate: selectedCandidate.index })
+        });
+
         // Clean up temporary directory
         fs.rm(processedImage.directory, { recursive: true, force: true }).catch(err => {
             console.warn(`Warning: Failed to clean up temp directory: ${err.message}`);
@@ -1073,6 +916,8 @@ export async function finalizeMint({
         const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
         console.log(`✅ Finished #${tokenId} → ${metadataUri} using ${imageResult.provider} in ${totalTime}s`);
 
+        await saveGenerationRecord({ ...generationRecord, tokenURI: metadataUri });
+
         // Mark task as complete with explicit status
         if (taskManager) {
             console.log(`📋 Marking task #${tokenId} as complete...`);
@@ -1081,7 +926,9 @@ export async function finalizeMint({
                 tokenURI: metadataUri,
                 imageUri,
                 provider: imageResult.provider,
-                model: imageResult.model || PROVIDERS[imageResult.provider]?.model,
+                requestedProvider: imageResult.requestedProvider,
+                fallbackReason: imageResult.fallback?.reason,
+                model: imageResult.model || getProvider(imageResult.provider)?.model,
                 totalTime: parseFloat(totalTime),
                 rarity: traits.rarity.tier,
                 status: 'completed',
@@ -1107,9 +954,17 @@ export async function finalizeMint({
         return {
             tokenURI: finalTokenURI, // Triple-checked HTTPS URL
             imageUri: finalImageURI, // Triple-checked HTTPS URL
+            sprite: spriteInfo,
+            animation: animationInfo,
             metadata,
             provider: imageResult.provider,
-            model: imageResult.model || PROVIDERS[imageResult.provider]?.model,
+            requestedProvider: imageResult.requestedProvider,
+            fallback: imageResult.fallback,
+            promptTemplate: imageResult.promptTemplate,
+            generationRecordId: generationRecord.id,
+            archiveGeneration: archived?.generation ?? null,
+            quality,
+            model: imageResult.model || getProvider(imageResult.provider)?.model,
             background: backgroundTrait?.name,
             providerOptions,
             taskId, // Include taskId in the response
@@ -1122,6 +977,15 @@ export async function finalizeMint({
         // Centralized error handling
         console.error(`❌ NFT generation failed: ${error.message}`);
 
+        if (generationRecord) {
+            await saveGenerationRecord({
+                ...generationRecord,
+                status: 'failed',
+                error: error.message,
+                ...(error.quality && { quality: error.quality })
+            });
+        }
+
         // Mark task as failed if task manager is available
         if (taskManager && taskId) {
             taskManager.failTask(taskId, error);
@@ -1132,6 +996,247 @@ export async function finalizeMint({
     }
 }
 
+/**
+ * Save a generation record - a storage problem never fails the mint
+ * @param {Object} record - Generation record
+ * @returns {Promise<void>}
+ */
+async function saveGenerationRecord(record) {
+    try {
+        await getGenerationStore().save(record);
+        console.log(`🗂️ Generation record ${record.id} saved (${record.status})`);
+    } catch (error) {
+        console.warn(`⚠️ Could not save generation record ${record.id}: ${error.message}`);
+    }
+}
+
+/**
+ * Archive a run's files as the token's next generation (scripts/assetArchive.js) -
+ * like the generation record, a storage problem never fails the mint
+ * @param {string|number} tokenId - Token ID
+ * @param {Object} files - { processedImage, animation, metaPath }
+ * @param {Object} info - Manifest details (tokenURI, provider …)
+ * @returns {Promise<Object|null>} Manifest, or null if archiving failed
+ */
+async function archiveAssets(tokenId, { processedImage, animation, metaPath }, info) {
+    try {
+        const files = [];
+        if (processedImage.originalPath) {
+            const bytes = await fs.readFile(processedImage.originalPath);
+            files.push({ name: `original.${imageExtension(bytes)}`, kind: 'original', bytes });
+        }
+        if (processedImage.spritePath) {
+            files.push({ name: path.basename(processedImage.spritePath), kind: 'sprite', bytes: await fs.readFile(processedImage.spritePath) });
+        }
+        files.push({ name: path.basename(processedImage.path), kind: processedImage.spritePath ? 'display' : 'image', bytes: await fs.readFile(processedImage.path) });
+        if (animation) {
+            files.push({ name: path.basename(animation.path), kind: 'animation', bytes: await fs.readFile(animation.path) });
+        }
+        files.push({ name: path.basename(metaPath), kind: 'metadata', bytes: await fs.readFile(metaPath) });
+
+        const archive = getAssetArchive();
+        const manifest = await archive.archive(tokenId, files, info);
+        console.log(`🗄️ Archived #${tokenId} generation ${manifest.generation} (${files.length} files, ${archive.store.name} store)`);
+        return manifest;
+    } catch (error) {
+        console.warn(`⚠️ Could not archive the assets of #${tokenId}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Quality gate between processImage() and the upload (scripts/imageQuality.js).
+ * Rejected images are kept for review and regenerated, up to
+ * QUALITY_MAX_REGENERATIONS times
+ * @param {Object} candidate - { imageResult, processedImage } of the first attempt
+ * @param {Object} context - { prompt, generationOptions, seedPinned, acquireProvider, tokenId, taskId, taskManager }
+ * @returns {Promise<Object>} { imageResult, processedImage, quality } - quality is
+ *   { attempts, rejected, metrics }, or null when the gate is off or sharp isn't available
+ * @throws {Error} If every attempt is rejected (error.quality has the details)
+ */
+async function passQualityGate({ imageResult, processedImage }, { prompt, generationOptions, seedPinned, acquireProvider, tokenId, taskId, taskManager }) {
+    if (!sharp) return { imageResult, processedImage, quality: null };
+
+    const { loadQualityOptions, assessImage, saveRejectedImage } = await import('./imageQuality.js');
+    const settings = loadQualityOptions();
+    if (!settings.enabled) return { imageResult, processedImage, quality: null };
+
+    const maxAttempts = settings.maxRegenerations + 1;
+    const rejected = [];
+    for (let attempt = 1; ; attempt++) {
+        const assessment = await assessImage(processedImage.path, settings.thresholds);
+        if (assessment.passed) {
+            console.log(`✅ Quality gate passed on attempt ${attempt}/${maxAttempts} ` +
+                `(${assessment.metrics.colors} colours, ${Math.round(assessment.metrics.coverage * 100)}% subject)`);
+            return { imageResult, processedImage, quality: { attempts: attempt, rejected, metrics: assessment.metrics } };
+        }
+
+        const reasons = assessment.reasons.map(reason => reason.message).join('; ');
+        console.warn(`🚫 Quality gate rejected attempt ${attempt}/${maxAttempts}: ${reasons}`);
+
+        const rejection = {
+            attempt,
+            provider: imageResult.provider,
+            seed: imageResult.metadata?.seed ?? null,
+            checks: assessment.reasons.map(reason => reason.check),
+            image: null
+        };
+        try {
+            const saved = await saveRejectedImage(processedImage.path, {
+                tokenId,
+                taskId,
+                attempt,
+                provider: imageResult.provider,
+                model: imageResult.model,
+                prompt: imageResult.prompt || prompt,
+                seed: rejection.seed,
+                reasons: assessment.reasons,
+                metrics: assessment.metrics
+            }, settings.rejectsDir);
+            rejection.image = saved.imagePath;
+            console.log(`🗃️ Rejected image kept for review: ${saved.imagePath}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not keep rejected image: ${error.message}`);
+        }
+        rejected.push(rejection);
+        await fs.rm(processedImage.directory, { recursive: true, force: true });
+
+        if (attempt >= maxAttempts) {
+            const error = new Error(`Image rejected by quality gate after ${attempt} attempt(s): ${reasons}`);
+            error.quality = { attempts: attempt, rejected, metrics: assessment.metrics };
+            throw error;
+        }
+
+        if (taskManager) {
+            taskManager.updateTask(taskId, {
+                progress: 60,
+                message: `Image rejected by quality gate (${reasons}), regenerating (${attempt + 1}/${maxAttempts})`
+            });
+        }
+
+        // Seeded providers would draw the same image again - new seed unless the mint pinned one
+        if (!seedPinned) {
+            generationOptions.seed = randomInt(2 ** 31);
+        }
+        // A paid call like the first one - it waits for its own limiter slot
+        imageResult = await generateLimited(prompt, generationOptions, acquireProvider);
+        processedImage = await processImage(imageResult);
+    }
+}
+
+/**
+ * Generate the remaining candidates for an owner selection (scripts/candidateSelection.js).
+ * Each gets a fresh seed on its own copy of the options, takes its own provider
+ * limiter slot and goes through the quality gate on its own; one that can't be
+ * generated is left out instead of failing the others
+ * @param {Object} first - { imageResult, processedImage, quality } of the image already made
+ * @param {number} count - Candidates wanted in total
+ * @param {Object} context - { prompt, generationOptions, rawTraits, acquireProvider, tokenId, taskId, taskManager }
+ * @returns {Promise<Object[]>} Candidates, see toCandidate()
+ */
+async function generateCandidates(first, count, { prompt, generationOptions, rawTraits, acquireProvider, tokenId, taskId, taskManager }) {
+    const candidates = [await toCandidate(0, first, prompt)];
+
+    for (let attempt = 2; attempt <= count; attempt++) {
+        if (taskManager) {
+            taskManager.updateTask(taskId, {
+                progress: 60 + Math.round((attempt / count) * 20),
+                message: `Generating candidate ${attempt}/${count}`
+            });
+        }
+
+        try {
+            // A copy keeps the locked provider, and this candidate's seeds out of the shared options
+            const candidateOptions = Object.create(Object.prototype, Object.getOwnPropertyDescriptors(generationOptions));
+            candidateOptions.seed = randomInt(2 ** 31);
+            const imageResult = await generateLimited(prompt, candidateOptions, acquireProvider);
+            const { quality, ...gated } = await passQualityGate(
+                { imageResult, processedImage: await processImage(imageResult) },
+                { prompt, generationOptions: candidateOptions, seedPinned: false, acquireProvider, tokenId, taskId, taskManager }
+            );
+            const processedImage = await snapToPixelGrid(gated.processedImage, rawTraits);
+            candidates.push(await toCandidate(candidates.length, { imageResult: gated.imageResult, processedImage, quality }, prompt));
+        } catch (error) {
+            console.warn(`⚠️ Candidate ${attempt}/${count} for #${tokenId} failed, offering the others: ${error.message}`);
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Keep a generated image as an unpinned candidate: the native sprite (or the
+ * processed image when there is none) and the provider's raw output as base64,
+ * plus what's needed to pin it later
+ * @param {number} index - Candidate index
+ * @param {Object} generated - { imageResult, processedImage, quality }
+ * @param {string} prompt - Shared prompt
+ * @returns {Promise<Object>} { index, image, original, width, height, sprite, provider, requestedProvider, model,
+ *   prompt, promptTemplate, fallback, metadata, quality }
+ */
+async function toCandidate(index, { imageResult, processedImage, quality }, prompt) {
+    const image = await fs.readFile(processedImage.spritePath || processedImage.path);
+    const original = await fs.readFile(processedImage.originalPath);
+    await fs.rm(processedImage.directory, { recursive: true, force: true });
+
+    return {
+        index,
+        image: image.toString('base64'),
+        original: original.toString('base64'),
+        width: processedImage.sprite?.width ?? null,
+        height: processedImage.sprite?.height ?? null,
+        sprite: processedImage.sprite || null,
+        provider: imageResult.provider,
+        requestedProvider: imageResult.requestedProvider || null,
+        model: imageResult.model || null,
+        prompt: imageResult.prompt || prompt,
+        promptTemplate: imageResult.promptTemplate || null,
+        fallback: imageResult.fallback || null,
+        metadata: imageResult.metadata || {},
+        quality
+    };
+}
+
+/**
+ * Image result for a picked candidate, in the shape generateImage() returns
+ * @param {Object} candidate - Candidate from toCandidate()
+ * @returns {Object} Image result with the stored image as base64, and the provider's
+ *   raw output as `original` (null for sets stored before it was kept)
+ * @throws {Error} If the candidate's image was already dropped
+ */
+function candidateImageResult(candidate) {
+    if (!candidate.image) {
+        throw new Error(`Candidate ${candidate.index} has no image left (selection expired?)`);
+    }
+    const { provider, requestedProvider, model, prompt, promptTemplate, fallback, metadata } = candidate;
+    return {
+        base64: candidate.image,
+        original: candidate.original || null,
+        provider,
+        requestedProvider,
+        model,
+        prompt,
+        ...(promptTemplate && { promptTemplate }),
+        ...(fallback && { fallback }),
+        metadata
+    };
+}
+
+/**
+ * generateImage() inside a provider limiter slot, when the caller passed a way to take one
+ * @param {string} prompt - Prompt
+ * @param {Object} options - generateImage() options
+ * @param {Function} [acquireProvider] - async (provider) => release
+ * @returns {Promise<Object>} Image result
+ */
+async function generateLimited(prompt, options, acquireProvider) {
+    const release = acquireProvider ? await acquireProvider(options.imageProvider || IMAGE_PROVIDER) : () => { };
+    try {
+        return await generateImage(prompt, options);
+    } finally {
+        release();
+    }
+}
+
 /**
  * Process an image (download, crop palette bar if needed)
  * @param {Object} imageResult - Result from image generator
@@ -1179,47 +1284,33 @@ async function processImage(imageResult) {
         throw new Error('No valid image source in generation result');
     }
 
+    // Keep the provider's output as it came, for the asset archive. A picked
+    // candidate's image is already its sprite, so only its stored original counts
+    let originalPath = path.join(tmpDir, 'original');
+    if (imageResult.original) {
+        await fs.writeFile(originalPath, Buffer.from(imageResult.original, 'base64'));
+    } else if (imageResult.original === null) {
+        originalPath = null;
+    } else {
+        await fs.copyFile(outputPath, originalPath);
+    }
+
     // Auto-crop palette bar if sharp is available
     if (sharp) {
         try {
-            // Load the image
-            const image = sharp(outputPath);
-            const metadata = await image.metadata();
-            const { width, height } = metadata;
+            const { width, height } = await sharp(outputPath).metadata();
 
             // Only process if it's big enough (some models return tiny images)
-            if (width > 100 && height > 100) {
-                // Analyze the image to look for palette bars (horizontal or vertical)
-                // const { data: imageData } = await image
-                //     .raw()
-                //     .toBuffer({ resolveWithObject: true });
-
-                // Look for horizontal palette bars at top or bottom
-                const cropTop = 0;
-                const cropBottom = 0;
-                const cropLeft = 0;
-                const cropRight = 0;
-
-                // This is a simplified detection - looks for solid horizontal/vertical lines
-                // that might be palette bars in AI-generated images
-
-                // Check for crop and apply if needed
-                if (cropTop > 0 || cropBottom > 0 || cropLeft > 0 || cropRight > 0) {
-                    const newWidth = width - cropLeft - cropRight;
-                    const newHeight = height - cropTop - cropBottom;
-
-                    // Only crop if we're not removing too much of the image
-                    if (newWidth > width * 0.8 && newHeight > height * 0.8) {
-                        await image
-                            .extract({
-                                left: cropLeft,
-                                top: cropTop,
-                                width: newWidth,
-                                height: newHeight
-                            })
-                            .toFile(outputPath);
-                        console.log('✂️ Image processed successfully');
-                    }
+            if (width > 100 && height > 100) {
+                // Look for swatch rows / flat strips along each edge and trim them,
+                // re-centring the art at the original size
+                const { trimPaletteBars } = await import('./paletteBar.js');
+                const trimmed = await trimPaletteBars(outputPath);
+
+                if (trimmed.cropped) {
+                    await fs.writeFile(outputPath, trimmed.buffer);
+                    const { top, bottom, left, right } = trimmed.crop;
+                    console.log(`✂️ Palette bar trimmed (top ${top}px, bottom ${bottom}px, left ${left}px, right ${right}px)`);
                 }
             }
         } catch (err) {
@@ -1232,82 +1323,22 @@ async function processImage(imageResult) {
 
     return {
         path: outputPath,
-        directory: tmpDir
+        directory: tmpDir,
+        originalPath
     };
 }
 
 /**
- * Upload a file (image or JSON) to Pinata and return an HTTPS gateway URL.
- * @param {string} filePath – Path to the file on disk.
- * @param {string} name – Friendly name (used for Pinata metadata).
- * @returns {Promise<string>} – Always an HTTPS URL: https://ipfs.io/ipfs/{CID}/{filename}
- */
-async function uploadToPinata(filePath, name) {
-    if (!PINATA_API_KEY || !PINATA_SECRET_KEY) {
-        throw new Error('Pinata not configured – missing PINATA_API_KEY or PINATA_SECRET_KEY');
-    }
-
-    const formData = new FormData();
-    const fileBuffer = await fs.readFile(filePath);
-    formData.append('file', fileBuffer, { filename: path.basename(filePath) });
-    formData.append('pinataMetadata', JSON.stringify({ name }));
-
-    const res = await fetch('https://api.pinata.cloud/pinning/pinFileToIPFS', {
-        method: 'POST',
-        headers: {
-            pinata_api_key: PINATA_API_KEY,
-            pinata_secret_api_key: PINATA_SECRET_KEY,
-            ...formData.getHeaders(),
-        },
-        body: formData,
-    });
-    if (!res.ok) {
-        const err = await res.text();
-        throw new Error(`Pinata upload failed: ${res.status} – ${err}`);
-    }
-
-    const { IpfsHash: cid } = await res.json();
-    // Return the HTTPS gateway URL
-    return `https://ipfs.io/ipfs/${cid}/${path.basename(filePath)}`;
-}
-
-/**
- * Upload any file to IPFS, preferring Pinata, then falling back to web3.storage.
- * Always returns an HTTPS gateway URL.
+ * Upload any file through the storage backends (scripts/storageBackends.js) -
+ * Pinata, then w3up, then public/images by default. The CID is computed
+ * locally first and a backend only counts if it pinned that CID.
  * @param {string} filePath – Path to the file on disk.
- * @param {string} name – Friendly name for metadata or CLI fallback.
- * @returns {Promise<string>} – https://ipfs.io/ipfs/{CID}/{filename}
+ * @param {string} name – Friendly name for the pin.
+ * @returns {Promise<string>} – {first of IPFS_GATEWAYS}{CID}/{filename} (BASE_URL for the local backends)
  */
 async function uploadToIPFS(filePath, name) {
-    // 1) Try Pinata
-    if (PINATA_API_KEY && PINATA_SECRET_KEY) {
-        try {
-            return await uploadToPinata(filePath, name);
-        } catch (err) {
-            console.warn(`⚠️ Pinata upload failed, falling back: ${err.message}`);
-        }
-    }
-
-    // 2) Fall back to web3.storage CLI
-    try {
-        const cmd = `npx web3.storage put "${filePath}" --name "${name}"`;
-        const { stdout } = await execAsync(cmd);
-        const lines = stdout.trim().split('\n').filter(l => l);
-        const cid = lines[lines.length - 1];
-        if (!/^[A-Za-z0-9]+$/.test(cid)) {
-            throw new Error(`Invalid CID from web3.storage: ${cid}`);
-        }
-        return `https://ipfs.io/ipfs/${cid}/${path.basename(filePath)}`;
-    } catch (err) {
-        console.warn(`⚠️ web3.storage fallback failed: ${err.message}`);
-    }
-
-    // 3) Last‑resort local fallback (serves from your BASE_URL/public/images)
-    const backupDir = path.join(process.cwd(), 'public', 'images');
-    await fs.mkdir(backupDir, { recursive: true });
-    const filename = `${Date.now()}-${path.basename(filePath)}`;
-    await fs.copyFile(filePath, path.join(backupDir, filename));
-    return `${BASE_URL.replace(/\/$/, '')}/images/${filename}`;
+    const { url } = await storeFile(filePath, { name });
+    return url;
 }
 
 // Helper to get file size
@@ -1316,11 +1347,14 @@ async function getFileSize(filePath) {
     return stats.size;
 }
 
-/**
- * Generate an image using the requested provider with NO FALLBACKS
+/**
+ * Generate an image using the requested provider. There are NO FALLBACKS
+ * unless the mint opted into a chain (options.fallbackProviders).
  * @param {string} prompt - The prompt to generate an image from
  * @param {Object} options - Generation options
- * @returns {Promise<Object>} The generated image data
+ * @param {string[]} [options.fallbackProviders] - Providers to try, in order, if the requested one fails
+ * @returns {Promise<Object>} The generated image data, with requestedProvider and
+ *   fallback ({ reason, chain, attempts } or null)
  */
 async function generateImage(prompt, options = {}) {
     // Save original provider immediately, before any possible modifications
@@ -1342,117 +1376,157 @@ async function generateImage(prompt, options = {}) {
 
     console.log(`🔍 PROVIDER CHECK: Protected provider is "${enhancedOptions.imageProvider || 'not specified'}"`);
 
-    // Enhance prompts based on provider for better pixel art results
-    if (!options.useCustomPrompt) {
-        const basePixelArtEnhancer = ', true pixel art, 16-bit style, limited color palette, no anti-aliasing, pixel perfect';
-
-        if (ORIGINAL_PROVIDER === 'dall-e') {
-            prompt = `${prompt}${basePixelArtEnhancer}, clean edges, blocky style, NES/SNES era game sprite`;
-            // DALL-E specific parameters for better pixel results
-            enhancedOptions.quality = enhancedOptions.quality || 'hd';
-        }
-        else if (ORIGINAL_PROVIDER === 'stability') {
-            prompt = `${prompt}${basePixelArtEnhancer}, crisp pixels, 8-16 colors maximum`;
-            // Stability specific parameters for better pixel results
-            enhancedOptions.cfgScale = enhancedOptions.cfgScale || 9.5; // Stronger prompt adherence
-            enhancedOptions.stylePreset = enhancedOptions.stylePreset || 'pixel-art';
-        }
-        else if (ORIGINAL_PROVIDER === 'huggingface') {
-            prompt = `${prompt}${basePixelArtEnhancer}, 32x32 resolution, gameboy style, pixel perfect`;
-            // HuggingFace specific parameters
-            enhancedOptions.guidance_scale = enhancedOptions.guidance_scale || 9.0;
-            enhancedOptions.num_inference_steps = enhancedOptions.num_inference_steps || 60;
-        }
-
-        // Enhanced negative prompt for better pixel art
-        if (!enhancedOptions.negativePrompt) {
-            const pixelArtNegative = 'blurry, anti-aliasing, smooth edges, high detail, realistic, 3D, shading, gradient, ' +
-                'photorealistic, text, signature, watermark, blur, noise, grain, high-resolution detail';
-            enhancedOptions.negativePrompt = pixelArtNegative;
-        }
+    // Enhanced negative prompt for better pixel art
+    if (!options.useCustomPrompt && !enhancedOptions.negativePrompt) {
+        const pixelArtNegative = 'blurry, anti-aliasing, smooth edges, high detail, realistic, 3D, shading, gradient, ' +
+            'photorealistic, text, signature, watermark, blur, noise, grain, high-resolution detail';
+        enhancedOptions.negativePrompt = pixelArtNegative;
     }
 
     // IMPORTANT: Verify provider wasn't modified
-    console.log(`🛡️ PROVIDER VERIFY: Still using "${ORIGINAL_PROVIDER}" (unchanged)`);
+    console.log(`🛡️ PROVIDER VERIFY: Requested provider is still "${ORIGINAL_PROVIDER}" (unchanged)`);
 
-    // ALWAYS respect the explicitly requested provider - without requiring strictMode flag
+    // ALWAYS start with the explicitly requested provider - fallbacks only if the mint's chain has any
     if (ORIGINAL_PROVIDER) {
-        console.log(`🔒 STRICT MODE: Using ONLY "${ORIGINAL_PROVIDER}" - NO FALLBACKS ALLOWED`);
+        const fallbacks = (options.fallbackProviders || []).filter(name => name !== ORIGINAL_PROVIDER);
 
-        // Validate provider and API key availability
-        if (ORIGINAL_PROVIDER === 'stability' && !STABILITY_API_KEY) {
-            throw new Error('Cannot use requested provider "stability" - Missing STABILITY_API_KEY');
-        }
-        else if (ORIGINAL_PROVIDER === 'huggingface' && !HUGGING_FACE_TOKEN) {
-            throw new Error('Cannot use requested provider "huggingface" - Missing HUGGING_FACE_TOKEN');
-        }
-        else if (ORIGINAL_PROVIDER === 'dall-e' && !OPENAI_API_KEY) {
-            throw new Error('Cannot use requested provider "dall-e" - Missing OPENAI_API_KEY');
-        }
-        else if (!['stability', 'huggingface', 'dall-e'].includes(ORIGINAL_PROVIDER)) {
-            throw new Error(`Unknown provider "${ORIGINAL_PROVIDER}" - Valid options: stability, huggingface, dall-e`);
+        if (fallbacks.length === 0) {
+            console.log(`🔒 STRICT MODE: Using ONLY "${ORIGINAL_PROVIDER}" - NO FALLBACKS ALLOWED`);
+            const result = await generateWithProvider(ORIGINAL_PROVIDER, prompt, enhancedOptions);
+            return { ...result, requestedProvider: ORIGINAL_PROVIDER, fallback: null };
         }
 
-        // Use ONLY the requested provider - no fallbacks whatsoever
-        if (ORIGINAL_PROVIDER === 'stability') {
-            console.log('✅ EXECUTING: Using Stability AI (100% confirmed)');
-            return await generateStabilityImage(prompt, enhancedOptions);
-        }
-        else if (ORIGINAL_PROVIDER === 'huggingface') {
-            console.log('✅ EXECUTING: Using HuggingFace (100% confirmed)');
-            return await generateHuggingFaceImage(prompt, enhancedOptions);
-        }
-        else if (ORIGINAL_PROVIDER === 'dall-e') {
-            console.log('✅ EXECUTING: Using DALL-E (100% confirmed)');
-            return await generateDallEImage(prompt, enhancedOptions);
+        // Opt-in fallback chain: the requested provider first, then each fallback in order
+        const chain = [ORIGINAL_PROVIDER, ...fallbacks];
+        console.log(`🪂 FALLBACK POLICY: ${chain.join(' -> ')}`);
+
+        const attempts = [];
+        for (const name of chain) {
+            // Model names are provider specific, so fallbacks use their own default
+            const providerOptions = { ...enhancedOptions };
+            if (name !== ORIGINAL_PROVIDER) delete providerOptions.model;
+
+            try {
+                const result = await generateWithProvider(name, prompt, providerOptions);
+                const fallback = attempts.length > 0 ? {
+                    reason: attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; '),
+                    chain,
+                    attempts
+                } : null;
+                if (fallback) {
+                    console.warn(`🪂 Fell back from "${ORIGINAL_PROVIDER}" to "${name}" (${fallback.reason})`);
+                }
+                return { ...result, requestedProvider: ORIGINAL_PROVIDER, fallback };
+            } catch (error) {
+                console.warn(`⚠️ Provider "${name}" failed: ${error.message}`);
+                attempts.push({ provider: name, error: error.message });
+            }
         }
+
+        throw new Error(`All providers in fallback chain failed: ${attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')}`);
     }
 
     // Default behavior (only used when no provider is specified)
     console.log(`⚠️ NO PROVIDER SPECIFIED: Using default provider with fallbacks: ${IMAGE_PROVIDER}`);
 
-    // Try each available provider in order of preference
-    const errors = [];
-
-    // Try preferred provider first
-    try {
-        if (IMAGE_PROVIDER === 'stability' && STABILITY_API_KEY) {
-            return await generateStabilityImage(prompt, enhancedOptions);
-        }
-        else if (IMAGE_PROVIDER === 'huggingface' && HUGGING_FACE_TOKEN) {
-            return await generateHuggingFaceImage(prompt, enhancedOptions);
-        }
-        else if (IMAGE_PROVIDER === 'dall-e' && OPENAI_API_KEY) {
-            return await generateDallEImage(prompt, enhancedOptions);
-        }
-    } catch (error) {
-        errors.push(`Default provider ${IMAGE_PROVIDER}: ${error.message}`);
-    }
+    // Try the preferred provider first, then every other configured AI provider.
+    // The offline procedural provider is only used when asked for by name.
+    const preferred = getProvider(IMAGE_PROVIDER);
+    const candidates = [
+        ...(preferred ? [preferred] : []),
+        ...listProviders().filter(provider => provider !== preferred && !provider.offline)
+    ].filter(provider => missingEnv(provider).length === 0);
 
-    // Try any available provider as fallback
-    if (STABILITY_API_KEY) {
+    const errors = [];
+    const attempts = [];
+    for (const provider of candidates) {
         try {
-            return await generateStabilityImage(prompt, enhancedOptions);
+            const providerOptions = { ...enhancedOptions };
+            const { prompt: providerPrompt, promptTemplate } = applyPromptTemplate(provider, prompt, providerOptions);
+            const result = { ...await provider.generate(providerPrompt, providerOptions), promptTemplate };
+            const fallback = attempts.length > 0 ? {
+                reason: errors.join('; '),
+                chain: candidates.map(candidate => candidate.name),
+                attempts
+            } : null;
+            return { ...result, requestedProvider: IMAGE_PROVIDER, fallback };
         } catch (error) {
-            errors.push(`Stability: ${error.message}`);
+            errors.push(`${provider === preferred ? `Default provider ${IMAGE_PROVIDER}` : provider.label}: ${error.message}`);
+            attempts.push({ provider: provider.name, error: error.message });
         }
     }
 
-    if (HUGGING_FACE_TOKEN) {
-        try {
-            return await generateHuggingFaceImage(prompt, enhancedOptions);
-        } catch (error) {
-            errors.push(`HuggingFace: ${error.message}`);
+    throw new Error(`All image providers failed: ${errors.join('; ')}`);
+}
+
+/**
+ * Apply a provider's pixel-art prompt enhancer
+ * @param {Object} provider - Provider definition
+ * @param {string} prompt - Base prompt
+ * @param {Object} options - Generation options (tuned in place, imageProvider is never touched)
+ * @returns {Object} { prompt }
+ */
+function applyPromptEnhancer(provider, prompt, options) {
+    const enhanced = provider.enhancePrompt(prompt, { ...options });
+    Object.entries(enhanced.options).forEach(([key, value]) => {
+        if (key !== 'imageProvider') {
+            options[key] = value;
         }
+    });
+    return { prompt: enhanced.prompt };
+}
+
+/**
+ * Generate with one named provider, checking it exists and has its API key
+ * @param {string} name - Provider name
+ * @param {string} prompt - Base prompt (enhanced for this provider unless useCustomPrompt)
+ * @param {Object} options - Generation options
+ * @returns {Promise<Object>} The generated image data
+ */
+async function generateWithProvider(name, prompt, options) {
+    // Validate provider and API key availability
+    const provider = getProvider(name);
+    if (!provider) {
+        throw new Error(`Unknown provider "${name}" - Valid options: ${providerNames().join(', ')}`);
+    }
+    const missing = missingEnv(provider);
+    if (missing.length > 0) {
+        throw new Error(`Cannot use requested provider "${name}" - Missing ${missing.join(', ')}`);
     }
 
-    if (OPENAI_API_KEY) {
-        try {
-            return await generateDallEImage(prompt, enhancedOptions);
-        } catch (error) {
-            errors.push(`DALL-E: ${error.message}`);
-        }
+    // Templated mints render this provider's variant; otherwise enhance prompts
+    // based on provider for better pixel art results
+    let promptTemplate = null;
+    if (options.promptTemplate) {
+        ({ prompt, promptTemplate } = applyPromptTemplate(provider, prompt, options));
+    } else if (!options.useCustomPrompt) {
+        ({ prompt } = applyPromptEnhancer(provider, prompt, options));
     }
 
-    throw new Error(`All image providers failed: ${errors.join('; ')}`);
+    console.log(`✅ EXECUTING: Using ${provider.label} (100% confirmed)`);
+    return { ...await provider.generate(prompt, options), promptTemplate };
+}
+
+/**
+ * Render the mint's prompt template for one provider
+ * @param {Object} provider - Provider definition
+ * @param {string} prompt - Prompt to use when the mint has no template
+ * @param {Object} options - Generation options (template defaults are filled in place,
+ *   explicit options and imageProvider are never touched)
+ * @returns {Object} { prompt, promptTemplate } - promptTemplate is { id, name, version, variant } or null
+ */
+function applyPromptTemplate(provider, prompt, options) {
+    if (!options.promptTemplate) return { prompt, promptTemplate: null };
+
+    const template = getPromptTemplate(options.promptTemplate.id);
+    const rendered = renderPrompt(template, options.promptTemplate.context, provider.name);
+    Object.entries(rendered.options).forEach(([key, value]) => {
+        if (key !== 'imageProvider' && options[key] === undefined) {
+            options[key] = value;
+        }
+    });
+    if (rendered.negativePrompt && !options.negativePrompt) {
+        options.negativePrompt = rendered.negativePrompt;
+    }
+    return { prompt: rendered.prompt, promptTemplate: promptTemplateInfo(template, rendered.variant) };
 }
\ No newline at end of file
@@ -7,9 +7,9 @@ import { filesFromPaths } from 'files-from-path';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import fetch from 'node-fetch';
 import { finalizeMint } from './finalizeMint.js';
 import { normalizeToGatewayUrl } from '../utils/metadata.js';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
 
 /**
  * Critical validation function to ensure URI is HTTPS gateway format
@@ -198,7 +198,7 @@ export async function generateAndMint({
         }
 
         // Construct HTTPS gateway URL directly - never create ipfs:// URIs
-        const imageGatewayUrl = `https://ipfs.io/ipfs/${imageCid}/image.png`;
+        const imageGatewayUrl = normalizeToGatewayUrl(`ipfs://${imageCid}`, 'image.png');
         console.log(`🔗 Constructed image gateway URL: ${imageGatewayUrl}`);
 
         // Use enhanced metadata if available, otherwise create basic metadata
@@ -226,7 +226,7 @@ export async function generateAndMint({
         }
 
         // Final verification - ensure image is HTTPS gateway URL
-        if (!metadata.image.startsWith('https://ipfs.io/ipfs/')) {
+        if (!metadata.image.startsWith(getGatewayResolver().primaryGateway)) {
             console.error(`❌ CRITICAL ERROR: metadata.image is not proper gateway URL: ${metadata.image}`);
             metadata.image = imageGatewayUrl; // Force to known good URL
             console.log(`🔧 FORCED to correct gateway URL: ${metadata.image}`);
@@ -257,11 +257,11 @@ export async function generateAndMint({
         }
         
         // Construct HTTPS gateway URL directly - never create ipfs:// URIs
-        const metadataGatewayUrl = `https://ipfs.io/ipfs/${metaCid}/meta.json`;
+        const metadataGatewayUrl = normalizeToGatewayUrl(`ipfs://${metaCid}`, 'meta.json');
         console.log(`🔗 Constructed metadata gateway URL: ${metadataGatewayUrl}`);
         
         // CRITICAL SAFETY CHECK: Ensure tokenURI is HTTPS
-        if (!metadataGatewayUrl.startsWith('https://ipfs.io/ipfs/')) {
+        if (!metadataGatewayUrl.startsWith(getGatewayResolver().primaryGateway)) {
             throw new Error(`CRITICAL: Failed to construct proper gateway URL: ${metadataGatewayUrl}`);
         }
         
@@ -0,0 +1,289 @@
+/**
+ * scripts/generationRecords.js
+ * ───────────────────────────────────────────────────────────────
+ * One record per finalizeMint run, so any token's art can be explained
+ * and reproduced: the exact prompt and negative prompt sent, provider,
+ * model, sampler parameters (cfgScale / steps / guidance …), the seed
+ * where the provider has one, the breed asked for, and timings.
+ * Failed runs are recorded too, with the error, and so are images the
+ * quality gate rejected along the way (scripts/imageQuality.js).
+ *
+ * Backends:
+ * - Supabase `generation_records` table
+ * - Local JSON file stand-in when Supabase isn't configured
+ *
+ * Optional env:
+ *   GENERATION_RECORDS_FILE  (defaults to "./generation-records.json")
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+// Records kept per token in the local file (oldest dropped first)
+const MAX_FILE_RECORDS_PER_TOKEN = 50;
+
+/**
+ * Generate a record id
+ * @returns {string} Unique record id
+ */
+function generateRecordId() {
+    return `gen_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Build a generation record for a finalizeMint run
+ * @param {Object} run
+ * @param {string|number} run.tokenId - Token ID
+ * @param {string} [run.taskId] - Task ID
+ * @param {string} run.breed - Breed the mint asked for
+ * @param {string} run.requestedProvider - Provider the mint asked for
+ * @param {string} [run.prompt] - Shared prompt (before the provider's variant)
+ * @param {Object} [run.imageResult] - Result from generateImage()
+ * @param {Object} [run.quality] - Quality gate outcome: { attempts, rejected, metrics }
+ * @param {Object} [run.timings] - Seconds per step: { generation, processing, upload, total }
+ * @returns {Object} Generation record
+ */
+export function buildGenerationRecord({ tokenId, taskId = null, breed, requestedProvider, prompt = null, imageResult = null, quality = null, timings = {} }) {
+    const metadata = imageResult?.metadata || {};
+    return {
+        id: generateRecordId(),
+        tokenId: Number(tokenId),
+        taskId,
+        status: imageResult ? 'completed' : 'started',
+        createdAt: new Date().toISOString(),
+        breed,
+        provider: imageResult?.provider || null,
+        requestedProvider: imageResult?.requestedProvider || requestedProvider || null,
+        model: imageResult?.model || null,
+        prompt: imageResult?.prompt || prompt,
+        revisedPrompt: metadata.revisedPrompt || null,
+        negativePrompt: metadata.negativePrompt || null,
+        promptTemplate: imageResult?.promptTemplate?.id || null,
+        seed: metadata.seed ?? null,
+        parameters: metadata.parameters || {},
+        fallbackReason: imageResult?.fallback?.reason || null,
+        quality,
+        timings,
+        imageUri: null,
+        tokenURI: null,
+        error: null
+    };
+}
+
+/**
+ * The reproducibility block for metadata `properties.generation`
+ * @param {Object} record - Generation record
+ * @returns {Object} { recordId, breed, provider, model, seed, prompt, negativePrompt, parameters, timings }
+ */
+export function generationProperties(record) {
+    return {
+        recordId: record.id,
+        breed: record.breed,
+        provider: record.provider,
+        model: record.model,
+        seed: record.seed,
+        prompt: record.prompt,
+        ...(record.negativePrompt && { negativePrompt: record.negativePrompt }),
+        parameters: record.parameters,
+        timings: record.timings
+    };
+}
+
+/* ─── Supabase store ─────────────────────────────────────────── */
+
+/**
+ * Map a record to a generation_records row
+ */
+function recordToRow(record) {
+    return {
+        id: record.id,
+        token_id: String(record.tokenId),
+        task_id: record.taskId,
+        status: record.status,
+        created_at: record.createdAt,
+        breed: record.breed,
+        provider: record.provider,
+        requested_provider: record.requestedProvider,
+        model: record.model,
+        prompt: record.prompt,
+        revised_prompt: record.revisedPrompt,
+        negative_prompt: record.negativePrompt,
+        prompt_template: record.promptTemplate,
+        seed: record.seed,
+        parameters: record.parameters,
+        fallback_reason: record.fallbackReason,
+        quality: record.quality,
+        timings: record.timings,
+        image_uri: record.imageUri,
+        token_uri: record.tokenURI,
+        error: record.error
+    };
+}
+
+/**
+ * Map a generation_records row back to a record
+ */
+function rowToRecord(row) {
+    return {
+        id: row.id,
+        tokenId: Number(row.token_id),
+        taskId: row.task_id,
+        status: row.status,
+        createdAt: row.created_at,
+        breed: row.breed,
+        provider: row.provider,
+        requestedProvider: row.requested_provider,
+        model: row.model,
+        prompt: row.prompt,
+        revisedPrompt: row.revised_prompt,
+        negativePrompt: row.negative_prompt,
+        promptTemplate: row.prompt_template,
+        seed: row.seed,
+        parameters: row.parameters || {},
+        fallbackReason: row.fallback_reason,
+        quality: row.quality,
+        timings: row.timings || {},
+        imageUri: row.image_uri,
+        tokenURI: row.token_uri,
+        error: row.error
+    };
+}
+
+/**
+ * Generation records in the Supabase `generation_records` table
+ */
+export class SupabaseGenerationStore {
+    constructor(client) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    /**
+     * Save (insert or replace) a record
+     * @param {Object} record - Generation record
+     * @returns {Promise<Object>} The record
+     */
+    async save(record) {
+        const { error } = await this.supabase
+            .from('generation_records')
+            .upsert(recordToRow(record), { onConflict: 'id' });
+
+        if (error) {
+            if (error.code === '42P01') {
+                console.log('⚠️ generation_records table does not exist - see SUPABASE_SETUP.md');
+            }
+            throw error;
+        }
+        return record;
+    }
+
+    /**
+     * Generation history of a token, newest first
+     * @param {string|number} tokenId - Token ID
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Max records (defaults to 20)
+     * @returns {Promise<Object[]>} Records
+     */
+    async history(tokenId, { limit = 20 } = {}) {
+        const { data, error } = await this.supabase
+            .from('generation_records')
+            .select('*')
+            .eq('token_id', String(tokenId))
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return (data || []).map(rowToRecord);
+    }
+}
+
+/* ─── Local JSON file store ──────────────────────────────────── */
+
+/**
+ * Generation records in a JSON file on disk
+ */
+export class FileGenerationStore {
+    /**
+     * @param {string} filePath - Path to the records file
+     */
+    constructor(filePath = process.env.GENERATION_RECORDS_FILE || path.join(process.cwd(), 'generation-records.json')) {
+        this.filePath = filePath;
+        this.lock = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8')).records || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read ${this.filePath}: ${err.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Save (insert or replace) a record
+     * @param {Object} record - Generation record
+     * @returns {Promise<Object>} The record
+     */
+    async save(record) {
+        const run = this.lock.then(async () => {
+            let records = (await this.readAll()).filter(existing => existing.id !== record.id);
+            records.push(record);
+
+            const forToken = records.filter(existing => existing.tokenId === record.tokenId);
+            if (forToken.length > MAX_FILE_RECORDS_PER_TOKEN) {
+                const dropped = new Set(forToken.slice(0, forToken.length - MAX_FILE_RECORDS_PER_TOKEN).map(existing => existing.id));
+                records = records.filter(existing => !dropped.has(existing.id));
+            }
+
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({ records }, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+            return record;
+        });
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Generation history of a token, newest first
+     * @param {string|number} tokenId - Token ID
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Max records (defaults to 20)
+     * @returns {Promise<Object[]>} Records
+     */
+    async history(tokenId, { limit = 20 } = {}) {
+        const records = await this.readAll();
+        return records
+            .filter(record => record.tokenId === Number(tokenId))
+            .reverse() // Saved in order, so ties on createdAt stay newest first
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+}
+
+let defaultStore = null;
+
+/**
+ * Return the shared generation record store for this environment
+ * @returns {SupabaseGenerationStore|FileGenerationStore} Record store
+ */
+export function getGenerationStore() {
+    if (!defaultStore) {
+        defaultStore = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+            ? new SupabaseGenerationStore()
+            : new FileGenerationStore();
+    }
+    return defaultStore;
+}
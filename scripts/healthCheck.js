@@ -6,6 +6,7 @@ import { ethers } from 'ethers';
 import fs from 'fs/promises';
 import path from 'path';
 import { createClient } from '@supabase/supabase-js';
+import { providerAvailability } from './imageProviders.js';
 
 /**
  * Comprehensive health check for the NFT minting system
@@ -160,7 +161,8 @@ function checkApiKeys() {
         status: availableKeys > 0 ? 'healthy' : 'warning',
         message: `${availableKeys} API provider(s) available`,
         providers: apiKeys,
-        availableCount: availableKeys
+        availableCount: availableKeys,
+        imageProviders: providerAvailability()
     };
 }
 
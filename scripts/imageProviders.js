@@ -0,0 +1,746 @@
+/**
+ * scripts/imageProviders.js
+ * ───────────────────────────────────────────────────────────────
+ * Image provider registry for finalizeMint's generateImage().
+ *
+ * Each provider declares:
+ *   name           id used for IMAGE_PROVIDER / imageProvider, e.g. "dall-e"
+ *   label          display name
+ *   requiredEnv    env keys it needs - it is unavailable while one is missing
+ *   model, models  default model and the selectable ones
+ *   pixelSettings  prompt prefix/suffix, backgrounds and sampler defaults
+ *   optionSchema   providerOptions it accepts: { key: { type, enum? } }
+ *   enhancePrompt  (prompt, options) => { prompt, options } pixel-art tuning
+ *   generate       (prompt, options) => { localPath | url | base64, provider, model, prompt, metadata }
+ *   offline        true if it never touches the network
+ *
+ * Built in: "dall-e", "stability" and "huggingface" (API keys required),
+ * plus "procedural", which draws a 32×32 sprite from the token's traits
+ * with sharp, so the whole pipeline runs without network or API keys.
+ *
+ * The OpenAI SDK is only loaded when DALL-E generates, so listing and
+ * validating providers stays cheap. Stability and HuggingFace use Node's
+ * built-in fetch.
+ *
+ * Fallback policy: a mint uses only its requested provider ("strict") unless
+ * it opts into a chain, e.g. `dall-e -> stability -> procedural`. Mints on the
+ * default provider follow IMAGE_PROVIDER_FALLBACK; a provider the user picked
+ * stays strict unless that mint passes its own `fallback`.
+ *
+ * Optional env:
+ *   IMAGE_PROVIDER_FALLBACK  (e.g. "dall-e -> stability -> procedural", unset = strict)
+ *   HF_MODEL         (defaults to "stabilityai/stable-diffusion-xl-base-1.0")
+ *   DALLE_MODEL      (defaults to "dall-e-3")
+ *   STABILITY_MODEL  (defaults to "stable-diffusion-xl-1024-v1-0")
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { getBackgroundDefinitions } from '../utils/metadata.js';
+
+const {
+    HF_MODEL = 'stabilityai/stable-diffusion-xl-base-1.0',
+    DALLE_MODEL = 'dall-e-3',
+    STABILITY_MODEL = 'stable-diffusion-xl-1024-v1-0'
+} = process.env;
+
+// Appended to every AI prompt that isn't a custom prompt
+const PIXEL_ART_ENHANCER = ', true pixel art, 16-bit style, limited color palette, no anti-aliasing, pixel perfect';
+
+const providers = new Map();
+
+/* ─── Registry ───────────────────────────────────────────────── */
+
+/**
+ * Add (or replace) an image provider
+ * @param {Object} provider - Provider definition (see header)
+ * @returns {Object} The registered provider
+ */
+export function registerProvider(provider) {
+    if (!provider?.name || typeof provider.generate !== 'function') {
+        throw new Error('Image provider needs a name and a generate function');
+    }
+    const definition = {
+        label: provider.name,
+        requiredEnv: [],
+        models: {},
+        pixelSettings: {},
+        optionSchema: {},
+        enhancePrompt: (prompt, options) => ({ prompt, options }),
+        offline: false,
+        ...provider,
+        name: provider.name.toLowerCase().trim()
+    };
+    providers.set(definition.name, definition);
+    return definition;
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name (case-insensitive)
+ * @returns {Object|null} Provider definition or null if unknown
+ */
+export function getProvider(name) {
+    return providers.get(String(name || '').toLowerCase().trim()) || null;
+}
+
+/**
+ * All registered providers, in registration order
+ * @returns {Object[]} Provider definitions
+ */
+export function listProviders() {
+    return [...providers.values()];
+}
+
+/**
+ * Names of all registered providers
+ * @returns {string[]} Provider names
+ */
+export function providerNames() {
+    return [...providers.keys()];
+}
+
+/**
+ * Env keys a provider still needs
+ * @param {Object|string} provider - Provider definition or name
+ * @param {Object} [env] - Environment to check
+ * @returns {string[]} Missing env keys (empty when the provider is usable)
+ */
+export function missingEnv(provider, env = process.env) {
+    const definition = typeof provider === 'string' ? getProvider(provider) : provider;
+    if (!definition) return [];
+    return definition.requiredEnv.filter(key => !env[key]);
+}
+
+/**
+ * Whether a provider is registered and has everything it needs
+ * @param {string} name - Provider name
+ * @param {Object} [env] - Environment to check
+ * @returns {boolean} True if the provider can generate
+ */
+export function isProviderConfigured(name, env = process.env) {
+    const provider = getProvider(name);
+    return !!provider && missingEnv(provider, env).length === 0;
+}
+
+/**
+ * Availability of every provider, for health checks
+ * @param {Object} [env] - Environment to check
+ * @returns {Object} Map of provider name to boolean
+ */
+export function providerAvailability(env = process.env) {
+    return Object.fromEntries(listProviders().map(provider => [provider.name, missingEnv(provider, env).length === 0]));
+}
+
+/**
+ * Check providerOptions against a provider's option schema. Unknown keys are
+ * passed through untouched; declared keys must match their type / enum.
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider options
+ * @returns {Object} The options
+ * @throws {Error} If an option has the wrong type or value
+ */
+export function checkProviderOptions(name, options = {}) {
+    const provider = getProvider(name);
+    if (!provider) throw new Error(`Unknown image provider: ${name}`);
+
+    for (const [key, rule] of Object.entries(provider.optionSchema)) {
+        const value = options[key];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+            throw new Error(`Invalid provider options: ${key} must be a ${rule.type} for ${provider.name}`);
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            throw new Error(`Invalid provider options: ${key} must be one of ${rule.enum.join(', ')} for ${provider.name}`);
+        }
+    }
+    return options;
+}
+
+/**
+ * Parse a fallback chain such as "dall-e -> stability -> procedural"
+ * @param {string|string[]} value - Chain string ("->" or comma separated) or list of names
+ * @returns {string[]} Provider names in order
+ * @throws {Error} If the chain names an unknown provider
+ */
+export function parseFallbackChain(value) {
+    const names = (Array.isArray(value) ? value : String(value || '').split(/->|,/))
+        .map(name => String(name).toLowerCase().trim())
+        .filter(Boolean);
+
+    const unknown = names.filter(name => !providers.has(name));
+    if (unknown.length > 0) {
+        throw new Error(`Invalid fallback chain: unknown provider(s) ${unknown.join(', ')} - valid options: ${providerNames().join(', ')}`);
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Providers to try for one mint, in order
+ * @param {Object} policy
+ * @param {string} policy.provider - Requested provider (always tried first)
+ * @param {boolean|string|string[]} [policy.fallback] - false / "strict": requested provider only,
+ *   true: IMAGE_PROVIDER_FALLBACK, a chain: that chain
+ * @param {boolean} [policy.providerChosen] - The user picked the provider; keeps it strict unless `fallback` is given
+ * @param {Object} [env] - Environment variables
+ * @returns {string[]} Requested provider followed by its fallbacks
+ */
+export function resolveProviderChain({ provider, fallback, providerChosen = false }, env = process.env) {
+    const requested = String(provider || '').toLowerCase().trim();
+
+    let chain = [];
+    if (fallback === undefined || fallback === null || fallback === '') {
+        if (!providerChosen) chain = parseFallbackChain(env.IMAGE_PROVIDER_FALLBACK);
+    } else if (fallback === true || fallback === 'true') {
+        chain = parseFallbackChain(env.IMAGE_PROVIDER_FALLBACK);
+    } else if (fallback !== false && fallback !== 'false' && fallback !== 'strict') {
+        chain = parseFallbackChain(fallback);
+    }
+
+    return [requested, ...chain.filter(name => name !== requested)];
+}
+
+/* ─── Lazy SDK loading ───────────────────────────────────────── */
+
+let openaiClient;
+
+async function getOpenAI() {
+    if (!process.env.OPENAI_API_KEY) throw new Error('OpenAI API not configured');
+    if (!openaiClient) {
+        const { default: OpenAI } = await import('openai');
+        openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return openaiClient;
+}
+
+/* ─── Provider definitions ───────────────────────────────────── */
+
+const huggingface = {
+    name: 'huggingface',
+    label: 'HuggingFace',
+    requiredEnv: ['HUGGING_FACE_TOKEN'],
+    model: HF_MODEL,
+    models: {
+        'stabilityai/stable-diffusion-xl-base-1.0': 'SDXL (High Quality)',
+        'prompthero/openjourney': 'Openjourney (Midjourney Style)',
+        'runwayml/stable-diffusion-v1-5': 'SD 1.5 (Faster)',
+        'ByteDance/SDXL-Lightning': 'SDXL Lightning (Fastest)',
+        'Lykon/dreamshaper-xl-1-0': 'Dreamshaper XL (Stylized)'
+    },
+    free: true,
+    pixelSettings: {
+        guidance_scale: 8.5,
+        num_inference_steps: 50,
+        prompt_prefix: '32x32 pixel art of a ninja cat, ',
+        prompt_suffix: ', retro game style, limited color palette, charming, detailed pixel art, NES style',
+        backgrounds: getBackgroundDefinitions(),
+        negativePrompt: 'text, letters, numbers, words, captions, labels, watermarks, signatures, blurry, low quality'
+    },
+    optionSchema: {
+        model: { type: 'string' },
+        guidance_scale: { type: 'number' },
+        num_inference_steps: { type: 'number' },
+        negativePrompt: { type: 'string' },
+        seed: { type: 'number' }
+    },
+    enhancePrompt: (prompt, options) => ({
+        prompt: `${prompt}${PIXEL_ART_ENHANCER}, 32x32 resolution, gameboy style, pixel perfect`,
+        options: {
+            ...options,
+            guidance_scale: options.guidance_scale || 9.0,
+            num_inference_steps: options.num_inference_steps || 60
+        }
+    }),
+    generate: (prompt, options) => generateHuggingFaceImage(prompt, options)
+};
+
+const dallE = {
+    name: 'dall-e',
+    label: 'DALL-E',
+    requiredEnv: ['OPENAI_API_KEY'],
+    model: DALLE_MODEL,
+    models: {
+        'dall-e-3': 'DALL-E 3 (Best Quality)',
+        'dall-e-2': 'DALL-E 2 (Faster)'
+    },
+    free: false,
+    pixelSettings: {
+        quality: 'hd',
+        style: 'vivid',
+        size: '1024x1024',
+        prompt_prefix: '32x32 pixel art sprite of a ninja cat: ',
+        prompt_suffix: '. Simple retro game style, chunky pixels, extremely limited color palette, NO TEXT, NO LETTERS, NO NUMBERS, NO WORDS, cute, charming pixel art. NES/SNES era game graphics, no anti-aliasing, blocky pixel edges.',
+        backgrounds: getBackgroundDefinitions()
+    },
+    optionSchema: {
+        model: { type: 'string', enum: ['dall-e-3', 'dall-e-2'] },
+        quality: { type: 'string', enum: ['hd', 'standard'] },
+        style: { type: 'string', enum: ['vivid', 'natural'] },
+        size: { type: 'string' },
+        responseFormat: { type: 'string', enum: ['url', 'b64_json'] },
+        maxRetries: { type: 'number' }
+    },
+    enhancePrompt: (prompt, options) => ({
+        prompt: `${prompt}${PIXEL_ART_ENHANCER}, clean edges, blocky style, NES/SNES era game sprite`,
+        options: { ...options, quality: options.quality || 'hd' }
+    }),
+    generate: (prompt, options) => generateDallEImage(prompt, options)
+};
+
+const stability = {
+    name: 'stability',
+    label: 'Stability AI',
+    requiredEnv: ['STABILITY_API_KEY'],
+    model: STABILITY_MODEL,
+    models: {
+        'stable-diffusion-xl-1024-v1-0': 'SDXL 1.0',
+        'stable-diffusion-v1-5': 'SD 1.5 (Faster)'
+    },
+    free: false,
+    pixelSettings: {
+        cfg_scale: 9.5, // Increased for better prompt adherence
+        steps: 40, // Increased for better quality
+        prompt_prefix: '32x32 pixel art sprite of a ninja cat: ',
+        prompt_suffix: ', retro game style, limited color palette (8-16 colors max), chunky pixels, no anti-aliasing, clean pixel art, NES/SNES aesthetic',
+        backgrounds: getBackgroundDefinitions(),
+        negativePrompt: 'text, letters, numbers, words, captions, labels, watermarks, signatures, blurry, low quality'
+    },
+    stylePresets: {
+        'pixel-art': 'Pixel Art',
+        'anime': 'Anime',
+        '3d-model': '3D Model',
+        'photographic': 'Photographic',
+        'digital-art': 'Digital Art'
+    },
+    defaultStylePreset: 'pixel-art',
+    optionSchema: {
+        model: { type: 'string', enum: ['stable-diffusion-xl-1024-v1-0', 'stable-diffusion-v1-5'] },
+        stylePreset: { type: 'string', enum: ['pixel-art', 'anime', '3d-model', 'photographic', 'digital-art'] },
+        cfgScale: { type: 'number' },
+        steps: { type: 'number' },
+        negativePrompt: { type: 'string' },
+        seed: { type: 'number' }
+    },
+    enhancePrompt: (prompt, options) => ({
+        prompt: `${prompt}${PIXEL_ART_ENHANCER}, crisp pixels, 8-16 colors maximum`,
+        options: {
+            ...options,
+            cfgScale: options.cfgScale || 9.5, // Stronger prompt adherence
+            stylePreset: options.stylePreset || 'pixel-art'
+        }
+    }),
+    generate: (prompt, options) => generateStabilityImage(prompt, options)
+};
+
+const procedural = {
+    name: 'procedural',
+    label: 'Procedural (offline)',
+    requiredEnv: [],
+    model: 'procedural-v1',
+    models: { 'procedural-v1': 'Trait-driven 32×32 sprite' },
+    free: true,
+    offline: true,
+    pixelSettings: {
+        backgrounds: getBackgroundDefinitions()
+    },
+    optionSchema: {
+        seed: { type: 'number' }
+    },
+    generate: (prompt, options) => generateProceduralImage(prompt, options)
+};
+
+/* ─── Generators ─────────────────────────────────────────────── */
+/**
+ * Generate an image using OpenAI's DALL-E models
+ * @param {string} prompt - The base prompt to generate an image from
+ * @param {Object} options - Optional configuration
+ * @returns {Promise<Object>} Image generation result
+ */
+async function generateDallEImage(prompt, options = {}) {
+    const openai = await getOpenAI();
+
+    const settings = dallE.pixelSettings;
+    const model = options.model || dallE.model;
+    const maxRetries = options.maxRetries || 2;
+
+    // Start with no-text instruction for DALL-E
+    let enhancedPrompt = options.useCustomPrompt ? prompt :
+        `NO TEXT, NO LETTERS, NO NUMBERS: ${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
+
+    // Add extremely strong no-text instructions at both beginning and end
+    enhancedPrompt = `GENERATE IMAGE WITHOUT ANY TEXT. ${enhancedPrompt}. IMPORTANT: THE IMAGE MUST NOT CONTAIN ANY TEXT, LETTERS, NUMBERS, WORDS, SYMBOLS, SIGNATURES, WATERMARKS, OR LABELS WHATSOEVER.`;
+
+    console.log(`🎨 Generating image with ${model}...`);
+    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
+
+    // Track generation time
+    const startTime = Date.now();
+
+    // Configuration for DALL-E
+    const requestConfig = {
+        model: model,
+        prompt: enhancedPrompt,
+        n: 1,
+        size: options.size || settings.size,
+        quality: options.quality || settings.quality,
+        style: options.style || settings.style
+    };
+
+    // Add response format if requested
+    if (options.responseFormat) {
+        requestConfig.response_format = options.responseFormat;
+    }
+
+    // Use retries for robustness
+    let lastError = null;
+    let attempt = 0;
+
+    while (attempt <= maxRetries) {
+        try {
+            attempt++;
+
+            // If this is a retry, log it and slightly modify the prompt
+            if (attempt > 1) {
+                console.log(`🔄 Retry attempt ${attempt}/${maxRetries + 1} for DALL-E generation`);
+                requestConfig.prompt = enhancedPrompt + ` [Variation ${attempt}]`;
+            }
+
+            // Generate the image
+            const { data } = await openai.images.generate(requestConfig);
+
+            const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+            console.log(`✅ DALL-E image generated successfully in ${generationTime}s!`);
+
+            // Compute content hash if URL available
+            let contentHash = null;
+            if (data[0].url) {
+                const urlParts = data[0].url.split('/');
+                contentHash = urlParts[urlParts.length - 1].split('.')[0];
+            }
+
+            return {
+                url: data[0].url,
+                base64: data[0].b64_json,
+                isLocal: false,
+                provider: 'dall-e',
+                model: model,
+                // The prompt actually sent - retries vary or simplify it
+                prompt: requestConfig.prompt,
+                contentHash,
+                metadata: {
+                    generationTime: parseFloat(generationTime),
+                    width: parseInt(settings.size.split('x')[0], 10),
+                    height: parseInt(settings.size.split('x')[1], 10),
+                    quality: settings.quality,
+                    attempts: attempt,
+                    // DALL-E 3 rewrites prompts and has no seed
+                    revisedPrompt: data[0].revised_prompt,
+                    seed: null,
+                    parameters: {
+                        size: requestConfig.size,
+                        quality: requestConfig.quality,
+                        style: requestConfig.style
+                    }
+                }
+            };
+        } catch (error) {
+            lastError = error;
+
+            // Check if this is a content policy violation
+            const isContentViolation = error.message?.includes('content policy') ||
+                error.message?.includes('safety system');
+
+            // If it's a content violation and not using a custom prompt, try simplifying
+            if (isContentViolation && !options.useCustomPrompt && attempt <= maxRetries) {
+                console.warn(`⚠️ DALL-E content policy triggered: ${error.message}`);
+                console.warn('🔄 Simplifying prompt and retrying...');
+
+                // Simplify the prompt by removing potentially problematic terms
+                const simplifiedPrompt = enhancedPrompt
+                    .replace(/ninja/gi, 'skilled')
+                    .replace(/weapon/gi, 'tool')
+                    .replace(/battle/gi, 'adventure');
+
+                requestConfig.prompt = simplifiedPrompt;
+                continue;
+            }
+
+            // For network errors, wait before retry
+            if (error.message?.includes('network') || error.message?.includes('timeout')) {
+                const waitTime = Math.min(2000 * attempt, 10000);
+                console.warn(`⚠️ Network error, waiting ${waitTime / 1000}s before retry: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, waitTime));
+                continue;
+            }
+
+            // If we've reached max retries or unrecoverable error, rethrow
+            if (attempt > maxRetries) {
+                console.error(`❌ DALL-E generation failed after ${attempt} attempts: ${error.message}`);
+                throw error;
+            }
+        }
+    }
+
+    // If we get here, we've exhausted all retries
+    throw lastError;
+}
+
+/**
+ * Generate an image using Stability AI's API
+ * @param {string} prompt - The prompt to generate an image from
+ * @param {Object} options - Optional configuration
+ * @returns {Promise<Object>} Image generation result
+ */
+async function generateStabilityImage(prompt, options = {}) {
+    const { STABILITY_API_KEY } = process.env;
+    if (!STABILITY_API_KEY) throw new Error('Stability AI API not configured');
+
+    const settings = stability.pixelSettings;
+    const model = options.model || stability.model;
+    const stylePreset = options.stylePreset || stability.defaultStylePreset || 'pixel-art';
+
+    // Allow using the prompt directly if specified
+    const enhancedPrompt = options.useCustomPrompt ? prompt :
+        `${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
+
+    console.log(`🎨 Generating image with Stability AI (${model})...`);
+    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
+    console.log(`🎭 Style preset: ${stylePreset}`);
+
+    // Track generation time
+    const startTime = Date.now();
+
+    // Build request for Stability AI
+    const requestBody = {
+        text_prompts: [
+            {
+                text: enhancedPrompt,
+                weight: 1
+            }
+        ],
+        cfg_scale: options.cfgScale || settings.cfg_scale || 9,
+        steps: options.steps || settings.steps || 40,
+        width: 1024,
+        height: 1024,
+        samples: 1
+    };
+
+    // Fixed seed to reproduce an earlier image; otherwise Stability picks one and reports it
+    if (Number.isFinite(options.seed)) {
+        requestBody.seed = options.seed;
+    }
+
+    // Add negative prompt if provided
+    if (options.negativePrompt || settings.negativePrompt) {
+        requestBody.text_prompts.push({
+            text: options.negativePrompt || settings.negativePrompt,
+            weight: -1
+        });
+    }
+
+    // Add style preset if specified
+    if (stylePreset) {
+        requestBody.style_preset = stylePreset;
+    }
+
+    try {
+        // Make request to Stability AI API
+        const response = await fetch(
+            `https://api.stability.ai/v1/generation/${model}/text-to-image`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'Authorization': `Bearer ${STABILITY_API_KEY}`
+                },
+                body: JSON.stringify(requestBody)
+            }
+        );
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`Stability AI error: ${response.status} - ${error}`);
+        }
+
+        const result = await response.json();
+
+        // Create temp file for the image
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stability-'));
+        const imagePath = path.join(tmpDir, 'image.png');
+
+        // Save the image to disk
+        const base64Image = result.artifacts[0].base64;
+        await fs.writeFile(imagePath, Buffer.from(base64Image, 'base64'));
+
+        const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`✅ Stability AI image generated successfully in ${generationTime}s!`);
+
+        return {
+            localPath: imagePath,
+            isLocal: true,
+            provider: 'stability',
+            model: model,
+            prompt: enhancedPrompt,
+            base64: base64Image,
+            metadata: {
+                generationTime: parseFloat(generationTime),
+                width: 1024,
+                height: 1024,
+                stylePreset: stylePreset,
+                negativePrompt: requestBody.text_prompts[1]?.text || null,
+                seed: result.artifacts[0].seed ?? requestBody.seed ?? null,
+                parameters: {
+                    cfgScale: requestBody.cfg_scale,
+                    steps: requestBody.steps,
+                    stylePreset: requestBody.style_preset,
+                    width: requestBody.width,
+                    height: requestBody.height
+                }
+            }
+        };
+    } catch (error) {
+        console.error(`❌ Stability AI generation failed: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Generate an image using HuggingFace's API
+ * @param {string} prompt - The prompt to generate an image from
+ * @param {Object} options - Optional configuration
+ * @returns {Promise<Object>} Image generation result
+ */
+async function generateHuggingFaceImage(prompt, options = {}) {
+    const { HUGGING_FACE_TOKEN } = process.env;
+    if (!HUGGING_FACE_TOKEN) throw new Error('HuggingFace API not configured');
+
+    const settings = huggingface.pixelSettings;
+    const model = options.model || huggingface.model;
+
+    // Allow using the prompt directly if specified
+    const enhancedPrompt = options.useCustomPrompt ? prompt :
+        `${settings.prompt_prefix}${prompt}${settings.prompt_suffix}`;
+
+    console.log(`🎨 Generating image with HuggingFace (${model})...`);
+    console.log(`📝 ${options.useCustomPrompt ? 'Custom' : 'Enhanced'} prompt: "${enhancedPrompt}"`);
+
+    // Track generation time
+    const startTime = Date.now();
+
+    // Build request for HuggingFace
+    const requestBody = {
+        inputs: enhancedPrompt,
+        parameters: {
+            guidance_scale: options.guidance_scale || settings.guidance_scale || 7.5,
+            num_inference_steps: options.num_inference_steps || settings.num_inference_steps || 50,
+        }
+    };
+
+    // Add negative prompt if provided
+    if (options.negativePrompt || settings.negativePrompt) {
+        requestBody.parameters.negative_prompt = options.negativePrompt || settings.negativePrompt;
+    }
+
+    // Only seeded when asked - the inference API doesn't report random seeds
+    if (Number.isFinite(options.seed)) {
+        requestBody.parameters.seed = options.seed;
+    }
+
+    try {
+        // Make request to HuggingFace API
+        const response = await fetch(
+            `https://api-inference.huggingface.co/models/${model}`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${HUGGING_FACE_TOKEN}`
+                },
+                body: JSON.stringify(requestBody)
+            }
+        );
+
+        if (!response.ok) {
+            const error = await response.text();
+            throw new Error(`HuggingFace error: ${response.status} - ${error}`);
+        }
+
+        // HuggingFace returns the image directly
+        const imageBuffer = await response.arrayBuffer();
+
+        // Create temp file for the image
+        const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'huggingface-'));
+        const imagePath = path.join(tmpDir, 'image.png');
+
+        // Save the image to disk
+        await fs.writeFile(imagePath, Buffer.from(imageBuffer));
+
+        const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`✅ HuggingFace image generated successfully in ${generationTime}s!`);
+
+        return {
+            localPath: imagePath,
+            isLocal: true,
+            provider: 'huggingface',
+            model: model,
+            prompt: enhancedPrompt,
+            metadata: {
+                generationTime: parseFloat(generationTime),
+                model: model,
+                guidance_scale: requestBody.parameters.guidance_scale,
+                num_inference_steps: requestBody.parameters.num_inference_steps,
+                negativePrompt: requestBody.parameters.negative_prompt || null,
+                seed: requestBody.parameters.seed ?? null,
+                parameters: {
+                    guidance_scale: requestBody.parameters.guidance_scale,
+                    num_inference_steps: requestBody.parameters.num_inference_steps
+                }
+            }
+        };
+    } catch (error) {
+        console.error(`❌ HuggingFace generation failed: ${error.message}`);
+        throw error;
+    }
+}
+
+/**
+ * Render a sprite locally from the token's traits - no network, no API key
+ * @param {string} prompt - Prompt (only used to seed the sprite when no traits are given)
+ * @param {Object} options - { traits, tokenId, seed }
+ * @returns {Promise<Object>} Image generation result
+ */
+async function generateProceduralImage(prompt, options = {}) {
+    const { renderProceduralSprite, seedFrom } = await import('./proceduralSprite.js');
+    const startTime = Date.now();
+
+    const seed = Number.isFinite(options.seed) ? options.seed :
+        seedFrom(options.tokenId !== undefined ? `procedural-${options.tokenId}` : prompt);
+    const { png, width, height } = await renderProceduralSprite({ traits: options.traits, seed });
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'procedural-'));
+    const imagePath = path.join(tmpDir, 'image.png');
+    await fs.writeFile(imagePath, png);
+
+    const generationTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Procedural sprite rendered in ${generationTime}s (seed ${seed})`);
+
+    return {
+        localPath: imagePath,
+        isLocal: true,
+        provider: 'procedural',
+        model: procedural.model,
+        prompt,
+        metadata: {
+            generationTime: parseFloat(generationTime),
+            width,
+            height,
+            seed,
+            parameters: { seed }
+        }
+    };
+}
+
+// Registration order is also the fallback order when no provider is requested
+[stability, huggingface, dallE, procedural].forEach(registerProvider);
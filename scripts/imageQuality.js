@@ -0,0 +1,326 @@
+/**
+ * scripts/imageQuality.js
+ * ───────────────────────────────────────────────────────────────
+ * Post-generation quality gate, run between processImage() and the IPFS
+ * upload so blank or broken art never gets pinned and written on-chain.
+ *
+ * Local heuristics on a ≤ 128 px nearest-neighbour copy of the image:
+ *   aspect      - width / height too far from square
+ *   uniformity  - one colour covers almost everything, or no contrast at all
+ *   colors      - the subject uses too few main colours (flat blob) or too
+ *                 many (photo / noise)
+ *   coverage    - the subject is a speck: pixels not reachable from the
+ *                 border through background colours (or opaque, with alpha)
+ *   subjects    - on a clear background, several similar-sized blobs
+ *                 (e.g. two cats) instead of one
+ *
+ * Failing images are regenerated by finalizeMint up to
+ * QUALITY_MAX_REGENERATIONS times; each reject is kept in
+ * REJECTED_IMAGES_DIR with a JSON report next to it for review.
+ *
+ * Optional env:
+ *   QUALITY_GATE               ("on" or "off", defaults to "on")
+ *   QUALITY_MAX_REGENERATIONS  (defaults to 2)
+ *   QUALITY_MIN_COLORS         (defaults to 4)
+ *   QUALITY_MAX_COLORS         (defaults to 256, 0 = no limit)
+ *   QUALITY_MAX_UNIFORMITY     (defaults to 0.92 – max share of the most common colour)
+ *   QUALITY_MIN_COVERAGE       (defaults to 0.08 – min share of subject pixels)
+ *   QUALITY_MAX_ASPECT         (defaults to 1.2)
+ *   QUALITY_MAX_SUBJECTS       (defaults to 1, 0 = don't count)
+ *   REJECTED_IMAGES_DIR        (defaults to "./rejected-images")
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+export const QUALITY_DEFAULTS = {
+    minColors: 4,
+    maxColors: 256,
+    maxUniformity: 0.92,
+    minContrast: 6, // Luminance standard deviation
+    minCoverage: 0.08,
+    maxAspect: 1.2,
+    maxSubjects: 1
+};
+
+const ANALYSIS_SIZE = 128;
+const COLOR_COVERAGE = 0.9; // Colours are counted until they cover this share of the subject
+const BORDER_SHARE = 0.02; // Border colours above this share are background
+const BACKGROUND_TOLERANCE = 16; // Max per-channel step between neighbouring background pixels
+const CLEAR_BACKGROUND = 0.4; // Background share needed before counting subjects
+const SUBJECT_SHARE = 0.6; // Blobs this close to the largest one count as subjects
+const MIN_SUBJECT_SIZE = 0.01; // …and must cover at least this share of the image
+
+/**
+ * Read quality gate settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { enabled, maxRegenerations, rejectsDir, thresholds }
+ */
+export function loadQualityOptions(env = process.env) {
+    const mode = (env.QUALITY_GATE || 'on').toLowerCase();
+    if (!['on', 'off'].includes(mode)) {
+        throw new Error('QUALITY_GATE must be "on" or "off"');
+    }
+
+    const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+    const thresholds = {
+        ...QUALITY_DEFAULTS,
+        minColors: number(env.QUALITY_MIN_COLORS, QUALITY_DEFAULTS.minColors),
+        maxColors: number(env.QUALITY_MAX_COLORS, QUALITY_DEFAULTS.maxColors),
+        maxUniformity: number(env.QUALITY_MAX_UNIFORMITY, QUALITY_DEFAULTS.maxUniformity),
+        minCoverage: number(env.QUALITY_MIN_COVERAGE, QUALITY_DEFAULTS.minCoverage),
+        maxAspect: number(env.QUALITY_MAX_ASPECT, QUALITY_DEFAULTS.maxAspect),
+        maxSubjects: number(env.QUALITY_MAX_SUBJECTS, QUALITY_DEFAULTS.maxSubjects)
+    };
+    for (const [key, value] of Object.entries(thresholds)) {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Quality threshold ${key} must be a non-negative number`);
+        }
+    }
+
+    const maxRegenerations = number(env.QUALITY_MAX_REGENERATIONS, 2);
+    if (!Number.isInteger(maxRegenerations) || maxRegenerations < 0) {
+        throw new Error('QUALITY_MAX_REGENERATIONS must be a non-negative integer');
+    }
+
+    return {
+        enabled: mode === 'on',
+        maxRegenerations,
+        rejectsDir: env.REJECTED_IMAGES_DIR || path.join(process.cwd(), 'rejected-images'),
+        thresholds
+    };
+}
+
+/**
+ * Colour bucket of a pixel, 16 levels per channel so AI noise doesn't split colours
+ */
+function bucketAt(data, offset) {
+    return ((data[offset] >> 4) << 8) | ((data[offset + 1] >> 4) << 4) | (data[offset + 2] >> 4);
+}
+
+/**
+ * Size of every 4-connected blob in a mask
+ * @returns {number[]} Blob sizes, largest first
+ */
+function blobSizes(mask, width, height) {
+    const seen = new Uint8Array(mask.length);
+    const sizes = [];
+    const stack = [];
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        let size = 0;
+        seen[start] = 1;
+        stack.push(start);
+        while (stack.length > 0) {
+            const index = stack.pop();
+            size++;
+            const x = index % width;
+            const y = (index - x) / width;
+            for (const [nx, ny] of [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]]) {
+                const next = ny * width + nx;
+                if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[next] && !seen[next]) {
+                    seen[next] = 1;
+                    stack.push(next);
+                }
+            }
+        }
+        sizes.push(size);
+    }
+    return sizes.sort((a, b) => b - a);
+}
+
+/**
+ * Split an image into subject and background: transparent pixels when the
+ * image actually uses alpha, else flood-filled in from the common border
+ * colours - neighbour to neighbour, so sky gradients are followed but the
+ * sprite's outline stops the fill even when the subject is close in colour
+ * @param {Buffer} data - Raw pixel data (sharp `.raw()` output, RGB or RGBA)
+ * @param {Object} info - { width, height, channels }
+ * @returns {Object} { mask, background } - mask is 1 for subject pixels,
+ *   background is "alpha", "border" or "none"
+ */
+export function subjectMask(data, { width, height, channels }) {
+    const count = width * height;
+
+    // Foreground from alpha when the image actually uses it
+    let transparent = 0;
+    if (channels === 4) {
+        for (let i = 0; i < count; i++) {
+            if (data[i * 4 + 3] < 128) transparent++;
+        }
+    }
+    const useAlpha = transparent >= count * 0.05;
+
+    const mask = new Uint8Array(count).fill(1);
+    let background = 'alpha';
+    if (useAlpha) {
+        for (let i = 0; i < count; i++) mask[i] = data[i * 4 + 3] >= 128 ? 1 : 0;
+    } else {
+        const borderIndexes = [];
+        for (let x = 0; x < width; x++) borderIndexes.push(x, (height - 1) * width + x);
+        for (let y = 1; y < height - 1; y++) borderIndexes.push(y * width, y * width + width - 1);
+
+        const bucketOf = index => bucketAt(data, index * channels);
+        const borderCounts = new Map();
+        for (const index of borderIndexes) {
+            borderCounts.set(bucketOf(index), (borderCounts.get(bucketOf(index)) || 0) + 1);
+        }
+        const seeds = borderIndexes.filter(index => borderCounts.get(bucketOf(index)) >= borderIndexes.length * BORDER_SHARE);
+        background = seeds.length > 0 ? 'border' : 'none';
+
+        const close = (a, b) => Math.max(
+            Math.abs(data[a * channels] - data[b * channels]),
+            Math.abs(data[a * channels + 1] - data[b * channels + 1]),
+            Math.abs(data[a * channels + 2] - data[b * channels + 2])
+        ) <= BACKGROUND_TOLERANCE;
+        const stack = [];
+        for (const index of seeds) {
+            if (mask[index]) {
+                mask[index] = 0;
+                stack.push(index);
+            }
+        }
+        while (stack.length > 0) {
+            const index = stack.pop();
+            const x = index % width;
+            const neighbours = [
+                x > 0 ? index - 1 : -1,
+                x < width - 1 ? index + 1 : -1,
+                index - width,
+                index + width
+            ];
+            for (const next of neighbours) {
+                if (next >= 0 && next < count && mask[next] && close(index, next)) {
+                    mask[next] = 0;
+                    stack.push(next);
+                }
+            }
+        }
+    }
+    return { mask, background };
+}
+
+/**
+ * Measure an image for the quality checks
+ * @param {Buffer} data - Raw pixel data (sharp `.raw()` output, RGB or RGBA)
+ * @param {Object} info - { width, height, channels }
+ * @returns {Object} { colors, uniformity, contrast, coverage, subjects, background }
+ *   background is "alpha", "border" or "none"
+ */
+export function analyzeImage(data, { width, height, channels }) {
+    const count = width * height;
+
+    // Share of the most common colour, and luminance spread
+    const buckets = new Map();
+    let lumaSum = 0;
+    let lumaSquares = 0;
+    for (let i = 0; i < count; i++) {
+        const offset = i * channels;
+        const key = bucketAt(data, offset);
+        buckets.set(key, (buckets.get(key) || 0) + 1);
+        const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        lumaSum += luma;
+        lumaSquares += luma * luma;
+    }
+    const uniformity = Math.max(...buckets.values()) / count;
+    const contrast = Math.sqrt(Math.max(0, lumaSquares / count - (lumaSum / count) ** 2));
+
+    const { mask, background } = subjectMask(data, { width, height, channels });
+
+    const subjectPixels = mask.reduce((sum, value) => sum + value, 0);
+    const coverage = subjectPixels / count;
+
+    // Colours the subject is drawn with (the whole image if there is none), counted
+    // until they cover most of it so stray anti-aliasing shades don't count
+    const colorCounts = new Map();
+    const colorPixels = subjectPixels > 0 ? subjectPixels : count;
+    for (let i = 0; i < count; i++) {
+        if (subjectPixels > 0 && !mask[i]) continue;
+        const key = bucketAt(data, i * channels);
+        colorCounts.set(key, (colorCounts.get(key) || 0) + 1);
+    }
+    const sortedCounts = [...colorCounts.values()].sort((a, b) => b - a);
+    let colors = 0;
+    for (let covered = 0; covered < colorPixels * COLOR_COVERAGE; colors++) covered += sortedCounts[colors];
+
+    // Only count subjects against a clear background - a busy scene is all "subject"
+    let subjects = null;
+    if (1 - coverage >= CLEAR_BACKGROUND && subjectPixels > 0) {
+        const sizes = blobSizes(mask, width, height);
+        subjects = sizes.filter(size => size >= sizes[0] * SUBJECT_SHARE && size >= count * MIN_SUBJECT_SIZE).length;
+    }
+
+    const round = value => Math.round(value * 1000) / 1000;
+    return {
+        colors,
+        uniformity: round(uniformity),
+        contrast: round(contrast),
+        coverage: round(coverage),
+        subjects,
+        background
+    };
+}
+
+/**
+ * Run the quality checks on an image
+ * @param {Buffer|string} input - Image buffer or file path
+ * @param {Object} [thresholds] - Overrides for QUALITY_DEFAULTS
+ * @returns {Promise<Object>} { passed, reasons: [{ check, message }], metrics }
+ */
+export async function assessImage(input, thresholds = {}) {
+    const limits = { ...QUALITY_DEFAULTS, ...thresholds };
+    const { width, height } = await sharp(input).metadata();
+    const { data, info } = await sharp(input)
+        .ensureAlpha()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true, kernel: 'nearest' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const aspect = Math.round((Math.max(width, height) / Math.min(width, height)) * 1000) / 1000;
+    const metrics = { width, height, aspect, ...analyzeImage(data, info) };
+
+    const reasons = [];
+    const fail = (check, message) => reasons.push({ check, message });
+    if (aspect > limits.maxAspect) {
+        fail('aspect', `Aspect ratio ${aspect} is over ${limits.maxAspect}`);
+    }
+    if (metrics.uniformity > limits.maxUniformity) {
+        fail('uniformity', `One colour covers ${Math.round(metrics.uniformity * 100)}% of the image`);
+    } else if (metrics.contrast < limits.minContrast) {
+        fail('uniformity', `Almost no contrast (luminance deviation ${metrics.contrast})`);
+    }
+    if (metrics.colors < limits.minColors) {
+        fail('colors', `Only ${metrics.colors} colours (min ${limits.minColors})`);
+    } else if (limits.maxColors > 0 && metrics.colors > limits.maxColors) {
+        fail('colors', `${metrics.colors} colours looks like a photo or noise (max ${limits.maxColors})`);
+    }
+    if (metrics.coverage < limits.minCoverage) {
+        fail('coverage', `Subject covers ${Math.round(metrics.coverage * 100)}% of the image (min ${Math.round(limits.minCoverage * 100)}%)`);
+    }
+    if (limits.maxSubjects > 0 && metrics.subjects > limits.maxSubjects) {
+        fail('subjects', `${metrics.subjects} separate subjects (max ${limits.maxSubjects})`);
+    }
+
+    return { passed: reasons.length === 0, reasons, metrics };
+}
+
+/**
+ * Keep a rejected image and its report for review
+ * @param {string} imagePath - Processed image that failed the gate
+ * @param {Object} report - { tokenId, attempt, assessment, ... } written next to the image
+ * @param {string} [dir] - Rejects directory, defaults to REJECTED_IMAGES_DIR
+ * @returns {Promise<Object>} { imagePath, reportPath }
+ */
+export async function saveRejectedImage(imagePath, report, dir = loadQualityOptions().rejectsDir) {
+    const tokenDir = path.join(dir, String(report.tokenId));
+    await fs.mkdir(tokenDir, { recursive: true });
+
+    const base = `${new Date().toISOString().replace(/[:.]/g, '-')}-attempt${report.attempt}`;
+    const savedImage = path.join(tokenDir, `${base}${path.extname(imagePath) || '.png'}`);
+    const reportPath = path.join(tokenDir, `${base}.json`);
+    await fs.copyFile(imagePath, savedImage);
+    await fs.writeFile(reportPath, JSON.stringify({ ...report, image: savedImage, rejectedAt: new Date().toISOString() }, null, 2));
+
+    return { imagePath: savedImage, reportPath };
+}
@@ -0,0 +1,501 @@
+/**
+ * scripts/metadataMigration.js
+ * ───────────────────────────────────────────────────────────────
+ * Brings older tokens' metadata up to metadata_version 2.0.
+ *
+ * Tokens minted before versioning have no metadata_version and often lack
+ * what 2.0 metadata carries: the stat attributes, a Background, the rarity
+ * in generationInfo and a description. Those are regenerated from the
+ * token's existing traits with the same deterministic functions the mint
+ * uses (utils/metadata.js), so the image never changes and a token whose
+ * traits match a fresh mint ends up with the same metadata. Fields that are
+ * already there are kept as they are.
+ *
+ * The upgraded JSON must pass docs/metadata-schema.json before it is pinned
+ * (storageBackends.js) and its tokenURI updated through the TokenUriBatcher.
+ * Nothing is pinned or sent unless dry run is switched off, so the per-token
+ * diff report can be checked first.
+ *
+ * CLI:
+ *   node scripts/metadataMigration.js --token 7 --token 12
+ *   node scripts/metadataMigration.js --limit 500 --out migration-report.json
+ *   node scripts/metadataMigration.js --limit 500 --apply
+ *
+ * Admin API: POST /api/migrate-metadata
+ *
+ * Env: RPC_URL, CONTRACT_ADDRESS, PRIVATE_KEY (only with --apply)
+ *
+ * Optional env:
+ *   BASE_URL      (for a missing external_url, defaults to "http://localhost:5000")
+ *   PROJECT_NAME  (for a missing name, defaults to "Pixel Ninja Cats")
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ethers } from 'ethers';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import {
+    generateStats,
+    generateNinjaCatDescription,
+    calculateRarityScore,
+    getRarityTier,
+    assembleMetadata,
+    selectBackground
+} from '../utils/metadata.js';
+import {
+    traitCategories,
+    specialTraits,
+    mythicTraits,
+    backgroundDefinitions
+} from '../utils/metadata-definitions.js';
+import { BACKFILL_ABI } from './mintBackfill.js';
+import { enumerateTokens } from './pinHealth.js';
+import { storeBytes } from './storageBackends.js';
+import { TokenUriBatcher } from './tokenUriBatcher.js';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
+
+export const CURRENT_METADATA_VERSION = '2.0';
+
+export const MIGRATION_ABI = [
+    ...BACKFILL_ABI,
+    'function setTokenURI(uint256,string)',
+    // Only present on contracts with OpenZeppelin Multicall - see tokenUriBatcher.js
+    'function multicall(bytes[] data) returns (bytes[] results)'
+];
+
+// Stat attributes, in the order generateTraits() adds them
+const STAT_TYPES = ['Agility', 'Stealth', 'Power', 'Intelligence'];
+
+// Where each core trait's rarity is defined
+const TRAIT_CATEGORY_KEYS = {
+    Breed: 'breeds',
+    Weapon: 'weapons',
+    Stance: 'stances',
+    Element: 'elements',
+    Rank: 'ranks',
+    Accessory: 'accessories',
+    Origin: 'origin',
+    BattleTechnique: 'battletechnique',
+    ArtStyle: 'artstyle'
+};
+
+// The only keys the schema allows on an attribute
+const ATTRIBUTE_KEYS = ['trait_type', 'value', 'display_type', 'max_value'];
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const schema = JSON.parse(readFileSync(path.resolve(__dirname, '../docs/metadata-schema.json'), 'utf8'));
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Read migration settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { baseUrl, projectName }
+ */
+export function loadMigrationOptions(env = process.env) {
+    return {
+        baseUrl: env.BASE_URL || 'http://localhost:5000',
+        projectName: env.PROJECT_NAME || 'Pixel Ninja Cats'
+    };
+}
+
+/**
+ * Metadata version a token's JSON was written with
+ * @param {Object} metadata - Token metadata
+ * @returns {string|null} metadata_version, '1.0' when it predates versioning, null if it isn't metadata
+ */
+export function detectMetadataVersion(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return null;
+    if (typeof metadata.metadata_version === 'string') return metadata.metadata_version;
+    if (typeof metadata.metadata_version === 'number') return metadata.metadata_version.toFixed(1);
+    return '1.0';
+}
+
+/**
+ * Validate metadata against docs/metadata-schema.json
+ * @param {Object} metadata - Token metadata
+ * @returns {Object} { valid, errors }
+ */
+export function validateMetadata(metadata) {
+    const valid = validateSchema(metadata);
+    return {
+        valid,
+        errors: valid ? [] : validateSchema.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+    };
+}
+
+/**
+ * Stat attributes are numeric - a mythic "Power" trait is not a stat
+ * @param {Object} attr - Attribute
+ * @returns {boolean} True for Agility / Stealth / Power / Intelligence numbers
+ */
+function isStat(attr) {
+    return STAT_TYPES.includes(attr.trait_type) && attr.value !== '' && Number.isFinite(Number(attr.value));
+}
+
+/**
+ * Look up a trait's rarity, as generateTraits() would have attached it
+ * @param {Object} attr - Attribute
+ * @returns {Object} Attribute with `rarity` when the trait is known
+ */
+function withRarity(attr) {
+    const category = traitCategories[TRAIT_CATEGORY_KEYS[attr.trait_type]];
+    const known = category?.find(trait => trait.value === attr.value) ||
+        [...specialTraits, ...mythicTraits].find(trait => trait.trait_type === attr.trait_type && trait.value === attr.value);
+    return known ? { ...attr, rarity: known.rarity } : attr;
+}
+
+/**
+ * Strip an attribute down to the keys the schema allows
+ * @param {Object} attr - Attribute
+ * @returns {Object} Schema-shaped attribute
+ */
+function toSchemaAttribute(attr) {
+    const clean = {};
+    for (const key of ATTRIBUTE_KEYS) {
+        if (attr[key] !== undefined) clean[key] = attr[key];
+    }
+    return clean;
+}
+
+/**
+ * Which fields 2.0 metadata has that this token's metadata lacks
+ * @param {Object} metadata - Token metadata
+ * @returns {string[]} Any of 'name', 'description', 'stats', 'background', 'rarity'
+ */
+export function missingFields(metadata) {
+    const attributes = Array.isArray(metadata?.attributes) ? metadata.attributes : [];
+    const missing = [];
+    if (typeof metadata?.name !== 'string' || !metadata.name.trim()) missing.push('name');
+    if (typeof metadata?.description !== 'string' || !metadata.description.trim()) missing.push('description');
+    if (!STAT_TYPES.every(type => attributes.some(attr => attr.trait_type === type && isStat(attr)))) missing.push('stats');
+    if (!attributes.some(attr => attr.trait_type === 'Background' && attr.value)) missing.push('background');
+    if (!metadata?.generationInfo?.rarity?.tier) missing.push('rarity');
+    return missing;
+}
+
+/**
+ * Flatten metadata into path → value pairs; attributes are keyed by trait type
+ * @param {*} value - Value to flatten
+ * @param {string} prefix - Path so far
+ * @param {Map} out - Collected leaves
+ * @returns {Map} out
+ */
+function flatten(value, prefix, out) {
+    if (prefix === 'attributes' && Array.isArray(value)) {
+        const keyed = {};
+        for (const attr of value) {
+            let key = attr?.trait_type ?? '?';
+            for (let n = 2; key in keyed; n++) key = `${attr?.trait_type ?? '?'}#${n}`;
+            keyed[key] = attr;
+        }
+        value = keyed;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (value !== undefined) {
+        out.set(prefix, value);
+    }
+    return out;
+}
+
+/**
+ * Field-level differences between two versions of a token's metadata
+ * @param {Object} before - Current metadata
+ * @param {Object} after - Migrated metadata
+ * @returns {Object[]} [{ path, op: 'add' | 'change' | 'remove', from, to }]
+ */
+export function diffMetadata(before, after) {
+    const old = flatten(before, '', new Map());
+    const next = flatten(after, '', new Map());
+    const changes = [];
+    for (const [key, to] of next) {
+        if (!old.has(key)) {
+            changes.push({ path: key, op: 'add', to });
+        } else if (JSON.stringify(old.get(key)) !== JSON.stringify(to)) {
+            changes.push({ path: key, op: 'change', from: old.get(key), to });
+        }
+    }
+    for (const [key, from] of old) {
+        if (!next.has(key)) changes.push({ path: key, op: 'remove', from });
+    }
+    return changes;
+}
+
+/**
+ * Upgrade a token's metadata to 2.0 without touching its art.
+ * Missing stats, background, rarity and description are regenerated from
+ * the existing traits the same way finalizeMint builds them; everything
+ * else is carried over.
+ * @param {Object} metadata - Current metadata
+ * @param {number|string} tokenId - Token ID
+ * @param {Object} [options] - loadMigrationOptions() values, plus
+ * @param {string} [options.tokenURI] - Current tokenURI, recorded in properties.migration
+ * @returns {Object} { metadata, fromVersion, regenerated, changes, valid, errors }
+ * @throws {Error} If there is nothing to migrate from (no image or no Breed)
+ */
+export function migrateMetadata(metadata, tokenId, { tokenURI, ...options } = {}) {
+    const { baseUrl, projectName } = { ...loadMigrationOptions(), ...options };
+    const fromVersion = detectMetadataVersion(metadata);
+    if (!fromVersion) {
+        throw new Error('Not a metadata object');
+    }
+    if (typeof metadata.image !== 'string' || !metadata.image) {
+        throw new Error('No image - the migration never generates new art');
+    }
+
+    const attributes = (Array.isArray(metadata.attributes) ? metadata.attributes : [])
+        .filter(attr => attr && typeof attr.trait_type === 'string');
+    const breed = attributes.find(attr => attr.trait_type === 'Breed')?.value;
+    if (typeof breed !== 'string' || !breed) {
+        throw new Error('No Breed attribute to derive the rest from');
+    }
+
+    const missing = missingFields(metadata);
+    const seed = parseInt(tokenId, 10);
+    const traits = attributes
+        .filter(attr => !isStat(attr) && attr.trait_type !== 'Background')
+        .map(attr => withRarity(toSchemaAttribute(attr)));
+
+    // Background: kept if present, otherwise the one the mint would pick
+    const existingBackground = attributes.find(attr => attr.trait_type === 'Background' && attr.value)?.value;
+    const background = existingBackground
+        ? backgroundDefinitions.find(bg => bg.name === existingBackground) || { name: existingBackground }
+        : selectBackground(tokenId, breed)?.background;
+
+    // Stats: generateStats() plus the background bonus, like a fresh mint. The
+    // schema caps stats at 10, so regenerated ones are clamped there.
+    const generated = generateStats(traits, seed);
+    const stats = STAT_TYPES.map(type => {
+        const existing = attributes.find(attr => attr.trait_type === type && isStat(attr));
+        if (existing) {
+            return { ...toSchemaAttribute(existing), value: Number(existing.value), display_type: existing.display_type || 'number' };
+        }
+        const bonus = background?.statBonus?.[type.toLowerCase()] || 0;
+        return { trait_type: type, value: Math.min(10, generated[type.toLowerCase()] + bonus), display_type: 'number' };
+    });
+
+    // Rarity and description are computed before the background is added, as in generateTraits()
+    const withStats = [...traits, ...stats];
+    const score = calculateRarityScore(withStats);
+    const rarity = metadata.generationInfo?.rarity?.tier
+        ? metadata.generationInfo.rarity
+        : { score, tier: getRarityTier(score) };
+    const description = missing.includes('description')
+        ? generateNinjaCatDescription(tokenId, breed, withStats)
+        : metadata.description;
+
+    const finalAttributes = [...withStats, ...(background ? [{ trait_type: 'Background', value: background.name }] : [])]
+        .map(toSchemaAttribute);
+
+    const extras = { ...metadata };
+    for (const key of ['metadata_version', 'description', 'image', 'attributes']) delete extras[key];
+
+    const upgraded = assembleMetadata({ description, attributes: finalAttributes }, metadata.image, {
+        ...extras,
+        name: missing.includes('name') ? `${projectName} #${tokenId}` : metadata.name,
+        external_url: metadata.external_url || `${baseUrl}/kitty/${tokenId}`,
+        generationInfo: {
+            ...metadata.generationInfo,
+            rarity,
+            ...(background && { background: metadata.generationInfo?.background || background.name })
+        },
+        properties: {
+            ...metadata.properties,
+            migration: {
+                from: fromVersion,
+                to: CURRENT_METADATA_VERSION,
+                regenerated: missing,
+                ...(tokenURI && { previousTokenURI: tokenURI })
+            }
+        }
+    });
+
+    const { valid, errors } = validateMetadata(upgraded);
+    return { metadata: upgraded, fromVersion, regenerated: missing, changes: diffMetadata(metadata, upgraded), valid, errors };
+}
+
+/**
+ * Whether a token already has complete, valid 2.0 metadata
+ * @param {Object} metadata - Token metadata
+ * @returns {boolean} True if there is nothing to migrate
+ */
+export function isCurrent(metadata) {
+    return detectMetadataVersion(metadata) === CURRENT_METADATA_VERSION &&
+        missingFields(metadata).length === 0 &&
+        validateMetadata(metadata).valid;
+}
+
+/**
+ * Connect to the NFT contract - read-only for dry runs, with a signer to apply
+ * @param {Object} config
+ * @param {string} config.rpcUrl - RPC endpoint
+ * @param {string} config.contractAddress - NFT contract address
+ * @param {string} [config.privateKey] - Signer private key, needed to update tokenURIs
+ * @returns {Object} { provider, nft }
+ */
+export function connectMigrationContract({ rpcUrl, contractAddress, privateKey }) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const runner = privateKey ? new ethers.Wallet(privateKey, provider) : provider;
+    const nft = new ethers.Contract(contractAddress, MIGRATION_ABI, runner);
+    return { provider, nft };
+}
+
+/**
+ * Check every token (or the ones given) and, unless this is a dry run,
+ * pin the upgraded metadata and batch the tokenURI updates
+ * @param {Object} params
+ * @param {Object} params.nft - Contract (MIGRATION_ABI, with a signer unless dry run)
+ * @param {number[]} [params.tokenIds] - Tokens to check (defaults to all of them)
+ * @param {number} [params.limit] - Max tokens when enumerating
+ * @param {boolean} [params.dryRun] - Only report (defaults to true)
+ * @param {Object} [params.options] - From loadMigrationOptions()
+ * @param {Function} [params.fetchJson] - (uri) => metadata, defaults to the gateway resolver
+ * @param {Function} [params.pin] - (bytes, filename) => { cid, url }, defaults to storeBytes()
+ * @param {Object} [params.batcher] - TokenUriBatcher for the new URIs
+ * @returns {Promise<Object>} { dryRun, checked, byStatus, skipped, tokens }
+ */
+export async function runMetadataMigration({
+    nft,
+    tokenIds,
+    limit,
+    dryRun = true,
+    options = loadMigrationOptions(),
+    fetchJson = uri => getGatewayResolver().fetchJson(uri),
+    pin = (bytes, filename) => storeBytes(bytes, filename, { name: `${filename} (metadata ${CURRENT_METADATA_VERSION})` }),
+    batcher
+}) {
+    const ids = tokenIds || await enumerateTokens(nft, limit);
+    const uriBatcher = dryRun ? null : batcher || new TokenUriBatcher(nft);
+    console.log(`🧬 Checking metadata versions of ${ids.length} token(s)${dryRun ? ' (dry run)' : ''}...`);
+
+    const report = {
+        dryRun,
+        checked: 0,
+        byStatus: { current: 0, upgradable: 0, migrated: 0, invalid: 0, failed: 0 },
+        skipped: [],
+        tokens: []
+    };
+    const confirmations = [];
+
+    for (const tokenId of ids) {
+        // Nonexistent / unset tokens revert - there is no metadata to migrate
+        const tokenURI = await nft.tokenURI(tokenId).catch(() => '');
+        if (!tokenURI) {
+            report.skipped.push(tokenId);
+            continue;
+        }
+
+        const entry = { tokenId, tokenURI, fromVersion: null, status: null };
+        report.tokens.push(entry);
+        report.checked++;
+
+        try {
+            const metadata = await fetchJson(tokenURI);
+            entry.fromVersion = detectMetadataVersion(metadata);
+            if (isCurrent(metadata)) {
+                entry.status = 'current';
+                continue;
+            }
+
+            const result = migrateMetadata(metadata, tokenId, { ...options, tokenURI });
+            Object.assign(entry, { regenerated: result.regenerated, changes: result.changes });
+            if (!result.valid) {
+                entry.status = 'invalid';
+                entry.errors = result.errors;
+                continue;
+            }
+
+            entry.status = 'upgradable';
+            if (dryRun) continue;
+
+            const stored = await pin(Buffer.from(JSON.stringify(result.metadata, null, 2)), `${tokenId}.json`);
+            Object.assign(entry, { cid: stored.cid, newTokenURI: stored.url });
+            confirmations.push(uriBatcher.add(tokenId, stored.url).then(
+                tx => Object.assign(entry, { status: 'migrated', txHash: tx.hash }),
+                error => Object.assign(entry, { status: 'failed', error: error.message })
+            ));
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error.message;
+        }
+    }
+
+    if (uriBatcher) {
+        await uriBatcher.flush();
+        await Promise.all(confirmations);
+    }
+
+    for (const entry of report.tokens) {
+        report.byStatus[entry.status]++;
+        if (entry.status === 'current') continue;
+        const detail = entry.error || entry.errors?.join('; ') || `regenerated ${entry.regenerated.join(', ') || 'nothing'}, ${entry.changes.length} change(s)`;
+        console.log(`  • #${entry.tokenId} ${entry.fromVersion || '?'} → ${CURRENT_METADATA_VERSION} ${entry.status}: ${detail}`);
+    }
+
+    const { current, upgradable, migrated, invalid, failed } = report.byStatus;
+    console.log(`🧬 Metadata migration: ${current} current, ${upgradable} upgradable, ${migrated} migrated, ${invalid} invalid, ${failed} failed`);
+    return report;
+}
+
+/* ───── CLI ─────────────────────────────────────────────────── */
+
+/**
+ * Parse CLI flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Run options, plus `out`
+ */
+function parseArgs(argv) {
+    const options = { dryRun: true };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--token') options.tokenIds = [...(options.tokenIds || []), parseInt(argv[++i], 10)];
+        else if (arg === '--limit') options.limit = parseInt(argv[++i], 10);
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--apply') options.dryRun = false;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+async function main() {
+    await import('dotenv/config');
+    const { RPC_URL, CONTRACT_ADDRESS, PRIVATE_KEY } = process.env;
+    if (!RPC_URL || !CONTRACT_ADDRESS) {
+        throw new Error('RPC_URL and CONTRACT_ADDRESS are required');
+    }
+
+    const { out, ...options } = parseArgs(process.argv.slice(2));
+    if (!options.dryRun && !PRIVATE_KEY) {
+        throw new Error('PRIVATE_KEY is required with --apply');
+    }
+
+    const { provider, nft } = connectMigrationContract({
+        rpcUrl: RPC_URL,
+        contractAddress: CONTRACT_ADDRESS,
+        privateKey: options.dryRun ? undefined : PRIVATE_KEY
+    });
+    const report = await runMetadataMigration({ nft, ...options });
+
+    if (out) {
+        await fs.writeFile(out, JSON.stringify(report, null, 2));
+        console.log(`📝 Report with the full diffs written to ${out}`);
+    }
+    if (report.dryRun && report.byStatus.upgradable) {
+        console.log('\nRe-run with --apply to pin the upgraded metadata and update the tokenURIs.');
+    }
+    provider.destroy();
+}
+
+if (process.argv[1] && process.argv[1].endsWith('metadataMigration.js')) {
+    main().catch(error => {
+        console.error('❌ Metadata migration failed:', error.message);
+        process.exit(1);
+    });
+}
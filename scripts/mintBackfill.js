@@ -0,0 +1,340 @@
+/**
+ * scripts/mintBackfill.js
+ * ───────────────────────────────────────────────────────────────
+ * Backfill for tokens that never got their final art.
+ *
+ * Finds tokens whose tokenURI is empty or still the placeholder and puts
+ * them on the durable mint queue. Candidate tokens come from either
+ * - MintRequested events in a block range (fromBlock / toBlock), or
+ * - walking totalSupply() via tokenByIndex(); the mint events of the stuck
+ *   ones are then looked up between fromBlock (defaults to 0) and toBlock,
+ *   newest first, in the same bounded batches
+ *
+ * Nothing is enqueued unless dry run is switched off, so the report can be
+ * checked first. Queued tokens are force-processed, since the scanner may
+ * already count them as processed.
+ *
+ * CLI:
+ *   node scripts/mintBackfill.js --from 1200000 --to 1250000
+ *   node scripts/mintBackfill.js --enumerate --limit 500 --enqueue [--from <deploy block>]
+ *
+ * Admin API: POST /api/backfill
+ *
+ * Env: RPC_URL, CONTRACT_ADDRESS, PLACEHOLDER_URI, IMAGE_PROVIDER
+ */
+
+import { ethers } from 'ethers';
+import { mintJobQueue } from './mintJobQueue.js';
+import { providerPreferences } from './providerPreferencesManager.js';
+import { normalizeToGatewayUrl } from '../utils/metadata.js';
+
+export const BACKFILL_ABI = [
+    'event MintRequested(uint256 indexed tokenId,address indexed buyer,string breed)',
+    'function tokenURI(uint256) view returns (string)',
+    'function totalSupply() view returns (uint256)',
+    'function tokenByIndex(uint256) view returns (uint256)'
+];
+
+// Blocks per MintRequested query, same batch size as the server scanner
+const LOG_BATCH_SIZE = 500;
+
+/**
+ * Connect to the NFT contract read-only - backfill never sends transactions
+ * @param {Object} config
+ * @param {string} config.rpcUrl - RPC endpoint
+ * @param {string} config.contractAddress - NFT contract address
+ * @returns {Object} { provider, nft }
+ */
+export function connectBackfillContract({ rpcUrl, contractAddress }) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const nft = new ethers.Contract(contractAddress, BACKFILL_ABI, provider);
+    return { provider, nft };
+}
+
+/**
+ * All the forms a placeholder URI can show up in on-chain
+ * @param {string} uri - Configured PLACEHOLDER_URI
+ * @returns {Set<string>} Raw and gateway forms
+ */
+function placeholderVariants(uri) {
+    const variants = new Set();
+    if (!uri) return variants;
+    variants.add(uri);
+    if (uri.startsWith('ipfs://')) {
+        // The mint pipeline writes the placeholder as a gateway URL with this file name
+        variants.add(normalizeToGatewayUrl(uri, 'placeholder.json'));
+        variants.add(normalizeToGatewayUrl(uri));
+    }
+    return variants;
+}
+
+/**
+ * Check why a token URI counts as stuck
+ * @param {string} tokenURI - Current on-chain token URI
+ * @param {Set<string>} placeholders - Placeholder URI variants
+ * @returns {string|null} 'empty', 'placeholder' or null if the token has final art
+ */
+export function stuckReason(tokenURI, placeholders) {
+    if (!tokenURI) return 'empty';
+    if (placeholders.has(tokenURI) || placeholders.has(normalizeToGatewayUrl(tokenURI))) return 'placeholder';
+    return null;
+}
+
+/**
+ * Turn a MintRequested event into a mint request record
+ * @param {Object} event - ethers EventLog
+ * @returns {Object} { tokenId, breed, buyer, blockNumber, transactionHash }
+ */
+function toMintRequest(event) {
+    return {
+        tokenId: Number(event.args.tokenId),
+        breed: event.args.breed,
+        buyer: event.args.buyer,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash
+    };
+}
+
+/**
+ * Collect MintRequested events in a block range, newest per token
+ * @param {Object} nft - Contract
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @returns {Promise<Map<number, Object>>} Mint requests keyed by token ID
+ */
+async function mintRequestsInRange(nft, fromBlock, toBlock) {
+    const requests = new Map();
+    for (let start = fromBlock; start <= toBlock; start += LOG_BATCH_SIZE) {
+        const end = Math.min(start + LOG_BATCH_SIZE - 1, toBlock);
+        const events = await nft.queryFilter(nft.filters.MintRequested(), start, end);
+        for (const event of events) {
+            const request = toMintRequest(event);
+            requests.set(request.tokenId, request);
+        }
+    }
+    return requests;
+}
+
+/**
+ * Look up the MintRequested events of some tokens, newest blocks first in
+ * LOG_BATCH_SIZE batches, until every token is found or fromBlock is reached
+ * @param {Object} nft - Contract
+ * @param {number[]} tokenIds - Tokens to look up
+ * @param {number} fromBlock - Oldest block to look in
+ * @param {number} toBlock - Newest block to look in
+ * @returns {Promise<Object>} { requests, error } - requests keyed by token ID, and the
+ *   error that stopped the lookup early (null if it ran to the end)
+ */
+async function mintRequestsForTokens(nft, tokenIds, fromBlock, toBlock) {
+    const missing = new Set(tokenIds);
+    const requests = new Map();
+    try {
+        for (let end = toBlock; end >= fromBlock && missing.size > 0; end -= LOG_BATCH_SIZE) {
+            const start = Math.max(fromBlock, end - LOG_BATCH_SIZE + 1);
+            const events = await nft.queryFilter(nft.filters.MintRequested(), start, end);
+            // Later events in the batch win, like mintRequestsInRange()
+            const found = new Map();
+            for (const event of events) {
+                const request = toMintRequest(event);
+                if (missing.has(request.tokenId)) found.set(request.tokenId, request);
+            }
+            for (const [tokenId, request] of found) {
+                requests.set(tokenId, request);
+                missing.delete(tokenId);
+            }
+        }
+        return { requests, error: null };
+    } catch (error) {
+        console.warn(`⚠️ MintRequested lookup stopped early: ${error.message}`);
+        return { requests, error: error.message };
+    }
+}
+
+/**
+ * Find tokens that are stuck on an empty or placeholder token URI
+ * @param {Object} options
+ * @param {Object} options.nft - Contract (BACKFILL_ABI)
+ * @param {number} [options.fromBlock] - First block to scan for MintRequested events
+ *   (when enumerating: oldest block to look up events in, defaults to 0)
+ * @param {number} [options.toBlock] - Last block to scan (also needed when enumerating)
+ * @param {boolean} [options.enumerate] - Walk totalSupply() instead of a block range
+ * @param {number} [options.limit] - Max tokens to check when enumerating
+ * @param {string} [options.placeholderUri] - Placeholder URI (defaults to PLACEHOLDER_URI)
+ * @returns {Promise<Object>} { scanned, stuck, unresolved }
+ */
+export async function findStuckTokens({
+    nft,
+    fromBlock,
+    toBlock,
+    enumerate = false,
+    limit = Infinity,
+    placeholderUri = process.env.PLACEHOLDER_URI
+}) {
+    const placeholders = placeholderVariants(placeholderUri);
+    let candidates;
+
+    if (enumerate) {
+        fromBlock = fromBlock ?? 0;
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || fromBlock > toBlock) {
+            throw new Error(`Invalid block range for the MintRequested lookup: ${fromBlock} - ${toBlock}`);
+        }
+        const totalSupply = Number(await nft.totalSupply());
+        const count = Math.min(totalSupply, limit);
+        console.log(`🔍 Checking ${count} of ${totalSupply} tokens via tokenByIndex...`);
+        candidates = new Map();
+        for (let i = 0; i < count; i++) {
+            candidates.set(Number(await nft.tokenByIndex(i)), null);
+        }
+    } else {
+        if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || fromBlock > toBlock) {
+            throw new Error(`Invalid block range: ${fromBlock} - ${toBlock}`);
+        }
+        console.log(`🔍 Scanning blocks ${fromBlock} to ${toBlock} for MintRequested events...`);
+        candidates = await mintRequestsInRange(nft, fromBlock, toBlock);
+    }
+
+    const found = [];
+    for (const [tokenId, known] of candidates) {
+        // Nonexistent / unset tokens revert - treat them like an empty URI
+        const tokenURI = await nft.tokenURI(tokenId).catch(() => '');
+        const reason = stuckReason(tokenURI, placeholders);
+        if (reason) found.push({ tokenId, known, tokenURI, reason });
+    }
+
+    // Enumerated tokens still need their breed + buyer from the mint event
+    const lookup = enumerate && found.length > 0 ?
+        await mintRequestsForTokens(nft, found.map(token => token.tokenId), fromBlock, toBlock) :
+        { requests: new Map(), error: null };
+
+    const stuck = [];
+    const unresolved = [];
+    for (const { tokenId, known, tokenURI, reason } of found) {
+        const request = known || lookup.requests.get(tokenId);
+        if (!request) {
+            const error = lookup.error ?
+                `MintRequested lookup failed: ${lookup.error}` :
+                `No MintRequested event found in blocks ${fromBlock} - ${toBlock}`;
+            unresolved.push({ tokenId, tokenURI, reason, error });
+            continue;
+        }
+        stuck.push({ ...request, tokenURI, reason });
+    }
+
+    return { scanned: candidates.size, stuck, unresolved };
+}
+
+/**
+ * Find stuck tokens and, unless this is a dry run, enqueue them for generation
+ * @param {Object} options - findStuckTokens options, plus:
+ * @param {boolean} [options.dryRun] - Only report (defaults to true)
+ * @param {string} [options.defaultProvider] - Provider when a token has no stored preference
+ * @param {Object} [options.queue] - Mint job queue
+ * @param {Object} [options.preferences] - Provider preferences manager
+ * @returns {Promise<Object>} Backfill report
+ */
+export async function runBackfill({
+    dryRun = true,
+    defaultProvider = process.env.IMAGE_PROVIDER || 'dall-e',
+    queue = mintJobQueue,
+    preferences = providerPreferences,
+    ...options
+}) {
+    const { scanned, stuck, unresolved } = await findStuckTokens(options);
+    const report = {
+        mode: options.enumerate ? 'enumerate' : 'range',
+        fromBlock: options.enumerate ? undefined : options.fromBlock,
+        toBlock: options.enumerate ? undefined : options.toBlock,
+        dryRun,
+        scanned,
+        stuck,
+        unresolved,
+        enqueued: []
+    };
+
+    console.log(`📋 Found ${stuck.length} stuck token(s) out of ${scanned} checked${unresolved.length ? `, ${unresolved.length} without a mint event` : ''}`);
+    if (dryRun) return report;
+
+    for (const token of stuck) {
+        const { imageProvider, providerOptions, promptExtras, negativePrompt, fromPreference, preferencePending } =
+            await preferences.resolve(token.tokenId, defaultProvider, { defer: true });
+
+        const job = await queue.enqueue({
+            tokenId: token.tokenId,
+            breed: token.breed,
+            buyer: token.buyer,
+            imageProvider,
+            providerOptions,
+            promptExtras,
+            negativePrompt,
+            providerChosen: fromPreference,
+            ...(preferencePending && { preferencePending: true }),
+            blockNumber: token.blockNumber,
+            transactionHash: token.transactionHash,
+            createdFrom: 'backfill',
+            // The scanner may already count the token as processed
+            forceProcess: true,
+            // Final URIs go out in multicall batches, see tokenUriBatcher.js
+            batchTokenUri: true
+        });
+        report.enqueued.push({ tokenId: token.tokenId, jobId: job.id, status: job.status });
+    }
+
+    console.log(`📥 Enqueued ${report.enqueued.length} token(s) for generation`);
+    return report;
+}
+
+/* ───── CLI ─────────────────────────────────────────────────── */
+
+/**
+ * Parse CLI flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Backfill options
+ */
+function parseArgs(argv) {
+    const options = { dryRun: true, enumerate: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') options.fromBlock = parseInt(argv[++i], 10);
+        else if (arg === '--to') options.toBlock = parseInt(argv[++i], 10);
+        else if (arg === '--limit') options.limit = parseInt(argv[++i], 10);
+        else if (arg === '--enumerate') options.enumerate = true;
+        else if (arg === '--enqueue') options.dryRun = false;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+async function main() {
+    await import('dotenv/config');
+    const { RPC_URL, CONTRACT_ADDRESS } = process.env;
+    if (!RPC_URL || !CONTRACT_ADDRESS) {
+        throw new Error('RPC_URL and CONTRACT_ADDRESS are required');
+    }
+
+    const options = parseArgs(process.argv.slice(2));
+    const { provider, nft } = connectBackfillContract({ rpcUrl: RPC_URL, contractAddress: CONTRACT_ADDRESS });
+    if (options.toBlock === undefined) {
+        options.toBlock = await provider.getBlockNumber();
+    }
+
+    const report = await runBackfill({ nft, ...options });
+
+    console.log(`\n${report.dryRun ? '🧪 Dry run' : '✅ Backfill'} report:`);
+    for (const token of report.stuck) {
+        console.log(`  • #${token.tokenId} (${token.breed}) ${token.reason}${token.tokenURI ? `: ${token.tokenURI}` : ''}`);
+    }
+    for (const token of report.unresolved) {
+        console.log(`  ⚠️ #${token.tokenId} ${token.reason}, skipped: ${token.error}`);
+    }
+    if (report.dryRun && report.stuck.length) {
+        console.log('\nRe-run with --enqueue to queue these tokens for generation.');
+    }
+    provider.destroy();
+}
+
+if (process.argv[1] && process.argv[1].endsWith('mintBackfill.js')) {
+    main().catch(error => {
+        console.error('❌ Backfill failed:', error.message);
+        process.exit(1);
+    });
+}
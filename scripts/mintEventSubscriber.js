@@ -0,0 +1,235 @@
+/**
+ * scripts/mintEventSubscriber.js
+ * ───────────────────────────────────────────────────────────────
+ * Optional push mode for MintRequested events over eth_subscribe.
+ *
+ * - Subscribes to MintRequested logs and new block heads on an ethers
+ *   WebSocketProvider
+ * - Pushed logs are held until they have MINT_CONFIRMATIONS confirmations
+ *   and are dropped if their block is no longer canonical by then
+ * - Each new head hands the confirmed logs + confirmed block to
+ *   `onConfirmed`, which lets the server move its cursor forward.
+ *   Blocks below `coveredFrom` were never pushed to us (they predate the
+ *   subscription) and must be scanned with getLogs instead
+ * - When the socket drops (close event or failed heartbeat) `onDown` is
+ *   called so the server can fall back to log polling, and we reconnect
+ *   with backoff. `onBackfill` runs after every (re)connect so missed
+ *   ranges are scanned before the subscription goes live.
+ *
+ * Works against any node with WebSocket support, including a local
+ * hardhat node (`npx hardhat node` → ws://127.0.0.1:8545).
+ *
+ * Env (server.js):
+ *   EVENT_MODE  ("poll" or "subscribe", defaults to "poll")
+ *   WS_RPC_URL  (WebSocket RPC endpoint, required for "subscribe")
+ */
+
+import { clearInterval, clearTimeout, setInterval, setTimeout } from 'timers';
+import { ethers } from 'ethers';
+import { confirmedHead, DEFAULT_CONFIRMATIONS } from './chainReorg.js';
+
+const HEARTBEAT_MS = 30000;
+const HEARTBEAT_TIMEOUT_MS = 10000;
+
+/**
+ * Keeps a live MintRequested subscription and reports confirmed logs
+ */
+export class MintEventSubscriber {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - WebSocket RPC URL
+     * @param {string} options.address - NFT contract address
+     * @param {string} options.eventSig - MintRequested topic hash
+     * @param {Function} options.onConfirmed - async (logs, { toBlock, blockHash, coveredFrom }) => void
+     * @param {Function} [options.onBackfill] - async () => void, scans anything missed while offline
+     * @param {Function} [options.onDown] - Called when the socket drops
+     * @param {number} [options.confirmations] - Confirmation depth
+     * @param {number} [options.reconnectDelayMs] - First reconnect delay, doubled on each failure
+     * @param {number} [options.maxReconnectDelayMs] - Reconnect delay cap
+     * @param {Function} [options.createProvider] - (url) => WebSocketProvider, overridable for tests
+     */
+    constructor({
+        url,
+        address,
+        eventSig,
+        onConfirmed,
+        onBackfill = async () => { },
+        onDown = () => { },
+        confirmations = DEFAULT_CONFIRMATIONS,
+        reconnectDelayMs = 5000,
+        maxReconnectDelayMs = 60000,
+        createProvider = wsUrl => new ethers.WebSocketProvider(wsUrl)
+    }) {
+        this.url = url;
+        this.filter = { address, topics: [eventSig] };
+        this.onConfirmed = onConfirmed;
+        this.onBackfill = onBackfill;
+        this.onDown = onDown;
+        this.confirmations = confirmations;
+        this.reconnectDelayMs = reconnectDelayMs;
+        this.maxReconnectDelayMs = maxReconnectDelayMs;
+        this.createProvider = createProvider;
+
+        this.provider = null;
+        this.live = false;
+        this.stopped = false;
+        this.pending = [];
+        this.coveredFrom = Infinity;
+        this.chain = Promise.resolve();
+        this.retryDelay = reconnectDelayMs;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Connect and start listening
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.stopped = false;
+        await this.connect();
+    }
+
+    async connect() {
+        if (this.stopped) return;
+
+        try {
+            console.log(`🔌 Connecting to WebSocket RPC ${this.url}...`);
+            const provider = this.createProvider(this.url);
+            this.provider = provider;
+            this.pending = [];
+
+            const socket = provider.websocket;
+            if (socket?.addEventListener) {
+                socket.addEventListener('close', () => this.handleDown(provider, 'socket closed'));
+                socket.addEventListener('error', () => this.handleDown(provider, 'socket error'));
+            }
+
+            // Subscribe before backfilling so nothing slips through in between;
+            // pushes at or below the backfilled cursor are ignored by the server
+            await provider.on(this.filter, log => {
+                if (provider === this.provider) this.pending.push(log);
+            });
+            await provider.on('block', blockNumber => {
+                if (provider === this.provider) this.enqueue(() => this.handleBlock(provider, blockNumber));
+            });
+            this.coveredFrom = (await provider.getBlockNumber()) + 1;
+
+            await this.onBackfill();
+            if (provider !== this.provider) return; // Dropped while backfilling
+
+            this.live = true;
+            this.retryDelay = this.reconnectDelayMs;
+            this.startHeartbeat(provider);
+            console.log('✅ MintRequested subscription live');
+        } catch (err) {
+            console.error(`❌ WebSocket subscription failed: ${err.message}`);
+            this.handleDown(this.provider, err.message);
+        }
+    }
+
+    enqueue(fn) {
+        this.chain = this.chain.then(fn).catch(err => {
+            console.error(`❌ Error handling pushed block: ${err.message}`);
+        });
+        return this.chain;
+    }
+
+    /**
+     * Release pushed logs that reached confirmation depth at this head
+     * @param {Object} provider - Provider the head came from
+     * @param {number} blockNumber - New head block number
+     * @returns {Promise<void>}
+     */
+    async handleBlock(provider, blockNumber) {
+        if (!this.live || provider !== this.provider) return;
+
+        const confirmed = confirmedHead(blockNumber, this.confirmations);
+        const ready = this.pending.filter(log => log.blockNumber <= confirmed);
+        this.pending = this.pending.filter(log => log.blockNumber > confirmed);
+
+        // Drop logs whose block was reorged out while waiting for confirmations
+        const canonical = new Map();
+        for (const number of new Set(ready.map(log => log.blockNumber))) {
+            const block = await provider.getBlock(number);
+            canonical.set(number, block?.hash);
+        }
+        const logs = ready.filter(log => !log.removed && canonical.get(log.blockNumber) === log.blockHash);
+        if (logs.length < ready.length) {
+            console.warn(`🔀 Dropped ${ready.length - logs.length} pushed log(s) from orphaned blocks`);
+        }
+
+        const confirmedBlock = await provider.getBlock(confirmed);
+        await this.onConfirmed(logs, { toBlock: confirmed, blockHash: confirmedBlock?.hash, coveredFrom: this.coveredFrom });
+    }
+
+    startHeartbeat(provider) {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = setInterval(async () => {
+            let timer;
+            try {
+                await Promise.race([
+                    provider.getBlockNumber(),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => reject(new Error('heartbeat timed out')), HEARTBEAT_TIMEOUT_MS);
+                    })
+                ]);
+            } catch (err) {
+                this.handleDown(provider, err.message);
+            } finally {
+                clearTimeout(timer);
+            }
+        }, HEARTBEAT_MS);
+    }
+
+    /**
+     * Mark everything up to a block as not covered by pushes, e.g. after
+     * pushed logs could not be persisted
+     * @param {number} blockNumber - Last block that must be rescanned with getLogs
+     */
+    markUncovered(blockNumber) {
+        this.coveredFrom = Math.max(this.coveredFrom === Infinity ? 0 : this.coveredFrom, blockNumber + 1);
+    }
+
+    /**
+     * Tear down a dropped connection, notify the server and schedule a reconnect
+     * @param {Object} provider - Provider that dropped
+     * @param {string} reason - Why it dropped
+     */
+    handleDown(provider, reason) {
+        if (provider !== this.provider) return; // Already handled
+
+        const wasLive = this.live;
+        this.live = false;
+        this.provider = null;
+        this.pending = [];
+        this.coveredFrom = Infinity;
+        clearInterval(this.heartbeatTimer);
+        provider?.destroy?.()?.catch?.(() => { });
+
+        if (this.stopped) return;
+
+        console.warn(`⚠️ WebSocket subscription down (${reason}), falling back to polling`);
+        if (wasLive) this.onDown(reason);
+
+        const delay = this.retryDelay;
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxReconnectDelayMs);
+        console.log(`🔄 Reconnecting WebSocket in ${Math.round(delay / 1000)}s`);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * Stop listening and close the socket
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.heartbeatTimer);
+        const provider = this.provider;
+        this.provider = null;
+        this.live = false;
+        if (provider) await provider.destroy();
+    }
+}
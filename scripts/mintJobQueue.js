@@ -0,0 +1,807 @@
+/**
+ * scripts/mintJobQueue.js
+ * ───────────────────────────────────────────────────────────────
+ * Durable, crash-safe job queue for MintRequested processing.
+ *
+ * Jobs are written to storage before the block cursor advances and are
+ * only removed from the active set once a worker acknowledges them, so a
+ * restart never loses a queued token.
+ *
+ * Semantics:
+ * - enqueue → job is PENDING (one active job per token)
+ * - lease   → job is IN_PROGRESS for a limited time; expired leases are
+ *             handed out again, so a crashed worker's job is picked back up
+ * - ack     → job is COMPLETED
+ * - awaitSelection → job is AWAITING_SELECTION: its candidates are waiting
+ *             for the owner (scripts/candidateSelection.js), the pick runs
+ *             as a job of its own
+ * - retry   → job is PENDING again after an exponential backoff delay, or
+ *             DEAD_LETTER once its attempts are used up or the failure is
+ *             permanent (see scripts/retryPolicy.js)
+ * - requeue → an operator sends a DEAD_LETTER job back to PENDING with a
+ *             fresh set of attempts
+ * - cancelOrphaned → active jobs whose MintRequested block was reorged out
+ *             are FAILED (with `cancelledAt`); the rescan enqueues the token
+ *             again if its event lands in the new chain
+ *
+ * Every failure is appended to the job's `errorHistory`, so a dead-lettered
+ * job shows why each attempt failed.
+ *
+ * Backends:
+ * - Supabase `tasks` table (job rows carry a `job_payload` column, so the
+ *   job id doubles as the task id used by the status API)
+ * - Local JSON file stand-in when Supabase isn't configured
+ *
+ * Optional env:
+ *   MINT_QUEUE_FILE          (defaults to "./mint-queue.json")
+ *   MINT_JOB_LEASE_MS        (defaults to 900000 – 15 minutes)
+ *   MINT_JOB_MAX_ATTEMPTS    (defaults to 4)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { backoffDelay } from './retryPolicy.js';
+import { isOrphaned } from './chainReorg.js';
+
+export const JOB_STATES = {
+    PENDING: 'PENDING',
+    IN_PROGRESS: 'IN_PROGRESS',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED',
+    DEAD_LETTER: 'DEAD_LETTER',
+    AWAITING_SELECTION: 'AWAITING_SELECTION'
+};
+
+const ACTIVE_STATES = [JOB_STATES.PENDING, JOB_STATES.IN_PROGRESS];
+
+const DEFAULT_LEASE_MS = parseInt(process.env.MINT_JOB_LEASE_MS, 10) || 15 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.MINT_JOB_MAX_ATTEMPTS, 10) || 4;
+// Failures kept per job in errorHistory
+const MAX_ERROR_HISTORY = 10;
+// Due rows read per query when looking for a job to claim
+const CLAIM_PAGE_SIZE = 25;
+
+/**
+ * Default worker identifier for leases taken by this process
+ */
+export const DEFAULT_WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Generate a job id in the same format as supabaseTaskManager task ids
+ * @returns {string} Unique job id
+ */
+function generateJobId() {
+    return `task_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Check whether a job can be handed to a worker right now
+ * @param {Object} job - Job record
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the job is due or its lease expired
+ */
+function isClaimable(job, now) {
+    if (job.status === JOB_STATES.PENDING) {
+        return !job.availableAt || new Date(job.availableAt).getTime() <= now;
+    }
+    if (job.status === JOB_STATES.IN_PROGRESS) {
+        return !!job.leaseExpiresAt && new Date(job.leaseExpiresAt).getTime() <= now;
+    }
+    return false;
+}
+
+/* ─── Local JSON file store ──────────────────────────────────── */
+
+/**
+ * Queue store backed by a JSON file on disk.
+ * Every mutation is written to a temp file and renamed into place, so the
+ * file is never left half-written if the process dies mid-save.
+ */
+export class FileQueueStore {
+    /**
+     * @param {string} filePath - Path to the queue file
+     */
+    constructor(filePath = process.env.MINT_QUEUE_FILE || path.join(process.cwd(), 'mint-queue.json')) {
+        this.filePath = filePath;
+        this.jobs = null;
+        this.lock = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    /**
+     * Serialize store operations within this process
+     * @param {Function} fn - Async operation
+     * @returns {Promise<*>} Operation result
+     */
+    withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    async load() {
+        if (this.jobs) return;
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            this.jobs = JSON.parse(raw).jobs || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read mint queue file, starting empty: ${err.message}`);
+            }
+            this.jobs = [];
+        }
+    }
+
+    async persist() {
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ jobs: this.jobs }, null, 2));
+        await fs.rename(tmpPath, this.filePath);
+    }
+
+    async insert(job) {
+        return this.withLock(async () => {
+            await this.load();
+            this.jobs.push(job);
+            await this.persist();
+            return { ...job };
+        });
+    }
+
+    async findActiveByToken(tokenId) {
+        return this.withLock(async () => {
+            await this.load();
+            const job = this.jobs.find(j => j.tokenId === tokenId && ACTIVE_STATES.includes(j.status));
+            return job ? { ...job } : null;
+        });
+    }
+
+    async claimNext({ workerId, leaseMs, now, accept = () => true }) {
+        return this.withLock(async () => {
+            await this.load();
+            const job = this.jobs
+                .filter(j => isClaimable(j, now) && accept({ ...j }))
+                .sort((a, b) => (a.priority === b.priority ? 0 : a.priority === 'high' ? -1 : 1) ||
+                    new Date(a.createdAt) - new Date(b.createdAt))[0];
+            if (!job) return null;
+
+            Object.assign(job, {
+                status: JOB_STATES.IN_PROGRESS,
+                attempts: (job.attempts || 0) + 1,
+                leasedBy: workerId,
+                leaseExpiresAt: new Date(now + leaseMs).toISOString(),
+                updatedAt: new Date(now).toISOString()
+            });
+            await this.persist();
+            return { ...job };
+        });
+    }
+
+    async update(id, patch) {
+        return this.withLock(async () => {
+            await this.load();
+            const job = this.jobs.find(j => j.id === id);
+            if (!job) return null;
+            Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+            await this.persist();
+            return { ...job };
+        });
+    }
+
+    async get(id) {
+        return this.withLock(async () => {
+            await this.load();
+            const job = this.jobs.find(j => j.id === id);
+            return job ? { ...job } : null;
+        });
+    }
+
+    async list({ status, leasedBy } = {}) {
+        return this.withLock(async () => {
+            await this.load();
+            return this.jobs
+                .filter(j => (!status || j.status === status) && (!leasedBy || j.leasedBy === leasedBy))
+                .map(j => ({ ...j }));
+        });
+    }
+
+    async remove(ids) {
+        return this.withLock(async () => {
+            await this.load();
+            const before = this.jobs.length;
+            this.jobs = this.jobs.filter(j => !ids.includes(j.id));
+            await this.persist();
+            return before - this.jobs.length;
+        });
+    }
+}
+
+/* ─── Supabase store (tasks table) ───────────────────────────── */
+
+/**
+ * Map a tasks row to a job record
+ * @param {Object} row - Supabase tasks row
+ * @returns {Object} Job record
+ */
+function rowToJob(row) {
+    return {
+        id: row.id,
+        taskId: row.id,
+        tokenId: Number(row.token_id),
+        payload: row.job_payload || {},
+        status: row.status,
+        priority: row.priority || 'normal',
+        attempts: row.attempts || 0,
+        maxAttempts: row.max_attempts || DEFAULT_MAX_ATTEMPTS,
+        availableAt: row.next_attempt_at,
+        leaseExpiresAt: row.lease_expires_at,
+        leasedBy: row.leased_by,
+        lastError: row.error,
+        errorHistory: row.error_history || [],
+        deadLetteredAt: row.dead_lettered_at,
+        cancelledAt: row.cancelled_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Map job fields to tasks columns
+ * @param {Object} patch - Partial job record
+ * @returns {Object} Partial tasks row
+ */
+function jobPatchToRow(patch) {
+    const columns = {
+        status: 'status',
+        attempts: 'attempts',
+        maxAttempts: 'max_attempts',
+        availableAt: 'next_attempt_at',
+        leaseExpiresAt: 'lease_expires_at',
+        leasedBy: 'leased_by',
+        lastError: 'error',
+        errorHistory: 'error_history',
+        deadLetteredAt: 'dead_lettered_at',
+        cancelledAt: 'cancelled_at',
+        payload: 'job_payload',
+        message: 'message'
+    };
+    const row = {};
+    for (const [key, column] of Object.entries(columns)) {
+        if (patch[key] !== undefined) row[column] = patch[key];
+    }
+    return row;
+}
+
+/**
+ * Queue store backed by the Supabase `tasks` table.
+ * Leases are taken with a compare-and-set on `updated_at`, so two workers
+ * racing for the same row can't both win it.
+ */
+export class SupabaseQueueStore {
+    constructor(client) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    async insert(job) {
+        const now = new Date().toISOString();
+        const { data, error } = await this.supabase
+            .from('tasks')
+            .insert([{
+                id: job.id,
+                token_id: job.tokenId.toString(),
+                status: job.status,
+                progress: 0,
+                message: job.message || 'Queued for processing',
+                provider: job.payload.imageProvider || null,
+                provider_options: job.payload.providerOptions || {},
+                breed: job.payload.breed || null,
+                owner: job.payload.buyer || null,
+                priority: job.priority,
+                job_payload: job.payload,
+                attempts: job.attempts,
+                max_attempts: job.maxAttempts,
+                next_attempt_at: job.availableAt,
+                error: job.lastError || null,
+                error_history: job.errorHistory || [],
+                dead_lettered_at: job.deadLetteredAt || null,
+                created_at: now,
+                updated_at: now
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('❌ Mint queue insert failed:', error);
+            throw error;
+        }
+        return rowToJob(data);
+    }
+
+    async findActiveByToken(tokenId) {
+        const { data, error } = await this.supabase
+            .from('tasks')
+            .select('*')
+            .eq('token_id', tokenId.toString())
+            .in('status', ACTIVE_STATES)
+            .not('job_payload', 'is', null)
+            .limit(1);
+
+        if (error) throw error;
+        return data?.length ? rowToJob(data[0]) : null;
+    }
+
+    async claimNext({ workerId, leaseMs, now, accept = () => true }) {
+        const nowIso = new Date(now).toISOString();
+        // Only due rows: pending ones past their retry backoff, leased ones whose lease expired
+        const dueFilter = [
+            `and(status.eq.${JOB_STATES.PENDING},or(next_attempt_at.is.null,next_attempt_at.lte.${nowIso}))`,
+            `and(status.eq.${JOB_STATES.IN_PROGRESS},lease_expires_at.lt.${nowIso})`
+        ].join(',');
+
+        // Page past jobs this worker won't take (their provider is full),
+        // so one busy provider can't hide the due jobs of the others
+        for (let offset = 0; ; offset += CLAIM_PAGE_SIZE) {
+            const { data: candidates, error } = await this.supabase
+                .from('tasks')
+                .select('*')
+                .not('job_payload', 'is', null)
+                .or(dueFilter)
+                .order('created_at', { ascending: true })
+                .range(offset, offset + CLAIM_PAGE_SIZE - 1);
+
+            if (error) throw error;
+
+            const due = (candidates || [])
+                .map(rowToJob)
+                .filter(job => isClaimable(job, now) && accept(job))
+                .sort((a, b) => (a.priority === b.priority ? 0 : a.priority === 'high' ? -1 : 1));
+
+            const claimed = await this.claimFirst(due, { workerId, leaseMs, now });
+            if (claimed) return claimed;
+            if (!candidates || candidates.length < CLAIM_PAGE_SIZE) return null;
+        }
+    }
+
+    /**
+     * Lease the first of the given jobs that no other worker changed in the meantime
+     * @param {Object[]} jobs - Due jobs, in the order to try them
+     * @param {Object} lease - { workerId, leaseMs, now }
+     * @returns {Promise<Object|null>} Claimed job, or null if every one was taken
+     */
+    async claimFirst(jobs, { workerId, leaseMs, now }) {
+        const nowIso = new Date(now).toISOString();
+        for (const job of jobs) {
+            const { data: claimed, error: claimErr } = await this.supabase
+                .from('tasks')
+                .update({
+                    status: JOB_STATES.IN_PROGRESS,
+                    attempts: job.attempts + 1,
+                    leased_by: workerId,
+                    lease_expires_at: new Date(now + leaseMs).toISOString(),
+                    updated_at: nowIso
+                })
+                .eq('id', job.id)
+                .eq('updated_at', job.updatedAt)
+                .select();
+
+            if (claimErr) throw claimErr;
+            if (claimed?.length) return rowToJob(claimed[0]);
+            // Another worker changed the row first - try the next candidate
+        }
+        return null;
+    }
+
+    async update(id, patch) {
+        const { data, error } = await this.supabase
+            .from('tasks')
+            .update({ ...jobPatchToRow(patch), updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .select();
+
+        if (error) throw error;
+        return data?.length ? rowToJob(data[0]) : null;
+    }
+
+    async get(id) {
+        const { data, error } = await this.supabase
+            .from('tasks')
+            .select('*')
+            .eq('id', id)
+            .limit(1);
+
+        if (error) throw error;
+        return data?.length ? rowToJob(data[0]) : null;
+    }
+
+    async list({ status, leasedBy } = {}) {
+        let q = this.supabase.from('tasks').select('*').not('job_payload', 'is', null);
+        if (status) q = q.eq('status', status);
+        if (leasedBy) q = q.eq('leased_by', leasedBy);
+
+        const { data, error } = await q.order('created_at', { ascending: true });
+        if (error) throw error;
+        return (data || []).map(rowToJob);
+    }
+
+    async remove(ids) {
+        if (!ids.length) return 0;
+        const { error } = await this.supabase.from('tasks').delete().in('id', ids);
+        if (error) throw error;
+        return ids.length;
+    }
+}
+
+/* ─── Queue ──────────────────────────────────────────────────── */
+
+/**
+ * Durable mint job queue with enqueue / lease / ack / retry semantics
+ */
+export class MintJobQueue {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Store instance (defaults by environment)
+     * @param {number} [options.leaseMs] - How long a lease lasts
+     * @param {number} [options.maxAttempts] - Attempts before a job fails
+     */
+    constructor(options = {}) {
+        this.store = options.store || null;
+        this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+        this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    }
+
+    /**
+     * Pick the backend lazily so env vars loaded by dotenv are respected
+     * @returns {Object} Store instance
+     */
+    getStore() {
+        if (!this.store) {
+            if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+                this.store = new SupabaseQueueStore();
+            } else {
+                this.store = new FileQueueStore();
+            }
+            console.log(`📬 Mint job queue using ${this.store.name} storage`);
+        }
+        return this.store;
+    }
+
+    /**
+     * Persist a job. If the token already has an active job, that job is
+     * returned instead of creating a duplicate.
+     * @param {Object} payload - Job payload (tokenId, breed, buyer, imageProvider, ...)
+     * @param {Object} [options]
+     * @param {string} [options.priority] - 'normal' or 'high'
+     * @param {number} [options.maxAttempts] - Override attempt limit for this job
+     * @param {number} [options.delayMs] - Delay before the job becomes available
+     * @returns {Promise<Object>} The stored job
+     */
+    async enqueue(payload, options = {}) {
+        const store = this.getStore();
+        const tokenId = Number(payload.tokenId);
+        if (!Number.isFinite(tokenId)) {
+            throw new Error(`Cannot enqueue mint job without a numeric tokenId: ${payload.tokenId}`);
+        }
+
+        const existing = await store.findActiveByToken(tokenId);
+        if (existing) {
+            console.log(`ℹ️ Token #${tokenId} already queued as ${existing.id} (status=${existing.status})`);
+            return existing;
+        }
+
+        const now = Date.now();
+        const job = {
+            id: generateJobId(),
+            taskId: null,
+            tokenId,
+            payload: { ...payload, tokenId },
+            status: JOB_STATES.PENDING,
+            priority: options.priority || 'normal',
+            attempts: 0,
+            maxAttempts: options.maxAttempts || this.maxAttempts,
+            availableAt: new Date(now + (options.delayMs || 0)).toISOString(),
+            leaseExpiresAt: null,
+            leasedBy: null,
+            lastError: null,
+            errorHistory: [],
+            createdAt: new Date(now).toISOString(),
+            updatedAt: new Date(now).toISOString()
+        };
+
+        const stored = await store.insert(job);
+        console.log(`📥 Enqueued mint job ${stored.id} for token #${tokenId}`);
+        return stored;
+    }
+
+    /**
+     * Lease the next due job
+     * @param {Object} [options]
+     * @param {string} [options.workerId] - Identifier of the leasing worker
+     * @param {number} [options.leaseMs] - Lease duration
+     * @param {Function} [options.accept] - Predicate to skip due jobs this worker can't take yet
+     * @returns {Promise<Object|null>} Leased job or null if nothing is due
+     */
+    async lease({ workerId = DEFAULT_WORKER_ID, leaseMs = this.leaseMs, accept } = {}) {
+        return this.getStore().claimNext({ workerId, leaseMs, accept, now: Date.now() });
+    }
+
+    /**
+     * Acknowledge a job as done
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async ack(id) {
+        return this.getStore().update(id, {
+            status: JOB_STATES.COMPLETED,
+            leaseExpiresAt: null,
+            leasedBy: null
+        });
+    }
+
+    /**
+     * Park a job whose candidates wait for the owner's pick. Not active any
+     * more, so the selection job for the same token can be enqueued
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async awaitSelection(id) {
+        return this.getStore().update(id, {
+            status: JOB_STATES.AWAITING_SELECTION,
+            leaseExpiresAt: null,
+            leasedBy: null
+        });
+    }
+
+    /**
+     * Put a job back in the queue after a failure, or dead-letter it once it
+     * has used up its attempts or the failure can't be fixed by retrying
+     * @param {string} id - Job id
+     * @param {Error|string} error - Failure reason
+     * @param {Object} [options]
+     * @param {number} [options.delayMs] - Delay before the job is due again (defaults to exponential backoff)
+     * @param {boolean} [options.retryable] - False for permanent failures
+     * @param {string} [options.reason] - Classification of the failure
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async retry(id, error, { delayMs, retryable = true, reason } = {}) {
+        const store = this.getStore();
+        const job = await store.get(id);
+        if (!job) return null;
+        // Cancelled while its worker was busy - keep it cancelled
+        if (job.cancelledAt) return job;
+
+        const lastError = (error?.message || String(error)).substring(0, 500);
+        const errorHistory = [
+            ...(job.errorHistory || []),
+            { attempt: job.attempts, error: lastError, retryable, reason: reason || null, at: new Date().toISOString() }
+        ].slice(-MAX_ERROR_HISTORY);
+
+        if (!retryable || job.attempts >= job.maxAttempts) {
+            const why = retryable ? `after ${job.attempts} attempt(s)` : `permanent failure${reason ? ` (${reason})` : ''}`;
+            console.error(`☠️ Mint job ${id} dead-lettered, ${why}: ${lastError}`);
+            return store.update(id, {
+                status: JOB_STATES.DEAD_LETTER,
+                leaseExpiresAt: null,
+                leasedBy: null,
+                lastError,
+                errorHistory,
+                deadLetteredAt: new Date().toISOString(),
+                message: `Dead-lettered ${why}`
+            });
+        }
+
+        const delay = delayMs ?? backoffDelay(job.attempts);
+        return store.update(id, {
+            status: JOB_STATES.PENDING,
+            availableAt: new Date(Date.now() + delay).toISOString(),
+            leaseExpiresAt: null,
+            leasedBy: null,
+            lastError,
+            errorHistory,
+            message: `Retry ${job.attempts}/${job.maxAttempts} scheduled in ${Math.round(delay / 1000)}s`
+        });
+    }
+
+    /**
+     * Dead-letter work that failed outside the queue (e.g. a cron pending
+     * task), so operators can inspect and requeue it like any other job.
+     * An existing job / task row with the same id is updated in place.
+     * @param {Object} payload - Job payload (tokenId, breed, buyer, ...)
+     * @param {Error|string} error - Final failure
+     * @param {Object} [options]
+     * @param {string} [options.taskId] - Task id the work was tracked under
+     * @param {number} [options.attempts] - Attempts made so far
+     * @param {Object[]} [options.errorHistory] - Earlier failures
+     * @param {string} [options.reason] - Classification of the final failure
+     * @returns {Promise<Object>} The dead-lettered job
+     */
+    async deadLetter(payload, error, { taskId, attempts = 1, errorHistory = [], reason } = {}) {
+        const store = this.getStore();
+        const tokenId = Number(payload.tokenId);
+        const lastError = (error?.message || String(error)).substring(0, 500);
+        const now = new Date().toISOString();
+        const fields = {
+            payload: { ...payload, tokenId },
+            status: JOB_STATES.DEAD_LETTER,
+            attempts,
+            maxAttempts: Math.max(attempts, this.maxAttempts),
+            leaseExpiresAt: null,
+            leasedBy: null,
+            lastError,
+            errorHistory: [
+                ...errorHistory,
+                { attempt: attempts, error: lastError, retryable: false, reason: reason || null, at: now }
+            ].slice(-MAX_ERROR_HISTORY),
+            deadLetteredAt: now,
+            message: `Dead-lettered after ${attempts} attempt(s)`
+        };
+
+        console.error(`☠️ Token #${tokenId} dead-lettered after ${attempts} attempt(s): ${lastError}`);
+
+        const existing = taskId ? await store.get(taskId) : null;
+        if (existing) return store.update(taskId, fields);
+
+        return store.insert({
+            id: taskId || generateJobId(),
+            taskId: taskId || null,
+            tokenId,
+            priority: payload.priority || 'normal',
+            availableAt: now,
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        });
+    }
+
+    /**
+     * Send a dead-lettered job back to the queue with a fresh set of attempts.
+     * Its error history is kept.
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Updated job, or null if it isn't dead-lettered
+     */
+    async requeue(id) {
+        const store = this.getStore();
+        const job = await store.get(id);
+        if (!job || job.status !== JOB_STATES.DEAD_LETTER) return null;
+
+        // Another job may have been queued for the token since
+        const active = await store.findActiveByToken(job.tokenId);
+        if (active) {
+            throw new Error(`Token #${job.tokenId} already has an active job (${active.id})`);
+        }
+
+        console.log(`🔁 Requeued dead-lettered job ${id} for token #${job.tokenId}`);
+        return store.update(id, {
+            status: JOB_STATES.PENDING,
+            attempts: 0,
+            availableAt: new Date().toISOString(),
+            leaseExpiresAt: null,
+            leasedBy: null,
+            deadLetteredAt: null,
+            message: 'Requeued by operator'
+        });
+    }
+
+    /**
+     * Cancel active jobs for tokens whose MintRequested event was in a block
+     * a chain reorg orphaned, so no art is generated or URI set for it
+     * @param {Object} reorg - Result of detectReorg() ({ forkBlock, rewindTo, orphanedTokens })
+     * @returns {Promise<Object[]>} Cancelled jobs
+     */
+    async cancelOrphaned(reorg) {
+        if (!reorg || reorg.orphanedTokens.length === 0) return [];
+
+        const store = this.getStore();
+        const active = [
+            ...await store.list({ status: JOB_STATES.PENDING }),
+            ...await store.list({ status: JOB_STATES.IN_PROGRESS })
+        ];
+        const cancelled = [];
+        for (const job of active.filter(j => isOrphaned(reorg, { tokenId: j.tokenId, blockNumber: j.payload?.blockNumber }))) {
+            const lastError = `MintRequested for #${job.tokenId} in block ${job.payload.blockNumber} was orphaned by a chain reorg at block ${reorg.forkBlock}`;
+            cancelled.push(await store.update(job.id, {
+                status: JOB_STATES.FAILED,
+                leaseExpiresAt: null,
+                leasedBy: null,
+                lastError,
+                cancelledAt: new Date().toISOString(),
+                message: `Cancelled: ${lastError}`
+            }));
+            console.warn(`🔀 Cancelled mint job ${job.id}: ${lastError}`);
+        }
+        return cancelled;
+    }
+
+    /**
+     * Return leased jobs to the queue, e.g. on graceful shutdown.
+     * The interrupted attempt is not counted against the job.
+     * @param {string} [workerId] - Worker whose leases to release
+     * @returns {Promise<number>} Number of jobs released
+     */
+    async release(workerId = DEFAULT_WORKER_ID) {
+        const store = this.getStore();
+        const leased = await store.list({ status: JOB_STATES.IN_PROGRESS, leasedBy: workerId });
+        for (const job of leased) {
+            await store.update(job.id, {
+                status: JOB_STATES.PENDING,
+                attempts: Math.max(0, job.attempts - 1),
+                leaseExpiresAt: null,
+                leasedBy: null
+            });
+        }
+        return leased.length;
+    }
+
+    /**
+     * Attach extra fields to a job (e.g. the task id created for it)
+     * @param {string} id - Job id
+     * @param {Object} patch - Fields to merge
+     * @returns {Promise<Object|null>} Updated job
+     */
+    async update(id, patch) {
+        return this.getStore().update(id, patch);
+    }
+
+    /**
+     * Fetch a single job
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} Job record
+     */
+    async get(id) {
+        return this.getStore().get(id);
+    }
+
+    /**
+     * List jobs, optionally filtered by status
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - Job status
+     * @returns {Promise<Object[]>} Jobs
+     */
+    async list(filters = {}) {
+        return this.getStore().list(filters);
+    }
+
+    /**
+     * Count jobs per state
+     * @returns {Promise<Object>} Counts keyed by state
+     */
+    async stats() {
+        const jobs = await this.getStore().list();
+        const now = Date.now();
+        return {
+            pending: jobs.filter(j => j.status === JOB_STATES.PENDING).length,
+            due: jobs.filter(j => isClaimable(j, now)).length,
+            inProgress: jobs.filter(j => j.status === JOB_STATES.IN_PROGRESS).length,
+            completed: jobs.filter(j => j.status === JOB_STATES.COMPLETED).length,
+            failed: jobs.filter(j => j.status === JOB_STATES.FAILED).length,
+            deadLetter: jobs.filter(j => j.status === JOB_STATES.DEAD_LETTER).length
+        };
+    }
+
+    /**
+     * Drop finished jobs older than maxAge. Dead-lettered jobs are kept until
+     * an operator requeues them.
+     * @param {number} [maxAge] - Age in ms (defaults to 24 hours)
+     * @returns {Promise<number>} Number of jobs removed
+     */
+    async cleanup(maxAge = 24 * 60 * 60 * 1000) {
+        const store = this.getStore();
+        const cutoff = Date.now() - maxAge;
+        const finished = (await store.list()).filter(j =>
+            [JOB_STATES.COMPLETED, JOB_STATES.FAILED].includes(j.status) &&
+            new Date(j.updatedAt).getTime() < cutoff
+        );
+        return store.remove(finished.map(j => j.id));
+    }
+}
+
+// Export singleton instance
+export const mintJobQueue = new MintJobQueue();
@@ -0,0 +1,575 @@
+/**
+ * scripts/mintPipeline.js
+ * ───────────────────────────────────────────────────────────────
+ * Shared mint processing pipeline.
+ *
+ * Both the long-running server (server.js) and the Vercel cron handler
+ * (api/cron.js) drive the same steps, so fixes land once:
+ *   1. Skip tokens that were already processed (unless forced)
+ *   2. Create / start the task
+ *   3. Set the HTTPS placeholder URI if the token has none
+ *   4. Generate art + metadata via finalizeMint (within provider limits)
+ *   5. Validate the final URI and call setTokenURI
+ *   6. Mark the token processed and complete the task
+ *
+ * A task that asks for several candidates stops after step 4: the images
+ * are kept unpinned (scripts/candidateSelection.js) and the task waits in
+ * AWAITING_SELECTION. Picking one queues a task with `selection` set, which
+ * skips generation and runs steps 4-6 with the picked image.
+ *
+ * Both setTokenURI calls go through the signer's TransactionManager
+ * (serialized nonces, configured gas, stuck-tx replacement) and every
+ * transaction hash is recorded on the task. Bulk tasks (batchTokenUri)
+ * hand their final URI to a TokenUriBatcher instead of sending it alone.
+ *
+ * Image generation is strict - only the task's provider is used - unless
+ * the task opts into a fallback chain (task.fallback) or its provider is the
+ * default one and IMAGE_PROVIDER_FALLBACK is set. The provider actually used
+ * and the fallback reason are recorded on the task.
+ *
+ * A task queued from a MintRequested event (task.transactionHash) checks the
+ * event's transaction is still on chain before generating and again before
+ * setTokenURI, so a job a chain reorg orphaned mid-run stops there.
+ *
+ * A task whose provider preference couldn't be read when it was queued
+ * (task.preferencePending) looks it up first; a failed lookup fails the
+ * attempt instead of generating with the default provider.
+ *
+ * Failures are classified as retryable or permanent (scripts/retryPolicy.js)
+ * so callers can schedule a backoff retry or dead-letter the task.
+ *
+ * Scanner state (last block + processed tokens) lives in a pluggable
+ * store: the local `event-state.json` file or the Supabase `system_state`
+ * table.
+ *
+ * Optional env:
+ *   MINT_STATE_STORE  ("file" or "supabase", defaults to "file")
+ *   MINT_STATE_FILE   (defaults to "./event-state.json")
+ */
+
+import path from 'path';
+import { ethers } from 'ethers';
+import { finalizeMint } from './finalizeMint.js';
+import { createTask, updateTask, completeTask, failTask, recordTaskTransaction, TASK_STATES } from './supabaseTaskManager.js';
+import { providerLimiter } from './mintWorkerPool.js';
+import { classifyError, PermanentMintError } from './retryPolicy.js';
+import { getTransactionManager } from './transactionManager.js';
+import { FileSystemState, SupabaseSystemState } from './systemState.js';
+import { createCandidateSet, getCandidateStore, SELECTION_STATES } from './candidateSelection.js';
+import { normalizeToGatewayUrl } from '../utils/metadata.js';
+import { isLocalStorageUrl } from './storageBackends.js';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
+import { providerPreferences } from './providerPreferencesManager.js';
+
+export const MINT_ABI = [
+    'event MintRequested(uint256 indexed tokenId,address indexed buyer,string breed)',
+    'function tokenURI(uint256) view returns (string)',
+    'function setTokenURI(uint256,string)',
+    // Only present on contracts with OpenZeppelin Multicall - see tokenUriBatcher.js
+    'function multicall(bytes[] data) returns (bytes[] results)'
+];
+
+/**
+ * Connect to the NFT contract with a signing wallet
+ * @param {Object} config
+ * @param {string} config.rpcUrl - RPC endpoint
+ * @param {string} config.contractAddress - NFT contract address
+ * @param {string} config.privateKey - Signer private key
+ * @returns {Object} { provider, signer, nft, eventSig }
+ */
+export function connectMintContract({ rpcUrl, contractAddress, privateKey }) {
+    const provider = new ethers.JsonRpcProvider(rpcUrl);
+    const signer = new ethers.Wallet(privateKey, provider);
+    const nft = new ethers.Contract(contractAddress, MINT_ABI, signer);
+    const eventSig = nft.interface.getEvent('MintRequested').topicHash;
+    return { provider, signer, nft, eventSig };
+}
+
+/* ───── Scanner state ────────────────────────────────────────── */
+
+/**
+ * Last scanned block + processed tokens, kept in a key/value backend
+ */
+export class MintStateStore {
+    /**
+     * @param {Object} backend - FileSystemState or SupabaseSystemState
+     * @param {Object} [options]
+     * @param {string} [options.blockKey] - Key the last scanned block is stored under
+     * @param {Object} [options.extraKeys] - Additional keys to load/save, with their defaults
+     */
+    constructor(backend, { blockKey = 'lastBlock', extraKeys = {} } = {}) {
+        this.backend = backend;
+        this.blockKey = blockKey;
+        this.extraKeys = extraKeys;
+    }
+
+    get name() {
+        return this.backend.name;
+    }
+
+    /**
+     * Load state
+     * @returns {Promise<Object>} { lastBlock, processedTokens, ...extraKeys } - lastBlock is null for a fresh store
+     */
+    async load() {
+        await this.backend.ensureTable();
+
+        const keys = [this.blockKey, 'processedTokens', ...Object.keys(this.extraKeys)];
+        const values = await Promise.all(keys.map(key => this.backend.get(key)));
+        const [lastBlock, processedTokens, ...extras] = values;
+
+        const state = {
+            lastBlock: lastBlock ?? null,
+            processedTokens: new Set(processedTokens || [])
+        };
+        Object.keys(this.extraKeys).forEach((key, i) => {
+            state[key] = extras[i] ?? JSON.parse(JSON.stringify(this.extraKeys[key]));
+        });
+        return state;
+    }
+
+    /**
+     * Save state
+     * @param {Object} state - State returned by load()
+     * @returns {Promise<void>}
+     */
+    async save(state) {
+        const values = {
+            [this.blockKey]: state.lastBlock,
+            processedTokens: Array.from(state.processedTokens)
+        };
+        for (const key of Object.keys(this.extraKeys)) {
+            values[key] = state[key];
+        }
+        await this.backend.setMany(values);
+    }
+}
+
+/**
+ * Create the scanner state store
+ * @param {string} [type] - "file" or "supabase"
+ * @param {Object} [options] - Extra MintStateStore options
+ * @returns {MintStateStore} State store
+ */
+export function createMintStateStore(type = process.env.MINT_STATE_STORE || 'file', options = {}) {
+    if (type === 'supabase') {
+        // Same keys api/cron.js has always used
+        return new MintStateStore(new SupabaseSystemState(), { blockKey: 'lastProcessedBlock', ...options });
+    }
+    if (type === 'file') {
+        const file = process.env.MINT_STATE_FILE || path.join(process.cwd(), 'event-state.json');
+        return new MintStateStore(new FileSystemState(file), options);
+    }
+    throw new Error(`Unknown MINT_STATE_STORE "${type}" (expected "file" or "supabase")`);
+}
+
+/* ───── URI checks ───────────────────────────────────────────── */
+
+/**
+ * Make sure the placeholder URI is an HTTPS gateway URL
+ * @param {string} uri - Configured placeholder URI
+ * @returns {string} HTTPS placeholder URI
+ */
+export function resolvePlaceholderUri(uri) {
+    let placeholderUri = uri;
+    if (placeholderUri && placeholderUri.startsWith('ipfs://')) {
+        console.warn(`⚠️ PLACEHOLDER_URI is ipfs:// format, normalizing: ${placeholderUri}`);
+        placeholderUri = normalizeToGatewayUrl(placeholderUri, 'placeholder.json');
+    }
+
+    if (!placeholderUri || !placeholderUri.startsWith('https://')) {
+        throw new Error(`PLACEHOLDER_URI must be HTTPS format, got: ${placeholderUri}`);
+    }
+    return placeholderUri;
+}
+
+/**
+ * Validate (and if needed normalize) the token URI returned by finalizeMint
+ * @param {string} tokenURI - URI returned by finalizeMint
+ * @param {number} tokenId - Token ID, used for the fallback file name
+ * @returns {string} HTTPS gateway URI (or local storage URL) safe to write on-chain
+ */
+export function validateTokenUri(tokenURI, tokenId) {
+    if (!tokenURI || typeof tokenURI !== 'string') {
+        throw new Error(`TokenURI is invalid: ${tokenURI}`);
+    }
+
+    let uri = tokenURI;
+    if (uri.startsWith('ipfs://')) {
+        // finalizeMint should already normalize - log loudly if it didn't
+        console.error(`❌ CRITICAL BUG DETECTED: finalizeMint returned ipfs:// URI: ${uri}`);
+        uri = normalizeToGatewayUrl(uri, `${tokenId}.json`);
+        console.log(`🔧 EMERGENCY FIX: Converted to HTTPS: ${uri}`);
+    }
+
+    // Offline mints (local-ipfs / local storage) are served by this app
+    if (isLocalStorageUrl(uri)) {
+        return uri;
+    }
+
+    if (!uri.startsWith('https://')) {
+        throw new Error(`TokenURI must be HTTPS format, got: ${uri}`);
+    }
+    const gateway = getGatewayResolver().primaryGateway;
+    if (!uri.startsWith(gateway)) {
+        throw new Error(`Final validation failed: Expected ${gateway} format, got: ${uri}`);
+    }
+    return uri;
+}
+
+/**
+ * Make sure the MintRequested transaction a task was queued from is still on
+ * chain - a reorg may have orphaned it since
+ * @param {Object} nft - Contract (its runner's provider is asked)
+ * @param {Object} task - Task ({ tokenId, transactionHash })
+ * @returns {Promise<void>}
+ * @throws {PermanentMintError} If the transaction has no receipt any more
+ */
+export async function assertMintRequested(nft, task) {
+    const provider = nft.runner?.provider;
+    if (!task.transactionHash || !provider) return;
+
+    const receipt = await provider.getTransactionReceipt(task.transactionHash);
+    if (!receipt) {
+        throw new PermanentMintError(`MintRequested transaction ${task.transactionHash} for #${task.tokenId} is no longer on chain (orphaned by a reorg)`);
+    }
+}
+
+/* ───── Candidate selection ──────────────────────────────────── */
+
+/**
+ * Load the candidate an owner picked
+ * @param {Object} selection - { taskId, index }
+ * @returns {Promise<Object>} The candidate
+ * @throws {PermanentMintError} If the set isn't waiting to be pinned with that candidate
+ */
+async function loadSelectedCandidate({ taskId, index }) {
+    const set = await getCandidateStore().get(taskId);
+    if (!set || set.status !== SELECTION_STATES.SELECTED || set.selectedIndex !== index) {
+        throw new PermanentMintError(`Candidate ${index} of task ${taskId} is not selected (${set?.status || 'no candidates'})`);
+    }
+    return set.candidates.find(candidate => candidate.index === index);
+}
+
+/**
+ * Expire candidate sets nobody picked from in time and time out their tasks
+ * @param {Object} [store] - Candidate store (defaults to the shared one)
+ * @returns {Promise<number>} Number of sets expired
+ */
+export async function expireCandidateSelections(store = getCandidateStore()) {
+    const expired = await store.expire();
+    for (const set of expired) {
+        console.log(`⌛ Candidates for #${set.tokenId} expired without a selection [task ${set.id}]`);
+        await updateTask(set.id, {
+            status: TASK_STATES.TIMEOUT,
+            message: 'Selection window closed - no candidate was picked',
+            failed_at: new Date().toISOString()
+        }).catch(err => {
+            console.warn(`⚠️ Could not time out task ${set.id}: ${err.message}`);
+        });
+    }
+    return expired.length;
+}
+
+/* ───── Pipeline ─────────────────────────────────────────────── */
+
+/**
+ * Process one mint / regeneration task end to end
+ * @param {Object} task - Task to process
+ * @param {number|string} task.tokenId - Token ID
+ * @param {string} task.breed - Cat breed
+ * @param {string} task.buyer - Buyer address
+ * @param {string} [task.imageProvider] - Image provider (defaults to IMAGE_PROVIDER)
+ * @param {string} [task.promptExtras] - Additional prompt text
+ * @param {string} [task.negativePrompt] - Negative prompt text
+ * @param {Object} [task.providerOptions] - Provider-specific options
+ * @param {boolean|string|string[]} [task.fallback] - Fallback policy, see resolveProviderChain() in imageProviders.js
+ * @param {boolean} [task.providerChosen] - imageProvider was picked by the user (defaults to true when imageProvider is set)
+ * @param {boolean} [task.preferencePending] - Resolve the stored provider preference before generating
+ * @param {string} [task.taskId] - Existing task ID (one is created if missing)
+ * @param {string} [task.transactionHash] - MintRequested transaction, re-checked so reorged-out events are dropped
+ * @param {boolean} [task.forceProcess] - Process even if the token was already processed
+ * @param {boolean} [task.isRegeneration] - Regenerate art for an existing token
+ * @param {boolean} [task.batchTokenUri] - Write the final URI through context.tokenUriBatcher
+ * @param {number} [task.candidates] - Generate this many images and wait for the owner to pick one
+ * @param {Object} [task.selection] - { taskId, index } of a picked candidate to pin (progress goes to that task)
+ * @param {Object} context - Pipeline dependencies
+ * @param {Object} context.nft - Contract connected with a signer
+ * @param {Object} context.state - Scanner state ({ processedTokens })
+ * @param {Function} [context.persistState] - Called after a token is marked processed
+ * @param {string} [context.placeholderUri] - Placeholder token URI
+ * @param {string} [context.defaultProvider] - Provider used when the task has none
+ * @param {Object} [context.limiter] - Provider limiter
+ * @param {Object} [context.txManager] - Transaction manager (defaults to the shared one for nft's signer)
+ * @param {Object} [context.tokenUriBatcher] - Batcher for tasks flagged batchTokenUri
+ * @param {Object} [context.preferences] - Provider preference store for tasks flagged preferencePending
+ * @returns {Promise<Object>} { success, skipped, taskId, tokenURI, transactionHash, provider, requestedProvider, fallback,
+ *   error, retryable, reason }
+ *   Tasks with candidates resolve with { success, awaitingSelection, taskId, candidates, expiresAt } instead.
+ *   Batched tasks resolve early with { success, batched, taskId, tokenURI, confirmation }, where
+ *   `confirmation` is a promise for the final result once the batch is confirmed on-chain.
+ */
+export async function runMintPipeline(task, context) {
+    const {
+        nft,
+        state,
+        persistState,
+        placeholderUri = process.env.PLACEHOLDER_URI,
+        defaultProvider = process.env.IMAGE_PROVIDER || 'dall-e',
+        limiter = providerLimiter,
+        txManager = getTransactionManager(nft.runner),
+        tokenUriBatcher,
+        preferences = providerPreferences
+    } = context;
+
+    if (task.preferencePending) {
+        try {
+            const preference = await preferences.resolve(task.tokenId, defaultProvider);
+            task = {
+                ...task,
+                imageProvider: preference.imageProvider,
+                providerOptions: preference.providerOptions,
+                promptExtras: preference.promptExtras,
+                negativePrompt: preference.negativePrompt,
+                providerChosen: preference.fromPreference,
+                preferencePending: false
+            };
+        } catch (err) {
+            console.error(`❌ Could not look up the provider preference for #${task.tokenId}:`, err);
+            return { success: false, taskId: task.selection?.taskId || task.taskId, error: err.message, ...classifyError(err) };
+        }
+    }
+
+    const { breed, buyer, promptExtras = '', negativePrompt = '' } = task;
+    const id = Number(task.tokenId);
+    const isRegeneration = !!task.isRegeneration;
+    const forceProcess = !!task.forceProcess || isRegeneration;
+    // Use the explicitly requested provider - never silently switch to another one
+    const providerToUse = task.imageProvider || defaultProvider;
+    let taskId = task.selection?.taskId || task.taskId;
+
+    if (state.processedTokens.has(id) && !forceProcess) {
+        console.log(`⏭️ Token #${id} already processed, skipping`);
+        if (taskId) {
+            await completeTask(taskId, { tokenURI: 'already-processed', skipped: true }).catch(err => {
+                console.warn(`⚠️ Could not complete skipped task ${taskId}: ${err.message}`);
+            });
+        }
+        return { success: true, skipped: true, taskId };
+    }
+
+    try {
+        taskId = taskId || await createTask(id, providerToUse, {
+            breed,
+            owner: buyer,
+            providerOptions: task.providerOptions || {},
+            timeout: 300000 // 5 minutes timeout
+        });
+        await updateTask(taskId, {
+            status: TASK_STATES.IN_PROGRESS,
+            progress: 5,
+            message: task.selection ? 'Pinning the selected candidate' :
+                isRegeneration ? 'Starting NFT regeneration' : 'Starting mint process',
+            // The task sat in AWAITING_SELECTION past its original timeout
+            ...(task.selection && { timeout_at: new Date(Date.now() + 300000).toISOString() })
+        });
+    } catch (err) {
+        console.error(`❌ Could not start task for #${id}:`, err);
+        return { success: false, taskId, error: err.message, ...classifyError(err) };
+    }
+
+    // Record every hash sent for this task, including gas-bumped replacements
+    const recordTx = label => (hash, { nonce, replaces, batched = false }) => {
+        console.log(`  • ${label} transaction sent: ${hash}${replaces ? ` (replaces ${replaces})` : ''}${batched ? ' (batched)' : ''}`);
+        return recordTaskTransaction(taskId, { label, hash, nonce, replaces, batched }).catch(err => {
+            console.warn(`⚠️ Could not record transaction ${hash} on task ${taskId}: ${err.message}`);
+        });
+    };
+
+    console.log(`⚙️ ${isRegeneration ? 'Regenerating' : 'Processing'} #${id} (${breed}) by ${buyer} using ${providerToUse} [task ${taskId}]`);
+
+    try {
+        const selectedCandidate = task.selection ? await loadSelectedCandidate(task.selection) : null;
+        if (!isRegeneration) await assertMintRequested(nft, task);
+
+        /* 1️⃣ Set placeholder URI if needed (not for regeneration, and already done before a selection) */
+        if (!isRegeneration && !selectedCandidate) {
+            await updateTask(taskId, {
+                progress: 20,
+                message: 'Setting placeholder image'
+            });
+
+            try {
+                const current = await nft.tokenURI(id).catch(() => '');
+                if (!current) {
+                    const placeholder = resolvePlaceholderUri(placeholderUri);
+                    await txManager.send(nft, 'setTokenURI', [id, placeholder], { onSent: recordTx('placeholder') });
+                    console.log(`  • Placeholder set for token #${id}: ${placeholder}`);
+                }
+            } catch (err) {
+                console.error(`  • Placeholder failed for token #${id}:`, err);
+                await updateTask(taskId, {
+                    progress: 25,
+                    message: `Warning: Placeholder set failed - ${err.message.substring(0, 100)}`
+                });
+            }
+        }
+
+        /* 2️⃣ Generate final art and metadata */
+        await updateTask(taskId, {
+            progress: 30,
+            message: isRegeneration ? `Regenerating artwork using ${providerToUse}` : `Generating artwork using ${providerToUse}`
+        });
+
+        // Every provider call finalizeMint makes (quality gate retries included) waits for
+        // a free slot in the provider's concurrency + RPM budget - a picked candidate makes none
+        const acquireProvider = provider => limiter.acquire(provider, {
+            onWait: waitTime => updateTask(taskId, {
+                progress: 30,
+                message: `${provider} rate limit reached, waiting ${Math.ceil(waitTime / 1000)} seconds`
+            }).catch(() => { })
+        });
+
+        const result = await finalizeMint({
+            breed,
+            tokenId: id,
+            imageProvider: providerToUse,
+            promptExtras,
+            negativePrompt,
+            providerOptions: task.providerOptions,
+            fallback: task.fallback,
+            providerChosen: task.providerChosen ?? !!task.imageProvider,
+            promptTemplate: task.promptTemplate,
+            isRegeneration,
+            candidates: task.candidates,
+            selectedCandidate,
+            taskId,
+            acquireProvider
+        });
+
+        if (result.awaitingSelection) {
+            return await awaitSelection(result);
+        }
+
+        if (result.fallback) {
+            console.warn(`🪂 #${id} generated with ${result.provider} instead of ${providerToUse}: ${result.fallback.reason}`);
+        }
+
+        /* 3️⃣ Write the final URI on-chain - unless the event was reorged out meanwhile */
+        if (!isRegeneration) await assertMintRequested(nft, task);
+        await updateTask(taskId, {
+            progress: 80,
+            message: result.fallback ?
+                `Setting token URI on blockchain (image by fallback provider ${result.provider})` :
+                'Setting token URI on blockchain',
+            metadata: result.metadata
+        });
+
+        const tokenURI = validateTokenUri(result.tokenURI, id);
+
+        // Bulk work: hand the URI to the batcher and let the caller move on
+        if (task.batchTokenUri && tokenUriBatcher) {
+            console.log(`📦 Queued setTokenURI for #${id} in the next batch: ${tokenURI}`);
+            await updateTask(taskId, { progress: 85, message: 'Waiting for batched token URI update' });
+            const confirmation = tokenUriBatcher.add(id, tokenURI, { onSent: recordTx('setTokenURI') })
+                .then(tx => finish(tx, tokenURI, result), txError => {
+                    const err = new Error(`Failed to set token URI: ${txError.message}`);
+                    err.code = txError.code;
+                    throw err;
+                })
+                .catch(fail);
+            return { success: true, batched: true, taskId, tokenURI, confirmation };
+        }
+
+        console.log(`🔗 Calling setTokenURI for #${id} on ${nft.target}: ${tokenURI}`);
+
+        let tx;
+        try {
+            tx = await txManager.send(nft, 'setTokenURI', [id, tokenURI], { onSent: recordTx('setTokenURI') });
+            console.log(`✅ setTokenURI confirmed in block: ${tx.receipt.blockNumber}`);
+        } catch (txError) {
+            const err = new Error(`Failed to set token URI: ${txError.message}`);
+            err.code = txError.code;
+            throw err;
+        }
+
+        return await finish(tx, tokenURI, result);
+    } catch (err) {
+        return fail(err);
+    }
+
+    /* Candidates ready - keep them unpinned until the owner picks one */
+    async function awaitSelection(result) {
+        const set = await getCandidateStore().save(createCandidateSet({
+            taskId,
+            tokenId: id,
+            owner: buyer,
+            // Everything the selection task needs to pin the pick like this task would have
+            request: {
+                tokenId: id,
+                breed,
+                buyer,
+                imageProvider: providerToUse,
+                promptExtras,
+                negativePrompt,
+                providerOptions: task.providerOptions,
+                fallback: task.fallback,
+                providerChosen: task.providerChosen ?? !!task.imageProvider,
+                promptTemplate: result.promptTemplate,
+                isRegeneration,
+                batchTokenUri: task.batchTokenUri
+            },
+            candidates: result.candidates
+        }));
+
+        await updateTask(taskId, {
+            status: TASK_STATES.AWAITING_SELECTION,
+            progress: 90,
+            message: `${set.candidates.length} candidates ready - pick one before ${set.expiresAt}`
+        });
+        console.log(`🗳️ #${id} is waiting for a selection between ${set.candidates.length} candidates until ${set.expiresAt}`);
+
+        return { success: true, awaitingSelection: true, taskId, candidates: set.candidates.length, expiresAt: set.expiresAt };
+    }
+
+    /* 4️⃣ Record the result */
+    async function finish(tx, tokenURI, result) {
+        console.log(`✅ ${isRegeneration ? 'Regenerated' : 'Finalized'} #${id} → ${tokenURI} using ${result.provider || providerToUse}`);
+
+        state.processedTokens.add(id);
+        if (persistState) await persistState();
+
+        if (task.selection) {
+            await getCandidateStore().markPinned(taskId, tokenURI).catch(err => {
+                console.warn(`⚠️ Could not mark candidates of task ${taskId} pinned: ${err.message}`);
+            });
+        }
+
+        await completeTask(taskId, {
+            tokenURI,
+            metadata: result.metadata,
+            provider: result.provider,
+            requestedProvider: result.requestedProvider,
+            fallback: result.fallback
+        });
+
+        return {
+            success: true,
+            taskId,
+            tokenURI,
+            transactionHash: tx.hash,
+            provider: result.provider,
+            requestedProvider: result.requestedProvider,
+            fallback: result.fallback,
+            model: result.model
+        };
+    }
+
+    async function fail(err) {
+        console.error(`❌ ${isRegeneration ? 'Regenerating' : 'Finalizing'} #${id} failed:`, err);
+        await failTask(taskId, err).catch(failErr => {
+            console.error(`  • Could not mark task ${taskId} failed:`, failErr.message);
+        });
+        return { success: false, taskId, error: err.message, ...classifyError(err) };
+    }
+}
@@ -0,0 +1,333 @@
+/**
+ * scripts/mintWorkerPool.js
+ * ───────────────────────────────────────────────────────────────
+ * Concurrent workers for the durable mint queue.
+ *
+ * - MintWorkerPool leases up to N jobs at once and runs them side by side
+ * - ProviderLimiter gives every image provider its own concurrency limit
+ *   and requests-per-minute budget, so a slow DALL-E backlog doesn't hold
+ *   up Stability or Hugging Face jobs
+ *
+ * The pool only leases a job when that job's provider has a free slot;
+ * jobs for a saturated provider stay in the queue for the next pump.
+ *
+ * Optional env:
+ *   MINT_WORKER_CONCURRENCY  (defaults to 3)
+ *   <PROVIDER>_CONCURRENCY   e.g. DALL_E_CONCURRENCY, STABILITY_CONCURRENCY
+ *   <PROVIDER>_RPM           e.g. DALL_E_RPM, HUGGINGFACE_RPM
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { mintJobQueue, DEFAULT_WORKER_ID } from './mintJobQueue.js';
+import { getSystemState } from './systemState.js';
+
+const RATE_WINDOW = 60000; // 1 minute in milliseconds
+
+/**
+ * Default per-provider limits. DALL-E-3 is limited to 5 images per minute.
+ */
+export const DEFAULT_PROVIDER_LIMITS = {
+    'dall-e': { concurrency: 2, rpm: 5 },
+    'stability': { concurrency: 3, rpm: 30 },
+    'huggingface': { concurrency: 2, rpm: 20 },
+    // Local rendering, no API quota
+    'procedural': { concurrency: 4, rpm: 600 }
+};
+
+// Used for providers without an explicit entry
+const FALLBACK_LIMIT = { concurrency: 1, rpm: 5 };
+
+/**
+ * system_state key the server publishes its pool snapshot under
+ */
+export const WORKER_STATUS_KEY = 'mintWorkers';
+
+/**
+ * Build the env variable prefix for a provider name
+ * @param {string} provider - Provider name (e.g. "dall-e")
+ * @returns {string} Env prefix (e.g. "DALL_E")
+ */
+function envPrefix(provider) {
+    return provider.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Read provider limits, letting env variables override the defaults
+ * @param {Object} env - Environment to read from
+ * @returns {Object} Map of provider name to { concurrency, rpm }
+ */
+export function loadProviderLimits(env = process.env) {
+    const limits = {};
+    for (const [provider, defaults] of Object.entries(DEFAULT_PROVIDER_LIMITS)) {
+        const prefix = envPrefix(provider);
+        limits[provider] = {
+            concurrency: parseInt(env[`${prefix}_CONCURRENCY`], 10) || defaults.concurrency,
+            rpm: parseInt(env[`${prefix}_RPM`], 10) || defaults.rpm
+        };
+    }
+    return limits;
+}
+
+/**
+ * Per-provider concurrency and requests-per-minute limiter
+ */
+export class ProviderLimiter {
+    /**
+     * @param {Object} limits - Map of provider name to { concurrency, rpm }
+     */
+    constructor(limits = loadProviderLimits()) {
+        this.limits = limits;
+        this.providers = new Map();
+    }
+
+    /**
+     * Get the limit for a provider
+     * @param {string} provider - Provider name
+     * @returns {Object} { concurrency, rpm }
+     */
+    limitFor(provider) {
+        return this.limits[provider] || FALLBACK_LIMIT;
+    }
+
+    stateFor(provider) {
+        if (!this.providers.has(provider)) {
+            this.providers.set(provider, { active: 0, waiters: [], requests: [] });
+        }
+        return this.providers.get(provider);
+    }
+
+    /**
+     * Wait for a free slot and request budget for a provider
+     * @param {string} provider - Provider name
+     * @param {Object} [options]
+     * @param {Function} [options.onWait] - Called with the wait in ms when the RPM budget is used up
+     * @returns {Promise<Function>} Release function - call it when the provider request is done
+     */
+    async acquire(provider, { onWait } = {}) {
+        const limit = this.limitFor(provider);
+        const state = this.stateFor(provider);
+
+        while (state.active >= limit.concurrency) {
+            await new Promise(resolve => state.waiters.push(resolve));
+        }
+        state.active++;
+
+        let released = false;
+        const release = () => {
+            if (released) return;
+            released = true;
+            state.active--;
+            const next = state.waiters.shift();
+            if (next) next();
+        };
+
+        try {
+            for (;;) {
+                const now = Date.now();
+                state.requests = state.requests.filter(time => now - time < RATE_WINDOW);
+                if (state.requests.length < limit.rpm) break;
+
+                const waitTime = RATE_WINDOW - (now - state.requests[0]) + 100; // Add 100ms buffer
+                console.log(`⏱️ ${provider} rate limit reached, waiting ${Math.ceil(waitTime / 1000)} seconds`);
+                if (onWait) await onWait(waitTime);
+                await sleep(waitTime);
+            }
+        } catch (err) {
+            release();
+            throw err;
+        }
+
+        state.requests.push(Date.now());
+        return release;
+    }
+
+    /**
+     * Current usage per provider
+     * @returns {Object} Map of provider name to usage
+     */
+    snapshot() {
+        const now = Date.now();
+        const names = new Set([...Object.keys(this.limits), ...this.providers.keys()]);
+        const result = {};
+        for (const provider of names) {
+            const limit = this.limitFor(provider);
+            const state = this.stateFor(provider);
+            result[provider] = {
+                active: state.active,
+                waiting: state.waiters.length,
+                concurrency: limit.concurrency,
+                rpm: limit.rpm,
+                requestsLastMinute: state.requests.filter(time => now - time < RATE_WINDOW).length
+            };
+        }
+        return result;
+    }
+}
+
+/**
+ * Runs leased mint jobs concurrently
+ */
+export class MintWorkerPool {
+    /**
+     * @param {Object} options
+     * @param {Function} options.handler - async (job) => void, must ack/retry the job itself
+     * @param {number} [options.concurrency] - Number of jobs to run at once
+     * @param {Function} [options.resolveProvider] - (job) => provider name used for limits
+     * @param {Object} [options.queue] - MintJobQueue instance
+     * @param {ProviderLimiter} [options.limiter] - Provider limiter
+     * @param {string} [options.workerId] - Lease owner id
+     */
+    constructor({
+        handler,
+        concurrency = parseInt(process.env.MINT_WORKER_CONCURRENCY, 10) || 3,
+        resolveProvider = job => job.payload?.imageProvider,
+        queue = mintJobQueue,
+        limiter = providerLimiter,
+        workerId = DEFAULT_WORKER_ID
+    }) {
+        this.handler = handler;
+        this.concurrency = Math.max(1, concurrency);
+        this.resolveProvider = resolveProvider;
+        this.queue = queue;
+        this.limiter = limiter;
+        this.workerId = workerId;
+
+        this.running = new Map();
+        this.pumping = null;
+        this.pumpAgain = false;
+        this.idleWaiters = [];
+        this.startedAt = Date.now();
+        this.busyMs = 0;
+        this.processed = 0;
+        this.errors = 0;
+    }
+
+    /**
+     * Number of jobs currently running for a provider
+     * @param {string} provider - Provider name
+     * @returns {number} Running job count
+     */
+    inFlight(provider) {
+        let count = 0;
+        for (const run of this.running.values()) {
+            if (run.provider === provider) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Check whether a job's provider has room for another job
+     * @param {Object} job - Queue job
+     * @returns {boolean} True if the job can start now
+     */
+    canAccept(job) {
+        const provider = this.resolveProvider(job);
+        return this.inFlight(provider) < this.limiter.limitFor(provider).concurrency;
+    }
+
+    /**
+     * Lease jobs until every worker is busy or nothing runnable is due
+     * @returns {Promise<void>}
+     */
+    async pump() {
+        if (this.pumping) {
+            this.pumpAgain = true;
+            return this.pumping;
+        }
+
+        this.pumping = (async () => {
+            try {
+                do {
+                    this.pumpAgain = false;
+                    while (this.running.size < this.concurrency) {
+                        const job = await this.queue.lease({
+                            workerId: this.workerId,
+                            accept: candidate => this.canAccept(candidate)
+                        });
+                        if (!job) break;
+                        this.run(job);
+                    }
+                } while (this.pumpAgain && this.running.size < this.concurrency);
+            } catch (err) {
+                console.error('❗ Error leasing mint jobs:', err.message);
+            }
+        })().finally(() => {
+            this.pumping = null;
+        });
+
+        return this.pumping;
+    }
+
+    run(job) {
+        const provider = this.resolveProvider(job);
+        const startedAt = Date.now();
+        this.running.set(job.id, { jobId: job.id, tokenId: job.tokenId, provider, startedAt });
+        console.log(`📤 Leased mint job ${job.id} for token #${job.tokenId} on ${provider} (attempt ${job.attempts}/${job.maxAttempts}, ${this.running.size}/${this.concurrency} workers busy)`);
+
+        Promise.resolve()
+            .then(() => this.handler(job))
+            .catch(err => {
+                this.errors++;
+                console.error(`❗ Worker crashed on job ${job.id}:`, err.message);
+            })
+            .finally(() => {
+                this.running.delete(job.id);
+                this.busyMs += Date.now() - startedAt;
+                this.processed++;
+                if (this.running.size === 0) {
+                    this.idleWaiters.splice(0).forEach(resolve => resolve());
+                }
+                this.pump();
+            });
+    }
+
+    /**
+     * Resolve once no jobs are running
+     * @returns {Promise<void>}
+     */
+    async idle() {
+        if (this.running.size === 0) return;
+        await new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Point-in-time view of the pool for metrics
+     * @returns {Object} Worker and provider usage
+     */
+    snapshot() {
+        const now = Date.now();
+        let busyMs = this.busyMs;
+        const jobs = [];
+        for (const run of this.running.values()) {
+            busyMs += now - run.startedAt;
+            jobs.push({ ...run, runningForMs: now - run.startedAt });
+        }
+        const capacityMs = (now - this.startedAt) * this.concurrency;
+
+        return {
+            workerId: this.workerId,
+            workers: this.concurrency,
+            busy: this.running.size,
+            utilization: Number((this.running.size / this.concurrency).toFixed(2)),
+            averageUtilization: capacityMs > 0 ? Number((busyMs / capacityMs).toFixed(2)) : 0,
+            processed: this.processed,
+            errors: this.errors,
+            jobs,
+            providers: this.limiter.snapshot(),
+            startedAt: new Date(this.startedAt).toISOString(),
+            updatedAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Publish the snapshot so /api/metrics can read it from another process
+     * @param {Object} [state] - System state store
+     * @returns {Promise<void>}
+     */
+    async publish(state = getSystemState()) {
+        await state.set(WORKER_STATUS_KEY, this.snapshot());
+    }
+}
+
+// Export singleton limiter shared by the pool and the mint task
+export const providerLimiter = new ProviderLimiter();
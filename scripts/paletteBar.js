@@ -0,0 +1,297 @@
+/**
+ * scripts/paletteBar.js
+ * ───────────────────────────────────────────────────────────────
+ * Finds and trims the palette bars AI providers like to add around a
+ * sprite - a row (or column) of colour swatches, or a flat strip - and
+ * re-centres what is left.
+ *
+ * Every edge is scanned inwards one line at a time on sharp's raw buffer:
+ *   uniform  - (almost) every pixel is the same colour
+ *   swatch   - 4+ solid runs of mostly distinct colours, e.g. "■ ■ ■ ■"
+ *   content  - anything else; scanning stops here
+ * Consecutive lines of the same kind form a band. An edge is cropped
+ * through its last swatch band (plus a thin separator after it), or
+ * through a flat strip whose colour stops along the whole line - so a
+ * plain sky above the cat's head is never mistaken for a strip.
+ *
+ * After cropping, the image is padded back to its original aspect ratio
+ * with the dominant border colour and scaled (nearest neighbour) to its
+ * original size, keeping the sprite centred.
+ */
+
+import sharp from 'sharp';
+
+export const PALETTE_BAR_DEFAULTS = {
+    // Max per-channel difference for two pixels to count as the same colour
+    tolerance: 24,
+    // Never crop more than this share of the image from one edge
+    maxEdgeFraction: 0.25,
+    // Bands thinner than this share of the image are ignored (noise, outlines)
+    minBandFraction: 0.015,
+    // Swatch lines need at least this many solid runs of distinct colours
+    minSwatches: 4,
+    // Never keep less than this share of either dimension
+    minKeepFraction: 0.6
+};
+
+const EDGES = ['top', 'bottom', 'left', 'right'];
+
+function colorDistance(a, b) {
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+}
+
+/**
+ * Read one line of pixels, counted from an edge
+ * @returns {number[][]} RGB triples in scan order
+ */
+function readLine(raw, edge, index) {
+    const { data, width, height, channels } = raw;
+    const horizontal = edge === 'top' || edge === 'bottom';
+    const fixed = edge === 'top' || edge === 'left' ? index :
+        (horizontal ? height : width) - 1 - index;
+    const length = horizontal ? width : height;
+
+    const pixels = new Array(length);
+    for (let i = 0; i < length; i++) {
+        const offset = horizontal ? (fixed * width + i) * channels : (i * width + fixed) * channels;
+        pixels[i] = [data[offset], data[offset + 1], data[offset + 2]];
+    }
+    return pixels;
+}
+
+/**
+ * Split a line into runs of similar colour
+ * @returns {Object[]} { start, length, color }
+ */
+function lineRuns(pixels, tolerance) {
+    const runs = [];
+    let run = null;
+    for (let i = 0; i < pixels.length; i++) {
+        if (run && colorDistance(pixels[i], run.color) <= tolerance) {
+            run.length++;
+        } else {
+            run = { start: i, length: 1, color: pixels[i] };
+            runs.push(run);
+        }
+    }
+    return runs;
+}
+
+/**
+ * Classify a line as uniform, swatch or content
+ * @returns {Object} { kind, color?, swatches? }
+ */
+function classifyLine(pixels, options) {
+    const { tolerance, minSwatches } = options;
+    const runs = lineRuns(pixels, tolerance);
+    const length = pixels.length;
+
+    // Uniform: the biggest run covers ~all of the line (a few stray pixels allowed)
+    const largest = runs.reduce((best, run) => (run.length > best.length ? run : best), runs[0]);
+    const matching = pixels.filter(pixel => colorDistance(pixel, largest.color) <= tolerance).length;
+    if (matching / length >= 0.97) {
+        return { kind: 'uniform', color: largest.color };
+    }
+
+    // Swatch: solid runs cover the line and, apart from the separator colour
+    // between them (the colour covering most of the line), they are mostly
+    // distinct and about the same size - unlike a line through the artwork
+    const minRun = Math.max(2, Math.floor(length / 48));
+    const solid = runs.filter(run => run.length >= minRun);
+    const covered = solid.reduce((sum, run) => sum + run.length, 0);
+    if (covered / length < 0.9) return { kind: 'content' };
+
+    const colors = [];
+    for (const run of solid) {
+        const entry = colors.find(color => colorDistance(color.color, run.color) <= tolerance);
+        if (entry) entry.total += run.length;
+        else colors.push({ color: run.color, total: run.length });
+    }
+    const separator = colors.reduce((best, color) => (color.total > best.total ? color : best)).color;
+    const swatches = solid.filter(run => colorDistance(run.color, separator) > tolerance);
+    const distinct = colors.filter(color => color.color !== separator);
+    if (distinct.length < minSwatches || distinct.length < swatches.length * 0.75) return { kind: 'content' };
+
+    const sizes = swatches.map(run => run.length).sort((a, b) => a - b);
+    const median = sizes[Math.floor(sizes.length / 2)];
+    if (sizes[0] < median * 0.66 || sizes[sizes.length - 1] > median * 1.5) return { kind: 'content' };
+
+    return { kind: 'swatch', swatches: distinct.length };
+}
+
+/**
+ * Whether a uniform band stops along the whole of the line after it
+ * @returns {boolean} True if at most a quarter of the next line shares the band's colour
+ */
+function endsAt(raw, edge, band, contentIndex, contentLine, options) {
+    const depth = band.start + band.size;
+    const after = depth === contentIndex ? contentLine : readLine(raw, edge, depth);
+    const carriesOn = after.filter(pixel => colorDistance(pixel, band.color) <= options.tolerance).length;
+    return carriesOn / after.length <= 0.25;
+}
+
+/**
+ * Scan one edge inwards and decide how much of it is palette bar
+ * @returns {Object} { depth, bands }
+ */
+function scanEdge(raw, edge, options) {
+    const horizontal = edge === 'top' || edge === 'bottom';
+    const size = horizontal ? raw.height : raw.width;
+    const maxDepth = Math.floor(size * options.maxEdgeFraction);
+    const minBand = Math.max(2, Math.round(size * options.minBandFraction));
+
+    const bands = [];
+    let index = 0;
+    let next = null;
+    for (; index <= maxDepth; index++) {
+        const pixels = readLine(raw, edge, index);
+        const line = classifyLine(pixels, options);
+        if (line.kind === 'content') {
+            next = pixels;
+            break;
+        }
+        const band = bands[bands.length - 1];
+        const sameBand = band && band.kind === line.kind &&
+            (line.kind === 'swatch' || colorDistance(band.color, line.color) <= options.tolerance);
+        if (sameBand) {
+            band.size++;
+        } else {
+            bands.push({ kind: line.kind, start: index, size: 1, color: line.color, swatches: line.swatches });
+        }
+    }
+
+    // The whole scan window is flat or bars - not a bar, that's the picture
+    if (!next) return { depth: 0, bands };
+
+    const lastSwatch = bands.map(band => band.kind === 'swatch' && band.size >= minBand).lastIndexOf(true);
+    if (lastSwatch !== -1) {
+        const swatch = bands[lastSwatch];
+        let depth = swatch.start + swatch.size;
+        // Take thin separator lines between the bar and the art with it, as long
+        // as each one stops dead (the next line isn't more of the same)
+        let separators = 0;
+        for (const band of bands.slice(lastSwatch + 1)) {
+            separators += band.size;
+            if (band.kind !== 'uniform' || separators > swatch.size || !endsAt(raw, edge, band, index, next, options)) break;
+            depth = band.start + band.size;
+        }
+        return { depth, bands };
+    }
+
+    // A flat strip only counts if it ends along the whole line - the art starts
+    // right there - rather than e.g. a sky that carries on around the sprite
+    for (let i = bands.length - 1; i >= 0; i--) {
+        const strip = bands[i];
+        if (strip.kind === 'uniform' && strip.size >= minBand && endsAt(raw, edge, strip, index, next, options)) {
+            return { depth: strip.start + strip.size, bands };
+        }
+    }
+
+    return { depth: 0, bands };
+}
+
+/**
+ * Detect palette bars and flat strips at the edges of a raw image
+ * @param {Buffer} data - Raw pixel data (sharp `.raw()` output)
+ * @param {Object} info - { width, height, channels }
+ * @param {Object} [options] - Overrides for PALETTE_BAR_DEFAULTS
+ * @returns {Object} { found, top, bottom, left, right, bands }
+ */
+export function detectPaletteBars(data, { width, height, channels }, options = {}) {
+    const settings = { ...PALETTE_BAR_DEFAULTS, ...options };
+    const raw = { data, width, height, channels };
+    const crop = { top: 0, bottom: 0, left: 0, right: 0 };
+    const bands = {};
+
+    for (const edge of EDGES) {
+        const scan = scanEdge(raw, edge, settings);
+        crop[edge] = scan.depth;
+        bands[edge] = scan.bands;
+    }
+
+    // Too much would go - something is off, leave the image alone
+    const keptWidth = width - crop.left - crop.right;
+    const keptHeight = height - crop.top - crop.bottom;
+    if (keptWidth < width * settings.minKeepFraction || keptHeight < height * settings.minKeepFraction) {
+        return { found: false, top: 0, bottom: 0, left: 0, right: 0, bands };
+    }
+
+    return { found: EDGES.some(edge => crop[edge] > 0), ...crop, bands };
+}
+
+/**
+ * Most common colour along the border of a raw image
+ * @returns {Object} { r, g, b }
+ */
+function borderColor(data, { width, height, channels }) {
+    const counts = new Map();
+    const add = (x, y) => {
+        const offset = (y * width + x) * channels;
+        // Bucket to 16 levels per channel so noise doesn't split the vote
+        const key = `${data[offset] >> 4},${data[offset + 1] >> 4},${data[offset + 2] >> 4}`;
+        const entry = counts.get(key) || { count: 0, r: data[offset], g: data[offset + 1], b: data[offset + 2] };
+        entry.count++;
+        counts.set(key, entry);
+    };
+    for (let x = 0; x < width; x++) {
+        add(x, 0);
+        add(x, height - 1);
+    }
+    for (let y = 1; y < height - 1; y++) {
+        add(0, y);
+        add(width - 1, y);
+    }
+    const { r, g, b } = [...counts.values()].reduce((best, entry) => (entry.count > best.count ? entry : best));
+    return { r, g, b };
+}
+
+/**
+ * Trim palette bars from an image and re-centre it at its original size
+ * @param {Buffer|string} input - PNG buffer or file path
+ * @param {Object} [options] - Overrides for PALETTE_BAR_DEFAULTS
+ * @returns {Promise<Object>} { cropped, buffer, crop: { top, bottom, left, right }, width, height }
+ */
+export async function trimPaletteBars(input, options = {}) {
+    const { data, info } = await sharp(input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const detection = detectPaletteBars(data, info, options);
+    const crop = { top: detection.top, bottom: detection.bottom, left: detection.left, right: detection.right };
+
+    if (!detection.found) {
+        return { cropped: false, buffer: await sharp(input).png().toBuffer(), crop, width, height };
+    }
+
+    const region = {
+        left: crop.left,
+        top: crop.top,
+        width: width - crop.left - crop.right,
+        height: height - crop.top - crop.bottom
+    };
+    const extracted = await sharp(data, { raw: info }).extract(region).raw().toBuffer({ resolveWithObject: true });
+    const background = borderColor(extracted.data, extracted.info);
+
+    // Pad the shorter side evenly so the art stays centred, then scale back up
+    const scale = Math.max(region.width / width, region.height / height);
+    const paddedWidth = Math.round(width * scale);
+    const paddedHeight = Math.round(height * scale);
+    const padX = paddedWidth - region.width;
+    const padY = paddedHeight - region.height;
+
+    // sharp always extends after resizing, so these are two passes
+    const padded = await sharp(extracted.data, { raw: extracted.info })
+        .extend({
+            left: Math.floor(padX / 2),
+            right: Math.ceil(padX / 2),
+            top: Math.floor(padY / 2),
+            bottom: Math.ceil(padY / 2),
+            background
+        })
+        .png()
+        .toBuffer();
+    const buffer = await sharp(padded)
+        .resize(width, height, { kernel: 'nearest' })
+        .png()
+        .toBuffer();
+
+    return { cropped: true, buffer, crop, width, height };
+}
@@ -0,0 +1,615 @@
+/**
+ * scripts/pinHealth.js
+ * ───────────────────────────────────────────────────────────────
+ * Pin health monitor: checks that every token's metadata and the assets it
+ * points at (image, native sprite, animation_url) are still retrievable,
+ * and re-pins whatever has gone missing.
+ *
+ * For each token the tokenURI and the URIs inside its metadata are resolved
+ * to a CID + path and fetched through every configured gateway:
+ * - available  → every gateway served it
+ * - degraded   → some gateways did
+ * - missing    → none did. If a copy with the same CID is in the local
+ *                archive (CAR_EXPORT_DIR / LOCAL_IPFS_DIR CARs, the
+ *                local-ipfs tree, public/images or the token's asset
+ *                archive), it is pinned again through
+ *                PIN_HEALTH_REPIN_BACKENDS → repinned
+ * URIs that aren't IPFS (e.g. the local backend's BASE_URL/images/…) are
+ * only checked at their own URL. A token takes its worst asset's status
+ * (healthy / degraded / repinned / missing).
+ *
+ * Results are kept per token and summarised in /api/health/detailed.
+ * The server runs a pass every PIN_HEALTH_INTERVAL_MS; it can also be run
+ * by hand:
+ *   node scripts/pinHealth.js --limit 100
+ *   node scripts/pinHealth.js --token 7 --token 12 --no-repin
+ *
+ * Backends:
+ * - Supabase `pin_health` table
+ * - Local JSON file stand-in when Supabase isn't configured
+ *
+ * Optional env:
+ *   PIN_HEALTH_GATEWAYS        (comma-separated, defaults to IPFS_GATEWAYS - see public/js/ipfsGateways.js)
+ *   PIN_HEALTH_TIMEOUT_MS      (per gateway request, defaults to 15000)
+ *   PIN_HEALTH_INTERVAL_MS     (defaults to 21600000 – 6 hours, 0 = off)
+ *   PIN_HEALTH_REPIN           ("on" or "off", defaults to "on")
+ *   PIN_HEALTH_REPIN_BACKENDS  (defaults to "pinata,w3up" – see storageBackends.js)
+ *   PIN_HEALTH_FILE            (defaults to "./pin-health.json")
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { URL } from 'url';
+import { createClient } from '@supabase/supabase-js';
+import { connectBackfillContract } from './mintBackfill.js';
+import { computeCid, extractFile } from './unixfs.js';
+import { getStorageBackends, storeBytes } from './storageBackends.js';
+import { getAssetArchive } from './assetArchive.js';
+import { loadGatewayOptions, parseIpfsUri } from '../public/js/ipfsGateways.js';
+
+// Best to worst - a token takes the status matching its worst asset's
+const ASSET_STATUSES = ['available', 'degraded', 'repinned', 'missing'];
+const TOKEN_STATUSES = ['healthy', 'degraded', 'repinned', 'missing'];
+
+// Tokens listed by name in the health summary
+const SUMMARY_ATTENTION_LIMIT = 20;
+
+/**
+ * Read pin health settings from env
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} { gateways, timeoutMs, intervalMs, repin, repinBackends, archiveDirs, baseUrl }
+ * @throws {Error} If a setting is invalid
+ */
+export function loadPinHealthOptions(env = process.env) {
+    let gateways;
+    try {
+        ({ gateways } = loadGatewayOptions({ IPFS_GATEWAYS: env.PIN_HEALTH_GATEWAYS || env.IPFS_GATEWAYS }));
+    } catch {
+        throw new Error(`${env.PIN_HEALTH_GATEWAYS ? 'PIN_HEALTH_GATEWAYS' : 'IPFS_GATEWAYS'} must list gateway URLs like "https://ipfs.io/ipfs/"`);
+    }
+
+    const timeoutMs = env.PIN_HEALTH_TIMEOUT_MS ? Number(env.PIN_HEALTH_TIMEOUT_MS) : 15000;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+        throw new Error('PIN_HEALTH_TIMEOUT_MS must be a positive number of milliseconds');
+    }
+
+    const intervalMs = env.PIN_HEALTH_INTERVAL_MS !== undefined && env.PIN_HEALTH_INTERVAL_MS !== ''
+        ? Number(env.PIN_HEALTH_INTERVAL_MS)
+        : 6 * 60 * 60 * 1000;
+    if (!Number.isInteger(intervalMs) || intervalMs < 0) {
+        throw new Error('PIN_HEALTH_INTERVAL_MS must be a number of milliseconds (0 = off)');
+    }
+
+    const repin = String(env.PIN_HEALTH_REPIN || 'on').toLowerCase();
+    if (repin !== 'on' && repin !== 'off') {
+        throw new Error(`PIN_HEALTH_REPIN must be "on" or "off", got "${env.PIN_HEALTH_REPIN}"`);
+    }
+
+    return {
+        gateways,
+        timeoutMs,
+        intervalMs,
+        repin: repin === 'on',
+        repinBackends: env.PIN_HEALTH_REPIN_BACKENDS || 'pinata,w3up',
+        archiveDirs: {
+            cars: [env.CAR_EXPORT_DIR, env.LOCAL_IPFS_DIR || path.join(process.cwd(), 'local-ipfs')].filter(Boolean),
+            localIpfs: env.LOCAL_IPFS_DIR || path.join(process.cwd(), 'local-ipfs'),
+            images: path.join(process.cwd(), 'public', 'images')
+        },
+        baseUrl: env.BASE_URL || 'http://localhost:5000'
+    };
+}
+
+/**
+ * Where an asset URI can be fetched from
+ * @returns {Object} { cid, path, urls: { gateway, url }[] }
+ */
+function assetSources(uri, options) {
+    const ipfs = parseIpfsUri(uri);
+    let local = false;
+    try {
+        local = new URL(uri).origin === new URL(options.baseUrl).origin;
+    } catch {
+        // ipfs:// or not a URL at all
+    }
+
+    // The local-ipfs stand-in only exists on this server, so public gateways are no test for it
+    if (!ipfs || local) {
+        return { cid: null, path: null, urls: [{ gateway: 'origin', url: uri }] };
+    }
+    return {
+        ...ipfs,
+        urls: options.gateways.map(gateway => ({ gateway, url: `${gateway}${ipfs.cid}${ipfs.path}` }))
+    };
+}
+
+/**
+ * Fetch one URL with a timeout
+ * @returns {Promise<Object>} { ok, status, ms, error, body }
+ */
+async function probe(url, { timeoutMs, readBody }) {
+    const startedAt = Date.now();
+    try {
+        const res = await fetch(url, { method: readBody ? 'GET' : 'HEAD', signal: AbortSignal.timeout(timeoutMs) });
+        const body = readBody && res.ok ? Buffer.from(await res.arrayBuffer()) : null;
+        return { ok: res.ok, status: res.status, ms: Date.now() - startedAt, error: null, body };
+    } catch (error) {
+        const message = error.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : error.message;
+        return { ok: false, status: null, ms: Date.now() - startedAt, error: message, body: null };
+    }
+}
+
+/**
+ * Look for a copy of a CID in the local archive
+ * @param {string} cid - Directory CID
+ * @param {string} filename - File name inside it ("" if unknown)
+ * @param {Object} dirs - archiveDirs from loadPinHealthOptions()
+ * @param {Object} [assets] - Also search this token's asset archive (scripts/assetArchive.js)
+ * @param {number} [assets.tokenId] - Token the CID belongs to
+ * @param {Object} [assets.archive] - AssetArchive instance
+ * @returns {Promise<Object|null>} { bytes, filename, source }, or null if there is no copy
+ */
+export async function findArchivedCopy(cid, filename, dirs, { tokenId = null, archive = null } = {}) {
+    // CARs first - they carry the filename and every block is checked against its CID
+    for (const dir of dirs.cars) {
+        const carPath = path.join(dir, `${cid}.car`);
+        try {
+            const file = extractFile(await fs.readFile(carPath));
+            if (file.cid === cid) return { bytes: file.bytes, filename: file.filename, source: carPath };
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`⚠️ Ignoring archived ${carPath}: ${error.message}`);
+        }
+    }
+
+    if (!filename) return null;
+    const copies = [path.join(dirs.localIpfs, cid, filename), path.join(dirs.images, `${cid}-${filename}`)];
+    for (const copy of copies) {
+        try {
+            const bytes = await fs.readFile(copy);
+            if (computeCid(bytes, filename) === cid) return { bytes, filename, source: copy };
+            console.warn(`⚠️ Ignoring ${copy}: its contents no longer match ${cid}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.warn(`⚠️ Could not read ${copy}: ${error.message}`);
+        }
+    }
+
+    // The asset archive keeps each generation's files under the names they were pinned with
+    if (archive && tokenId !== null) {
+        try {
+            const generations = (await archive.generations(tokenId)).reverse();
+            for (const { generation, files } of generations) {
+                if (!files.some(file => file.name === filename)) continue;
+                const { bytes } = await archive.file(tokenId, generation, filename);
+                if (computeCid(bytes, filename) === cid) {
+                    return { bytes, filename, source: `asset archive #${tokenId} generation ${generation}` };
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not search the asset archive of #${tokenId}: ${error.message}`);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check one asset across the gateways and re-pin it from the archive if it's gone
+ * @param {string} role - metadata, image, sprite or animation
+ * @param {string} uri - Asset URI
+ * @param {Object} context - { options, backends, previous (earlier asset record), assets ({ tokenId, archive }) }
+ * @returns {Promise<Object>} { asset (record), body (Buffer, if asked for and found) }
+ */
+async function checkAsset(role, uri, { options, backends, previous, assets, readBody = false }) {
+    const sources = assetSources(uri, options);
+    const probes = await Promise.all(sources.urls.map(source => probe(source.url, { timeoutMs: options.timeoutMs, readBody })));
+    const available = probes.filter(result => result.ok).length;
+
+    const asset = {
+        role,
+        uri,
+        cid: sources.cid,
+        path: sources.path,
+        status: available === probes.length ? 'available' : available > 0 ? 'degraded' : 'missing',
+        available,
+        total: probes.length,
+        gateways: sources.urls.map((source, i) => ({
+            gateway: source.gateway,
+            ok: probes[i].ok,
+            status: probes[i].status,
+            ms: probes[i].ms,
+            error: probes[i].error
+        })),
+        repin: null,
+        error: null
+    };
+    let body = probes.find(result => result.body)?.body || null;
+    if (asset.status !== 'missing' || !asset.cid) return { asset, body };
+
+    const archived = await findArchivedCopy(asset.cid, asset.path.replace(/^\//, ''), options.archiveDirs, assets);
+    if (!archived) {
+        asset.error = 'Not retrievable and no archived copy to re-pin from';
+        return { asset, body };
+    }
+    body = archived.bytes;
+    if (!options.repin) {
+        asset.error = `Not retrievable - archived copy at ${archived.source}, re-pinning is off`;
+        return { asset, body };
+    }
+
+    // Prefer a different backend than the one that lost it last time
+    const lastBackend = previous?.cid === asset.cid ? previous.repin?.backend : null;
+    const order = [...backends.filter(backend => backend.name !== lastBackend), ...backends.filter(backend => backend.name === lastBackend)];
+    try {
+        const stored = await storeBytes(archived.bytes, archived.filename, { name: `repin-${asset.cid}`, backends: order, carDir: null });
+        asset.status = 'repinned';
+        asset.repin = { backend: stored.backend, url: stored.url, source: archived.source, at: new Date().toISOString() };
+        console.log(`📌 Re-pinned ${role} ${asset.cid} on ${stored.backend} from ${archived.source}`);
+    } catch (error) {
+        asset.error = `Re-pin failed: ${error.message}`;
+    }
+    return { asset, body };
+}
+
+/**
+ * Check a token's metadata and every asset it references
+ * @param {number} tokenId - Token ID
+ * @param {string} tokenURI - Current on-chain token URI
+ * @param {Object} [context]
+ * @param {Object} [context.options] - From loadPinHealthOptions()
+ * @param {Object[]} [context.backends] - Re-pin backends (defaults to PIN_HEALTH_REPIN_BACKENDS)
+ * @param {Object} [context.previous] - The token's last record, to rotate re-pin backends
+ * @param {Object} [context.archive] - Asset archive to re-pin from (defaults to getAssetArchive())
+ * @returns {Promise<Object>} Pin health record { tokenId, tokenURI, status, checkedAt, assets, error }
+ */
+export async function checkTokenPins(tokenId, tokenURI, {
+    options = loadPinHealthOptions(),
+    backends = getStorageBackends({ STORAGE_BACKENDS: options.repinBackends }),
+    previous = null,
+    archive = getAssetArchive()
+} = {}) {
+    const record = { tokenId: Number(tokenId), tokenURI, status: 'healthy', checkedAt: new Date().toISOString(), assets: [], error: null };
+    const previousAsset = uri => previous?.assets?.find(asset => asset.uri === uri) || null;
+    const assets = { tokenId: record.tokenId, archive };
+
+    const metadataCheck = await checkAsset('metadata', tokenURI, { options, backends, previous: previousAsset(tokenURI), assets, readBody: true });
+    record.assets.push(metadataCheck.asset);
+
+    let metadata = null;
+    try {
+        metadata = metadataCheck.body ? JSON.parse(metadataCheck.body.toString('utf8')) : null;
+    } catch (error) {
+        record.error = `Metadata is not JSON: ${error.message}`;
+    }
+
+    if (metadata) {
+        const references = [
+            ['image', metadata.image],
+            ['sprite', metadata.properties?.sprite?.image],
+            ['animation', metadata.animation_url]
+        ].filter(([, uri]) => typeof uri === 'string' && uri);
+        for (const [role, uri] of references) {
+            const { asset } = await checkAsset(role, uri, { options, backends, previous: previousAsset(uri), assets });
+            record.assets.push(asset);
+        }
+    } else if (!record.error) {
+        record.error = 'Metadata could not be read, so its image was not checked';
+    }
+
+    const worst = Math.max(...record.assets.map(asset => ASSET_STATUSES.indexOf(asset.status)));
+    record.status = TOKEN_STATUSES[worst];
+    return record;
+}
+
+/**
+ * Token IDs to check, from totalSupply() / tokenByIndex()
+ * @param {Object} nft - Contract (BACKFILL_ABI)
+ * @param {number} [limit] - Max tokens
+ * @returns {Promise<number[]>} Token IDs
+ */
+export async function enumerateTokens(nft, limit = Infinity) {
+    const totalSupply = Number(await nft.totalSupply());
+    const count = Math.min(totalSupply, limit);
+    const tokenIds = [];
+    for (let i = 0; i < count; i++) {
+        tokenIds.push(Number(await nft.tokenByIndex(i)));
+    }
+    return tokenIds;
+}
+
+/**
+ * Check every token (or the ones given) and store the results
+ * @param {Object} params
+ * @param {Object} params.nft - Contract (BACKFILL_ABI)
+ * @param {number[]} [params.tokenIds] - Tokens to check (defaults to all of them)
+ * @param {number} [params.limit] - Max tokens when enumerating
+ * @param {boolean} [params.repin] - Override PIN_HEALTH_REPIN
+ * @param {Object} [params.store] - Result store (defaults to getPinHealthStore())
+ * @param {Object} [params.options] - From loadPinHealthOptions()
+ * @param {Object[]} [params.backends] - Re-pin backends
+ * @returns {Promise<Object>} { checked, byStatus, skipped, records }
+ */
+export async function runPinHealthCheck({
+    nft,
+    tokenIds,
+    limit,
+    repin,
+    store = getPinHealthStore(),
+    options = loadPinHealthOptions(),
+    backends
+}) {
+    const runOptions = repin === undefined ? options : { ...options, repin };
+    const runBackends = backends || getStorageBackends({ STORAGE_BACKENDS: runOptions.repinBackends });
+    const ids = tokenIds || await enumerateTokens(nft, limit);
+    console.log(`🩺 Checking pins for ${ids.length} token(s) across ${runOptions.gateways.length} gateway(s)...`);
+
+    const report = { checked: 0, byStatus: { healthy: 0, degraded: 0, repinned: 0, missing: 0 }, skipped: [], records: [] };
+    for (const tokenId of ids) {
+        // Nonexistent / unset tokens revert - nothing is pinned for them yet
+        const tokenURI = await nft.tokenURI(tokenId).catch(() => '');
+        if (!tokenURI) {
+            report.skipped.push(tokenId);
+            continue;
+        }
+
+        const previous = await store.get(tokenId).catch(() => null);
+        const record = await checkTokenPins(tokenId, tokenURI, { options: runOptions, backends: runBackends, previous });
+        await store.save(record);
+
+        report.checked++;
+        report.byStatus[record.status]++;
+        report.records.push(record);
+        if (record.status !== 'healthy') {
+            const problems = record.assets.filter(asset => asset.status !== 'available').map(asset => `${asset.role} ${asset.status}`);
+            console.log(`  • #${tokenId} ${record.status}: ${problems.join(', ') || record.error}`);
+        }
+    }
+
+    const { healthy, degraded, repinned, missing } = report.byStatus;
+    console.log(`🩺 Pin health: ${healthy} healthy, ${degraded} degraded, ${repinned} re-pinned, ${missing} missing`);
+    return report;
+}
+
+/**
+ * Summary of stored records for /api/health/detailed
+ * @param {Object[]} records - Pin health records
+ * @returns {Object} { status, tokens, byStatus, lastCheckedAt, attention }
+ */
+export function summarizePinHealth(records) {
+    const byStatus = { healthy: 0, degraded: 0, repinned: 0, missing: 0 };
+    let lastCheckedAt = null;
+    for (const record of records) {
+        byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+        if (!lastCheckedAt || record.checkedAt > lastCheckedAt) lastCheckedAt = record.checkedAt;
+    }
+
+    const attention = records
+        .filter(record => record.status !== 'healthy' || record.error)
+        .sort((a, b) => TOKEN_STATUSES.indexOf(b.status) - TOKEN_STATUSES.indexOf(a.status) || a.tokenId - b.tokenId)
+        .slice(0, SUMMARY_ATTENTION_LIMIT)
+        .map(record => ({
+            tokenId: record.tokenId,
+            status: record.status,
+            checkedAt: record.checkedAt,
+            error: record.error,
+            assets: record.assets
+                .filter(asset => asset.status !== 'available')
+                .map(({ role, uri, status, available, total, repin, error }) => ({ role, uri, status, available, total, repin, error }))
+        }));
+
+    return {
+        status: records.length === 0 ? 'unknown' : byStatus.missing > 0 ? 'unhealthy' : byStatus.degraded > 0 ? 'degraded' : 'healthy',
+        tokens: records.length,
+        byStatus,
+        lastCheckedAt,
+        attention
+    };
+}
+
+/* ─── Supabase store ─────────────────────────────────────────── */
+
+/**
+ * Map a record to a pin_health row
+ */
+function recordToRow(record) {
+    return {
+        token_id: String(record.tokenId),
+        token_uri: record.tokenURI,
+        status: record.status,
+        checked_at: record.checkedAt,
+        assets: record.assets,
+        error: record.error
+    };
+}
+
+/**
+ * Map a pin_health row back to a record
+ */
+function rowToRecord(row) {
+    return {
+        tokenId: Number(row.token_id),
+        tokenURI: row.token_uri,
+        status: row.status,
+        checkedAt: row.checked_at,
+        assets: row.assets || [],
+        error: row.error
+    };
+}
+
+/**
+ * Pin health records in the Supabase `pin_health` table, one row per token
+ */
+export class SupabasePinHealthStore {
+    constructor(client) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    /**
+     * Save a token's latest record
+     * @param {Object} record - Pin health record
+     * @returns {Promise<Object>} The record
+     */
+    async save(record) {
+        const { error } = await this.supabase
+            .from('pin_health')
+            .upsert(recordToRow(record), { onConflict: 'token_id' });
+
+        if (error) {
+            if (error.code === '42P01') {
+                console.log('⚠️ pin_health table does not exist - see SUPABASE_SETUP.md');
+            }
+            throw error;
+        }
+        return record;
+    }
+
+    /**
+     * Latest record for a token
+     * @param {string|number} tokenId - Token ID
+     * @returns {Promise<Object|null>} Record, or null if it was never checked
+     */
+    async get(tokenId) {
+        const { data, error } = await this.supabase
+            .from('pin_health')
+            .select('*')
+            .eq('token_id', String(tokenId))
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? rowToRecord(data) : null;
+    }
+
+    /**
+     * Summary of every token's latest record
+     * @returns {Promise<Object>} See summarizePinHealth()
+     */
+    async summary() {
+        const { data, error } = await this.supabase
+            .from('pin_health')
+            .select('*');
+
+        if (error) throw error;
+        return summarizePinHealth((data || []).map(rowToRecord));
+    }
+}
+
+/* ─── Local JSON file store ──────────────────────────────────── */
+
+/**
+ * Pin health records in a JSON file on disk
+ */
+export class FilePinHealthStore {
+    /**
+     * @param {string} filePath - Path to the records file
+     */
+    constructor(filePath = process.env.PIN_HEALTH_FILE || path.join(process.cwd(), 'pin-health.json')) {
+        this.filePath = filePath;
+        this.lock = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8')).tokens || {};
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read ${this.filePath}: ${err.message}`);
+            }
+            return {};
+        }
+    }
+
+    /**
+     * Save a token's latest record
+     * @param {Object} record - Pin health record
+     * @returns {Promise<Object>} The record
+     */
+    async save(record) {
+        const run = this.lock.then(async () => {
+            const tokens = await this.readAll();
+            tokens[record.tokenId] = record;
+
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify({ tokens }, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+            return record;
+        });
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Latest record for a token
+     * @param {string|number} tokenId - Token ID
+     * @returns {Promise<Object|null>} Record, or null if it was never checked
+     */
+    async get(tokenId) {
+        return (await this.readAll())[Number(tokenId)] || null;
+    }
+
+    /**
+     * Summary of every token's latest record
+     * @returns {Promise<Object>} See summarizePinHealth()
+     */
+    async summary() {
+        return summarizePinHealth(Object.values(await this.readAll()));
+    }
+}
+
+let defaultStore = null;
+
+/**
+ * Return the shared pin health store for this environment
+ * @returns {SupabasePinHealthStore|FilePinHealthStore} Record store
+ */
+export function getPinHealthStore() {
+    if (!defaultStore) {
+        defaultStore = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+            ? new SupabasePinHealthStore()
+            : new FilePinHealthStore();
+    }
+    return defaultStore;
+}
+
+/* ───── CLI ─────────────────────────────────────────────────── */
+
+/**
+ * Parse CLI flags
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Run options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--token') options.tokenIds = [...(options.tokenIds || []), parseInt(argv[++i], 10)];
+        else if (arg === '--limit') options.limit = parseInt(argv[++i], 10);
+        else if (arg === '--no-repin') options.repin = false;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+async function main() {
+    await import('dotenv/config');
+    const { RPC_URL, CONTRACT_ADDRESS } = process.env;
+    if (!RPC_URL || !CONTRACT_ADDRESS) {
+        throw new Error('RPC_URL and CONTRACT_ADDRESS are required');
+    }
+
+    const { provider, nft } = connectBackfillContract({ rpcUrl: RPC_URL, contractAddress: CONTRACT_ADDRESS });
+    await runPinHealthCheck({ nft, ...parseArgs(process.argv.slice(2)) });
+    provider.destroy();
+}
+
+if (process.argv[1] && process.argv[1].endsWith('pinHealth.js')) {
+    main().catch(error => {
+        console.error('❌ Pin health check failed:', error.message);
+        process.exit(1);
+    });
+}
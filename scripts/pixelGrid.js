@@ -0,0 +1,251 @@
+/**
+ * scripts/pixelGrid.js
+ * ───────────────────────────────────────────────────────────────
+ * Turns a big, fuzzy "pixel art" image from an AI provider into a true
+ * sprite: estimate the size of the art's pixels, sample one colour per
+ * grid cell and keep that native-resolution sprite, plus an integer-scaled
+ * copy for display.
+ *
+ * Grid estimation looks at where the colour changes sharply along every
+ * row and column. On real pixel art those edges sit on multiples of the
+ * pixel size (give or take a pixel of AI blur); for each candidate size
+ * and offset we score how many edges land on the grid, corrected for
+ * chance, and keep the largest size that scores close to the best.
+ * When no grid stands out the image is sampled down to SPRITE_SIZE.
+ * Given a master palette, the native sprite is remapped to it
+ * (scripts/spritePalette.js) before the display copy is made.
+ *
+ * Optional env:
+ *   SPRITE_SIZE          (defaults to 32 – target when no grid is found)
+ *   SPRITE_DISPLAY_SIZE  (defaults to 512 – display PNG is the largest integer scale that fits)
+ */
+
+import sharp from 'sharp';
+import { remapToPalette } from './spritePalette.js';
+
+const EDGE_THRESHOLD = 32; // Max per-channel difference that counts as an edge
+const MIN_CONFIDENCE = 0.5; // Grid score needed to trust an estimate
+const NEAR_BEST = 0.85; // Larger sizes win if they score this close to the best
+const MIN_NATIVE = 8; // Smallest sprite we'll accept from a detected grid
+const MAX_NATIVE = 256; // Largest sprite we'll accept from a detected grid
+
+/**
+ * Read sprite settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { spriteSize, displaySize }
+ */
+export function loadSpriteOptions(env = process.env) {
+    return {
+        spriteSize: parseInt(env.SPRITE_SIZE, 10) || 32,
+        displaySize: parseInt(env.SPRITE_DISPLAY_SIZE, 10) || 512
+    };
+}
+
+/**
+ * Count sharp colour changes between neighbouring pixels, per position
+ * @returns {Float64Array} edges[i] = edges between pixel i-1 and i along the axis
+ */
+function edgeProfile(data, { width, height, channels }, axis) {
+    const length = axis === 'x' ? width : height;
+    const profile = new Float64Array(length);
+    const step = axis === 'x' ? channels : width * channels;
+
+    for (let y = axis === 'x' ? 0 : 1; y < height; y++) {
+        for (let x = axis === 'x' ? 1 : 0; x < width; x++) {
+            const offset = (y * width + x) * channels;
+            const previous = offset - step;
+            const diff = Math.max(
+                Math.abs(data[offset] - data[previous]),
+                Math.abs(data[offset + 1] - data[previous + 1]),
+                Math.abs(data[offset + 2] - data[previous + 2])
+            );
+            if (diff > EDGE_THRESHOLD) profile[axis === 'x' ? x : y]++;
+        }
+    }
+    return profile;
+}
+
+/**
+ * Best grid along one axis
+ * @returns {Object|null} { size, offset, confidence } or null if no grid stands out
+ */
+function estimateAxis(profile) {
+    const length = profile.length;
+    const total = profile.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return null;
+
+    const maxSize = Math.floor(length / MIN_NATIVE);
+    const candidates = [];
+    for (let size = 2; size <= maxSize; size++) {
+        // Fold the profile onto one cell, then slide a window over the offsets
+        const folded = new Float64Array(size);
+        for (let i = 0; i < length; i++) folded[i % size] += profile[i];
+
+        // Allow a pixel of blur either side of the grid line on bigger cells
+        const window = size >= 8 ? 1 : 0;
+        const chance = (2 * window + 1) / size;
+        let best = { hits: -1, offset: 0 };
+        for (let offset = 0; offset < size; offset++) {
+            let hits = 0;
+            for (let d = -window; d <= window; d++) hits += folded[(offset + d + size) % size];
+            if (hits > best.hits) best = { hits, offset };
+        }
+        const score = (best.hits / total - chance) / (1 - chance);
+        candidates.push({ size, offset: best.offset, confidence: score });
+    }
+
+    const top = Math.max(...candidates.map(candidate => candidate.confidence));
+    if (top < MIN_CONFIDENCE) return null;
+
+    // Multiples of the real size score just as well, so take the largest near the top
+    const chosen = candidates.filter(candidate => candidate.confidence >= top * NEAR_BEST).pop();
+    return chosen;
+}
+
+/**
+ * Estimate the effective pixel size of pixel art
+ * @param {Buffer} data - Raw pixel data (sharp `.raw()` output)
+ * @param {Object} info - { width, height, channels }
+ * @returns {Object|null} { pixelSize, offsetX, offsetY, confidence } or null if there is no clear grid
+ */
+export function estimatePixelGrid(data, info) {
+    const x = estimateAxis(edgeProfile(data, info, 'x'));
+    const y = estimateAxis(edgeProfile(data, info, 'y'));
+    if (!x && !y) return null;
+
+    // Pixel art has square pixels - if the axes disagree, trust the clearer one
+    let pixelSize;
+    if (x && y && Math.abs(x.size - y.size) <= 1) {
+        pixelSize = (x.size + y.size) / 2;
+    } else {
+        pixelSize = (!y || (x && x.confidence >= y.confidence) ? x : y).size;
+    }
+
+    const nativeWidth = Math.round(info.width / pixelSize);
+    const nativeHeight = Math.round(info.height / pixelSize);
+    if (Math.min(nativeWidth, nativeHeight) < MIN_NATIVE || Math.max(nativeWidth, nativeHeight) > MAX_NATIVE) {
+        return null;
+    }
+
+    return {
+        pixelSize,
+        offsetX: x && Math.abs(x.size - pixelSize) <= 1 ? x.offset : 0,
+        offsetY: y && Math.abs(y.size - pixelSize) <= 1 ? y.offset : 0,
+        confidence: Math.min(x?.confidence ?? y.confidence, y?.confidence ?? x.confidence)
+    };
+}
+
+/**
+ * Sample one colour per grid cell - the most common colour in the middle of
+ * the cell, so blurred cell borders don't leak in
+ * @param {Buffer} data - Raw pixel data
+ * @param {Object} info - { width, height, channels }
+ * @param {Object} grid - { pixelSize, offsetX, offsetY }
+ * @returns {Object} { data (RGB), width, height }
+ */
+export function downsampleToGrid(data, { width, height, channels }, { pixelSize, offsetX = 0, offsetY = 0 }) {
+    // Start the grid at the first line inside the image; a partial cell of at
+    // least half a pixel at the left / top counts as a pixel
+    const startX = offsetX > pixelSize / 2 ? offsetX - pixelSize : offsetX;
+    const startY = offsetY > pixelSize / 2 ? offsetY - pixelSize : offsetY;
+    const nativeWidth = Math.max(1, Math.round((width - startX) / pixelSize));
+    const nativeHeight = Math.max(1, Math.round((height - startY) / pixelSize));
+    const inset = pixelSize >= 4 ? pixelSize * 0.25 : 0;
+
+    const out = Buffer.alloc(nativeWidth * nativeHeight * 3);
+    for (let row = 0; row < nativeHeight; row++) {
+        const y0 = Math.max(0, Math.floor(startY + row * pixelSize + inset));
+        const y1 = Math.min(height, Math.max(y0 + 1, Math.ceil(startY + (row + 1) * pixelSize - inset)));
+        for (let col = 0; col < nativeWidth; col++) {
+            const x0 = Math.max(0, Math.floor(startX + col * pixelSize + inset));
+            const x1 = Math.min(width, Math.max(x0 + 1, Math.ceil(startX + (col + 1) * pixelSize - inset)));
+
+            // Vote in 32 levels per channel, then average the winning bucket
+            const buckets = new Map();
+            let winner = null;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const offset = (y * width + x) * channels;
+                    const r = data[offset];
+                    const g = data[offset + 1];
+                    const b = data[offset + 2];
+                    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+                    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+                    bucket.count++;
+                    bucket.r += r;
+                    bucket.g += g;
+                    bucket.b += b;
+                    buckets.set(key, bucket);
+                    if (!winner || bucket.count > winner.count) winner = bucket;
+                }
+            }
+
+            const target = (row * nativeWidth + col) * 3;
+            if (winner) {
+                out[target] = Math.round(winner.r / winner.count);
+                out[target + 1] = Math.round(winner.g / winner.count);
+                out[target + 2] = Math.round(winner.b / winner.count);
+            }
+        }
+    }
+
+    return { data: out, width: nativeWidth, height: nativeHeight };
+}
+
+/**
+ * Build the native sprite and its display copy from a generated image
+ * @param {Buffer|string} input - Image buffer or file path
+ * @param {Object} [options] - Overrides for loadSpriteOptions(), plus:
+ * @param {string[]} [options.palette] - Master palette to remap the sprite to (scripts/spritePalette.js)
+ * @param {string} [options.dither] - "none" or "ordered" when remapping
+ * @returns {Promise<Object>} { native: { buffer, width, height }, display: { buffer, width, height, scale },
+ *   grid: { detected, pixelSize, offsetX, offsetY, confidence } }
+ */
+export async function buildSprite(input, options = {}) {
+    const { spriteSize, displaySize, palette, dither } = { ...loadSpriteOptions(), ...options };
+    const { data, info } = await sharp(input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    let grid;
+    if (Math.max(info.width, info.height) <= spriteSize * 2) {
+        // Already (close to) native resolution, e.g. the procedural provider
+        grid = { detected: true, pixelSize: 1, offsetX: 0, offsetY: 0, confidence: 1 };
+    } else {
+        const estimate = estimatePixelGrid(data, info);
+        grid = estimate ? { detected: true, ...estimate } : {
+            // No clear grid - sample down to the configured sprite size
+            detected: false,
+            pixelSize: Math.max(info.width, info.height) / spriteSize,
+            offsetX: 0,
+            offsetY: 0,
+            confidence: 0
+        };
+    }
+
+    const native = grid.pixelSize === 1 ?
+        { data, width: info.width, height: info.height } :
+        downsampleToGrid(data, info, grid);
+    if (palette) {
+        // Collection-wide colours: snap every sprite pixel to the master palette
+        native.data = remapToPalette(native.data, native, palette, { dither });
+    }
+    const raw = { width: native.width, height: native.height, channels: 3 };
+
+    const scale = Math.max(1, Math.floor(displaySize / Math.max(native.width, native.height)));
+    const [nativeBuffer, displayBuffer] = await Promise.all([
+        sharp(native.data, { raw }).png({ compressionLevel: 9 }).toBuffer(),
+        sharp(native.data, { raw })
+            .resize(native.width * scale, native.height * scale, { kernel: 'nearest' })
+            .png({ compressionLevel: 9 })
+            .toBuffer()
+    ]);
+
+    return {
+        native: { buffer: nativeBuffer, width: native.width, height: native.height },
+        display: { buffer: displayBuffer, width: native.width * scale, height: native.height * scale, scale },
+        grid: {
+            ...grid,
+            pixelSize: Math.round(grid.pixelSize * 100) / 100,
+            confidence: Math.round(grid.confidence * 100) / 100
+        }
+    };
+}
@@ -0,0 +1,265 @@
+/**
+ * scripts/proceduralSprite.js
+ * ───────────────────────────────────────────────────────────────
+ * Offline 32 × 32 ninja-cat sprite renderer used by the "procedural"
+ * image provider.
+ *
+ * The sprite is drawn straight from the token's traits - breed sets the
+ * coat and pattern, Element the headband and aura, Weapon the held item,
+ * Rank the belt and Background the scene - with every "random" choice
+ * taken from a seed, so the same traits + seed always give the same PNG.
+ */
+
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+
+export const SPRITE_SIZE = 32;
+
+const OUTLINE = [28, 24, 36];
+const EYE_WHITE = [240, 240, 230];
+const NOSE = [232, 120, 140];
+const METAL = [200, 208, 220];
+const WOOD = [140, 96, 52];
+
+// Coat: base, shade and marking colours per breed
+const BREED_COATS = {
+    'Tabby': { base: [222, 140, 62], shade: [184, 104, 40], mark: [140, 72, 28], eyes: [96, 176, 64], pattern: 'stripes' },
+    'Siamese': { base: [238, 222, 190], shade: [214, 194, 160], mark: [92, 64, 52], eyes: [72, 140, 232], pattern: 'points' },
+    'Calico': { base: [246, 240, 228], shade: [216, 208, 196], mark: [214, 124, 48], eyes: [200, 160, 40], pattern: 'patches' },
+    'Maine Coon': { base: [132, 96, 66], shade: [104, 74, 50], mark: [196, 168, 132], eyes: [190, 150, 50], pattern: 'chest' },
+    'Bengal': { base: [226, 176, 88], shade: [196, 146, 64], mark: [96, 60, 30], eyes: [90, 170, 80], pattern: 'spots' },
+    'Bombay': { base: [44, 40, 48], shade: [30, 28, 34], mark: [60, 56, 66], eyes: [236, 176, 40], pattern: 'solid' },
+    'Persian': { base: [244, 242, 236], shade: [216, 212, 206], mark: [230, 226, 220], eyes: [230, 140, 40], pattern: 'solid' },
+    'Sphynx': { base: [236, 186, 176], shade: [212, 156, 148], mark: [196, 136, 130], eyes: [110, 190, 120], pattern: 'solid' },
+    'Nyan': { base: [160, 160, 170], shade: [130, 130, 140], mark: [236, 104, 164], eyes: [40, 40, 40], pattern: 'rainbow' },
+    'Shadow': { base: [58, 48, 78], shade: [40, 32, 56], mark: [120, 90, 170], eyes: [180, 90, 240], pattern: 'solid' }
+};
+
+export const ELEMENT_COLORS = {
+    Fire: [232, 72, 40], Water: [48, 120, 220], Earth: [140, 104, 56], Wind: [168, 224, 200],
+    Lightning: [250, 220, 60], Ice: [150, 220, 250], Shadow: [90, 60, 120], Light: [255, 244, 180],
+    Void: [60, 20, 90], Cosmic: [130, 80, 220], Ether: [200, 150, 255], Storm: [100, 120, 160],
+    Magma: [200, 70, 20], Aurora: [90, 230, 170]
+};
+
+const RANK_COLORS = [
+    [240, 240, 240], [240, 210, 60], [240, 140, 40], [60, 170, 80], [50, 110, 210],
+    [140, 70, 190], [150, 90, 50], [200, 40, 40], [30, 30, 30]
+];
+
+const RAINBOW = [[230, 60, 60], [240, 150, 40], [240, 220, 60], [80, 200, 90], [60, 140, 230], [140, 80, 210]];
+
+/**
+ * Deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash any string to a 32-bit seed
+ * @param {string} value - Input
+ * @returns {number} Seed
+ */
+export function seedFrom(value) {
+    return parseInt(createHash('sha256').update(String(value)).digest('hex').substring(0, 8), 16);
+}
+
+/**
+ * Read a trait value from rawTraits / attributes or a { type: value } object
+ * @param {Array|Object} traits - Traits
+ * @param {string} type - Trait type, e.g. "Element"
+ * @returns {string|undefined} Trait value
+ */
+export function traitValue(traits, type) {
+    if (!traits) return undefined;
+    if (Array.isArray(traits)) {
+        return traits.find(t => t.trait_type?.toLowerCase() === type.toLowerCase())?.value;
+    }
+    return traits[type] ?? traits[type.toLowerCase()];
+}
+
+function mix(a, b, amount) {
+    return a.map((channel, i) => Math.round(channel + (b[i] - channel) * amount));
+}
+
+/**
+ * Which shape to draw for a weapon trait
+ * @param {string} weapon - Weapon trait value
+ * @returns {string} 'staff', 'round', 'hammer', 'chain' or 'blade'
+ */
+function weaponShape(weapon = '') {
+    if (/staff|spear|tonfa/i.test(weapon)) return 'staff';
+    if (/shuriken|chakram|orb|fan/i.test(weapon)) return 'round';
+    if (/hammer/i.test(weapon)) return 'hammer';
+    if (/whip|nunchuck|kusarigama/i.test(weapon)) return 'chain';
+    return 'blade';
+}
+
+/**
+ * Render a sprite to raw RGB pixels
+ * @param {Object} options
+ * @param {Array|Object} [options.traits] - Token traits
+ * @param {number} [options.seed] - Random seed (defaults to a hash of the traits)
+ * @returns {Object} { pixels: Buffer (RGB), width, height, seed }
+ */
+export function renderSpritePixels({ traits, seed } = {}) {
+    const breed = traitValue(traits, 'Breed') || 'Tabby';
+    const element = traitValue(traits, 'Element') || 'Fire';
+    const weapon = traitValue(traits, 'Weapon') || 'Katana';
+    const rank = traitValue(traits, 'Rank') || 'Novice';
+    const background = traitValue(traits, 'Background') || 'Dojo';
+    const resolvedSeed = seed ?? seedFrom(`${breed}-${element}-${weapon}-${rank}-${background}`);
+    const random = createRandom(resolvedSeed);
+
+    const coat = BREED_COATS[breed] || BREED_COATS.Tabby;
+    const accent = ELEMENT_COLORS[element] || ELEMENT_COLORS.Fire;
+    const belt = RANK_COLORS[seedFrom(rank) % RANK_COLORS.length];
+    const size = SPRITE_SIZE;
+
+    const grid = new Array(size * size);
+    const cat = new Uint8Array(size * size);
+    const inside = (x, y) => x >= 0 && y >= 0 && x < size && y < size;
+    const set = (x, y, color) => { if (inside(x, y)) grid[y * size + x] = color; };
+    const paintCat = (x, y, color) => { if (inside(x, y)) { set(x, y, color); cat[y * size + x] = 1; } };
+
+    /* Scene: sky from the background name, darker ground band */
+    const sky = mix([40, 44, 60], ELEMENT_COLORS[Object.keys(ELEMENT_COLORS)[seedFrom(background) % 14]], 0.45);
+    const ground = mix(sky, [20, 18, 24], 0.5);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            set(x, y, y >= 26 ? ground : mix(sky, [12, 12, 20], y / 60));
+        }
+    }
+    for (let i = 0; i < 6; i++) {
+        set(Math.floor(random() * size), Math.floor(random() * 20), mix(sky, [255, 255, 255], 0.5));
+    }
+
+    /* Cat: body, head, ears, tail */
+    for (let y = 16; y <= 28; y++) {
+        for (let x = 9; x <= 23; x++) {
+            if (((x - 16) ** 2) / 49 + ((y - 22) ** 2) / 36 <= 1) paintCat(x, y, y > 24 ? coat.shade : coat.base);
+        }
+    }
+    for (let y = 5; y <= 17; y++) {
+        for (let x = 10; x <= 22; x++) {
+            if ((x - 16) ** 2 + (y - 11) ** 2 <= 36) paintCat(x, y, coat.base);
+        }
+    }
+    for (let row = 0; row < 4; row++) {
+        for (let dx = 0; dx <= row; dx++) {
+            paintCat(11 + dx, 3 + row, coat.base);
+            paintCat(21 - dx, 3 + row, coat.base);
+        }
+    }
+    const tailColor = coat.pattern === 'points' ? coat.mark : coat.base;
+    [[24, 25], [25, 24], [26, 23], [26, 22], [27, 21], [27, 20], [27, 19], [26, 18]].forEach(([x, y], i) => {
+        paintCat(x, y, coat.pattern === 'rainbow' ? RAINBOW[i % RAINBOW.length] : tailColor);
+        paintCat(x, y + 1, coat.pattern === 'rainbow' ? RAINBOW[(i + 1) % RAINBOW.length] : tailColor);
+    });
+
+    /* Coat pattern */
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!cat[y * size + x] || x >= 24) continue;
+            if (coat.pattern === 'stripes' && y % 3 === 0 && (x < 13 || x > 19 || y < 10)) set(x, y, coat.mark);
+            if (coat.pattern === 'spots' && (x * 7 + y * 13 + resolvedSeed) % 11 === 0) set(x, y, coat.mark);
+            if (coat.pattern === 'chest' && y >= 17 && Math.abs(x - 16) <= 2) set(x, y, coat.mark);
+            if (coat.pattern === 'points' && (y <= 6 || y >= 27)) set(x, y, coat.mark);
+        }
+    }
+    if (coat.pattern === 'patches') {
+        for (let i = 0; i < 4; i++) {
+            const cx = 11 + Math.floor(random() * 11);
+            const cy = 7 + Math.floor(random() * 18);
+            const color = i % 2 ? [50, 44, 40] : coat.mark;
+            for (let y = cy - 1; y <= cy + 1; y++) {
+                for (let x = cx - 2; x <= cx + 1; x++) {
+                    if (inside(x, y) && cat[y * size + x]) set(x, y, color);
+                }
+            }
+        }
+    }
+
+    /* Face, headband (element) and belt (rank) */
+    for (let x = 10; x <= 22; x++) {
+        if (cat[8 * size + x]) set(x, 8, accent);
+        if (cat[9 * size + x]) set(x, 9, mix(accent, [0, 0, 0], 0.25));
+    }
+    set(9, 9, accent);
+    set(8, 10, accent);
+    set(7, 10, mix(accent, [0, 0, 0], 0.25));
+    for (const x of [13, 18]) {
+        set(x, 11, EYE_WHITE);
+        set(x + 1, 11, coat.eyes);
+        set(x, 12, coat.eyes);
+        set(x + 1, 12, OUTLINE);
+    }
+    set(16, 14, NOSE);
+    for (let x = 9; x <= 23; x++) {
+        if (cat[21 * size + x]) set(x, 21, belt);
+    }
+    set(16, 22, belt);
+
+    /* Weapon, held at the right paw */
+    const shape = weaponShape(weapon);
+    if (shape === 'blade') {
+        for (let i = 0; i < 9; i++) set(22 + Math.floor(i / 2), 20 - i, i < 2 ? WOOD : METAL);
+        set(26, 11, accent);
+    } else if (shape === 'staff') {
+        for (let y = 6; y <= 28; y++) set(25, y, WOOD);
+        set(25, 5, accent);
+        set(25, 6, METAL);
+    } else if (shape === 'round') {
+        for (const [dx, dy] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1], [-2, -2], [2, 2], [2, -2], [-2, 2]]) {
+            set(26 + dx, 15 + dy, dx === 0 && dy === 0 ? accent : METAL);
+        }
+    } else if (shape === 'hammer') {
+        for (let y = 13; y <= 22; y++) set(25, y, WOOD);
+        for (let y = 10; y <= 13; y++) for (let x = 23; x <= 27; x++) set(x, y, METAL);
+        set(25, 11, accent);
+    } else {
+        for (let i = 0; i < 8; i++) set(23 + (i % 2), 20 - i, i % 3 === 2 ? accent : METAL);
+    }
+
+    /* Outline around the silhouette, then element particles */
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (cat[y * size + x]) continue;
+            const touchesCat = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+                .some(([dx, dy]) => inside(x + dx, y + dy) && cat[(y + dy) * size + x + dx]);
+            if (touchesCat && grid[y * size + x] !== METAL && grid[y * size + x] !== WOOD) set(x, y, OUTLINE);
+        }
+    }
+    for (let i = 0; i < 5; i++) {
+        const x = Math.floor(random() * size);
+        const y = Math.floor(random() * 24);
+        if (!cat[y * size + x]) set(x, y, accent);
+    }
+
+    const pixels = Buffer.alloc(size * size * 3);
+    grid.forEach((color, i) => pixels.set(color, i * 3));
+    return { pixels, width: size, height: size, seed: resolvedSeed };
+}
+
+/**
+ * Render a sprite to a PNG
+ * @param {Object} options - renderSpritePixels options
+ * @returns {Promise<Object>} { png: Buffer, width, height, seed }
+ */
+export async function renderProceduralSprite(options = {}) {
+    const { pixels, width, height, seed } = renderSpritePixels(options);
+    const png = await sharp(pixels, { raw: { width, height, channels: 3 } })
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+    return { png, width, height, seed };
+}
@@ -0,0 +1,188 @@
+/**
+ * scripts/promptTemplates.js
+ * ───────────────────────────────────────────────────────────────
+ * Versioned prompt templates for image generation, kept as data in
+ * scripts/prompt-templates.json (or PROMPT_TEMPLATES_FILE) instead of
+ * string concatenation in finalizeMint.
+ *
+ * A template is { name, version, description, prompt, negativePrompt?, providers? }
+ * and is referred to as "name@version" ("name" alone = latest version):
+ *   prompt     list of segments with {placeholders}; a segment is dropped when
+ *              any of its placeholders is empty, e.g. ", wearing {accessory}"
+ *   providers  per-provider variants: { prefix?, suffix?, prompt?, negativePrompt?, options? }
+ *              options are provider option defaults (providerOptions still win)
+ *
+ * Placeholders: every trait as camelCase ({breed}, {weapon}, {stance},
+ * {element}, {rank}, {accessory}, {origin}, {battleTechnique}, …) plus
+ * {keywords}, {background}, {backgroundDescription}, {backgroundKeywords},
+ * {extras} and {tokenId}.
+ *
+ * PROMPT_TEMPLATE picks the template, or splits mints between several for
+ * A/B tests: "ninja-cat@1=50, ninja-cat@2=50". The split is by token ID, so
+ * a token always gets the same template.
+ *
+ * Optional env:
+ *   PROMPT_TEMPLATE        (defaults to the file's "default", "ninja-cat@1")
+ *   PROMPT_TEMPLATES_FILE  (defaults to scripts/prompt-templates.json)
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, 'prompt-templates.json');
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+let cached = null;
+
+/**
+ * Check a template collection and index it by id
+ * @param {Object} collection - { default, templates: [...] }
+ * @returns {Object} { defaultRef, templates: Map<id, template> }
+ */
+export function parsePromptTemplates(collection) {
+    if (!Array.isArray(collection?.templates) || collection.templates.length === 0) {
+        throw new Error('Prompt templates file needs a non-empty "templates" list');
+    }
+
+    const templates = new Map();
+    for (const template of collection.templates) {
+        const label = `${template.name || '?'}@${template.version ?? '?'}`;
+        if (!/^[\w-]+$/.test(template.name || '') || !Number.isInteger(template.version) || template.version < 1) {
+            throw new Error(`Prompt template ${label} needs a name ([a-z0-9_-]) and a positive integer version`);
+        }
+        const segments = [template.prompt, ...Object.values(template.providers || {}).map(variant => variant.prompt)]
+            .filter(prompt => prompt !== undefined);
+        if (!template.prompt || segments.some(prompt => ![].concat(prompt).every(segment => typeof segment === 'string'))) {
+            throw new Error(`Prompt template ${label} needs a prompt (string or list of strings)`);
+        }
+        const id = `${template.name}@${template.version}`;
+        if (templates.has(id)) throw new Error(`Duplicate prompt template ${id}`);
+        templates.set(id, { ...template, id, providers: template.providers || {} });
+    }
+
+    const defaultRef = collection.default || [...templates.keys()][0];
+    return { defaultRef, templates };
+}
+
+/**
+ * Load templates from disk (cached per file)
+ * @param {string} [file] - Template file, defaults to PROMPT_TEMPLATES_FILE or the built-in one
+ * @returns {Object} { defaultRef, templates }
+ */
+export function loadPromptTemplates(file = process.env.PROMPT_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+    if (cached?.file !== file) {
+        cached = { file, ...parsePromptTemplates(JSON.parse(readFileSync(file, 'utf8'))) };
+    }
+    return cached;
+}
+
+/**
+ * Look up a template by "name@version" or "name" (latest version)
+ * @param {string} ref - Template reference
+ * @param {Object} [collection] - Parsed templates, defaults to loadPromptTemplates()
+ * @returns {Object} Template
+ */
+export function getPromptTemplate(ref, collection = loadPromptTemplates()) {
+    const wanted = String(ref).trim();
+    const template = wanted.includes('@') ?
+        collection.templates.get(wanted) :
+        [...collection.templates.values()]
+            .filter(candidate => candidate.name === wanted)
+            .sort((a, b) => b.version - a.version)[0];
+    if (!template) {
+        throw new Error(`Unknown prompt template "${wanted}" - available: ${[...collection.templates.keys()].join(', ')}`);
+    }
+    return template;
+}
+
+/**
+ * Pick the template for a mint: an explicit ref, else PROMPT_TEMPLATE
+ * (weighted split by token ID), else the file's default
+ * @param {Object} [options]
+ * @param {string} [options.template] - Explicit template ref for this mint
+ * @param {string|number} [options.tokenId] - Token ID, used for A/B splits
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Template
+ */
+export function selectPromptTemplate({ template, tokenId } = {}, env = process.env) {
+    const collection = loadPromptTemplates(env.PROMPT_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE);
+    const ref = template || env.PROMPT_TEMPLATE || collection.defaultRef;
+
+    const choices = String(ref).split(',').map(choice => {
+        const [id, weight = '1'] = choice.split('=').map(part => part.trim());
+        const value = Number(weight);
+        if (!id || !(value > 0)) throw new Error(`Invalid prompt template split "${ref}"`);
+        return { template: getPromptTemplate(id, collection), weight: value };
+    });
+    if (choices.length === 1) return choices[0].template;
+
+    const hash = createHash('sha256').update(`${tokenId}-prompt-template`).digest('hex');
+    const total = choices.reduce((sum, choice) => sum + choice.weight, 0);
+    let target = (parseInt(hash.substring(0, 8), 16) / 2 ** 32) * total;
+    for (const choice of choices) {
+        target -= choice.weight;
+        if (target < 0) return choice.template;
+    }
+    return choices[choices.length - 1].template;
+}
+
+/**
+ * Placeholder values for a token
+ * @param {Object[]} rawTraits - Traits ({ trait_type, value, keywords? })
+ * @param {Object} [extra] - Additional or overriding values (keywords, backgroundDescription, extras, …)
+ * @returns {Object} Placeholder name → string
+ */
+export function buildPromptContext(rawTraits = [], extra = {}) {
+    const context = {};
+    for (const trait of rawTraits) {
+        const key = trait.trait_type.charAt(0).toLowerCase() + trait.trait_type.slice(1).replace(/\s+(\w)/g, (_, c) => c.toUpperCase());
+        context[key] = trait.value;
+    }
+    for (const [key, value] of Object.entries(extra)) {
+        if (value !== undefined && value !== null) context[key] = value;
+    }
+    return Object.fromEntries(Object.entries(context).map(([key, value]) => [key, String(value).trim()]));
+}
+
+/**
+ * Fill a prompt, dropping segments with empty placeholders
+ */
+function fill(prompt, context) {
+    return [].concat(prompt)
+        .filter(segment => [...segment.matchAll(PLACEHOLDER)].every(([, key]) => context[key]))
+        .map(segment => segment.replace(PLACEHOLDER, (_, key) => context[key]))
+        .join('');
+}
+
+/**
+ * Render a template for one provider
+ * @param {Object} template - Template from getPromptTemplate() / selectPromptTemplate()
+ * @param {Object} context - Placeholder values from buildPromptContext()
+ * @param {string} [providerName] - Provider to render the variant for
+ * @returns {Object} { prompt, negativePrompt, options, variant }
+ */
+export function renderPrompt(template, context, providerName) {
+    const variantName = providerName && template.providers[providerName] ? providerName : 'default';
+    const variant = template.providers[providerName] || {};
+    const body = fill(variant.prompt || template.prompt, context);
+
+    return {
+        prompt: `${variant.prefix || ''}${body}${variant.suffix || ''}`,
+        negativePrompt: variant.negativePrompt ?? template.negativePrompt ?? '',
+        options: { ...variant.options },
+        variant: variantName
+    };
+}
+
+/**
+ * What to record in metadata about the template used
+ * @param {Object} template - Template
+ * @param {string} variant - Variant rendered ("default" or a provider name)
+ * @returns {Object} { id, name, version, variant }
+ */
+export function promptTemplateInfo(template, variant = 'default') {
+    return { id: template.id, name: template.name, version: template.version, variant };
+}
@@ -5,6 +5,21 @@
 
 import { createClient } from '@supabase/supabase-js';
 
+/**
+ * Map a provider_preferences row to a preference object
+ * @param {Object} data - Supabase row
+ * @returns {Object} Preference object
+ */
+function rowToPreference(data) {
+    return {
+        provider: data.provider,
+        timestamp: data.timestamp,
+        options: data.options,
+        promptExtras: data.prompt_extras || '',
+        negativePrompt: data.negative_prompt || ''
+    };
+}
+
 /**
  * Provider preferences storage using Supabase
  */
@@ -39,6 +54,7 @@ export class ProviderPreferencesManager {
      * Get provider preference for a token
      * @param {string} tokenId - Token ID
      * @returns {Promise<Object|null>} Provider preference object or null if not found
+     * @throws {Error} If the lookup fails for any other reason than a missing row
      */
     async get(tokenId) {
         this.initialize();
@@ -50,26 +66,71 @@ export class ProviderPreferencesManager {
                 .eq('token_id', tokenId.toString())
                 .single();
 
+            // PGRST116 is "no rows" - anything else may hide a stored preference
             if (error && error.code !== 'PGRST116') {
-                console.error(`❌ Error getting provider preference for token ${tokenId}:`, error);
-                return null;
+                throw error;
             }
 
-            return data ? {
-                provider: data.provider,
-                timestamp: data.timestamp,
-                options: data.options
-            } : null;
+            return data ? rowToPreference(data) : null;
         } catch (err) {
             console.error(`❌ Error getting provider preference for token ${tokenId}:`, err);
-            return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Resolve the generation settings for a token: its stored preference if
+     * there is one, otherwise the default provider with no extras.
+     * A failed lookup is not the same as "no preference": it throws, unless
+     * `defer` is set, in which case the defaults come back flagged
+     * preferencePending so runMintPipeline looks the preference up again
+     * @param {string|number} tokenId - Token ID
+     * @param {string} defaultProvider - Provider used when no preference is stored
+     * @param {Object} [options]
+     * @param {boolean} [options.defer] - Don't throw on lookup failures (queue time)
+     * @returns {Promise<Object>} { imageProvider, providerOptions, promptExtras, negativePrompt, fromPreference, preferencePending }
+     */
+    async resolve(tokenId, defaultProvider, { defer = false } = {}) {
+        const defaults = {
+            imageProvider: defaultProvider,
+            providerOptions: {},
+            promptExtras: '',
+            negativePrompt: '',
+            fromPreference: false
+        };
+
+        let preference = null;
+        try {
+            preference = await this.get(tokenId);
+        } catch (err) {
+            // Supabase not configured - nothing stored to honor
+            if (!this.initialized) {
+                console.warn(`⚠️ Could not look up provider preference for token ${tokenId}: ${err.message}`);
+                return defaults;
+            }
+            if (!defer) throw err;
+
+            console.warn(`⚠️ Provider preference lookup for token ${tokenId} failed, checking again when it is minted: ${err.message}`);
+            return { ...defaults, preferencePending: true };
+        }
+
+        if (!preference?.provider) {
+            return defaults;
         }
+
+        return {
+            imageProvider: preference.provider,
+            providerOptions: preference.options || {},
+            promptExtras: preference.promptExtras,
+            negativePrompt: preference.negativePrompt,
+            fromPreference: true
+        };
     }
 
     /**
      * Set provider preference for a token
      * @param {string} tokenId - Token ID
-     * @param {Object} preference - Preference object with provider, timestamp, options
+     * @param {Object} preference - Preference object with provider, timestamp, options, promptExtras, negativePrompt
      * @returns {Promise<Object>} The saved preference
      */
     async set(tokenId, preference) {
@@ -83,6 +144,8 @@ export class ProviderPreferencesManager {
                 options: preference.options || {},
                 updated_at: new Date().toISOString()
             };
+            if (preference.promptExtras !== undefined) record.prompt_extras = preference.promptExtras;
+            if (preference.negativePrompt !== undefined) record.negative_prompt = preference.negativePrompt;
 
             const { data, error } = await this.supabase
                 .from(this.tableName)
@@ -92,15 +155,19 @@ export class ProviderPreferencesManager {
 
             if (error) {
                 console.error(`❌ Error setting provider preference for token ${tokenId}:`, error);
+                if (error.code === '42703') {
+                    console.log('⚠️ Provider preferences table predates prompt preferences. Please run:');
+                    console.log(`
+ALTER TABLE provider_preferences
+  ADD COLUMN IF NOT EXISTS prompt_extras TEXT,
+  ADD COLUMN IF NOT EXISTS negative_prompt TEXT;
+                    `);
+                }
                 throw error;
             }
 
             console.log(`✅ Provider preference saved for token ${tokenId}: ${preference.provider}`);
-            return {
-                provider: data.provider,
-                timestamp: data.timestamp,
-                options: data.options
-            };
+            return rowToPreference(data);
         } catch (err) {
             console.error(`❌ Error setting provider preference for token ${tokenId}:`, err);
             throw err;
@@ -153,11 +220,7 @@ export class ProviderPreferencesManager {
 
             const preferences = {};
             for (const record of data || []) {
-                preferences[record.token_id] = {
-                    provider: record.provider,
-                    timestamp: record.timestamp,
-                    options: record.options
-                };
+                preferences[record.token_id] = rowToPreference(record);
             }
 
             return preferences;
@@ -189,6 +252,8 @@ CREATE TABLE provider_preferences (
   provider TEXT NOT NULL,
   timestamp BIGINT NOT NULL,
   options JSONB DEFAULT '{}',
+  prompt_extras TEXT,
+  negative_prompt TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
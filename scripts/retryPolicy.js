@@ -0,0 +1,124 @@
+/**
+ * scripts/retryPolicy.js
+ * ───────────────────────────────────────────────────────────────
+ * Retry policy for failed mint generations.
+ *
+ * - classifyError() decides whether a failure is worth retrying
+ *   (provider 5xx / 429, timeouts, network and IPFS errors) or permanent
+ *   (bad breed, invalid or missing API key, unknown provider, content
+ *   policy rejections)
+ * - backoffDelay() gives an exponential delay with a little jitter
+ *
+ * Unknown errors are treated as retryable; they still end up in the
+ * dead-letter list once their attempts are used up.
+ *
+ * Optional env:
+ *   MINT_RETRY_BASE_MS  (defaults to 60000 – 1 minute)
+ *   MINT_RETRY_MAX_MS   (defaults to 3600000 – 1 hour)
+ */
+
+export const RETRY_BASE_MS = parseInt(process.env.MINT_RETRY_BASE_MS, 10) || 60 * 1000;
+export const RETRY_MAX_MS = parseInt(process.env.MINT_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Error that should never be retried
+ */
+export class PermanentMintError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentMintError';
+        this.permanent = true;
+    }
+}
+
+const PERMANENT_STATUS = [400, 401, 403, 404, 422];
+const RETRYABLE_STATUS = [408, 409, 425, 429];
+
+const PERMANENT_PATTERNS = [
+    /invalid[_ ]?(api[_ ]?)?key|incorrect api key|unauthori[sz]ed|authentication/i,
+    /missing api keys|not configured|missing [A-Z_]*(KEY|TOKEN)/i,
+    /unknown provider|invalid breed|unknown breed|empty or undefined trait/i,
+    /content[_ ]policy|safety system/i,
+    /tokenid is required|final validation failed/i
+];
+
+const RETRYABLE_CODES = [
+    'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE',
+    'TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'
+];
+
+const RETRYABLE_PATTERNS = [
+    /time(d)? ?out|socket hang up|network|fetch failed/i,
+    /rate limit|too many requests|overloaded|temporarily unavailable/i,
+    /ipfs|pinata|web3\.storage|gateway/i
+];
+
+/**
+ * Pull an HTTP status out of an error object or message
+ * @param {Error|Object} err - Error
+ * @returns {number|null} HTTP status if one could be found
+ */
+function errorStatus(err) {
+    const status = err?.status ?? err?.statusCode ?? err?.response?.status;
+    if (Number.isInteger(status)) return status;
+
+    // e.g. "Stability AI error: 503 - ..." or "Pinata upload failed: 401 – ..."
+    const match = /(?:error|failed):?\s*(\d{3})\b/i.exec(err?.message || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Classify a failure as retryable or permanent
+ * @param {Error|string} error - Failure
+ * @returns {Object} { retryable, reason }
+ */
+export function classifyError(error) {
+    const err = typeof error === 'string' ? { message: error } : (error || {});
+    const message = err.message || '';
+
+    if (err.permanent) {
+        return { retryable: false, reason: 'permanent error' };
+    }
+
+    const status = errorStatus(err);
+    if (status !== null) {
+        if (status >= 500 || RETRYABLE_STATUS.includes(status)) {
+            return { retryable: true, reason: `HTTP ${status}` };
+        }
+        if (PERMANENT_STATUS.includes(status)) {
+            return { retryable: false, reason: `HTTP ${status}` };
+        }
+    }
+
+    if (err.code && RETRYABLE_CODES.includes(err.code)) {
+        return { retryable: true, reason: err.code };
+    }
+
+    const permanent = PERMANENT_PATTERNS.find(pattern => pattern.test(message));
+    if (permanent) {
+        return { retryable: false, reason: `matched ${permanent.source.split('|')[0]}` };
+    }
+
+    const retryable = RETRYABLE_PATTERNS.find(pattern => pattern.test(message));
+    if (retryable) {
+        return { retryable: true, reason: `matched ${retryable.source.split('|')[0]}` };
+    }
+
+    return { retryable: true, reason: 'unclassified' };
+}
+
+/**
+ * Exponential backoff delay for an attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} [options]
+ * @param {number} [options.baseMs] - Delay after the first failure
+ * @param {number} [options.maxMs] - Upper bound
+ * @param {number} [options.jitter] - Random spread as a fraction of the delay
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, { baseMs = RETRY_BASE_MS, maxMs = RETRY_MAX_MS, jitter = 0.1 } = {}) {
+    const exponent = Math.max(0, (attempt || 1) - 1);
+    const delay = Math.min(maxMs, baseMs * 2 ** exponent);
+    const spread = delay * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(Math.min(maxMs, delay + spread)));
+}
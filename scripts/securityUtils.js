@@ -2,7 +2,10 @@
  * Security utilities for input validation and sanitization
  */
 
+import { timingSafeEqual } from 'crypto';
 import { ethers } from 'ethers';
+import { providerNames, checkProviderOptions, parseFallbackChain } from './imageProviders.js';
+import { getPromptTemplate } from './promptTemplates.js';
 
 /**
  * Validates and sanitizes a token ID
@@ -52,13 +55,51 @@ export function validateBreed(breed) {
  * @throws {Error} - If provider is invalid
  */
 export function validateImageProvider(provider) {
-    const validProviders = ['dall-e', 'stability', 'huggingface'];
+    const validProviders = providerNames();
     if (!validProviders.includes(provider)) {
         throw new Error(`Invalid image provider: must be one of ${validProviders.join(', ')}`);
     }
     return provider;
 }
 
+/**
+ * Validates a provider fallback policy
+ * @param {string} fallback - "strict", "true" (use IMAGE_PROVIDER_FALLBACK) or a chain like "dall-e -> stability -> procedural"
+ * @returns {boolean|string[]|undefined} - The policy, or undefined when none was given
+ * @throws {Error} - If the policy is invalid
+ */
+export function validateFallbackPolicy(fallback) {
+    if (fallback === undefined || fallback === null || fallback === '') return undefined;
+
+    if (typeof fallback !== 'string') {
+        throw new Error('Invalid fallback: must be a string');
+    }
+    if (fallback === 'strict' || fallback === 'false') return false;
+    if (fallback === 'true') return true;
+
+    return parseFallbackChain(fallback);
+}
+
+/**
+ * Validates a prompt template reference
+ * @param {string} ref - "name@version" or "name" (latest version)
+ * @returns {string|undefined} - The template id ("name@version"), or undefined when none was given
+ * @throws {Error} - If the template is unknown
+ */
+export function validatePromptTemplate(ref) {
+    if (ref === undefined || ref === null || ref === '') return undefined;
+
+    if (typeof ref !== 'string' || !/^[\w-]+(@\d+)?$/.test(ref)) {
+        throw new Error('Invalid prompt template: must look like "name" or "name@version"');
+    }
+
+    try {
+        return getPromptTemplate(ref).id;
+    } catch (error) {
+        throw new Error(`Invalid prompt template: ${error.message}`);
+    }
+}
+
 /**
  * Validates and sanitizes prompt text
  * @param {string} prompt - The prompt to validate
@@ -118,37 +159,39 @@ export function validateBlockNumber(blockNumber) {
 /**
  * Validates provider options
  * @param {string} optionsString - JSON string of provider options
+ * @param {string} [provider] - Provider the options are for; checked against its option schema
  * @returns {Object} - The validated options object
  * @throws {Error} - If options are invalid
  */
-export function validateProviderOptions(optionsString) {
+export function validateProviderOptions(optionsString, provider) {
     if (!optionsString) return {};
 
+    let options;
     try {
-        const options = JSON.parse(optionsString);
-
-        // Validate it's an object
-        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
-            throw new Error('Invalid provider options: must be a JSON object');
-        }
+        options = JSON.parse(optionsString);
+    } catch (parseError) {
+        throw new Error('Invalid provider options: must be valid JSON');
+    }
 
-        // Validate specific known options
-        if (options.model && typeof options.model !== 'string') {
-            throw new Error('Invalid provider options: model must be a string');
-        }
+    // Validate it's an object
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new Error('Invalid provider options: must be a JSON object');
+    }
 
-        if (options.quality && typeof options.quality !== 'string') {
-            throw new Error('Invalid provider options: quality must be a string');
-        }
+    // Validate specific known options
+    if (options.model && typeof options.model !== 'string') {
+        throw new Error('Invalid provider options: model must be a string');
+    }
 
-        if (options.style && typeof options.style !== 'string') {
-            throw new Error('Invalid provider options: style must be a string');
-        }
+    if (options.quality && typeof options.quality !== 'string') {
+        throw new Error('Invalid provider options: quality must be a string');
+    }
 
-        return options;
-    } catch (parseError) {
-        throw new Error('Invalid provider options: must be valid JSON');
+    if (options.style && typeof options.style !== 'string') {
+        throw new Error('Invalid provider options: style must be a string');
     }
+
+    return provider ? checkProviderOptions(provider, options) : options;
 }
 
 /**
@@ -168,6 +211,22 @@ export function sanitizeForLogging(text) {
         .slice(0, 200); // Limit length
 }
 
+/**
+ * Checks that a request carries the operator key (ADMIN_API_KEY) as
+ * `Authorization: Bearer <key>`. Always false when no key is configured.
+ * @param {Object} req - The incoming request
+ * @returns {boolean} - Whether the request is from an operator
+ */
+export function isAdminRequest(req) {
+    const expected = process.env.ADMIN_API_KEY;
+    const header = req.headers?.authorization || '';
+    if (!expected || !header.startsWith('Bearer ')) return false;
+
+    const provided = Buffer.from(header.slice('Bearer '.length));
+    const key = Buffer.from(expected);
+    return provided.length === key.length && timingSafeEqual(provided, key);
+}
+
 /**
  * Rate limiting implementation
  */
@@ -65,11 +65,19 @@ export async function initializeBlockchain() {
 
     // ── Provider preferences storage ───────────────────────────────────────
     providerPreferences = {
-      async set(tokenId, { provider: prov, timestamp, options }) {
+      async set(tokenId, { provider: prov, timestamp, options, promptExtras, negativePrompt }) {
         const { error } = await supabase
           .from('provider_preferences')
           .upsert(
-            { token_id: tokenId, provider: prov, timestamp, options },
+            {
+              token_id: tokenId,
+              provider: prov,
+              timestamp,
+              options,
+              // Always written, so an empty value clears what the token had before
+              prompt_extras: promptExtras || null,
+              negative_prompt: negativePrompt || null
+            },
             { onConflict: 'token_id' }
           );
         if (error) throw error;
@@ -0,0 +1,443 @@
+/**
+ * scripts/spriteAnimation.js
+ * ───────────────────────────────────────────────────────────────
+ * Short idle loop derived from the final sprite, pinned next to the
+ * static image and exposed as the metadata's `animation_url`.
+ *
+ * Frames are built at native resolution (scripts/pixelGrid.js) from three
+ * transforms, composited with sharp, then scaled up like the display image:
+ *   breathing bob     - the cat sinks one sprite pixel and rises again
+ *   weapon glint      - a sparkle on the tip of the blade (steel-coloured pixels)
+ *   element particles - embers rise, drops fall, leaves drift, sparks
+ *                       twinkle … keyed to the Element trait, behind the cat
+ * The cat is split from the scene the same way the quality gate does it
+ * (subjectMask() in scripts/imageQuality.js), and every added colour is
+ * snapped to the sprite's master palette so the loop stays on-palette.
+ *
+ * Optional env:
+ *   SPRITE_ANIMATION         ("off", "gif", "webp" or "apng", defaults to "off")
+ *   SPRITE_ANIMATION_FRAMES  (defaults to 8)
+ *   SPRITE_ANIMATION_DELAY   (ms per frame, defaults to 120)
+ */
+
+import { deflateSync } from 'zlib';
+import sharp from 'sharp';
+import { subjectMask } from './imageQuality.js';
+import { hexToRgb } from './spritePalette.js';
+import { ELEMENT_COLORS, createRandom, seedFrom, traitValue } from './proceduralSprite.js';
+
+export const ANIMATION_FORMATS = {
+    gif: { extension: 'gif', mimeType: 'image/gif' },
+    webp: { extension: 'webp', mimeType: 'image/webp' },
+    apng: { extension: 'png', mimeType: 'image/apng' }
+};
+
+// How each element's particles move
+export const PARTICLE_MOTION = {
+    Fire: 'rise', Magma: 'rise', Ether: 'rise', Shadow: 'rise',
+    Water: 'fall', Ice: 'fall', Storm: 'fall',
+    Wind: 'drift', Earth: 'drift', Aurora: 'drift',
+    Lightning: 'twinkle', Light: 'twinkle', Cosmic: 'twinkle', Void: 'twinkle'
+};
+
+const MIN_FRAMES = 4; // Room for the glint's three frames
+const MAX_FRAMES = 64;
+const MIN_DELAY = 20; // Browsers slow down anything faster in GIFs
+const MAX_DELAY = 10000;
+const PIXELS_PER_PARTICLE = 170; // Six particles on a 32 × 32 sprite
+const STEEL = 150; // Darkest channel a pixel needs to count as steel for the glint…
+const STEEL_TINT = 40; // …and the most its channels may differ (pale coloured cloth isn't steel)
+
+/**
+ * Read an integer setting within a range
+ */
+function boundedInteger(value, fallback, name, min, max) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${name} must be a whole number between ${min} and ${max}, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Read animation settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { enabled, format, frames, delay }
+ */
+export function loadAnimationOptions(env = process.env) {
+    const format = String(env.SPRITE_ANIMATION || 'off').trim().toLowerCase();
+    if (format !== 'off' && !ANIMATION_FORMATS[format]) {
+        throw new Error(`SPRITE_ANIMATION must be "off", ${Object.keys(ANIMATION_FORMATS).map(name => `"${name}"`).join(', ')}, got "${env.SPRITE_ANIMATION}"`);
+    }
+    return {
+        enabled: format !== 'off',
+        format: format === 'off' ? null : format,
+        frames: boundedInteger(env.SPRITE_ANIMATION_FRAMES, 8, 'SPRITE_ANIMATION_FRAMES', MIN_FRAMES, MAX_FRAMES),
+        delay: boundedInteger(env.SPRITE_ANIMATION_DELAY, 120, 'SPRITE_ANIMATION_DELAY', MIN_DELAY, MAX_DELAY)
+    };
+}
+
+function mix(a, b, amount) {
+    return a.map((channel, i) => Math.round(channel + (b[i] - channel) * amount));
+}
+
+/**
+ * Colour snapper for a palette: the nearest palette colour, or the colour itself without one
+ * @param {string[]|null} palette - Hex colours
+ * @returns {Function} ([r, g, b]) => [r, g, b]
+ */
+function paletteSnapper(palette) {
+    if (!palette?.length) return color => color;
+    const colors = palette.map(hexToRgb);
+    return color => {
+        let best = colors[0];
+        let bestDistance = Infinity;
+        for (const candidate of colors) {
+            const distance = (candidate[0] - color[0]) ** 2 + (candidate[1] - color[1]) ** 2 + (candidate[2] - color[2]) ** 2;
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    };
+}
+
+/**
+ * The scene without the cat: every subject pixel takes the background
+ * colour above it in its column (below it at the top edge), so the strip
+ * the cat uncovers when it sinks shows sky rather than a copy of its ears
+ */
+function scenePlate(data, mask, width, height) {
+    const plate = Buffer.from(data);
+    for (let x = 0; x < width; x++) {
+        let fill = -1;
+        for (let y = 0; y < height && fill < 0; y++) {
+            if (!mask[y * width + x]) fill = y * width + x;
+        }
+        if (fill < 0) continue; // Column is all cat - leave it be
+        for (let y = 0; y < height; y++) {
+            const index = y * width + x;
+            if (!mask[index]) {
+                fill = index;
+            } else {
+                data.copy(plate, index * 3, fill * 3, fill * 3 + 3);
+            }
+        }
+    }
+    return plate;
+}
+
+/**
+ * The cat alone on a transparent layer
+ */
+function subjectLayer(data, mask, width, height) {
+    const layer = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        if (!mask[i]) continue;
+        data.copy(layer, i * 4, i * 3, i * 3 + 3);
+        layer[i * 4 + 3] = 255;
+    }
+    return layer;
+}
+
+/**
+ * Where the glint goes: the tip (top pixel) of the largest run of steel-coloured
+ * subject pixels - a blade, not a one-pixel eye highlight - else the brightest pixel
+ * @returns {Object|null} { x, y } or null without a subject
+ */
+function glintSpot(data, mask, width) {
+    const height = mask.length / width;
+    const steel = new Uint8Array(mask.length);
+    let brightest = -1;
+    for (let i = 0; i < mask.length; i++) {
+        if (!mask[i]) continue;
+        const [r, g, b] = [data[i * 3], data[i * 3 + 1], data[i * 3 + 2]];
+        if (Math.min(r, g, b) >= STEEL && Math.max(r, g, b) - Math.min(r, g, b) <= STEEL_TINT) steel[i] = 1;
+        if (brightest < 0 || r + g + b > data[brightest * 3] + data[brightest * 3 + 1] + data[brightest * 3 + 2]) brightest = i;
+    }
+    if (brightest < 0) return null;
+
+    // Largest 8-connected steel run, diagonal blades included
+    let best = { size: 0, tip: brightest };
+    const seen = new Uint8Array(mask.length);
+    for (let start = 0; start < steel.length; start++) {
+        if (!steel[start] || seen[start]) continue;
+        const stack = [start];
+        seen[start] = 1;
+        let size = 0;
+        let tip = start;
+        while (stack.length > 0) {
+            const index = stack.pop();
+            size++;
+            if (index < tip) tip = index;
+            const x = index % width;
+            const y = (index - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    const next = ny * width + nx;
+                    if (nx >= 0 && ny >= 0 && nx < width && ny < height && steel[next] && !seen[next]) {
+                        seen[next] = 1;
+                        stack.push(next);
+                    }
+                }
+            }
+        }
+        if (size > best.size) best = { size, tip };
+    }
+    return { x: best.tip % width, y: Math.floor(best.tip / width) };
+}
+
+/**
+ * Particles for an element: a start position and a phase each
+ */
+function spawnParticles(width, height, frames, random) {
+    const count = Math.max(3, Math.round(width * height / PIXELS_PER_PARTICLE));
+    return Array.from({ length: count }, () => ({
+        x: Math.floor(random() * width),
+        y: Math.floor(random() * height),
+        phase: Math.floor(random() * frames)
+    }));
+}
+
+/**
+ * Draw one frame's particles on a transparent layer. Positions repeat every
+ * `frames` frames, so the loop has no seam: a particle that reaches the end
+ * of its run starts over as a fresh one
+ */
+function particleLayer(particles, motion, frame, frames, colors, width, height) {
+    const layer = Buffer.alloc(width * height * 4);
+    const plot = (x, y, color) => {
+        const index = (((y % height) + height) % height) * width + (((x % width) + width) % width);
+        layer[index * 4] = color[0];
+        layer[index * 4 + 1] = color[1];
+        layer[index * 4 + 2] = color[2];
+        layer[index * 4 + 3] = 255;
+    };
+
+    for (const particle of particles) {
+        const age = (frame + particle.phase) % frames;
+        if (motion === 'twinkle') {
+            // On for two frames, a cross at its peak
+            if (age === 0) plot(particle.x, particle.y, colors.particle);
+            if (age === 1) {
+                plot(particle.x, particle.y, colors.glint);
+                for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) plot(particle.x + dx, particle.y + dy, colors.particle);
+            }
+            continue;
+        }
+        const [dx, dy] = { rise: [0, -1], fall: [0, 1], drift: [1, 0] }[motion];
+        const x = particle.x + dx * age;
+        const y = particle.y + dy * age;
+        plot(x - dx, y - dy, colors.trail);
+        plot(x, y, colors.particle);
+    }
+    return layer;
+}
+
+/**
+ * Draw the glint: a dot, a cross, a dot - three frames from `start`
+ */
+function glintLayer(spot, frame, start, colors, width, height) {
+    const step = frame - start;
+    if (!spot || step < 0 || step > 2) return null;
+
+    const layer = Buffer.alloc(width * height * 4);
+    const plot = (x, y, color) => {
+        if (x < 0 || y < 0 || x >= width || y >= height) return;
+        const index = y * width + x;
+        layer.set([...color, 255], index * 4);
+    };
+    plot(spot.x, spot.y, colors.glint);
+    if (step === 1) {
+        for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) plot(spot.x + dx, spot.y + dy, colors.shine);
+    }
+    return layer;
+}
+
+/**
+ * Render the idle loop at native resolution
+ * @param {Object} sprite - { data, width, height }: raw RGB native sprite
+ * @param {Object} [options]
+ * @param {string} [options.element] - Element trait (picks the particles)
+ * @param {*} [options.seed] - Anything stable per token; particle positions and glint timing follow it
+ * @param {number} [options.frames] - Frames in the loop (defaults to 8)
+ * @param {string[]} [options.palette] - Master palette to keep added colours on
+ * @returns {Promise<Buffer[]>} Raw RGB frames, same size as the sprite
+ */
+export async function renderIdleFrames({ data, width, height }, { element, seed = 0, frames = 8, palette = null } = {}) {
+    const raw = { width, height, channels: 3 };
+    const rgba = { width, height, channels: 4 };
+    const { mask } = subjectMask(data, raw);
+
+    const random = createRandom(typeof seed === 'number' ? seed : seedFrom(seed));
+    const snap = paletteSnapper(palette);
+    const accent = ELEMENT_COLORS[element] || ELEMENT_COLORS.Fire;
+    const colors = {
+        particle: snap(accent),
+        trail: snap(mix(accent, [0, 0, 0], 0.4)),
+        glint: snap([255, 255, 255]),
+        shine: snap(mix(accent, [255, 255, 255], 0.7))
+    };
+    const motion = PARTICLE_MOTION[element] || 'twinkle';
+
+    const scene = scenePlate(data, mask, width, height);
+    const subject = subjectLayer(data, mask, width, height);
+    const particles = spawnParticles(width, height, frames, random);
+    const spot = glintSpot(data, mask, width);
+    const glintStart = Math.floor(random() * (frames - 2));
+
+    const output = [];
+    for (let frame = 0; frame < frames; frame++) {
+        // Breathing: down one pixel for the middle of the loop
+        const bob = frame >= frames / 4 && frame < frames * 3 / 4 ? 1 : 0;
+        const body = bob === 0 ? subject : await sharp(subject, { raw: rgba })
+            .extract({ left: 0, top: 0, width, height: height - bob })
+            .raw()
+            .toBuffer();
+
+        const layers = [
+            { input: particleLayer(particles, motion, frame, frames, colors, width, height), raw: rgba, left: 0, top: 0 },
+            { input: body, raw: { ...rgba, height: height - bob }, left: 0, top: bob }
+        ];
+        const glint = glintLayer(spot && { x: spot.x, y: spot.y + bob }, frame, glintStart, colors, width, height);
+        if (glint) layers.push({ input: glint, raw: rgba, left: 0, top: 0 });
+
+        output.push(await sharp(scene, { raw }).composite(layers).removeAlpha().raw().toBuffer());
+    }
+    return output;
+}
+
+/* ─── Encoding ───────────────────────────────────────────────── */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Animated PNG - sharp (libvips) reads APNG but can't write it, and the
+ * format is small enough to write directly: one fcTL per frame, the first
+ * frame's data in IDAT so viewers without APNG support show it, the rest in fdAT
+ * @param {Buffer[]} frames - Raw RGB frames
+ * @param {Object} options - { width, height, delay (ms) }
+ * @returns {Buffer} APNG file
+ */
+export function encodeApng(frames, { width, height, delay }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 2, 0, 0, 0], 8); // 8-bit RGB, no interlace
+
+    const control = Buffer.alloc(8);
+    control.writeUInt32BE(frames.length, 0); // num_plays stays 0: loop forever
+
+    const chunks = [pngChunk('IHDR', header), pngChunk('acTL', control)];
+    let sequence = 0;
+    frames.forEach((frame, index) => {
+        const fctl = Buffer.alloc(26);
+        fctl.writeUInt32BE(sequence++, 0);
+        fctl.writeUInt32BE(width, 4);
+        fctl.writeUInt32BE(height, 8);
+        fctl.writeUInt16BE(delay, 20);
+        fctl.writeUInt16BE(1000, 22); // Delay in milliseconds; offsets, dispose and blend stay 0
+        chunks.push(pngChunk('fcTL', fctl));
+
+        const scanlines = Buffer.alloc(height * (width * 3 + 1));
+        for (let y = 0; y < height; y++) {
+            frame.copy(scanlines, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+        }
+        const compressed = deflateSync(scanlines, { level: 9 });
+        if (index === 0) {
+            chunks.push(pngChunk('IDAT', compressed));
+        } else {
+            const number = Buffer.alloc(4);
+            number.writeUInt32BE(sequence++);
+            chunks.push(pngChunk('fdAT', Buffer.concat([number, compressed])));
+        }
+    });
+    chunks.push(pngChunk('IEND', Buffer.alloc(0)));
+
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks]);
+}
+
+/**
+ * Scale frames up with nearest-neighbour and encode them as a looping animation
+ * @param {Buffer[]} frames - Raw RGB frames
+ * @param {Object} options
+ * @param {number} options.width - Frame width
+ * @param {number} options.height - Frame height
+ * @param {string} options.format - "gif", "webp" or "apng"
+ * @param {number} options.delay - Milliseconds per frame
+ * @param {number} [options.scale] - Integer scale (the display image's)
+ * @returns {Promise<Object>} { buffer, width, height }
+ */
+export async function encodeAnimation(frames, { width, height, format, delay, scale = 1 }) {
+    if (!ANIMATION_FORMATS[format]) throw new Error(`Unknown animation format "${format}"`);
+
+    const size = { width: width * scale, height: height * scale };
+    const scaled = scale === 1 ? frames : await Promise.all(frames.map(frame =>
+        sharp(frame, { raw: { width, height, channels: 3 } })
+            .resize(size.width, size.height, { kernel: 'nearest' })
+            .raw()
+            .toBuffer()
+    ));
+
+    if (format === 'apng') {
+        return { buffer: encodeApng(scaled, { ...size, delay }), ...size };
+    }
+
+    // Frames stacked top to bottom, one page each
+    const strip = sharp(Buffer.concat(scaled), {
+        raw: { width: size.width, height: size.height * scaled.length, channels: 3, pageHeight: size.height }
+    });
+    const timing = { loop: 0, delay: scaled.map(() => delay) };
+    const buffer = format === 'gif' ?
+        await strip.gif({ ...timing, dither: 0, effort: 10 }).toBuffer() :
+        await strip.webp({ ...timing, lossless: true }).toBuffer();
+    return { buffer, ...size };
+}
+
+/**
+ * Build the idle animation for a sprite
+ * @param {Buffer|string} input - Native sprite (buffer or file path)
+ * @param {Object} [options] - Overrides for loadAnimationOptions(), plus:
+ * @param {Object[]} [options.rawTraits] - Traits; the Element picks the particles
+ * @param {*} [options.seed] - Anything stable per token, e.g. the token ID
+ * @param {string[]} [options.palette] - Master palette (scripts/spritePalette.js)
+ * @param {number} [options.scale] - Integer scale for the output (defaults to 1)
+ * @returns {Promise<Object>} { buffer, format, extension, mimeType, frames, delay, width, height, element }
+ */
+export async function buildIdleAnimation(input, options = {}) {
+    const { format, frames, delay, rawTraits = [], seed = 0, palette = null, scale = 1 } = { ...loadAnimationOptions(), ...options };
+    if (!ANIMATION_FORMATS[format]) throw new Error(`Unknown animation format "${format}"`);
+
+    const { data, info } = await sharp(input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const element = traitValue(rawTraits, 'Element') || null;
+    const rendered = await renderIdleFrames(
+        { data, width: info.width, height: info.height },
+        { element, seed, frames, palette }
+    );
+    const { buffer, width, height } = await encodeAnimation(rendered, { width: info.width, height: info.height, format, delay, scale });
+
+    return { buffer, format, ...ANIMATION_FORMATS[format], frames, delay, width, height, element };
+}
@@ -0,0 +1,176 @@
+/**
+ * scripts/spritePalette.js
+ * ───────────────────────────────────────────────────────────────
+ * Collection-wide colour palettes for sprites. Instead of every sprite
+ * getting its own 16 colours, each one is remapped to a master palette
+ * picked by its Element (or Breed) trait, optionally with 4 × 4 ordered
+ * (Bayer) dithering so gradients keep some depth.
+ *
+ * Master palettes live in utils/metadata-definitions.js (masterPalettes);
+ * SPRITE_PALETTES_FILE can point at a JSON file with the same shape
+ * ({ "elements": { "Fire": ["#rrggbb", …] }, "breeds": { … } }) to add or
+ * replace palettes without a code change.
+ *
+ * Optional env:
+ *   SPRITE_PALETTE        ("element", "breed" or "off", defaults to "element")
+ *   SPRITE_DITHER         ("none" or "ordered", defaults to "none")
+ *   SPRITE_PALETTES_FILE  (JSON palette overrides, see above)
+ */
+
+import { readFileSync } from 'fs';
+import { masterPalettes } from '../utils/metadata-definitions.js';
+
+const PALETTE_MODES = ['element', 'breed', 'off'];
+const DITHER_MODES = ['none', 'ordered'];
+const MODE_TRAITS = { element: ['Element', 'elements'], breed: ['Breed', 'breeds'] };
+
+// 4 × 4 Bayer threshold matrix
+const BAYER_4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+// How far (per channel) ordered dithering may push a pixel
+const DITHER_SPREAD = 32;
+
+/**
+ * Read palette settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { mode, dither, palettesFile }
+ */
+export function loadPaletteOptions(env = process.env) {
+    const mode = (env.SPRITE_PALETTE || 'element').toLowerCase();
+    const dither = (env.SPRITE_DITHER || 'none').toLowerCase();
+    if (!PALETTE_MODES.includes(mode)) {
+        throw new Error(`SPRITE_PALETTE must be one of ${PALETTE_MODES.join(', ')}`);
+    }
+    if (!DITHER_MODES.includes(dither)) {
+        throw new Error(`SPRITE_DITHER must be one of ${DITHER_MODES.join(', ')}`);
+    }
+    return { mode, dither, palettesFile: env.SPRITE_PALETTES_FILE || null };
+}
+
+/**
+ * Parse "#rrggbb" into [r, g, b]
+ * @param {string} hex - Hex colour
+ * @returns {number[]} RGB triple
+ */
+export function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) throw new Error(`Invalid palette colour "${hex}" (expected #rrggbb)`);
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Check a palette override file and merge it over the built-in palettes
+ * @param {Object} overrides - { elements?, breeds? } of name → hex colours
+ * @param {Object} [base] - Palettes to merge over
+ * @returns {Object} { elements, breeds }
+ */
+export function mergePalettes(overrides = {}, base = masterPalettes) {
+    const merged = { elements: { ...base.elements }, breeds: { ...base.breeds } };
+    for (const group of ['elements', 'breeds']) {
+        for (const [name, colors] of Object.entries(overrides[group] || {})) {
+            if (!Array.isArray(colors) || colors.length < 2 || colors.length > 256) {
+                throw new Error(`Palette ${group}.${name} needs 2-256 colours`);
+            }
+            colors.forEach(hexToRgb);
+            merged[group][name] = colors.map(color => color.toLowerCase());
+        }
+    }
+    return merged;
+}
+
+let cachedPalettes = null;
+
+/**
+ * Built-in palettes plus SPRITE_PALETTES_FILE overrides (read once)
+ * @param {string|null} palettesFile - Override file path
+ * @returns {Object} { elements, breeds }
+ */
+function loadPalettes(palettesFile) {
+    if (!palettesFile) return masterPalettes;
+    if (cachedPalettes?.file !== palettesFile) {
+        const overrides = JSON.parse(readFileSync(palettesFile, 'utf8'));
+        cachedPalettes = { file: palettesFile, palettes: mergePalettes(overrides) };
+    }
+    return cachedPalettes.palettes;
+}
+
+/**
+ * Pick the master palette for a sprite from its traits
+ * @param {Object[]} traits - Raw traits ({ trait_type, value })
+ * @param {Object} [options] - Overrides for loadPaletteOptions(), plus palettes
+ * @returns {Object|null} { name, source, dither, colors } or null if palettes are off / none matches
+ */
+export function resolvePalette(traits = [], options = {}) {
+    const { mode, dither, palettesFile, palettes } = { ...loadPaletteOptions(), ...options };
+    if (mode === 'off') return null;
+
+    const [traitType, group] = MODE_TRAITS[mode];
+    const name = traits.find(trait => trait.trait_type === traitType)?.value;
+    const colors = name && (palettes || loadPalettes(palettesFile))[group][name];
+    if (!colors) return null;
+
+    return { name, source: mode, dither, colors: [...colors] };
+}
+
+/**
+ * Perceptual-ish colour distance ("redmean" weighted RGB)
+ */
+function colorDistance(r1, g1, b1, [r2, g2, b2]) {
+    const rMean = (r1 + r2) / 2;
+    const dr = r1 - r2;
+    const dg = g1 - g2;
+    const db = b1 - b2;
+    return (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+}
+
+/**
+ * Remap every pixel to its nearest palette colour
+ * @param {Buffer} data - Raw pixel data
+ * @param {Object} info - { width, height, channels }
+ * @param {string[]|number[][]} colors - Palette as hex strings or RGB triples
+ * @param {Object} [options]
+ * @param {string} [options.dither] - "none" or "ordered"
+ * @returns {Buffer} RGB pixel data using only palette colours
+ */
+export function remapToPalette(data, { width, height, channels = 3 }, colors, { dither = 'none' } = {}) {
+    const palette = colors.map(color => (typeof color === 'string' ? hexToRgb(color) : color));
+    const out = Buffer.alloc(width * height * 3);
+    const nearest = new Map();
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const offset = (y * width + x) * channels;
+            let r = data[offset];
+            let g = data[offset + 1];
+            let b = data[offset + 2];
+
+            if (dither === 'ordered') {
+                // Nudge each pixel by its threshold so in-between colours alternate
+                const nudge = ((BAYER_4[y % 4][x % 4] + 0.5) / 16 - 0.5) * DITHER_SPREAD;
+                r = Math.min(255, Math.max(0, Math.round(r + nudge)));
+                g = Math.min(255, Math.max(0, Math.round(g + nudge)));
+                b = Math.min(255, Math.max(0, Math.round(b + nudge)));
+            }
+
+            const key = (r << 16) | (g << 8) | b;
+            let color = nearest.get(key);
+            if (!color) {
+                color = palette.reduce((best, candidate) =>
+                    (colorDistance(r, g, b, candidate) < colorDistance(r, g, b, best) ? candidate : best));
+                nearest.set(key, color);
+            }
+
+            const target = (y * width + x) * 3;
+            out[target] = color[0];
+            out[target + 1] = color[1];
+            out[target + 2] = color[2];
+        }
+    }
+    return out;
+}
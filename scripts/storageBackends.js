@@ -0,0 +1,303 @@
+/**
+ * scripts/storageBackends.js
+ * ───────────────────────────────────────────────────────────────
+ * Where finalizeMint's uploads go. Every file is encoded locally first
+ * (scripts/unixfs.js), so its CID is known before it leaves the machine;
+ * a backend's result only counts if it pinned that same CID.
+ *
+ * Backends, tried in STORAGE_BACKENDS order until one succeeds:
+ *   pinata      Pinata pinFileToIPFS, CIDv1 wrapped in a directory like ours
+ *   w3up        web3.storage through @web3-storage/w3up-client - uploads our
+ *               own CAR, so the CID matches by construction
+ *   local-ipfs  IPFS-compatible stand-in: LOCAL_IPFS_DIR/<cid>/<filename> plus
+ *               <cid>.car, served by server.js at BASE_URL/ipfs/<cid>/<filename>
+ *   local       copy into public/images (named by CID), served from BASE_URL/images
+ * Unconfigured backends (Pinata without keys) are skipped.
+ *
+ * Each backend has `name`, `configured` and `put(content, bytes)`, where
+ * content is encodeFile()'s result plus the pin `name`, and put() resolves
+ * to { cid, url }.
+ *
+ * Optional env:
+ *   STORAGE_BACKENDS  (comma-separated, defaults to "pinata,w3up,local")
+ *   PINATA_API_KEY, PINATA_SECRET_KEY
+ *   W3UP_SPACE        (space DID, defaults to the w3up client's current space)
+ *   LOCAL_IPFS_DIR    (defaults to "./local-ipfs")
+ *   CAR_EXPORT_DIR    (also write every upload as <cid>.car here, unset = off)
+ *   BASE_URL          (for the local backends' URLs)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { encodeFile, encodeCar } from './unixfs.js';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
+
+const PINATA_URL = 'https://api.pinata.cloud/pinning/pinFileToIPFS';
+const DEFAULT_BACKENDS = 'pinata,w3up,local';
+
+/**
+ * HTTPS gateway URL for a pinned directory and the file in it
+ * @param {string} cid - Directory CID
+ * @param {string} filename - File name
+ * @returns {string} {first of IPFS_GATEWAYS}{CID}/{filename}
+ */
+export function gatewayUrl(cid, filename) {
+    return `${getGatewayResolver().primaryGateway}${cid}/${filename}`;
+}
+
+function baseUrlOf(env) {
+    return env.BASE_URL || 'http://localhost:5000';
+}
+
+/**
+ * Whether a URL was handed out by the local-ipfs or local backend, i.e. it is
+ * served by this app rather than a public gateway (plain http is fine then)
+ * @param {string} uri - URL to check
+ * @param {Object} [env] - Environment (BASE_URL)
+ * @returns {boolean}
+ */
+export function isLocalStorageUrl(uri, env = process.env) {
+    const baseUrl = baseUrlOf(env).replace(/\/$/, '');
+    return typeof uri === 'string' &&
+        (uri.startsWith(`${baseUrl}/ipfs/`) || uri.startsWith(`${baseUrl}/images/`));
+}
+
+/**
+ * Write an upload's blocks as <cid>.car
+ * @param {Object} content - Result of encodeFile()
+ * @param {string} dir - Directory to write to
+ * @returns {Promise<string>} Path of the CAR file
+ */
+export async function writeCar(content, dir) {
+    await fs.mkdir(dir, { recursive: true });
+    const carPath = path.join(dir, `${content.cid}.car`);
+    await fs.writeFile(carPath, encodeCar(content.root, content.blocks));
+    return carPath;
+}
+
+/**
+ * Export a file on disk as a CAR, e.g. to re-pin it elsewhere with `ipfs dag import`
+ * @param {string} filePath - File to export
+ * @param {string} dir - Directory to write <cid>.car to
+ * @returns {Promise<Object>} { cid, carPath }
+ */
+export async function exportCarFile(filePath, dir) {
+    const content = encodeFile(await fs.readFile(filePath), path.basename(filePath));
+    return { cid: content.cid, carPath: await writeCar(content, dir) };
+}
+
+/* ─── Backends ───────────────────────────────────────────────── */
+
+/**
+ * Pinata pinFileToIPFS
+ */
+export class PinataBackend {
+    constructor({ apiKey = process.env.PINATA_API_KEY, secretKey = process.env.PINATA_SECRET_KEY } = {}) {
+        this.apiKey = apiKey;
+        this.secretKey = secretKey;
+    }
+
+    get name() {
+        return 'pinata';
+    }
+
+    get configured() {
+        return Boolean(this.apiKey && this.secretKey);
+    }
+
+    async put(content, bytes) {
+        const form = new FormData();
+        form.append('file', new Blob([bytes]), content.filename);
+        form.append('pinataMetadata', JSON.stringify({ name: content.name }));
+        // Same layout as our local encoding, so the CIDs can be compared
+        form.append('pinataOptions', JSON.stringify({ cidVersion: 1, wrapWithDirectory: true }));
+
+        const res = await fetch(PINATA_URL, {
+            method: 'POST',
+            headers: {
+                pinata_api_key: this.apiKey,
+                pinata_secret_api_key: this.secretKey
+            },
+            body: form
+        });
+        if (!res.ok) {
+            throw new Error(`Pinata upload failed: ${res.status} – ${await res.text()}`);
+        }
+
+        const { IpfsHash: cid } = await res.json();
+        return { cid, url: gatewayUrl(cid, content.filename) };
+    }
+}
+
+/**
+ * web3.storage through the w3up client (agent and space set up with the `w3` CLI)
+ */
+export class W3upBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.space] - Space DID to upload to
+     * @param {Function} [options.createClient] - () => Promise<client>, defaults to w3up-client's create()
+     */
+    constructor({ space = process.env.W3UP_SPACE, createClient = null } = {}) {
+        this.space = space;
+        this.createClient = createClient;
+        this.clientPromise = null;
+    }
+
+    get name() {
+        return 'w3up';
+    }
+
+    get configured() {
+        return true; // Only the client knows whether it has a space - put() says so if not
+    }
+
+    async client() {
+        if (!this.clientPromise) {
+            this.clientPromise = (async () => {
+                const create = this.createClient || (await import('@web3-storage/w3up-client')).create;
+                const client = await create();
+                if (this.space) await client.setCurrentSpace(this.space);
+                if (!client.currentSpace()) {
+                    throw new Error('w3up client has no space - run `w3 space use <did>` or set W3UP_SPACE');
+                }
+                return client;
+            })();
+            // Try again on the next upload rather than caching the failure
+            this.clientPromise.catch(() => { this.clientPromise = null; });
+        }
+        return this.clientPromise;
+    }
+
+    async put(content) {
+        const client = await this.client();
+        const car = encodeCar(content.root, content.blocks);
+        const cid = String(await client.uploadCAR(new Blob([car])));
+        return { cid, url: gatewayUrl(cid, content.filename) };
+    }
+}
+
+/**
+ * IPFS-compatible stand-in on local disk: gateway-style paths, plus the CAR
+ * so anything stored here can be imported into a real node later
+ */
+export class LocalIpfsBackend {
+    constructor({ dir = process.env.LOCAL_IPFS_DIR || path.join(process.cwd(), 'local-ipfs'), baseUrl = baseUrlOf(process.env) } = {}) {
+        this.dir = dir;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    get name() {
+        return 'local-ipfs';
+    }
+
+    get configured() {
+        return true;
+    }
+
+    async put(content, bytes) {
+        const filePath = path.join(this.dir, content.cid, content.filename);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await Promise.all([
+            fs.writeFile(filePath, bytes),
+            writeCar(content, this.dir)
+        ]);
+
+        // Read back what was stored - it's the copy that will be served
+        const stored = encodeFile(await fs.readFile(filePath), content.filename);
+        return { cid: stored.cid, url: `${this.baseUrl}/ipfs/${stored.cid}/${content.filename}` };
+    }
+}
+
+/**
+ * Last resort: public/images, served by the app itself
+ */
+export class LocalFileBackend {
+    constructor({ dir = path.join(process.cwd(), 'public', 'images'), baseUrl = baseUrlOf(process.env) } = {}) {
+        this.dir = dir;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    get configured() {
+        return true;
+    }
+
+    async put(content, bytes) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const filename = `${content.cid}-${content.filename}`;
+        await fs.writeFile(path.join(this.dir, filename), bytes);
+        return { cid: content.cid, url: `${this.baseUrl}/images/${filename}` };
+    }
+}
+
+const BACKENDS = {
+    'pinata': PinataBackend,
+    'w3up': W3upBackend,
+    'local-ipfs': LocalIpfsBackend,
+    'local': LocalFileBackend
+};
+
+/**
+ * Backends to try, in order, from STORAGE_BACKENDS
+ * @param {Object} [env] - Environment variables
+ * @returns {Object[]} Backend instances
+ */
+export function getStorageBackends(env = process.env) {
+    const names = String(env.STORAGE_BACKENDS || DEFAULT_BACKENDS)
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = names.filter(name => !BACKENDS[name]);
+    if (unknown.length > 0 || names.length === 0) {
+        throw new Error(`STORAGE_BACKENDS must list ${Object.keys(BACKENDS).join(', ')}, got "${env.STORAGE_BACKENDS}"`);
+    }
+    return names.map(name => new BACKENDS[name]());
+}
+
+/**
+ * Store a file: compute its CID, then try each backend until one pins that CID
+ * @param {string} filePath - File on disk
+ * @param {Object} [options]
+ * @param {string} [options.name] - Friendly name for the pin
+ * @param {Object[]} [options.backends] - Backends to try (defaults to getStorageBackends())
+ * @param {string} [options.carDir] - Also write the upload as a CAR here (defaults to CAR_EXPORT_DIR)
+ * @returns {Promise<Object>} { cid, url, backend, filename, size, carPath }
+ */
+export async function storeFile(filePath, options = {}) {
+    return storeBytes(await fs.readFile(filePath), path.basename(filePath), options);
+}
+
+/**
+ * Store file contents under a name, like storeFile() - used to re-pin archived copies
+ * @param {Buffer} bytes - File contents
+ * @param {string} filename - Name inside the wrapping directory
+ * @param {Object} [options] - Same as storeFile()
+ * @returns {Promise<Object>} { cid, url, backend, filename, size, carPath }
+ */
+export async function storeBytes(bytes, filename, { name, backends = getStorageBackends(), carDir = process.env.CAR_EXPORT_DIR } = {}) {
+    const content = { ...encodeFile(bytes, filename), name: name || filename };
+    console.log(`🔢 ${content.filename} → ${content.cid} (${content.size} bytes, computed locally)`);
+
+    const carPath = carDir ? await writeCar(content, carDir) : null;
+
+    const failures = [];
+    for (const backend of backends) {
+        if (!backend.configured) continue;
+        try {
+            const result = await backend.put(content, bytes);
+            if (result.cid !== content.cid) {
+                throw new Error(`pinned ${result.cid}, expected ${content.cid}`);
+            }
+            console.log(`📌 ${content.filename} stored on ${backend.name}: ${result.url}`);
+            return { cid: content.cid, url: result.url, backend: backend.name, filename: content.filename, size: content.size, carPath };
+        } catch (error) {
+            console.warn(`⚠️ ${backend.name} upload failed, falling back: ${error.message}`);
+            failures.push(`${backend.name}: ${error.message}`);
+        }
+    }
+    throw new Error(`No storage backend stored ${content.filename} (${failures.join('; ') || 'none configured'})`);
+}
@@ -11,18 +11,69 @@ import { createClient } from '@supabase/supabase-js';
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 
+/**
+ * In-memory stand-in for the Supabase client, covering the queries below, so
+ * tasks are still tracked (per process) in development and offline mints
+ * @returns {Object} Client with from(table)
+ */
+function createMockClient() {
+    const tables = new Map();
+
+    return {
+        from: (table) => {
+            if (!tables.has(table)) tables.set(table, []);
+            const rows = tables.get(table);
+            const filters = [];
+            let action = 'select';
+            let values = null;
+            let limit = Infinity;
+            let single = false;
+
+            const run = () => {
+                const matches = rows.filter(row => filters.every(filter => filter(row)));
+                let data;
+                if (action === 'insert') {
+                    data = values.map(row => ({ ...row }));
+                    rows.push(...data);
+                } else if (action === 'update') {
+                    matches.forEach(row => Object.assign(row, values));
+                    data = matches;
+                } else if (action === 'delete') {
+                    tables.set(table, rows.filter(row => !matches.includes(row)));
+                    data = matches;
+                } else {
+                    data = matches;
+                }
+                data = data.slice(0, limit).map(row => ({ ...row }));
+                if (!single) return { data, error: null };
+                return data.length ?
+                    { data: data[0], error: null } :
+                    { data: null, error: { code: 'PGRST116', message: 'No rows found' } };
+            };
+
+            const query = {
+                select: () => query,
+                insert: (inserted) => { action = 'insert'; values = inserted; return query; },
+                update: (update) => { action = 'update'; values = update; return query; },
+                delete: () => { action = 'delete'; return query; },
+                eq: (column, value) => { filters.push(row => row[column] === value); return query; },
+                in: (column, list) => { filters.push(row => list.includes(row[column])); return query; },
+                gte: (column, value) => { filters.push(row => row[column] >= value); return query; },
+                lte: (column, value) => { filters.push(row => row[column] <= value); return query; },
+                lt: (column, value) => { filters.push(row => row[column] < value); return query; },
+                limit: (count) => { limit = count; return query; },
+                single: () => { single = true; return query; },
+                then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+            };
+            return query;
+        }
+    };
+}
+
 let supabase;
 if (!supabaseUrl || !supabaseKey) {
-    console.warn('⚠️ SUPABASE_URL and SUPABASE_ANON_KEY environment variables not set - using mock client');
-    // Create mock client for development
-    supabase = {
-        from: (table) => ({
-            select: () => ({ eq: () => ({ single: () => Promise.resolve({ data: null, error: null }) }) }),
-            insert: () => Promise.resolve({ data: [{ id: 'mock-id' }], error: null }),
-            update: () => ({ eq: () => Promise.resolve({ data: [], error: null }) }),
-            delete: () => ({ lt: () => Promise.resolve({ data: [], error: null }) })
-        })
-    };
+    console.warn('⚠️ SUPABASE_URL and SUPABASE_ANON_KEY environment variables not set - using in-memory mock client');
+    supabase = createMockClient();
 } else {
     supabase = createClient(supabaseUrl, supabaseKey);
 }
@@ -34,6 +85,8 @@ export const TASK_STATES = {
     COMPLETED: 'COMPLETED',
     FAILED: 'FAILED',
     TIMEOUT: 'TIMEOUT',
+    // Candidates generated, waiting for the owner to pick one (scripts/candidateSelection.js)
+    AWAITING_SELECTION: 'AWAITING_SELECTION',
 };
 
 /**
@@ -126,8 +179,11 @@ export async function updateTask(taskId, update) {
         ...(update.token_uri && { token_uri: update.token_uri }),
         ...(update.provider && { provider: update.provider }),
         ...(update.provider_options && { provider_options: update.provider_options }),
+        ...(update.requested_provider && { requested_provider: update.requested_provider }),
+        ...(update.provider_fallback && { provider_fallback: update.provider_fallback }),
         ...(update.completed_at && { completed_at: update.completed_at }),
         ...(update.failed_at && { failed_at: update.failed_at }),
+        ...(update.timeout_at && { timeout_at: update.timeout_at }),
     };
 
     // Auto‑bump to IN_PROGRESS if progress is in (0,100) and no explicit status
@@ -195,11 +251,11 @@ export async function getTaskStatus(taskId, options = {}) {
         throw error;
     }
 
-    // Timeout check
+    // Timeout check - a task waiting on a selection expires with its candidates instead
     if (
         data.timeout_at &&
         new Date() > new Date(data.timeout_at) &&
-        ![TASK_STATES.COMPLETED, TASK_STATES.FAILED].includes(data.status)
+        ![TASK_STATES.COMPLETED, TASK_STATES.FAILED, TASK_STATES.AWAITING_SELECTION].includes(data.status)
     ) {
         await updateTask(taskId, {
             status: TASK_STATES.TIMEOUT,
@@ -230,10 +286,16 @@ export async function completeTask(taskId, result) {
     return updateTask(taskId, {
         status: TASK_STATES.COMPLETED,
         progress: 100,
-        message: 'Task completed successfully',
+        message: result.fallback ?
+            `Task completed with fallback provider ${result.provider}` :
+            'Task completed successfully',
         metadata: result.metadata || null,
         token_uri: result.tokenURI || result.token_uri || null,
         completed_at: new Date().toISOString(),
+        // Provider that actually produced the image, and why it differs from the requested one
+        ...(result.provider && { provider: result.provider }),
+        ...(result.requestedProvider && { requested_provider: result.requestedProvider }),
+        ...(result.fallback && { provider_fallback: result.fallback }),
     });
 }
 
@@ -248,6 +310,35 @@ export async function failTask(taskId, error) {
     });
 }
 
+/**
+ * Append a sent transaction (including gas-bumped replacements) to a task
+ * @param {string} taskId - Task ID
+ * @param {Object} tx - { label, hash, nonce, replaces }
+ */
+export async function recordTaskTransaction(taskId, tx) {
+    const { data, error: fetchErr } = await supabase
+        .from('tasks')
+        .select('transactions')
+        .eq('id', taskId)
+        .single();
+
+    if (fetchErr && fetchErr.code !== 'PGRST116') {
+        console.error(`❌ recordTaskTransaction lookup error for ${taskId}:`, fetchErr);
+        throw fetchErr;
+    }
+
+    const transactions = [...(data?.transactions || []), { ...tx, sentAt: new Date().toISOString() }];
+    const { error } = await supabase
+        .from('tasks')
+        .update({ transactions, updated_at: new Date().toISOString() })
+        .eq('id', taskId);
+
+    if (error) {
+        console.error(`❌ recordTaskTransaction error for ${taskId}:`, error);
+        throw error;
+    }
+}
+
 /**
  * List tasks with optional filters
  */
@@ -356,12 +447,25 @@ CREATE TABLE tasks (
   estimated_completion_time TIMESTAMPTZ,
   completed_at TIMESTAMPTZ,
   failed_at TIMESTAMPTZ,
-  error TEXT
+  error TEXT,
+  job_payload JSONB,
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER,
+  next_attempt_at TIMESTAMPTZ,
+  lease_expires_at TIMESTAMPTZ,
+  leased_by TEXT,
+  error_history JSONB DEFAULT '[]',
+  dead_lettered_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  transactions JSONB DEFAULT '[]',
+  requested_provider TEXT,
+  provider_fallback JSONB
 );
 CREATE INDEX idx_tasks_token_id   ON tasks(token_id);
 CREATE INDEX idx_tasks_status     ON tasks(status);
 CREATE INDEX idx_tasks_created_at ON tasks(created_at);
 CREATE INDEX idx_tasks_updated_at ON tasks(updated_at);
+CREATE INDEX idx_tasks_next_attempt_at ON tasks(next_attempt_at);
     `);
         return false;
     }
@@ -0,0 +1,186 @@
+/**
+ * scripts/systemState.js
+ * ───────────────────────────────────────────────────────────────
+ * Small key/value store for process state shared between the
+ * long-running server and the serverless functions.
+ *
+ * Backends:
+ * - Supabase `system_state` table (same table api/cron.js uses)
+ * - Local JSON file when Supabase isn't configured
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Key/value state backed by the Supabase `system_state` table
+ */
+export class SupabaseSystemState {
+    constructor(client) {
+        this.supabase = client || createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
+    }
+
+    get name() {
+        return 'supabase';
+    }
+
+    /**
+     * Check the system_state table exists, printing the SQL to create it if not
+     * @returns {Promise<boolean>} False only when the table is missing
+     */
+    async ensureTable() {
+        const { error } = await this.supabase
+            .from('system_state')
+            .select('key')
+            .limit(1);
+
+        if (error && error.code === '42P01') {
+            console.log('⚠️ system_state table does not exist - please create it manually');
+            console.log(`
+CREATE TABLE public.system_state (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+ALTER TABLE public.system_state ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow full access to system_state"
+ON public.system_state
+FOR ALL
+USING (true)
+WITH CHECK (true);
+            `);
+            return false;
+        }
+        if (error) {
+            // Permissions etc. - reads and writes may still work, so carry on
+            console.error('❌ Error checking system_state table:', error);
+        }
+        return true;
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - State key
+     * @returns {Promise<*>} Stored value or null when missing
+     */
+    async get(key) {
+        const { data, error } = await this.supabase
+            .from('system_state')
+            .select('value')
+            .eq('key', key)
+            .single();
+
+        if (error) {
+            if (error.code === 'PGRST116') return null; // Not found is ok
+            throw error;
+        }
+        return data?.value ?? null;
+    }
+
+    /**
+     * Set a value
+     * @param {string} key - State key
+     * @param {*} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+        return this.setMany({ [key]: value });
+    }
+
+    /**
+     * Set several values in one upsert
+     * @param {Object} values - Map of key to JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async setMany(values) {
+        const updatedAt = new Date().toISOString();
+        const { error } = await this.supabase
+            .from('system_state')
+            .upsert(Object.entries(values).map(([key, value]) => ({
+                key,
+                value,
+                updated_at: updatedAt
+            })), {
+                onConflict: 'key'
+            });
+
+        if (error) throw error;
+    }
+}
+
+/**
+ * Key/value state backed by a local JSON file
+ */
+export class FileSystemState {
+    /**
+     * @param {string} filePath - Path to the state file
+     */
+    constructor(filePath = process.env.SYSTEM_STATE_FILE || path.join(process.cwd(), 'system-state.json')) {
+        this.filePath = filePath;
+        this.lock = Promise.resolve();
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    async ensureTable() {
+        return true;
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.warn(`⚠️ Could not read ${this.filePath}: ${err.message}`);
+            }
+            return {};
+        }
+    }
+
+    async get(key) {
+        const all = await this.readAll();
+        return all[key] ?? null;
+    }
+
+    async set(key, value) {
+        return this.setMany({ [key]: value });
+    }
+
+    /**
+     * Set several values in one write
+     * @param {Object} values - Map of key to JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async setMany(values) {
+        const run = this.lock.then(async () => {
+            const all = await this.readAll();
+            Object.assign(all, values);
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(all, null, 2));
+            await fs.rename(tmpPath, this.filePath);
+        });
+        this.lock = run.catch(() => { });
+        return run;
+    }
+}
+
+let defaultState = null;
+
+/**
+ * Return the shared system state store for this environment
+ * @returns {SupabaseSystemState|FileSystemState} State store
+ */
+export function getSystemState() {
+    if (!defaultState) {
+        defaultState = process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY
+            ? new SupabaseSystemState()
+            : new FileSystemState();
+    }
+    return defaultState;
+}
@@ -0,0 +1,212 @@
+/**
+ * scripts/tokenUriBatcher.js
+ * ───────────────────────────────────────────────────────────────
+ * Batches setTokenURI writes for bulk work (backfills, bulk regenerations).
+ *
+ * Finished token URIs are collected and flushed once TOKEN_URI_BATCH_SIZE
+ * are waiting, or TOKEN_URI_BATCH_FLUSH_MS after the first one arrived.
+ * A flush sends one `multicall(bytes[])` transaction when the contract
+ * supports it (OpenZeppelin Multicall), otherwise one setTokenURI per
+ * token. If a multicall reverts, the batch is retried token by token so a
+ * single bad token doesn't hold back the rest.
+ *
+ * Every add() returns a promise that settles once that token's URI is
+ * confirmed on-chain (or has failed), and the batcher keeps a record of
+ * which tokens each flush confirmed.
+ *
+ * Optional env:
+ *   TOKEN_URI_BATCH_MODE      ("auto", "multicall" or "sequential", defaults to "auto")
+ *   TOKEN_URI_BATCH_SIZE      (defaults to 20)
+ *   TOKEN_URI_BATCH_FLUSH_MS  (defaults to 30000 – 30 seconds)
+ */
+
+import { setTimeout, clearTimeout } from 'timers';
+import { getTransactionManager } from './transactionManager.js';
+
+// Confirmed token records kept for status()
+const MAX_CONFIRMED_HISTORY = 500;
+
+/**
+ * Read batch settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { mode, batchSize, flushMs }
+ */
+export function loadBatchOptions(env = process.env) {
+    return {
+        mode: env.TOKEN_URI_BATCH_MODE || 'auto',
+        batchSize: parseInt(env.TOKEN_URI_BATCH_SIZE, 10) || 20,
+        flushMs: parseInt(env.TOKEN_URI_BATCH_FLUSH_MS, 10) || 30000
+    };
+}
+
+/**
+ * Collects token URIs and writes them on-chain in batches
+ */
+export class TokenUriBatcher {
+    /**
+     * @param {Object} nft - Contract connected with a signer (setTokenURI, optionally multicall)
+     * @param {Object} [options] - Overrides for loadBatchOptions(), plus txManager
+     */
+    constructor(nft, { txManager, ...options } = {}) {
+        this.nft = nft;
+        this.txManager = txManager || getTransactionManager(nft.runner);
+        this.options = { ...loadBatchOptions(), ...options };
+        this.pending = [];
+        this.timer = null;
+        this.multicallSupported = this.options.mode === 'sequential' ? false : null;
+        this.confirmed = new Map();
+        this.lastFlush = null;
+    }
+
+    /**
+     * Tokens waiting for the next flush
+     * @returns {number} Pending count
+     */
+    get size() {
+        return this.pending.length;
+    }
+
+    /**
+     * Queue a token URI for the next batch
+     * @param {number} tokenId - Token ID
+     * @param {string} tokenURI - Final token URI
+     * @param {Object} [options]
+     * @param {Function} [options.onSent] - (hash, { nonce, replaces, batched }) => void for every tx carrying this token
+     * @returns {Promise<Object>} Resolves with { tokenId, tokenURI, hash, receipt, batched } once confirmed
+     */
+    add(tokenId, tokenURI, { onSent } = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ tokenId: Number(tokenId), tokenURI, onSent, resolve, reject });
+
+            if (this.pending.length >= this.options.batchSize) {
+                this.flush().catch(() => { });
+            } else if (!this.timer) {
+                this.timer = setTimeout(() => this.flush().catch(() => { }), this.options.flushMs);
+            }
+        });
+    }
+
+    /**
+     * Check once whether the contract accepts multicall(bytes[])
+     * @returns {Promise<boolean>} True if batches can go out as one transaction
+     */
+    async supportsMulticall() {
+        if (this.multicallSupported !== null) return this.multicallSupported;
+
+        if (this.options.mode === 'multicall') {
+            this.multicallSupported = true;
+        } else {
+            try {
+                // An empty multicall is a no-op on contracts that have it and reverts (or
+                // returns undecodable data) on contracts that don't
+                await this.nft.getFunction('multicall').staticCall([]);
+                this.multicallSupported = true;
+            } catch {
+                this.multicallSupported = false;
+            }
+        }
+        console.log(`📦 Token URI batches will use ${this.multicallSupported ? 'multicall' : 'sequential setTokenURI calls'}`);
+        return this.multicallSupported;
+    }
+
+    /**
+     * Send everything that is pending now
+     * @returns {Promise<Object>} { mode, size, confirmed, failed } for this flush
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const batch = this.pending.splice(0);
+        if (batch.length === 0) return { mode: null, size: 0, confirmed: [], failed: [] };
+
+        const report = { mode: 'sequential', size: batch.length, confirmed: [], failed: [] };
+        let remaining = batch;
+
+        if (batch.length > 1 && await this.supportsMulticall()) {
+            report.mode = 'multicall';
+            try {
+                const tx = await this.sendMulticall(batch);
+                for (const entry of batch) this.confirm(entry, tx, true, report);
+                remaining = [];
+            } catch (err) {
+                console.warn(`⚠️ Multicall for ${batch.length} token URIs failed, sending them one by one: ${err.message}`);
+                report.mode = 'multicall+sequential';
+            }
+        }
+
+        for (const entry of remaining) {
+            try {
+                const tx = await this.txManager.send(this.nft, 'setTokenURI', [entry.tokenId, entry.tokenURI], {
+                    onSent: entry.onSent
+                });
+                this.confirm(entry, tx, false, report);
+            } catch (err) {
+                report.failed.push({ tokenId: entry.tokenId, error: err.message });
+                entry.reject(err);
+            }
+        }
+
+        this.lastFlush = { ...report, flushedAt: new Date().toISOString() };
+        console.log(`📦 Flushed ${batch.length} token URI(s) via ${report.mode}: ${report.confirmed.length} confirmed, ${report.failed.length} failed`);
+        return report;
+    }
+
+    /**
+     * Write a whole batch in one multicall transaction
+     * @param {Object[]} batch - Pending entries
+     * @returns {Promise<Object>} Transaction manager result
+     */
+    async sendMulticall(batch) {
+        const calls = batch.map(entry => this.nft.interface.encodeFunctionData('setTokenURI', [entry.tokenId, entry.tokenURI]));
+        return this.txManager.send(this.nft, 'multicall', [calls], {
+            onSent: (hash, info) => Promise.all(batch.map(entry => entry.onSent?.(hash, { ...info, batched: true })))
+        });
+    }
+
+    /**
+     * Record a confirmed token and settle its add() promise
+     * @param {Object} entry - Pending entry
+     * @param {Object} tx - Transaction manager result
+     * @param {boolean} batched - Written as part of a multicall
+     * @param {Object} report - Flush report
+     */
+    confirm(entry, tx, batched, report) {
+        const record = {
+            tokenId: entry.tokenId,
+            tokenURI: entry.tokenURI,
+            hash: tx.hash,
+            blockNumber: tx.receipt.blockNumber,
+            batched
+        };
+        this.confirmed.delete(entry.tokenId);
+        this.confirmed.set(entry.tokenId, record);
+        if (this.confirmed.size > MAX_CONFIRMED_HISTORY) {
+            this.confirmed.delete(this.confirmed.keys().next().value);
+        }
+        report.confirmed.push(entry.tokenId);
+        entry.resolve({ ...record, receipt: tx.receipt });
+    }
+
+    /**
+     * Snapshot for monitoring
+     * @returns {Object} { pending, multicallSupported, confirmedCount, lastFlush }
+     */
+    status() {
+        return {
+            pending: this.pending.map(entry => entry.tokenId),
+            multicallSupported: this.multicallSupported,
+            confirmedCount: this.confirmed.size,
+            lastFlush: this.lastFlush
+        };
+    }
+
+    /**
+     * Whether a token's URI was confirmed by this batcher
+     * @param {number} tokenId - Token ID
+     * @returns {Object|null} { tokenId, tokenURI, hash, blockNumber, batched } or null
+     */
+    confirmation(tokenId) {
+        return this.confirmed.get(Number(tokenId)) || null;
+    }
+}
@@ -0,0 +1,273 @@
+/**
+ * scripts/transactionManager.js
+ * ───────────────────────────────────────────────────────────────
+ * Nonce + gas handling for the minter wallet's transactions.
+ *
+ * - Nonces are handed out one at a time per signer, starting from the
+ *   node's pending count, so concurrent mint workers never reuse one.
+ *   If another process (cron, a manual run) took a nonce first, the send
+ *   is retried with a fresh count.
+ * - Fees follow TX_GAS_STRATEGY: EIP-1559 maxFee / priority fee when the
+ *   network supports it ("auto"), or a legacy gasPrice. Fixed values from
+ *   env override the fee data reported by the node.
+ * - A transaction that isn't mined within TX_REPLACE_AFTER_MS is replaced
+ *   with the same nonce and bumped fees, up to TX_MAX_REPLACEMENTS times.
+ * - Every hash sent (original and replacements) is passed to `onSent`,
+ *   so callers can record it on the task.
+ *
+ * Optional env:
+ *   TX_GAS_STRATEGY              ("auto", "eip1559" or "legacy", defaults to "auto")
+ *   TX_MAX_FEE_GWEI              (fixed EIP-1559 maxFeePerGas)
+ *   TX_MAX_PRIORITY_FEE_GWEI     (fixed EIP-1559 maxPriorityFeePerGas)
+ *   TX_GAS_PRICE_GWEI            (fixed legacy gasPrice)
+ *   TX_FEE_MULTIPLIER            (applied to node fee data, defaults to 1.1)
+ *   TX_MAX_FEE_CAP_GWEI          (replacements never bid above this)
+ *   TX_REPLACE_AFTER_MS          (defaults to 120000 – 2 minutes)
+ *   TX_MAX_REPLACEMENTS          (defaults to 3)
+ *   TX_REPLACEMENT_BUMP_PERCENT  (defaults to 15 – nodes require at least 10)
+ */
+
+import { ethers } from 'ethers';
+
+const NONCE_RETRIES = 3;
+
+/**
+ * Read transaction settings from env
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} Transaction manager options
+ */
+export function loadTransactionOptions(env = process.env) {
+    const gwei = value => (value ? ethers.parseUnits(String(value), 'gwei') : null);
+    return {
+        strategy: env.TX_GAS_STRATEGY || 'auto',
+        maxFeePerGas: gwei(env.TX_MAX_FEE_GWEI),
+        maxPriorityFeePerGas: gwei(env.TX_MAX_PRIORITY_FEE_GWEI),
+        gasPrice: gwei(env.TX_GAS_PRICE_GWEI),
+        feeMultiplier: parseFloat(env.TX_FEE_MULTIPLIER) || 1.1,
+        maxFeeCap: gwei(env.TX_MAX_FEE_CAP_GWEI),
+        replaceAfterMs: parseInt(env.TX_REPLACE_AFTER_MS, 10) || 2 * 60 * 1000,
+        maxReplacements: parseInt(env.TX_MAX_REPLACEMENTS, 10) >= 0 ? parseInt(env.TX_MAX_REPLACEMENTS, 10) : 3,
+        bumpPercent: parseInt(env.TX_REPLACEMENT_BUMP_PERCENT, 10) || 15
+    };
+}
+
+/**
+ * Scale a wei amount by a float factor
+ * @param {bigint} value - Amount in wei
+ * @param {number} factor - Multiplier
+ * @returns {bigint} Scaled amount
+ */
+function scale(value, factor) {
+    return (value * BigInt(Math.round(factor * 1000))) / 1000n;
+}
+
+function isNonceError(err) {
+    const message = err?.message || '';
+    return ethers.isError(err, 'NONCE_EXPIRED') || /nonce too low|nonce has already been used|already known/i.test(message);
+}
+
+/**
+ * Sends transactions for one signer with serialized nonces and managed fees
+ */
+export class TransactionManager {
+    /**
+     * @param {Object} signer - ethers Signer connected to a provider
+     * @param {Object} [options] - Overrides for loadTransactionOptions()
+     */
+    constructor(signer, options = {}) {
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.options = { ...loadTransactionOptions(), ...options };
+        this.nextNonce = null;
+        this.lock = Promise.resolve();
+    }
+
+    /**
+     * Serialize nonce assignment + broadcast within this process
+     * @param {Function} fn - Async operation
+     * @returns {Promise<*>} Operation result
+     */
+    withLock(fn) {
+        const run = this.lock.then(fn);
+        this.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Fee fields for a new transaction
+     * @returns {Promise<Object>} { type, maxFeePerGas, maxPriorityFeePerGas } or { type, gasPrice }
+     */
+    async feeOverrides() {
+        const { strategy, feeMultiplier } = this.options;
+        const feeData = await this.provider.getFeeData();
+        const eip1559 = strategy === 'eip1559' || (strategy === 'auto' && feeData.maxFeePerGas != null);
+
+        if (eip1559) {
+            const priority = this.options.maxPriorityFeePerGas ??
+                scale(feeData.maxPriorityFeePerGas ?? ethers.parseUnits('1.5', 'gwei'), feeMultiplier);
+            const maxFee = this.options.maxFeePerGas ??
+                scale(feeData.maxFeePerGas ?? feeData.gasPrice ?? priority, feeMultiplier);
+            return {
+                type: 2,
+                maxFeePerGas: maxFee > priority ? maxFee : priority,
+                maxPriorityFeePerGas: priority
+            };
+        }
+
+        return {
+            type: 0,
+            gasPrice: this.options.gasPrice ?? scale(feeData.gasPrice, feeMultiplier)
+        };
+    }
+
+    /**
+     * Bump fees enough for a node to accept a same-nonce replacement
+     * @param {Object} fees - Fees of the transaction being replaced
+     * @returns {Object|null} Bumped fees, or null if the cap doesn't leave room for a bump
+     */
+    bumpFees(fees) {
+        const { bumpPercent, maxFeeCap } = this.options;
+        const bump = value => (value * BigInt(100 + bumpPercent)) / 100n;
+        const bumped = fees.type === 2
+            ? { type: 2, maxFeePerGas: bump(fees.maxFeePerGas), maxPriorityFeePerGas: bump(fees.maxPriorityFeePerGas) }
+            : { type: 0, gasPrice: bump(fees.gasPrice) };
+
+        const price = bumped.maxFeePerGas ?? bumped.gasPrice;
+        if (maxFeeCap && price > maxFeeCap) return null;
+        return bumped;
+    }
+
+    /**
+     * Next nonce for this signer - never lower than the node's pending count
+     * @returns {Promise<number>} Nonce
+     */
+    async reserveNonce() {
+        const pending = await this.provider.getTransactionCount(await this.signer.getAddress(), 'pending');
+        const nonce = Math.max(pending, this.nextNonce ?? 0);
+        this.nextNonce = nonce + 1;
+        return nonce;
+    }
+
+    /**
+     * Assign a nonce + fees and broadcast, retrying if another sender took the nonce
+     * @param {Object} request - Populated transaction request
+     * @returns {Promise<Object>} { tx, nonce, fees }
+     */
+    async broadcast(request) {
+        return this.withLock(async () => {
+            for (let attempt = 1; ; attempt++) {
+                const nonce = await this.reserveNonce();
+                const fees = await this.feeOverrides();
+                try {
+                    const tx = await this.signer.sendTransaction({ ...request, ...fees, nonce });
+                    return { tx, nonce, fees };
+                } catch (err) {
+                    // The reserved nonce wasn't used - re-read it from the node next time
+                    this.nextNonce = null;
+                    if (!isNonceError(err) || attempt >= NONCE_RETRIES) throw err;
+                    console.warn(`⚠️ Nonce ${nonce} already used by another sender, retrying with a fresh nonce`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Find a receipt for any of the hashes sent for one nonce
+     * @param {string[]} hashes - Original + replacement hashes
+     * @returns {Promise<Object|null>} Receipt or null if none is mined yet
+     */
+    async findReceipt(hashes) {
+        for (const hash of hashes) {
+            const receipt = await this.provider.getTransactionReceipt(hash);
+            if (receipt) return receipt;
+        }
+        return null;
+    }
+
+    /**
+     * Send a transaction and wait for it, replacing it with higher fees if it gets stuck
+     * @param {Object} request - Transaction request ({ to, data, ... })
+     * @param {Object} [options]
+     * @param {Function} [options.onSent] - (hash, { nonce, replaces }) => void, called for every broadcast
+     * @param {number} [options.confirmations] - Confirmations to wait for (defaults to 1)
+     * @returns {Promise<Object>} { hash, receipt, hashes, nonce }
+     */
+    async sendTransaction(request, { onSent = () => { }, confirmations = 1 } = {}) {
+        const { replaceAfterMs, maxReplacements } = this.options;
+        const sent = await this.broadcast(request);
+        const { nonce } = sent;
+        let { tx, fees } = sent;
+        const hashes = [tx.hash];
+        await onSent(tx.hash, { nonce, replaces: null });
+
+        for (let replacements = 0; ; ) {
+            let receipt = await this.provider.waitForTransaction(tx.hash, confirmations, replaceAfterMs).catch(err => {
+                if (ethers.isError(err, 'TIMEOUT')) return null;
+                throw err;
+            });
+            // An earlier hash for this nonce may have been mined instead
+            receipt = receipt || await this.findReceipt(hashes);
+
+            if (receipt) {
+                if (receipt.status === 0) {
+                    throw new Error(`Transaction ${receipt.hash} reverted`);
+                }
+                return { hash: receipt.hash, receipt, hashes, nonce };
+            }
+
+            const bumped = replacements < maxReplacements ? this.bumpFees(fees) : null;
+            if (!bumped) {
+                const err = new Error(`Transaction ${tx.hash} (nonce ${nonce}) not mined after ${replacements} replacement(s)`);
+                err.code = 'TIMEOUT';
+                throw err;
+            }
+
+            replacements++;
+            try {
+                const replacement = await this.signer.sendTransaction({ ...request, ...bumped, nonce });
+                console.warn(`⛽ Replaced stuck transaction ${tx.hash} with ${replacement.hash} (nonce ${nonce})`);
+                await onSent(replacement.hash, { nonce, replaces: tx.hash });
+                hashes.push(replacement.hash);
+                tx = replacement;
+                fees = bumped;
+            } catch (err) {
+                // Mined in the meantime - the receipt check on the next pass picks it up
+                if (isNonceError(err)) continue;
+                // Node wants a bigger bump - try again from the higher fees
+                if (ethers.isError(err, 'REPLACEMENT_UNDERPRICED')) {
+                    fees = bumped;
+                    continue;
+                }
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Call a contract method through the managed nonce + gas strategy
+     * @param {Object} contract - ethers Contract
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} [options] - sendTransaction options
+     * @returns {Promise<Object>} { hash, receipt, hashes, nonce }
+     */
+    async send(contract, method, args, options) {
+        const request = await contract.getFunction(method).populateTransaction(...args);
+        return this.sendTransaction(request, options);
+    }
+}
+
+// One manager per signer, so every worker in the process shares its nonce sequence
+const managers = new WeakMap();
+
+/**
+ * Get the shared transaction manager for a signer
+ * @param {Object} signer - ethers Signer
+ * @returns {TransactionManager} Transaction manager
+ */
+export function getTransactionManager(signer) {
+    if (!managers.has(signer)) {
+        managers.set(signer, new TransactionManager(signer));
+    }
+    return managers.get(signer);
+}
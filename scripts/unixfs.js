@@ -0,0 +1,358 @@
+/**
+ * scripts/unixfs.js
+ * ───────────────────────────────────────────────────────────────
+ * Local IPFS encoding, so a file's CID is known before it is uploaded and
+ * can be checked against what a pinning service reports afterwards.
+ *
+ * Files are laid out the way `ipfs add --cid-version=1 --wrap-with-directory`
+ * does it (kubo's defaults): 256 KiB raw leaves, a balanced dag-pb tree of
+ * up to 174 links per node, sha2-256 CIDv1, and a directory around the file
+ * so gateway URLs keep the filename (…/ipfs/<cid>/<filename>). A file that
+ * fits in one chunk is its own raw leaf.
+ *
+ * The blocks can be written out as a CARv1 file (header + length-prefixed
+ * blocks) for w3up uploads, archiving, or `ipfs dag import` elsewhere, and
+ * read back into the original file for re-pinning.
+ */
+
+import { createHash } from 'crypto';
+
+export const DEFAULT_LAYOUT = {
+    chunkSize: 262144,
+    maxLinks: 174
+};
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const SHA2_256 = 0x12;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+/* ─── Encoding helpers ───────────────────────────────────────── */
+
+function varint(value) {
+    const bytes = [];
+    let rest = value;
+    while (rest >= 0x80) {
+        bytes.push((rest % 0x80) | 0x80);
+        rest = Math.floor(rest / 0x80);
+    }
+    bytes.push(rest);
+    return Buffer.from(bytes);
+}
+
+function readVarint(buffer, offset) {
+    let value = 0;
+    let factor = 1;
+    let length = 0;
+    let byte;
+    do {
+        if (offset + length >= buffer.length) throw new Error('Truncated varint');
+        byte = buffer[offset + length++];
+        value += (byte & 0x7f) * factor;
+        factor *= 0x80;
+    } while (byte & 0x80);
+    return { value, length };
+}
+
+/**
+ * Protobuf field: key (field number + wire type) then a varint or length-prefixed bytes
+ */
+function field(number, value) {
+    if (typeof value === 'number') return Buffer.concat([varint(number << 3), varint(value)]);
+    return Buffer.concat([varint((number << 3) | 2), varint(value.length), value]);
+}
+
+/**
+ * Protobuf fields of a message, in order
+ * @returns {Object[]} { number, value (number or Buffer) }
+ */
+function fields(message) {
+    const found = [];
+    for (let offset = 0; offset < message.length;) {
+        const key = readVarint(message, offset);
+        offset += key.length;
+        const number = Math.floor(key.value / 8);
+        const value = readVarint(message, offset);
+        offset += value.length;
+        if (key.value % 8 === 0) {
+            found.push({ number, value: value.value });
+        } else if (key.value % 8 === 2) {
+            found.push({ number, value: message.subarray(offset, offset + value.value) });
+            offset += value.value;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${key.value % 8}`);
+        }
+    }
+    return found;
+}
+
+function base32(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    if (bits > 0) output += BASE32[(buffer << (5 - bits)) & 31];
+    return output;
+}
+
+function fromBase32(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+        const value = BASE32.indexOf(char);
+        if (value < 0) throw new Error(`Invalid base32 character "${char}"`);
+        buffer = (buffer << 5) | value;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        buffer &= (1 << bits) - 1;
+    }
+    return Buffer.from(bytes);
+}
+
+/* ─── CIDs ───────────────────────────────────────────────────── */
+
+/**
+ * CIDv1 bytes for a block
+ * @param {number} codec - 0x55 (raw) or 0x70 (dag-pb)
+ * @param {Buffer} data - Block bytes
+ * @returns {Buffer} CID bytes
+ */
+function cidFor(codec, data) {
+    const digest = createHash('sha256').update(data).digest();
+    return Buffer.concat([varint(1), varint(codec), varint(SHA2_256), varint(digest.length), digest]);
+}
+
+/**
+ * CID as its usual string form (base32, "bafy…" / "bafk…")
+ * @param {Buffer} cid - CID bytes
+ * @returns {string} CID string
+ */
+export function cidToString(cid) {
+    return `b${base32(cid)}`;
+}
+
+/**
+ * Parse a base32 CIDv1 string
+ * @param {string} text - CID string ("b…")
+ * @returns {Buffer} CID bytes
+ */
+export function cidFromString(text) {
+    if (typeof text !== 'string' || !text.startsWith('b')) {
+        throw new Error(`Only base32 CIDv1 strings are supported, got "${text}"`);
+    }
+    const bytes = fromBase32(text.slice(1));
+    if (readVarint(bytes, 0).value !== 1) throw new Error(`Not a CIDv1: ${text}`);
+    return bytes;
+}
+
+/* ─── UnixFS ─────────────────────────────────────────────────── */
+
+/**
+ * dag-pb node: links first, then data (the canonical order)
+ */
+function dagPbNode(links, data) {
+    const encodedLinks = links.map(link => field(2, Buffer.concat([
+        field(1, link.cid),
+        field(2, Buffer.from(link.name, 'utf8')),
+        field(3, link.size)
+    ])));
+    return Buffer.concat([...encodedLinks, field(1, data)]);
+}
+
+/**
+ * Read a dag-pb node back into its links and data
+ * @param {Buffer} node - Block bytes
+ * @returns {Object} { links: { cid, name }[], data }
+ */
+function decodeDagPb(node) {
+    const links = [];
+    let data = Buffer.alloc(0);
+    for (const { number, value } of fields(node)) {
+        if (number === 1) data = value;
+        if (number === 2) {
+            const link = { cid: null, name: '' };
+            for (const part of fields(value)) {
+                if (part.number === 1) link.cid = part.value;
+                if (part.number === 2) link.name = part.value.toString('utf8');
+            }
+            links.push(link);
+        }
+    }
+    return { links, data };
+}
+
+/**
+ * Build the blocks for one file
+ * @returns {Object} { cid, size (cumulative bytes of the DAG), blocks }
+ */
+function fileDag(bytes, { chunkSize, maxLinks }) {
+    const blocks = [];
+    let level = [];
+    for (let offset = 0; offset < bytes.length || level.length === 0; offset += chunkSize) {
+        const data = bytes.subarray(offset, offset + chunkSize);
+        const cid = cidFor(CODEC_RAW, data);
+        blocks.push({ cid, data });
+        level.push({ cid, size: data.length, fileSize: data.length });
+    }
+
+    // Balanced tree: group maxLinks nodes under a parent until one root is left
+    while (level.length > 1) {
+        const parents = [];
+        for (let i = 0; i < level.length; i += maxLinks) {
+            const children = level.slice(i, i + maxLinks);
+            const fileSize = children.reduce((sum, child) => sum + child.fileSize, 0);
+            const unixfs = Buffer.concat([
+                field(1, UNIXFS_FILE),
+                field(3, fileSize),
+                ...children.map(child => field(4, child.fileSize))
+            ]);
+            const data = dagPbNode(children.map(child => ({ cid: child.cid, name: '', size: child.size })), unixfs);
+            const cid = cidFor(CODEC_DAG_PB, data);
+            blocks.push({ cid, data });
+            parents.push({ cid, size: data.length + children.reduce((sum, child) => sum + child.size, 0), fileSize });
+        }
+        level = parents;
+    }
+    return { cid: level[0].cid, size: level[0].size, blocks };
+}
+
+/**
+ * Encode a file as IPFS blocks, wrapped in a directory
+ * @param {Buffer} bytes - File contents
+ * @param {string} filename - Name inside the directory
+ * @param {Object} [layout] - { chunkSize, maxLinks } (defaults to DEFAULT_LAYOUT)
+ * @returns {Object} { cid (directory, string), fileCid (string), filename, size, root (CID bytes), blocks }
+ *   blocks are { cid (bytes), data }, directory first
+ */
+export function encodeFile(bytes, filename, layout = {}) {
+    if (!filename || filename.includes('/')) {
+        throw new Error(`A file needs a plain name to be wrapped, got "${filename}"`);
+    }
+    const file = fileDag(Buffer.from(bytes), { ...DEFAULT_LAYOUT, ...layout });
+    const directory = dagPbNode([{ cid: file.cid, name: filename, size: file.size }], field(1, UNIXFS_DIRECTORY));
+    const root = cidFor(CODEC_DAG_PB, directory);
+
+    return {
+        cid: cidToString(root),
+        fileCid: cidToString(file.cid),
+        filename,
+        size: bytes.length,
+        root,
+        blocks: [{ cid: root, data: directory }, ...file.blocks.reverse()]
+    };
+}
+
+/**
+ * Directory CID a file would get, without keeping the blocks around
+ * @param {Buffer} bytes - File contents
+ * @param {string} filename - Name inside the directory
+ * @param {Object} [layout] - { chunkSize, maxLinks }
+ * @returns {string} CID string
+ */
+export function computeCid(bytes, filename, layout) {
+    return encodeFile(bytes, filename, layout).cid;
+}
+
+/* ─── CAR files ──────────────────────────────────────────────── */
+
+/**
+ * Write blocks as a CARv1 file
+ * @param {Buffer} root - Root CID bytes
+ * @param {Object[]} blocks - { cid (bytes), data }
+ * @returns {Buffer} CAR bytes
+ */
+export function encodeCar(root, blocks) {
+    // dag-cbor { roots: [CID], version: 1 } - keys in length-first order, CID as tag 42
+    const cidBytes = Buffer.concat([Buffer.from([0x00]), root]);
+    const header = Buffer.concat([
+        Buffer.from([0xa2, 0x65]), Buffer.from('roots'),
+        Buffer.from([0x81, 0xd8, 0x2a, 0x58, cidBytes.length]), cidBytes,
+        Buffer.from([0x67]), Buffer.from('version'), Buffer.from([0x01])
+    ]);
+
+    const parts = [varint(header.length), header];
+    for (const block of blocks) {
+        parts.push(varint(block.cid.length + block.data.length), block.cid, block.data);
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Read a CARv1 file back, checking every block against its CID
+ * @param {Buffer} car - CAR bytes
+ * @returns {Object} { roots: string[], blocks: { cid (string), data }[] }
+ */
+export function decodeCar(car) {
+    const headerLength = readVarint(car, 0);
+    const header = car.subarray(headerLength.length, headerLength.length + headerLength.value);
+    const rootMatch = header.indexOf(Buffer.from([0xd8, 0x2a]));
+    if (rootMatch < 0 || !header.includes(Buffer.from('version'))) throw new Error('Not a CARv1 header');
+    const rootLength = header[rootMatch + 3];
+    const roots = [cidToString(header.subarray(rootMatch + 5, rootMatch + 4 + rootLength))];
+
+    const blocks = [];
+    for (let offset = headerLength.length + headerLength.value; offset < car.length;) {
+        const section = readVarint(car, offset);
+        const start = offset + section.length;
+        // CIDv1 prefix: version, codec, hash function, digest length
+        let cidLength = 0;
+        for (let i = 0; i < 4; i++) {
+            const part = readVarint(car, start + cidLength);
+            cidLength += part.length + (i === 3 ? part.value : 0);
+        }
+        const cid = car.subarray(start, start + cidLength);
+        const data = car.subarray(start + cidLength, start + section.value);
+        const codec = readVarint(cid, 1).value;
+        if (!cidFor(codec, data).equals(cid)) {
+            throw new Error(`Block ${cidToString(cid)} does not match its CID`);
+        }
+        blocks.push({ cid: cidToString(cid), data });
+        offset = start + section.value;
+    }
+    return { roots, blocks };
+}
+
+/**
+ * Put a wrapped file back together from its blocks, e.g. from an archived CAR
+ * @param {Buffer} car - CAR bytes of a directory made by encodeFile()
+ * @returns {Object} { cid (directory, string), filename, bytes }
+ */
+export function extractFile(car) {
+    const { roots, blocks } = decodeCar(car);
+    const byCid = new Map(blocks.map(block => [block.cid, block.data]));
+    const blockFor = cid => {
+        const data = byCid.get(cidToString(cid));
+        if (!data) throw new Error(`CAR is missing block ${cidToString(cid)}`);
+        return data;
+    };
+
+    const read = cid => {
+        const data = blockFor(cid);
+        if (readVarint(cid, 1).value === CODEC_RAW) return [data];
+        const node = decodeDagPb(data);
+        const inline = fields(node.data).filter(part => part.number === 2).map(part => part.value);
+        return [...inline, ...node.links.flatMap(link => read(link.cid))];
+    };
+
+    const directory = decodeDagPb(blockFor(cidFromString(roots[0])));
+    if (directory.links.length !== 1) {
+        throw new Error(`Expected one file in ${roots[0]}, found ${directory.links.length}`);
+    }
+    const [file] = directory.links;
+    return { cid: roots[0], filename: file.name, bytes: Buffer.concat(read(file.cid)) };
+}
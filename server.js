@@ -3,8 +3,16 @@
  * ───────────────────────────────────────────────────────────────
  * • Serves static mint site   →  http://localhost:5000
  * • Polls chain every 15 s for MintRequested logs (no RPC filters)
+ * • Optional eth_subscribe push mode (EVENT_MODE=subscribe) with polling fallback
+ * • Waits for confirmations and rescans ranges hit by a chain reorg
+ * • Persists mint jobs in a durable queue so restarts never drop a token
+ * • Runs several mint jobs at once with per-provider concurrency + RPM limits
+ * • Retries transient failures with backoff, dead-letters permanent ones
  * • Instantly sets placeholder sprite URI
+ * • Serializes minter nonces, manages gas and replaces stuck transactions
+ * • Batches backfill tokenURI updates into multicall transactions
  * • Generates AI art + rich metadata → pins via w3up → overwrites tokenURI
+ * • Checks every token's pins across IPFS gateways, re-pins lost content
  * • Includes API endpoints for monitoring and manual processing
  *
  * Rich metadata includes:
@@ -19,9 +27,7 @@ import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
 import { ethers } from 'ethers';
-import { finalizeMint } from './scripts/finalizeMint.js';
-import { normalizeToGatewayUrl } from './utils/metadata.js';
-import { createTask, updateTask, completeTask, failTask, getTaskStatus, cleanupTasks, initializeSupabaseTables } from './scripts/supabaseTaskManager.js';
+import { getTaskStatus, cleanupTasks, initializeSupabaseTables } from './scripts/supabaseTaskManager.js';
 import {
     validateTokenId,
     validateBreed,
@@ -41,8 +47,15 @@ import {
     errorHandler
 } from './scripts/middleware.js';
 import { performHealthCheck, UptimeTracker } from './scripts/healthCheck.js';
-import fs from 'fs/promises';
-import path from 'path';
+import { mintJobQueue, JOB_STATES, DEFAULT_WORKER_ID } from './scripts/mintJobQueue.js';
+import { MintWorkerPool } from './scripts/mintWorkerPool.js';
+import { connectMintContract, createMintStateStore, runMintPipeline, expireCandidateSelections } from './scripts/mintPipeline.js';
+import { TokenUriBatcher } from './scripts/tokenUriBatcher.js';
+import { confirmedHead, detectReorg, recordBlockHash, recordTokenBlock, DEFAULT_CONFIRMATIONS } from './scripts/chainReorg.js';
+import { MintEventSubscriber } from './scripts/mintEventSubscriber.js';
+import { providerPreferences } from './scripts/providerPreferencesManager.js';
+import { BACKFILL_ABI } from './scripts/mintBackfill.js';
+import { loadPinHealthOptions, runPinHealthCheck } from './scripts/pinHealth.js';
 
 // Initialize uptime tracker
 const uptimeTracker = new UptimeTracker();
@@ -56,6 +69,8 @@ const {
     PLACEHOLDER_URI,
     PORT = 5000,
     IMAGE_PROVIDER = 'dall-e',
+    EVENT_MODE = 'poll',
+    WS_RPC_URL,
     SUPABASE_URL,
     SUPABASE_ANON_KEY
 } = process.env;
@@ -70,6 +85,7 @@ console.log(`- PINATA_API_KEY: ${process.env.PINATA_API_KEY ? '✓ Set' : '❌ M
 console.log(`- PINATA_SECRET_KEY: ${process.env.PINATA_SECRET_KEY ? '✓ Set' : '❌ Missing'}`);
 console.log(`- BASE_URL: ${process.env.BASE_URL ? '✓ Set' : '(using default)'}`);
 console.log(`- DEFAULT_IMAGE_PROVIDER: ${IMAGE_PROVIDER}`);
+console.log(`- EVENT_MODE: ${EVENT_MODE}${EVENT_MODE === 'subscribe' ? ` (WS_RPC_URL ${WS_RPC_URL ? '✓ Set' : '❌ Missing'})` : ''}`);
 console.log(`- OPENAI_API_KEY: ${process.env.OPENAI_API_KEY ? '✓ Set' : '❌ Missing'}`);
 console.log(`- HUGGING_FACE_TOKEN: ${process.env.HUGGING_FACE_TOKEN ? '✓ Set' : '❌ Missing'}`);
 console.log(`- STABILITY_API_KEY: ${process.env.STABILITY_API_KEY ? '✓ Set' : '❌ Missing'}`);
@@ -116,6 +132,8 @@ app.use(secureLogging);
 // Static file serving - removed HTML injection middleware, now using /api/config endpoint
 
 app.use(express.static('public'));                // index.html, mint.js …
+// Local IPFS stand-in (STORAGE_BACKENDS=local-ipfs): gateway-style /ipfs/<cid>/<filename>
+app.use('/ipfs', express.static(process.env.LOCAL_IPFS_DIR || './local-ipfs', { immutable: true, maxAge: '1y' }));
 
 /* ───── API Routes Migration ─────────────────────────────────────
  * All API routes have been migrated to serverless functions in /api/
@@ -169,25 +187,18 @@ app.use((err, req, res, next) => {
 });
 
 /* ───── Provider + signer + contract ─────────────────────────── */
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const signer = new ethers.Wallet(PRIVATE_KEY, provider);
-
-const abi = [
-    'event MintRequested(uint256 indexed tokenId,address indexed buyer,string breed)',
-    'function tokenURI(uint256) view returns (string)',
-    'function setTokenURI(uint256,string)'
-];
-const nft = new ethers.Contract(CONTRACT_ADDRESS, abi, signer);
-const eventSig = nft.interface.getEvent('MintRequested').topicHash;
-
-/* ───── Rate limiting queue system for OpenAI ─────────────────── */
-// DALL-E-3 is limited to 5 images per minute
-const RATE_LIMIT = 5;
-const RATE_WINDOW = 60000; // 1 minute in milliseconds
-const mintQueue = [];
-let processingQueue = false;
-let lastMinuteRequests = [];
+const { provider, nft, eventSig } = connectMintContract({
+    rpcUrl: RPC_URL,
+    contractAddress: CONTRACT_ADDRESS,
+    privateKey: PRIVATE_KEY
+});
+
+// Collects final URIs of bulk (backfill) jobs into multicall batches
+const tokenUriBatcher = new TokenUriBatcher(nft);
+// Batched jobs waiting for their batch to confirm, awaited on shutdown
+const batchedSettlements = new Set();
 
+/* ───── Mint workers ──────────────────────────────────────────── */
 // Validate event signature
 function validateEventSignatures() {
     try {
@@ -238,10 +249,12 @@ async function getBlockchainInfo() {
     }
 }
 
-// Process a single mint task with rate limiting
 /**
- * Process a single mint task with rate limiting and enhanced error handling
+ * Run one leased mint job through the shared mint pipeline
+ * Acknowledges the queue job on success. Retryable failures go back to the
+ * queue with exponential backoff; permanent ones are dead-lettered.
  * @param {Object} task - The mint task to process
+ * @param {string} task.jobId - The durable queue job ID
  * @param {number} task.tokenId - The token ID to mint
  * @param {string} task.breed - The breed of the NFT
  * @param {string} task.buyer - The buyer's address
@@ -254,317 +267,240 @@ async function getBlockchainInfo() {
  * @returns {Promise<void>}
  */
 async function processMintTask(task) {
-    const { tokenId, breed, buyer, imageProvider, promptExtras, negativePrompt, taskId: existingTaskId, forceProcess } = task;
-    // const { isRegeneration } = task; // Currently unused
-    const id = Number(tokenId);
-
-    // CHECK IF TOKEN WAS ALREADY PROCESSED WHILE WAITING IN QUEUE
-    // BUT ALLOW REGENERATION IF FORCE FLAG IS SET
-    if (processedTokens.has(id) && !forceProcess) {
-        console.log(`⏭️ Token #${id} was already processed while in queue, skipping duplicate processing`);
-        return; // Skip processing entirely
-    }
-
-    if (processedTokens.has(id) && forceProcess) {
-        console.log(`🔄 Allowing regeneration of previously processed token #${id}`);
-    }
-
-    // CRITICAL FIX: Ensure we use the explicitly passed imageProvider and never fall back to default
-    // This is the key issue - we need to respect the user's choice 100% of the time
-    const providerToUse = imageProvider || IMAGE_PROVIDER;
-
-    // Create or use existing task ID
-    const mintTaskId = existingTaskId || await createTask(id, providerToUse, {
-        breed,
-        owner: buyer,
-        providerOptions: task.providerOptions || {},
-        timeout: 300000 // 5 minutes timeout
-    });
-    await updateTask(mintTaskId, {
-        status: 'IN_PROGRESS',
-        progress: 5,
-        message: 'Starting mint process',
-        breed,
-        owner: buyer
-    });
-
-    console.log(`⚙️ Processing queued mint for #${id} (${breed}) by ${buyer} using ${providerToUse}`);
-    console.log(`🚨 STRICT MODE: Will only use ${providerToUse} for this generation`);
-
-    try {
-        // Check if we can make a new request
-        const now = Date.now();
-        // Remove requests older than 1 minute
-        lastMinuteRequests = lastMinuteRequests.filter(time => now - time < RATE_WINDOW);
-
-        // If we've reached the rate limit, wait until we can make another request
-        if (lastMinuteRequests.length >= RATE_LIMIT) {
-            const oldestRequest = lastMinuteRequests[0];
-            const waitTime = RATE_WINDOW - (now - oldestRequest) + 100; // Add 100ms buffer
-
-            await updateTask(mintTaskId, {
-                progress: 10,
-                message: `Rate limit reached, waiting ${Math.ceil(waitTime / 1000)} seconds`
-            });
-
-            console.log(`⏱️ Rate limit reached, waiting ${Math.ceil(waitTime / 1000)} seconds`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-
-        /* 1️⃣ Set placeholder URI if needed */
-        await updateTask(mintTaskId, {
-            progress: 20,
-            message: 'Setting placeholder image'
-        });
+    const { jobId } = task;
+    const id = Number(task.tokenId);
 
-        try {
-            const current = await nft.tokenURI(id).catch(() => '');
-            if (!current || current === '') {
-                // CRITICAL SAFETY CHECK: Ensure placeholder URI is HTTPS
-                let placeholderUri = PLACEHOLDER_URI;
-                console.log(`🔍 PLACEHOLDER DEBUG: Original placeholder URI: ${placeholderUri}`);
-                
-                if (placeholderUri && placeholderUri.startsWith('ipfs://')) {
-                    console.warn(`⚠️ PLACEHOLDER_URI is ipfs:// format, normalizing: ${placeholderUri}`);
-                    placeholderUri = normalizeToGatewayUrl(placeholderUri, 'placeholder.json');
-                    console.log(`🔧 PLACEHOLDER normalized to HTTPS: ${placeholderUri}`);
-                }
-                
-                if (!placeholderUri || !placeholderUri.startsWith('https://')) {
-                    console.error(`❌ PLACEHOLDER_URI is not HTTPS format: ${placeholderUri}`);
-                    throw new Error(`PLACEHOLDER_URI must be HTTPS format, got: ${placeholderUri}`);
-                }
-                
-                const txPH = await nft.setTokenURI(id, placeholderUri);
-                await txPH.wait();
-                console.log(`  • Placeholder set for token #${id}: ${placeholderUri}`);
-            }
-        } catch (err) {
-            console.error(`  • Placeholder failed for token #${id}:`, err);
-            await updateTask(mintTaskId, {
-                progress: 25,
-                message: `Warning: Placeholder set failed - ${err.message.substring(0, 100)}`
-            });
-        }
-
-        /* 2️⃣ Generate final art and metadata */
-        await updateTask(mintTaskId, {
-            progress: 30,
-            message: `Generating artwork using ${providerToUse}`,
-            details: {
-                provider: providerToUse,
-                hasCustomPrompt: !!promptExtras,
-                hasNegativePrompt: !!negativePrompt
-            }
-        });
-
-        console.log(`  • Generating art and metadata for token #${id}...`);
-
-        // Record this API call
-        lastMinuteRequests.push(Date.now());
-
-        // Pass all parameters to finalizeMint - CRITICAL: Pass exact provider here
-        const result = await finalizeMint({
-            breed,
-            tokenId: id,
-            imageProvider: providerToUse, // Explicitly pass the exact provider name
-            promptExtras,
-            negativePrompt,
-            taskId: mintTaskId
-        });
-
-        await updateTask(mintTaskId, {
-            progress: 80,
-            message: 'Setting token URI on blockchain',
-            metadata: result.metadata
-        });
-
-        // COMPREHENSIVE URI VALIDATION AND BULLETPROOF NORMALIZATION
-        console.log(`🔍 BEFORE setTokenURI - Raw result.tokenURI: ${result.tokenURI}`);
-        console.log(`🔍 BEFORE setTokenURI - typeof result.tokenURI: ${typeof result.tokenURI}`);
-        console.log(`🔍 BEFORE setTokenURI - result.tokenURI.length: ${result.tokenURI?.length}`);
-        console.log(`🔍 BEFORE setTokenURI - provider used: ${result.provider}`);
-        
-        // Store original for debugging
-        const originalTokenURI = result.tokenURI;
-        
-        // STEP 1: Detect if URI is ipfs:// format
-        if (result.tokenURI.startsWith('ipfs://')) {
-            console.error(`❌ CRITICAL BUG DETECTED: finalizeMint returned ipfs:// URI: ${result.tokenURI}`);
-            console.error(`❌ This indicates the normalization in finalizeMint is not working properly!`);
-            console.error(`❌ Provider used: ${result.provider}`);
-            console.error(`❌ Token ID: ${id}, Breed: ${breed}`);
-            
-            // Apply emergency normalization
-            const fileName = `${id}.json`;
-            result.tokenURI = normalizeToGatewayUrl(result.tokenURI, fileName);
-            console.log(`🔧 EMERGENCY FIX: Converted to HTTPS: ${result.tokenURI}`);
-            
-            // Report this as a critical issue
-            console.error(`❌ BUG REPORT: Original ipfs:// URI was: ${originalTokenURI}`);
-            console.error(`❌ BUG REPORT: Emergency fix applied: ${result.tokenURI}`);
-        }
-        
-        // STEP 2: Ensure URI is valid HTTPS format
-        if (!result.tokenURI || typeof result.tokenURI !== 'string') {
-            console.error(`❌ CRITICAL ERROR: tokenURI is invalid: ${result.tokenURI}`);
-            throw new Error(`TokenURI is invalid: ${result.tokenURI}`);
-        }
-        
-        if (!result.tokenURI.startsWith('https://')) {
-            console.error(`❌ CRITICAL ERROR: tokenURI is not HTTPS format: ${result.tokenURI}`);
-            console.error(`❌ Original URI was: ${originalTokenURI}`);
-            throw new Error(`TokenURI must be HTTPS format, got: ${result.tokenURI}`);
-        }
-        
-        // STEP 3: Additional validation for expected format
-        if (!result.tokenURI.includes('ipfs.io/ipfs/')) {
-            console.warn(`⚠️ WARNING: tokenURI doesn't match expected IPFS gateway format: ${result.tokenURI}`);
-        }
-        
-        // STEP 4: Final validation before blockchain call
-        console.log(`✅ URI VALIDATION PASSED: ${result.tokenURI}`);
-        console.log(`📊 URI Stats: Length=${result.tokenURI.length}, HTTPS=${result.tokenURI.startsWith('https://')}`);
-        
-        if (originalTokenURI !== result.tokenURI) {
-            console.warn(`🔧 URI WAS MODIFIED: Original="${originalTokenURI}" Final="${result.tokenURI}"`);
-        }
-
-        // BULLETPROOF setTokenURI CALL WITH FINAL VALIDATION
-        console.log(`🔗 CALLING setTokenURI with validated URI: ${result.tokenURI}`);
-        console.log(`🔗 Token ID: ${id}, Contract: ${nft.target}`);
-        
-        // Final safety check right before blockchain call
-        if (!result.tokenURI.startsWith('https://ipfs.io/ipfs/')) {
-            console.error(`❌ FINAL CHECK FAILED: URI doesn't match expected gateway format: ${result.tokenURI}`);
-            throw new Error(`Final validation failed: Expected https://ipfs.io/ipfs/ format, got: ${result.tokenURI}`);
-        }
-        
-        let tx, receipt;
-        try {
-            tx = await nft.setTokenURI(id, result.tokenURI);
-            console.log(`✅ setTokenURI transaction sent: ${tx.hash}`);
-            console.log(`📝 Transaction details: tokenId=${id}, uri=${result.tokenURI}`);
-            
-            receipt = await tx.wait();
-            console.log(`✅ setTokenURI confirmed in block: ${receipt.blockNumber}`);
-            console.log(`🎯 FINAL SUCCESS: Token #${id} URI set to: ${result.tokenURI}`);
-        } catch (txError) {
-            console.error(`❌ setTokenURI transaction failed: ${txError.message}`);
-            console.error(`❌ Transaction error details:`, txError);
-            throw new Error(`Failed to set token URI: ${txError.message}`);
-        }
-        
-        console.log(`✅ Finalized #${id} → ${result.tokenURI} using ${providerToUse}`);
-
-        // Mark this token as processed
-        processedTokens.add(id);
-        await saveState();
+    const result = await runMintPipeline(task, {
+        nft,
+        state,
+        persistState: saveState,
+        placeholderUri: PLACEHOLDER_URI,
+        defaultProvider: IMAGE_PROVIDER,
+        tokenUriBatcher
+    });
 
-        // Complete the task
-        await completeTask(mintTaskId, {
-            tokenURI: result.tokenURI,
-            breed,
-            tokenId: id,
-            transactionHash: tx.hash,
-            provider: result.provider,
-            model: result.model
-        });
+    // Batched URI: free the worker now, the job stays leased until its batch confirms
+    if (result.batched) {
+        const settlement = result.confirmation
+            .then(final => settleMintJob(jobId, id, final))
+            .catch(err => console.error(`❌ Could not settle batched job for #${id}:`, err.message))
+            .finally(() => batchedSettlements.delete(settlement));
+        batchedSettlements.add(settlement);
+        return;
+    }
 
-    } catch (err) {
-        console.error(`❌ Finalizing #${id} failed:`, err);
+    await settleMintJob(jobId, id, result);
+}
 
-        // Mark task as failed
-        await failTask(mintTaskId, err);
-
-        // If generation failed, add back to queue with a delay (up to 3 retries)
-        const retryCount = task.retryCount || 0;
-        if (retryCount < 3 && mintQueue.length < 20) {
-            console.log(`  • Requeueing #${id} for retry ${retryCount + 1}/3 after 2 minutes`);
-            setTimeout(() => {
-                mintQueue.push({
-                    ...task,
-                    retryCount: retryCount + 1,
-                    taskId: null // Create a fresh task on retry
-                });
-                processQueue(); // Trigger queue processing
-            }, 120000); // 2 minute delay before retry
-        } else {
-            console.error(`  • Max retries reached or too many items in queue for #${id}`);
-        }
-    }
-}
-
 /**
- * Process the mint queue with controlled flow
+ * Ack a finished mint job or hand it back to the queue for a retry. A job whose
+ * candidates wait for the owner's pick is parked instead
+ * @param {string} jobId - Durable queue job ID
+ * @param {number} id - Token ID
+ * @param {Object} result - runMintPipeline result
  * @returns {Promise<void>}
  */
-async function processQueue() {
-    if (processingQueue || mintQueue.length === 0) return;
+async function settleMintJob(jobId, id, result) {
+    if (result.awaitingSelection) {
+        await mintJobQueue.awaitSelection(jobId);
+        return;
+    }
+    if (result.success) {
+        await mintJobQueue.ack(jobId);
+        return;
+    }
+
+    // Hand the job back to the durable queue - it becomes due again after a backoff delay
+    const job = await mintJobQueue.retry(jobId, result.error, {
+        retryable: result.retryable,
+        reason: result.reason
+    });
+    if (job?.status === JOB_STATES.PENDING) {
+        console.log(`  • Requeued #${id} for retry ${job.attempts}/${job.maxAttempts} at ${job.availableAt} (${result.reason})`);
+    } else {
+        console.error(`  • #${id} moved to the dead-letter list (${result.reason})`);
+    }
+}
+
+const workerPool = new MintWorkerPool({
+    handler: job => processMintTask({
+        ...job.payload,
+        jobId: job.id,
+        taskId: job.taskId
+    }),
+    resolveProvider: job => job.payload.imageProvider || IMAGE_PROVIDER
+});
 
-    processingQueue = true;
+/**
+ * Fill idle workers with due jobs from the durable mint queue
+ * @returns {Promise<void>}
+ */
+async function processQueue() {
+    await workerPool.pump();
+}
 
-    try {
-        while (mintQueue.length > 0) {
-            const task = mintQueue.shift();
-            await processMintTask(task);
-        }
-    } finally {
-        processingQueue = false;
-    }
+/**
+ * Publish worker utilization so /api/metrics can report it
+ * @returns {Promise<void>}
+ */
+async function publishWorkerStatus() {
+    await workerPool.publish().catch(err => {
+        console.warn(`⚠️ Could not publish worker status: ${err.message}`);
+    });
 }
 
 /* ───── Process state tracking - persist between restarts ────── */
-const STATE_FILE = path.join(process.cwd(), 'event-state.json');
-let processedTokens = new Set();
-let lastBlock = 0;
-
-/**
- * Load state from persistent storage
- * @returns {Promise<void>}
- */
+// event-state.json or Supabase system_state, see MINT_STATE_STORE
+const stateStore = createMintStateStore(undefined, {
+    extraKeys: { blockHashes: [], tokenBlocks: {} }
+});
+const state = {
+    lastBlock: 0,
+    processedTokens: new Set(),
+    blockHashes: [],
+    tokenBlocks: {}
+};
+
+/**
+ * Load state from persistent storage
+ * @returns {Promise<void>}
+ */
 async function loadState() {
-    try {
-        const stateData = await fs.readFile(STATE_FILE, 'utf8');
-        const state = JSON.parse(stateData);
-        lastBlock = state.lastBlock || 0;
-        processedTokens = new Set(state.processedTokens || []);
-        console.log(`📂 Loaded state: lastBlock=${lastBlock}, processedTokens=${processedTokens.size}`);
-    } catch {
-        // If file doesn't exist, start from a few blocks back for safety
+    const loaded = await stateStore.load();
+    if (loaded.lastBlock !== null) {
+        Object.assign(state, loaded);
+        console.log(`📂 Loaded ${stateStore.name} state: lastBlock=${state.lastBlock}, processedTokens=${state.processedTokens.size}`);
+    } else {
+        // Fresh store - start from a few blocks back for safety
         const currentBlock = await provider.getBlockNumber();
-        lastBlock = Math.max(0, currentBlock - 1000);
-        processedTokens = new Set();
-        console.log(`🆕 Created new state: starting from block ${lastBlock}`);
+        state.lastBlock = Math.max(0, currentBlock - 1000);
+        state.processedTokens = loaded.processedTokens;
+        console.log(`🆕 Created new state: starting from block ${state.lastBlock}`);
         await saveState();
     }
 }
 
-/**
- * Save current state to persistent storage
- * @returns {Promise<void>}
- */
+/**
+ * Save current state to persistent storage
+ * @returns {Promise<void>}
+ */
 async function saveState() {
-    const state = {
-        lastBlock,
-        processedTokens: Array.from(processedTokens)
-    };
-    await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
-    console.log(`💾 Saved state: lastBlock=${lastBlock}, processedTokens=${processedTokens.size}`);
+    await stateStore.save(state);
+    console.log(`💾 Saved state: lastBlock=${state.lastBlock}, processedTokens=${state.processedTokens.size}`);
 }
 
 /* ───── Enhanced log-polling with rate-limited processing ────── */
+// Polling and pushed blocks both move the cursor - never let them overlap
+let scanChain = Promise.resolve();
+function withScanLock(fn) {
+    const run = scanChain.then(fn);
+    scanChain = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Parse a MintRequested log and persist its mint job
+ * Throws only if the job can't be persisted, so the caller keeps its cursor.
+ * @param {Object} log - Raw event log
+ * @returns {Promise<void>}
+ */
+async function queueMintLog(log) {
+    let job;
+    try {
+        let parsedLog;
+
+        try {
+            parsedLog = nft.interface.parseLog(log);
+            if (!parsedLog || parsedLog.name !== 'MintRequested') return;
+        } catch {
+            // Skip logs we can't parse
+            return;
+        }
+
+        // Extract event data
+        const tokenId = parsedLog.args.tokenId;
+        const buyer = parsedLog.args.buyer;
+        const breed = parsedLog.args.breed;
+
+        const id = Number(tokenId);
+
+        // Remember the block so the token can be invalidated if it gets orphaned
+        recordTokenBlock(state, id, log);
+
+        // Skip if we've already processed this token
+        if (state.processedTokens.has(id)) {
+            console.log(`⏭️ Skipping already processed token #${id}`);
+            return;
+        }
+
+        // Honor the provider / prompt preference stored for this token,
+        // falling back to IMAGE_PROVIDER when there is none. If the lookup
+        // fails, the job repeats it when it runs
+        const preference = await providerPreferences.resolve(id, IMAGE_PROVIDER, { defer: true });
+
+        console.log(`📝 Queueing token #${id} (${breed}) from buyer ${buyer}`);
+        console.log(`🎨 Using image provider: ${preference.imageProvider}${preference.fromPreference ? ' (stored preference)' : ''}`);
+
+        // Queue with explicit provider and all options
+        job = {
+            tokenId: id,
+            buyer,
+            breed,
+            imageProvider: preference.imageProvider,
+            providerOptions: preference.providerOptions,
+            promptExtras: preference.promptExtras,
+            negativePrompt: preference.negativePrompt,
+            // Only the default provider follows IMAGE_PROVIDER_FALLBACK
+            providerChosen: preference.fromPreference,
+            ...(preference.preferencePending && { preferencePending: true }),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+            // No force or regeneration flags for regular events
+        };
+    } catch (err) {
+        console.error('❌ Error processing log:', err);
+        console.log('Raw log data:', log);
+        return;
+    }
+
+    // Persist the job before the cursor moves. If this throws, the
+    // batch is abandoned and lastBlock stays put so it is rescanned.
+    await mintJobQueue.enqueue(job);
+}
+
+/**
+ * Poll for new events unless the push subscription is live
+ * @returns {Promise<void>}
+ */
 async function checkForEvents() {
+    if (subscriber?.live) return;
+    await withScanLock(scanNextBatch);
+}
+
+/**
+ * Scan the next batch of confirmed blocks with getLogs
+ * @returns {Promise<boolean>} True if more confirmed blocks remain to be scanned
+ */
+async function scanNextBatch() {
     try {
+        // Rewind first if blocks we already scanned were reorged out
+        const reorg = await detectReorg(provider, state);
+        if (reorg) {
+            await mintJobQueue.cancelOrphaned(reorg);
+            await saveState();
+        }
+
+        // Only scan blocks with enough confirmations
         const latest = await provider.getBlockNumber();
-        if (latest <= lastBlock) return;
+        const head = confirmedHead(latest);
+        if (head <= state.lastBlock) return false;
 
         // Process blocks in batches to avoid overloading the RPC endpoint
         const batchSize = 500;
-        const fromBlock = lastBlock + 1;
-        const toBlock = Math.min(latest, fromBlock + batchSize - 1);
+        const fromBlock = state.lastBlock + 1;
+        const toBlock = Math.min(head, fromBlock + batchSize - 1);
 
-        console.log(`🔍 Scanning blocks ${fromBlock} to ${toBlock} for MintRequested events...`);
+        console.log(`🔍 Scanning blocks ${fromBlock} to ${toBlock} for MintRequested events (head ${latest}, ${DEFAULT_CONFIRMATIONS} confirmations)...`);
 
         // First try with full topic filter
         let logs = [];
@@ -603,63 +539,133 @@ async function checkForEvents() {
 
         // Process all logs and try to find MintRequested events
         for (const log of logs) {
-            try {
-                let parsedLog;
-
-                try {
-                    parsedLog = nft.interface.parseLog(log);
-                    if (!parsedLog || parsedLog.name !== 'MintRequested') continue;
-                } catch {
-                    // Skip logs we can't parse
-                    continue;
-                }
+            await queueMintLog(log);
+        }
 
-                // Extract event data
-                const tokenId = parsedLog.args.tokenId;
-                const buyer = parsedLog.args.buyer;
-                const breed = parsedLog.args.breed;
+        // Record the range end so a later reorg of this range is noticed
+        const toBlockInfo = await provider.getBlock(toBlock);
+        recordBlockHash(state, toBlock, toBlockInfo?.hash);
 
-                const id = Number(tokenId);
+        // Update last processed block and save state
+        state.lastBlock = toBlock;
+        await saveState();
 
-                // Skip if we've already processed this token
-                if (processedTokens.has(id)) {
-                    console.log(`⏭️ Skipping already processed token #${id}`);
-                    continue;
-                }
+        // Start queue processing (also picks up retries that have become due)
+        processQueue();
+        return toBlock < head;
+    } catch (err) {
+        console.error('❗ Error in event polling:', err.message);
+        return false;
+    }
+}
 
-                // Use the default IMAGE_PROVIDER from environment
-                // Note: User provider selection should be handled on the client side during mint
-                const selectedProvider = IMAGE_PROVIDER;
-
-                console.log(`📝 Queueing token #${id} (${breed}) from buyer ${buyer}`);
-                console.log(`🎨 Using image provider: ${selectedProvider}`);
-
-                // Add to processing queue with explicit provider and all options
-                mintQueue.push({
-                    tokenId,
-                    buyer,
-                    breed,
-                    imageProvider: selectedProvider,
-                    promptExtras: '',
-                    negativePrompt: ''
-                    // No force or regeneration flags for regular events
-                });
-            } catch (err) {
-                console.error('❌ Error processing log:', err);
-                console.log('Raw log data:', log);
-            }
+/* ───── Optional eth_subscribe push mode ─────────────────────── */
+let subscriber = null;
+
+/**
+ * Scan with getLogs until the cursor reaches the confirmed head
+ * Runs on every (re)connect so nothing missed while offline is lost.
+ * @returns {Promise<void>}
+ */
+async function backfillMissedBlocks() {
+    console.log(`📥 Backfilling missed blocks from ${state.lastBlock + 1}...`);
+    while (await withScanLock(scanNextBatch)) {
+        // Keep scanning batches until caught up
+    }
+}
+
+/**
+ * Queue pushed MintRequested logs once confirmed and move the cursor
+ * @param {Array} logs - Confirmed, canonical pushed logs
+ * @param {Object} info - { toBlock, blockHash, coveredFrom }
+ * @returns {Promise<void>}
+ */
+async function handleConfirmedLogs(logs, { toBlock, blockHash, coveredFrom }) {
+    await withScanLock(async () => {
+        // Ranges that were rewound by a reorg or predate the subscription weren't pushed - use getLogs
+        const reorg = await detectReorg(provider, state);
+        if (reorg) {
+            await mintJobQueue.cancelOrphaned(reorg);
         }
+        if (reorg || state.lastBlock + 1 < coveredFrom) {
+            await scanNextBatch();
+            return;
+        }
+        if (toBlock <= state.lastBlock) return;
 
-        // Start queue processing if items were added
-        if (mintQueue.length > 0) {
-            processQueue();
+        try {
+            for (const log of logs) {
+                if (log.blockNumber > state.lastBlock) await queueMintLog(log);
+            }
+        } catch (err) {
+            // Pushed logs are gone now - rescan this range with getLogs
+            console.error(`❌ Could not queue pushed logs up to block ${toBlock}:`, err.message);
+            subscriber.markUncovered(toBlock);
+            return;
         }
 
-        // Update last processed block and save state
-        lastBlock = toBlock;
+        recordBlockHash(state, toBlock, blockHash);
+        state.lastBlock = toBlock;
         await saveState();
+        processQueue();
+    });
+}
+
+/**
+ * Start the WebSocket subscription when EVENT_MODE=subscribe
+ * @returns {void}
+ */
+function startSubscription() {
+    if (EVENT_MODE !== 'subscribe') return;
+    if (!WS_RPC_URL) {
+        console.warn('⚠️ EVENT_MODE=subscribe but WS_RPC_URL is not set - using log polling only');
+        return;
+    }
+
+    subscriber = new MintEventSubscriber({
+        url: WS_RPC_URL,
+        address: CONTRACT_ADDRESS,
+        eventSig,
+        onConfirmed: handleConfirmedLogs,
+        onBackfill: backfillMissedBlocks,
+        onDown: () => checkForEvents()
+    });
+    subscriber.start();
+}
+
+/* ───── Pin health ───────────────────────────────────────────── */
+// Read-only view with totalSupply() / tokenByIndex() for walking every token
+const tokenReader = new ethers.Contract(CONTRACT_ADDRESS, BACKFILL_ABI, provider);
+let pinHealthRunning = false;
+
+/**
+ * Check every token's pins, unless the previous pass is still going
+ * @returns {Promise<void>}
+ */
+async function checkPins() {
+    if (pinHealthRunning) return;
+    pinHealthRunning = true;
+    try {
+        await runPinHealthCheck({ nft: tokenReader });
     } catch (err) {
-        console.error('❗ Error in event polling:', err.message);
+        console.warn(`⚠️ Pin health check failed: ${err.message}`);
+    } finally {
+        pinHealthRunning = false;
+    }
+}
+
+/**
+ * Schedule pin health passes every PIN_HEALTH_INTERVAL_MS (0 = off)
+ * @returns {void}
+ */
+function startPinHealthMonitor() {
+    try {
+        const { intervalMs } = loadPinHealthOptions();
+        if (intervalMs === 0) return;
+        console.log(`🩺 Checking pins every ${Math.round(intervalMs / 60000)} min`);
+        setInterval(checkPins, intervalMs);
+    } catch (err) {
+        console.warn(`⚠️ Pin health monitor disabled: ${err.message}`);
     }
 }
 
@@ -671,14 +677,14 @@ async function initialize() {
     await loadState();
 
     // Check if we're way behind or starting fresh
-    if (blockNumber - lastBlock > 10000) {
-        console.log(`⚠️ Current block (${blockNumber}) is far ahead of last processed block (${lastBlock})`);
+    if (blockNumber - state.lastBlock > 10000) {
+        console.log(`⚠️ Current block (${blockNumber}) is far ahead of last processed block (${state.lastBlock})`);
 
         // If we're more than 10,000 blocks behind, or starting from 0, fast forward to recent blocks
-        if (lastBlock < 1000) {
+        if (state.lastBlock < 1000) {
             const newStartBlock = Math.max(1, blockNumber - 5000);
             console.log(`🔄 Setting initial scan point to block ${newStartBlock} (skipping ancient history)`);
-            lastBlock = newStartBlock;
+            state.lastBlock = newStartBlock;
             await saveState();
         }
     }
@@ -689,14 +695,25 @@ async function initialize() {
     // Set up task cleanup
     setInterval(async () => {
         await cleanupTasks();
-    }, 3600000); // Run every hour
+        await mintJobQueue.cleanup().catch(err => {
+            console.warn(`⚠️ Mint queue cleanup failed: ${err.message}`);
+        });
+        await expireCandidateSelections().catch(err => {
+            console.warn(`⚠️ Candidate expiry failed: ${err.message}`);
+        });
+    }, 3600000); // Run every hour
 
-    // Set up regular polling
-    console.log(`🚀 Starting event polling (every 15s from block ${lastBlock})...`);
+    // Set up regular polling - skipped while the push subscription is live
+    console.log(`🚀 Starting event polling (every 15s from block ${state.lastBlock})...`);
+    console.log(`👷 Running up to ${workerPool.concurrency} mint jobs at once`);
     setInterval(checkForEvents, 15000);
+    setInterval(publishWorkerStatus, 15000);
 
     // Run initial check immediately
     checkForEvents();
+
+    startSubscription();
+    startPinHealthMonitor();
 }
 
 // Start the system
@@ -705,14 +722,49 @@ initialize().catch(err => {
 });
 
 /* ───── Graceful shutdown ───────────────────────────────────── */
+/**
+ * Return this worker's leased jobs to the queue so the next start picks
+ * them up immediately instead of waiting for the lease to expire
+ * @returns {Promise<void>}
+ */
+async function releaseLeasedJobs() {
+    try {
+        const released = await mintJobQueue.release(DEFAULT_WORKER_ID);
+        if (released > 0) {
+            console.log(`📬 Released ${released} leased mint job(s) back to the queue`);
+        }
+    } catch (err) {
+        console.error('Failed to release leased mint jobs:', err.message);
+    }
+}
+
+/**
+ * Send token URIs still waiting for a batch and ack their jobs
+ * @returns {Promise<void>}
+ */
+async function flushTokenUris() {
+    try {
+        await tokenUriBatcher.flush();
+    } catch (err) {
+        console.error('Failed to flush batched token URIs:', err.message);
+    }
+    await Promise.allSettled([...batchedSettlements]);
+}
+
 process.on('SIGINT', async () => {
     console.log('\n👋 Shutting down server...');
+    await subscriber?.stop();
+    await flushTokenUris();
+    await releaseLeasedJobs();
     await saveState();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n👋 Shutting down server (SIGTERM)...');
+    await subscriber?.stop();
+    await flushTokenUris();
+    await releaseLeasedJobs();
     await saveState();
     process.exit(0);
 });
@@ -519,4 +519,44 @@ export const rarityMapping = {
     'Legendary': 90,
     'Unique': 98,
     'Mythic': 125
-};
\ No newline at end of file
+};
+
+/* ─── Master sprite palettes (scripts/spritePalette.js) ─── */
+// Every palette has 16 colours: outline / greys / white, four fur tones so any
+// breed still reads as a cat, then an 8-step ramp for the element or breed
+const paletteCore = ['#0d0b14', '#5a5560', '#a39ea8', '#f4f1ea'];
+const paletteFurTones = ['#4a3426', '#8a623f', '#c89b6a', '#eadbb8'];
+const paletteAccents = ['#c83a2a', '#e8842a', '#f0d048', '#4a9a48', '#3a6ec8', '#7a4ab0'];
+
+export const masterPalettes = {
+    elements: {
+        'Fire': [...paletteCore, ...paletteFurTones, '#3d0c0c', '#7a1810', '#b32a14', '#e04a1c', '#f57a2a', '#fba43c', '#fdd060', '#fff0a8'],
+        'Water': [...paletteCore, ...paletteFurTones, '#0a1a3a', '#10305e', '#1a4f8f', '#2a72c0', '#3f98e0', '#6cbcf0', '#a4dcf8', '#daf2fc'],
+        'Earth': [...paletteCore, ...paletteFurTones, '#1f1a0e', '#3a2e16', '#5a4620', '#7a6232', '#5a6e2a', '#7f9440', '#a8b860', '#d0d89a'],
+        'Wind': [...paletteCore, ...paletteFurTones, '#0e2a26', '#1a4a40', '#2c6e5e', '#44927c', '#68b49c', '#94d0bc', '#c0e8d8', '#e8f8f0'],
+        'Lightning': [...paletteCore, ...paletteFurTones, '#1a1440', '#2c2a6e', '#4a4aa8', '#f0c020', '#f8dc40', '#fcec78', '#fff8b8', '#fffff0'],
+        'Ice': [...paletteCore, ...paletteFurTones, '#0c1e30', '#1a3a58', '#2e5e86', '#4a88b4', '#74b0d8', '#a0d2ee', '#c8e8f8', '#eef8ff'],
+        'Shadow': [...paletteCore, ...paletteFurTones, '#08060e', '#16101f', '#241a32', '#342648', '#48345e', '#5e4678', '#7a5c96', '#9c80b8'],
+        'Light': [...paletteCore, ...paletteFurTones, '#4a3a10', '#8a6c20', '#c8a030', '#e8c450', '#f8dc78', '#fcecaa', '#fff6d6', '#fffdf2'],
+        'Void': [...paletteCore, ...paletteFurTones, '#05020a', '#12061e', '#220a38', '#360e56', '#4e1678', '#6a249a', '#8a3cbc', '#b066dc'],
+        'Cosmic': [...paletteCore, ...paletteFurTones, '#060818', '#10163a', '#1e2466', '#3a2c8e', '#5e3cb4', '#8a56d8', '#c07cf0', '#f0c8ff'],
+        'Ether': [...paletteCore, ...paletteFurTones, '#1a1430', '#2e2450', '#4a3a78', '#6c58a0', '#9478c8', '#b89ae0', '#dac0f4', '#f4e8ff'],
+        'Storm': [...paletteCore, ...paletteFurTones, '#0c1018', '#1a2230', '#2c3a4e', '#44566e', '#647890', '#8c9cb0', '#b8c4d2', '#f0e060'],
+        'Magma': [...paletteCore, ...paletteFurTones, '#140604', '#2e0c06', '#52140a', '#801e0a', '#b0300c', '#e0561a', '#f88a2a', '#ffc050'],
+        'Aurora': [...paletteCore, ...paletteFurTones, '#061418', '#0c2a34', '#124a50', '#1a7a6e', '#2aae88', '#5ad8a0', '#a0f0b0', '#c880e0']
+    },
+    // Breed palettes swap the fur tones for the breed's own ramp and keep
+    // a few generic accents for weapons and backgrounds
+    breeds: {
+        'Tabby': [...paletteCore, '#4a2810', '#7a4418', '#b0682a', '#d8904a', '#eeb878', '#f8dcb0', ...paletteAccents],
+        'Siamese': [...paletteCore, '#2a1c16', '#4e3628', '#8a6a52', '#c8ac8c', '#e8d8bc', '#f8f0e0', ...paletteAccents],
+        'Calico': [...paletteCore, '#1c1410', '#5a3418', '#c8782c', '#e8a050', '#e8e0d0', '#fbf8f0', ...paletteAccents],
+        'Maine Coon': [...paletteCore, '#24160c', '#4a3018', '#705030', '#987450', '#c0a07c', '#e0ccb0', ...paletteAccents],
+        'Bengal': [...paletteCore, '#2a1808', '#5e3a14', '#a0682a', '#d0a048', '#e8c878', '#f8e8b8', ...paletteAccents],
+        'Bombay': [...paletteCore, '#060608', '#121216', '#22222a', '#363640', '#4c4c58', '#e8b028', ...paletteAccents],
+        'Persian': [...paletteCore, '#5a5a60', '#9a9aa0', '#c8c8cc', '#e4e2de', '#f2f0ec', '#fcfbf8', ...paletteAccents],
+        'Sphynx': [...paletteCore, '#4a2a26', '#7a4c46', '#b07a70', '#d8a094', '#ecbcb0', '#f8dcd4', ...paletteAccents],
+        'Nyan': [...paletteCore, '#505058', '#8a8a94', '#b4b4bc', '#ec68a4', '#f8a0c8', '#fcd8e8', ...paletteAccents],
+        'Shadow': [...paletteCore, '#0a0612', '#1c1028', '#2e1e40', '#44305a', '#6a4a8a', '#b45af0', ...paletteAccents]
+    }
+};
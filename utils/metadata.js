@@ -21,6 +21,7 @@ import {
     backgroundFlavorText,
     rarityMapping
 } from './metadata-definitions.js';
+import { getGatewayResolver } from '../public/js/ipfsGateways.js';
 
 /**
  * Generate traits for a ninja cat based on breed and tokenId
@@ -706,6 +707,7 @@ export function getRarityTier(score) {
 
 /**
  * Convert IPFS URI to HTTPS gateway URL if needed
+ * Uses the first of IPFS_GATEWAYS, so on-chain URIs don't follow gateway health.
  * @param {string} uri - URI to convert (may be ipfs:// or https://)
  * @param {string} filename - Optional filename to append
  * @returns {string} - HTTPS gateway URL
@@ -722,7 +724,7 @@ export function normalizeToGatewayUrl(uri, filename = '') {
     if (uri.startsWith('ipfs://')) {
         const cid = uri.replace('ipfs://', '');
         const filenamePart = filename ? `/${filename}` : '';
-        return `https://ipfs.io/ipfs/${cid}${filenamePart}`;
+        return `${getGatewayResolver().primaryGateway}${cid}${filenamePart}`;
     }
 
     // Return as-is if not IPFS URI
@@ -766,4 +768,43 @@ export function assembleMetadata(traits, imageUri, metadataExtras = {}) {
  */
 export function getBackgroundDefinitions() {
     return backgroundDefinitions;
-}
\ No newline at end of file
+}
+
+/**
+ * Pick a token's background deterministically from its ID and breed.
+ * Breeds with affinity backgrounds get one of those 60% of the time,
+ * otherwise any background, weighted by rarityScore² like the traits.
+ * @param {string|number} tokenId - Token ID
+ * @param {string} breed - Normalized breed name
+ * @param {Array} [backgrounds] - Background definitions (defaults to all of them)
+ * @returns {Object|null} { background, affinity }, or null if there are no backgrounds
+ */
+export function selectBackground(tokenId, breed, backgrounds = backgroundDefinitions) {
+    if (!backgrounds || backgrounds.length === 0) return null;
+
+    const seed = parseInt(tokenId, 10);
+    const backgroundHash = createHash('sha256')
+        .update(`${seed}-${breed}-background`)
+        .digest('hex');
+    const hashValue = parseInt(backgroundHash.substring(0, 8), 16);
+
+    const affinityBackgrounds = backgrounds.filter(bg =>
+        bg.affinityBreeds && bg.affinityBreeds.includes(breed)
+    );
+    const affinity = affinityBackgrounds.length > 0 && (hashValue % 100 < 60);
+    const selectedBackgrounds = affinity ? affinityBackgrounds : backgrounds;
+
+    const totalWeight = selectedBackgrounds.reduce((sum, bg) => sum + Math.pow(bg.rarityScore || 30, 2), 0);
+    const target = (hashValue / (2 ** 32)) * totalWeight;
+    let cumulativeWeight = 0;
+
+    for (const bg of selectedBackgrounds) {
+        cumulativeWeight += Math.pow(bg.rarityScore || 30, 2);
+        if (target <= cumulativeWeight) {
+            return { background: bg, affinity };
+        }
+    }
+
+    // Fallback if no background selected (shouldn't happen)
+    return { background: selectedBackgrounds[hashValue % selectedBackgrounds.length], affinity };
+}